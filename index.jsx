@@ -1,8 +1,8 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, onSnapshot, orderBy, where, getDocs, runTransaction, getDoc } from 'firebase/firestore';
-import { Clock, BookOpen, BarChart3, Settings, Users, Plus, Timer, CheckCircle, Target, Loader2, XCircle } from 'lucide-react';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup, signInWithCredential, linkWithCredential, linkWithPopup, EmailAuthProvider, GoogleAuthProvider, updateProfile, signOut } from 'firebase/auth';
+import * as firestore from 'firebase/firestore';
+import { Clock, BookOpen, BarChart3, Settings, Users, Plus, Timer, CheckCircle, Target, Loader2, XCircle, CalendarDays, Trash2, Play, Pause, History, Pencil, Archive, ArchiveRestore, GripVertical, ArrowUp, ArrowDown, Flame, Trophy, ChevronLeft, ChevronRight, PieChart, UserCircle, LogIn, LogOut, Cloud, CloudOff, RefreshCw, Download, Upload, Bell, RotateCcw, HardDrive } from 'lucide-react';
 
 // ====================================================================
 // Firebase Initialization & Constants
@@ -10,8 +10,48 @@ import { Clock, BookOpen, BarChart3, Settings, Users, Plus, Timer, CheckCircle,
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'reading-tracker-default-app';
 const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-// Admin UID (Simulated - used for UI logic)
-const ADMIN_UID = 'XFLA7wfuLJgH7jgtRtigjbtDooM2'; 
+// Without a Firebase configuration, or with ?storage=local in the URL, data stays in this browser
+const isLocalMode = Object.keys(firebaseConfig).length === 0 || new URLSearchParams(window.location.search).get('storage') === 'local';
+// Roles live in the shared `roles` collection (see firestore.rules); users without one are students.
+// Each maps to the message key of its name.
+const ROLES = {
+    admin: 'role.admin',
+    teacher: 'role.teacher',
+    student: 'role.student',
+};
+const DEFAULT_ROLE = 'student';
+// weekStartDay: 0 = Sunday .. 6 = Saturday; timeZone: IANA name, '' for the device's;
+// dayStartHour: reading before this hour counts towards the previous day.
+// `language` (a LANGUAGES key) is only stored once chosen; until then the device's last choice applies.
+const DEFAULT_SETTINGS = { dailyGoalMinutes: 60, weeklyGoalMinutes: 420, weekStartDay: 0, timeZone: '', dayStartHour: 0 };
+// Reminder preferences, stored as `notifications` in the settings; goalReminderTime is "HH:MM" or '' for off
+const DEFAULT_NOTIFICATIONS = { enabled: false, routine: true, goalReminderTime: '20:00', longSession: true };
+
+/**
+ * Message for a Firebase Auth error, in the language of `t` (see createLocale).
+ */
+const getAuthErrorMessage = (e, t) => {
+    switch (e.code) {
+        case 'auth/invalid-email':
+            return t('auth.invalidEmail');
+        case 'auth/missing-password':
+        case 'auth/weak-password':
+            return t('auth.weakPassword');
+        case 'auth/invalid-credential':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return t('auth.wrongCredentials');
+        case 'auth/email-already-in-use':
+            return t('auth.emailInUse');
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+            return t('auth.cancelled');
+        case 'auth/too-many-requests':
+            return t('auth.tooManyRequests');
+        default:
+            return t('auth.failed', { error: e.message });
+    }
+};
 
 // Context for Firebase and User State
 const AppContext = React.createContext(null);
@@ -26,929 +66,8365 @@ const AppContext = React.createContext(null);
 const getPrivateUserPath = (userId, collectionName) => 
     `artifacts/${appId}/users/${userId}/${collectionName}`;
 
+const getPublicDataPath = (collectionName) =>
+    `artifacts/${appId}/public/data/${collectionName}`;
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string} id - Stable chapter ID, unchanged by renames and reordering.
+ * @property {string} name - Chapter name.
+ * @property {number} total - Target minutes (0 = no target).
+ * @property {number} read - Minutes read so far.
+ * @property {number} [pageStart] - First page of the chapter.
+ * @property {number} [pageEnd] - Last page of the chapter.
+ * @property {number} [pagesRead] - Pages read so far.
+ * @property {string[]} [sections] - Section names from an imported table of contents.
+ * @property {RevisionSchedule} [revision] - Spaced-repetition schedule, set once the chapter is completed.
+ * @property {boolean|null} [manualCompletion] - Set when the user completed (true) or reopened (false) the chapter by hand; overrides the targets.
+ *   A reopen is cleared once new reading meets the targets.
+ * @property {boolean} is_completed - Completion flag, derived by isChapterComplete.
+ */
+
 /**
  * @typedef {Object} Subject
  * @property {string} id - Firestore document ID.
  * @property {string} name - Subject name (e.g., বাংলা).
- * @property {Array<{name: string, total: number, read: number, is_completed: boolean}>} chapters - List of chapters.
+ * @property {Chapter[]} chapters - Ordered list of chapters.
+ * @property {boolean} [archived] - Hidden from tracking and planning when true.
  */
 
 /**
  * @typedef {Object} ReadingRecord
  * @property {string} id - Firestore document ID.
- * @property {string} subjectName - Subject name.
- * @property {string} chapterName - Chapter name.
+ * @property {string} subjectName - Subject name at the time of recording.
+ * @property {string} chapterId - Stable ID of the chapter read.
+ * @property {string} chapterName - Chapter name at the time of recording.
  * @property {number} durationMinutes - Reading duration in minutes.
+ * @property {number} [pagesRead] - Pages read during the session.
  * @property {Date} date - Timestamp of the record.
  * @property {string} userId - ID of the user who recorded this.
+ * @property {Date} [startedAt] - Start of the timed session (absent on older records,
+ *   null with the other timing fields once the duration or date was edited).
+ * @property {number} [spanMinutes] - Wall-clock span from start to finish, pauses included.
+ * @property {number} [pausedMinutes] - Time spent paused during the session.
+ * @property {Array<{start: Date, end: Date}>} [segments] - Uninterrupted reading stretches.
+ * @property {number} [cycle] - Pomodoro cycle number when recorded in interval mode.
+ * @property {string} [type] - 'revision' for a revision session; absent for reading.
+ * @property {number} [quality] - Recall rating (0-5) given after a revision session.
+ */
+
+/**
+ * @typedef {Object} ReadingPlan
+ * @property {string} id - Firestore document ID.
+ * @property {string} subjectId - Subject the plan belongs to.
+ * @property {string} subjectName - Subject name at the time of planning.
+ * @property {string} startDate - First day of the plan (YYYY-MM-DD).
+ * @property {string} endDate - Last day of the plan (YYYY-MM-DD).
+ * @property {number} days - Planned length in days.
+ * @property {number} totalChapters - Number of chapters covered by the plan.
+ * @property {Array<{date: string, chapters: string[]}>} schedule - Chapter IDs assigned to each day.
+ */
+
+/**
+ * @typedef {Object} RoutineItem
+ * @property {string} id - Stable item ID inside the `settings/routine` document.
+ * @property {string} subjectId - Linked subject document ID.
+ * @property {string} subject - Subject name at the time the item was added.
+ * @property {number} time - Planned minutes.
+ * @property {number[]} weekdays - Days the item recurs on (0 = Sunday).
+ * @property {string} [reminderTime] - "HH:MM" at which a reminder is shown when notifications are on.
+ */
+
+/**
+ * @typedef {Object} RoutineLog
+ * @property {string} id - Day key (YYYY-MM-DD), also the Firestore document ID.
+ * @property {string} date - Same day key, stored for range queries.
+ * @property {string[]} done - IDs of routine items completed that day.
+ */
+
+/**
+ * @typedef {Object} ActiveSession
+ * @property {string} subjectId - Subject being read.
+ * @property {string} chapterId - Chapter being read.
+ * @property {string} chapterName - Name of that chapter, for display.
+ * @property {number} startedAt - Wall-clock start (ms since epoch).
+ * @property {number|null} pausedAt - Wall-clock time the session was paused, or null while running.
+ * @property {number} pausedMs - Total paused time excluded from the elapsed time.
+ * @property {Array<{start: number, end: number|null}>} segments - Reading stretches; the open one has no end.
+ * @property {Object} [pomodoro] - Interval mode state: the PomodoroConfig plus `cycle`, `phase` ('focus' | 'break') and `breakStartedAt`.
+ * @property {string} [type] - 'revision' when revising a completed chapter.
+ * @property {number} [pagesRead] - Pages entered so far; logged with the session, or with the current focus block.
+ * @property {number} lastSeenAt - Last heartbeat from an open tab, used to recover abandoned sessions.
+ * @property {number} updatedAt - Last change, used to pick the newer copy between devices.
  */
 
 // ====================================================================
-// Utility Functions
+// Storage
 // ====================================================================
+// All reads and writes go through the functions below. They take the same
+// arguments as their Firestore namesakes and hand them to the backend the
+// database or reference belongs to: Firestore, or the local store used when
+// there is no Firebase configuration (see createLocalStore). Field operations
+// and query constraints are plain descriptions until a backend applies them.
+
+const FIELD_OPERATION = Symbol('fieldOperation');
+
+const increment = (value) => ({ [FIELD_OPERATION]: 'increment', value });
+const arrayUnion = (...values) => ({ [FIELD_OPERATION]: 'arrayUnion', values });
+const arrayRemove = (...values) => ({ [FIELD_OPERATION]: 'arrayRemove', values });
+
+const where = (field, op, value) => ({ type: 'where', field, op, value });
+const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+const limit = (count) => ({ type: 'limit', count });
+const startAfter = (snapshot) => ({ type: 'startAfter', snapshot });
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// --- Firestore ---
+
+const toFirestoreData = (value) => {
+    switch (value?.[FIELD_OPERATION]) {
+        case 'increment':
+            return firestore.increment(value.value);
+        case 'arrayUnion':
+            return firestore.arrayUnion(...value.values);
+        case 'arrayRemove':
+            return firestore.arrayRemove(...value.values);
+        default:
+            break;
+    }
+    if (Array.isArray(value)) return value.map(toFirestoreData);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toFirestoreData(v)]));
+    }
+    return value;
+};
 
-const formatTime = (totalMinutes) => {
-    const totalSeconds = totalMinutes * 60;
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = Math.floor(totalSeconds % 60);
-    return `${hours} ঘণ্টা ${minutes} মিনিট ${seconds} সেকেন্ড`;
+const toFirestoreConstraint = (constraint) => {
+    switch (constraint.type) {
+        case 'where':
+            return firestore.where(constraint.field, constraint.op, constraint.value);
+        case 'orderBy':
+            return firestore.orderBy(constraint.field, constraint.direction);
+        case 'limit':
+            return firestore.limit(constraint.count);
+        default:
+            return firestore.startAfter(constraint.snapshot);
+    }
 };
 
-const formatMinutesToHHMM = (minutes) => {
-    const h = Math.floor(minutes / 60);
-    const m = Math.round(minutes % 60);
-    return `${h}h ${m}m`;
+// Transactions and batches, with field operations converted on the way in
+const wrapFirestoreWriter = (writer) => {
+    const wrapped = {
+        get: (ref) => writer.get(ref),
+        set: (ref, data, options = {}) => { writer.set(ref, toFirestoreData(data), options); return wrapped; },
+        update: (ref, data) => { writer.update(ref, toFirestoreData(data)); return wrapped; },
+        delete: (ref) => { writer.delete(ref); return wrapped; },
+        commit: () => writer.commit(),
+    };
+    return wrapped;
 };
 
-const getDayName = (date) => {
-    return date.toLocaleDateString('bn-BD', { weekday: 'short' });
+const firestoreBackend = {
+    doc: firestore.doc,
+    collection: firestore.collection,
+    query: (ref, ...constraints) => firestore.query(ref, ...constraints.map(toFirestoreConstraint)),
+    getDoc: firestore.getDoc,
+    getDocs: firestore.getDocs,
+    onSnapshot: firestore.onSnapshot,
+    setDoc: (ref, data, options = {}) => firestore.setDoc(ref, toFirestoreData(data), options),
+    deleteDoc: firestore.deleteDoc,
+    runTransaction: (db, updateFunction) =>
+        firestore.runTransaction(db, transaction => updateFunction(wrapFirestoreWriter(transaction))),
+    writeBatch: (db) => wrapFirestoreWriter(firestore.writeBatch(db)),
 };
 
-// ====================================================================
-// Main Application Component
-// ====================================================================
+// --- Local (this browser) ---
 
-const App = () => {
-    const [auth, setAuth] = useState(null);
-    const [db, setDb] = useState(null);
-    const [user, setUser] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [currentView, setCurrentView] = useState('dashboard');
+const LOCAL_USER_ID = 'local';
+// Stands in for the signed-in user in local mode
+const LOCAL_USER = { uid: LOCAL_USER_ID, isAnonymous: true, isLocal: true, displayName: null, email: null, providerData: [] };
+const LOCAL_STORE_NAMESPACE = `${appId}:localStore`;
+const LOCAL_METADATA = { fromCache: false, hasPendingWrites: false };
+const LOCAL_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
 
-    // State for data fetching
-    const [subjects, setSubjects] = useState([]);
-    const [history, setHistory] = useState([]);
-    const [settings, setSettings] = useState({ dailyGoalMinutes: 60, weeklyGoalMinutes: 420 });
+const createLocalId = () =>
+    Array.from({ length: 20 }, () => LOCAL_ID_CHARS[Math.floor(Math.random() * LOCAL_ID_CHARS.length)]).join('');
 
-    const currentUserId = user ? user.uid : null;
-    const isAdmin = currentUserId === ADMIN_UID;
+/**
+ * A database kept in localStorage, one entry per document (dates as in
+ * backups), for use without Firebase. Writes apply at once and reach
+ * listeners on the next tick, like Firestore's own cached writes.
+ */
+const createLocalStore = (namespace = LOCAL_STORE_NAMESPACE) => {
+    const store = {
+        isLocal: true,
+        prefix: `${namespace}:`,
+        documents: new Map(), // path -> data
+        versions: new Map(), // path -> write counter, to tell listeners what changed
+        version: 0,
+        listeners: new Set(),
+        transactions: Promise.resolve(),
+    };
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(store.prefix)) readLocalDocument(store, key.slice(store.prefix.length), localStorage.getItem(key));
+    }
+    return store;
+};
 
-    // ----------------------------------------------------------------
-    // 1. Initialization and Authentication
-    // ----------------------------------------------------------------
-    useEffect(() => {
-        if (Object.keys(firebaseConfig).length === 0) {
-            setError("Firebase কনফিগারেশন পাওয়া যায়নি।");
-            setLoading(false);
+// Takes one stored document into the store; `raw` is null when it was removed
+const readLocalDocument = (store, path, raw) => {
+    if (raw === null) {
+        store.documents.delete(path);
+        store.versions.delete(path);
+        return;
+    }
+    try {
+        store.documents.set(path, fromBackupValue(JSON.parse(raw)));
+        store.versions.set(path, ++store.version);
+    } catch (e) {
+        console.error("Error reading local data:", e);
+    }
+};
+
+/**
+ * Keeps the store in step with writes from other tabs, which localStorage
+ * reports through `storage` events, and tells its listeners. Returns a
+ * function that stops it.
+ */
+const syncLocalStore = (store) => {
+    const handleStorage = (event) => {
+        if (event.storageArea !== localStorage) return;
+        if (event.key === null) {
+            // Storage was cleared
+            [...store.documents.keys()].forEach(path => readLocalDocument(store, path, null));
+        } else if (event.key.startsWith(store.prefix)) {
+            readLocalDocument(store, event.key.slice(store.prefix.length), event.newValue);
+        } else {
             return;
         }
+        store.listeners.forEach(listener => listener());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+};
 
-        try {
-            const app = initializeApp(firebaseConfig);
-            const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
-            setAuth(authInstance);
-            setDb(dbInstance);
+/**
+ * True when this browser holds local-mode data, e.g. to offer moving it into an account.
+ */
+const hasLocalData = (namespace = LOCAL_STORE_NAMESPACE) => {
+    for (let i = 0; i < localStorage.length; i++) {
+        if (localStorage.key(i).startsWith(`${namespace}:`)) return true;
+    }
+    return false;
+};
 
-            const unsubscribe = onAuthStateChanged(authInstance, async (authUser) => {
-                if (authUser) {
-                    setUser(authUser);
-                    console.log("Authenticated User:", authUser.uid);
-                    setLoading(false);
-                } else {
-                    // Sign in with custom token or anonymously
-                    try {
-                        if (initialAuthToken) {
-                            await signInWithCustomToken(authInstance, initialAuthToken);
-                        } else {
-                            await signInAnonymously(authInstance);
-                        }
-                    } catch (e) {
-                        setError(`সাইন-ইন ব্যর্থ: ${e.message}`);
-                        setLoading(false);
-                    }
-                }
-            });
+// Collections have an odd number of path segments, documents an even one
+const createLocalRef = (store, segments) => {
+    const path = segments.join('/');
+    const id = segments[segments.length - 1];
+    return { isLocal: true, store, type: segments.length % 2 === 0 ? 'document' : 'collection', path, id };
+};
 
-            return () => unsubscribe();
-        } catch (e) {
-            setError(`ফায়ারবেস ইনিশিয়ালাইজেশনে ত্রুটি: ${e.message}`);
-            setLoading(false);
-        }
-    }, []);
+const getLocalSegments = (parent, pathSegments) => [
+    ...(parent.path ? parent.path.split('/') : []),
+    ...pathSegments.join('/').split('/').filter(Boolean),
+];
 
-    // ----------------------------------------------------------------
-    // 2. Real-time Data Listeners
-    // ----------------------------------------------------------------
-    useEffect(() => {
-        if (!db || !currentUserId) return;
+const createLocalDocSnapshot = (ref) => {
+    const data = ref.store.documents.get(ref.path);
+    return {
+        isLocal: true,
+        id: ref.id,
+        ref,
+        metadata: LOCAL_METADATA,
+        exists: () => data !== undefined,
+        data: () => (data === undefined ? undefined : structuredClone(data)),
+    };
+};
 
-        // Listener for Subjects
-        const subjectsPath = getPrivateUserPath(currentUserId, 'subjects');
-        const unsubSubjects = onSnapshot(collection(db, subjectsPath), (snapshot) => {
-            const subs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setSubjects(subs);
-        }, (err) => console.error("Subjects Listen Error:", err));
+const createLocalQuerySnapshot = (docs, changes) => ({
+    isLocal: true,
+    docs,
+    empty: docs.length === 0,
+    metadata: LOCAL_METADATA,
+    docChanges: () => changes,
+});
 
-        // Listener for History
-        const historyPath = getPrivateUserPath(currentUserId, 'history');
-        const unsubHistory = onSnapshot(collection(db, historyPath), (snapshot) => {
-            const hist = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), date: doc.data().date.toDate() }));
-            setHistory(hist.sort((a, b) => b.date - a.date)); // Sort by latest date
-        }, (err) => console.error("History Listen Error:", err));
+const getFieldValue = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
 
-        // Listener for Settings/Goals
-        const settingsDocPath = getPrivateUserPath(currentUserId, 'settings');
-        const unsubSettings = onSnapshot(doc(db, settingsDocPath, 'goals'), (docSnapshot) => {
-            if (docSnapshot.exists()) {
-                setSettings(prev => ({ ...prev, ...docSnapshot.data() }));
-            }
-        }, (err) => console.error("Settings Listen Error:", err));
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
 
+const matchesWhere = (data, { field, op, value }) => {
+    const actual = toComparable(getFieldValue(data, field));
+    const expected = toComparable(value);
+    if (actual === undefined) return false;
+    switch (op) {
+        case '==': return actual === expected;
+        case '!=': return actual !== expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case 'in': return expected.includes(actual);
+        case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+        default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+};
 
-        return () => {
-            unsubSubjects();
-            unsubHistory();
-            unsubSettings();
-        };
-    }, [db, currentUserId]);
+/**
+ * Document snapshots matching a collection reference or query. As in
+ * Firestore, ordering on a field leaves out documents without it and ties
+ * fall back to the document ID.
+ */
+const runLocalQuery = ({ store, path, constraints = [] }) => {
+    const filters = constraints.filter(c => c.type === 'where');
+    const orders = constraints.filter(c => c.type === 'orderBy');
+    const cursor = constraints.find(c => c.type === 'startAfter');
+    const max = constraints.find(c => c.type === 'limit');
 
-    // ----------------------------------------------------------------
-    // 3. Data Management (CRUD & Logic)
-    // ----------------------------------------------------------------
+    const compare = (a, b) => {
+        for (const { field, direction } of orders) {
+            const x = toComparable(getFieldValue(a.data, field));
+            const y = toComparable(getFieldValue(b.data, field));
+            if (x !== y) return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        }
+        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+    };
 
-    /**
-     * Subject & Chapter Management (Requirement 1)
-     */
-    const saveSubject = useCallback(async (subjectName, chaptersData) => {
-        if (!db || !currentUserId) return;
-        try {
-            const docRef = doc(collection(db, getPrivateUserPath(currentUserId, 'subjects')));
-            await setDoc(docRef, { name: subjectName, chapters: chaptersData || [] });
-            console.log("Subject saved with ID: ", docRef.id);
-        } catch (e) {
-            console.error("Error adding subject: ", e);
+    let entries = [...store.documents]
+        .map(([docPath, data]) => ({ path: docPath, data }))
+        .filter(entry => entry.path.slice(0, entry.path.lastIndexOf('/')) === path)
+        .filter(entry => filters.every(f => matchesWhere(entry.data, f)))
+        .filter(entry => orders.every(o => getFieldValue(entry.data, o.field) !== undefined))
+        .sort(compare);
+    if (cursor) {
+        const after = { path: cursor.snapshot.ref.path, data: cursor.snapshot.data() };
+        entries = entries.filter(entry => compare(entry, after) > 0);
+    }
+    if (max) entries = entries.slice(0, max.count);
+    return entries.map(entry => createLocalDocSnapshot(createLocalRef(store, entry.path.split('/'))));
+};
+
+const isSameLocalValue = (a, b) => JSON.stringify(toBackupValue(a)) === JSON.stringify(toBackupValue(b));
+
+/**
+ * The stored form of a written value: field operations are applied to the
+ * current value, and with `deep` nested maps are merged into it (set with
+ * merge) instead of replacing it. Everything is copied.
+ */
+const toLocalValue = (current, value, deep) => {
+    switch (value?.[FIELD_OPERATION]) {
+        case 'increment':
+            return (typeof current === 'number' ? current : 0) + value.value;
+        case 'arrayUnion': {
+            const result = Array.isArray(current) ? [...current] : [];
+            value.values.forEach(item => {
+                if (!result.some(existing => isSameLocalValue(existing, item))) result.push(toLocalValue(undefined, item, false));
+            });
+            return result;
         }
-    }, [db, currentUserId]);
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : [])
+                .filter(existing => !value.values.some(item => isSameLocalValue(existing, item)));
+        default:
+            break;
+    }
+    if (Array.isArray(value)) return value.map(item => toLocalValue(undefined, item, false));
+    if (value instanceof Date) return new Date(value);
+    if (!isPlainObject(value)) return value;
+    const result = deep && isPlainObject(current) ? { ...current } : {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (item !== undefined) result[key] = toLocalValue(result[key], item, deep);
+    });
+    return result;
+};
 
-    /**
-     * Save Reading Goal (Requirement 5 & 7)
-     */
-    const saveGoals = useCallback(async (dailyGoal, weeklyGoal) => {
-        if (!db || !currentUserId) return;
-        const goalsDoc = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
-        try {
-            await setDoc(goalsDoc, { 
-                dailyGoalMinutes: parseInt(dailyGoal), 
-                weeklyGoalMinutes: parseInt(weeklyGoal) 
-            }, { merge: true });
-            setSettings({ dailyGoalMinutes: parseInt(dailyGoal), weeklyGoalMinutes: parseInt(weeklyGoal) });
-        } catch (e) {
-            console.error("Error setting goals:", e);
+// Writes of a batch or transaction are collected as path -> data (null when deleted)
+const stageLocalWrite = (staged, ref, data, mode) => {
+    const current = staged.has(ref.path) ? staged.get(ref.path) ?? undefined : ref.store.documents.get(ref.path);
+    if (mode === 'update') {
+        if (current === undefined) throw new Error(`No document to update: ${ref.path}`);
+        const fields = Object.entries(data).map(([key, value]) => [key, toLocalValue(current[key], value, false)]);
+        staged.set(ref.path, { ...current, ...Object.fromEntries(fields) });
+    } else {
+        staged.set(ref.path, toLocalValue(current, data, mode === 'merge'));
+    }
+};
+
+const commitLocalWrites = (store, staged) => {
+    queueMicrotask(() => store.listeners.forEach(listener => listener()));
+    staged.forEach((data, path) => {
+        if (data === null) {
+            store.documents.delete(path);
+            store.versions.delete(path);
+            localStorage.removeItem(store.prefix + path);
+        } else {
+            store.documents.set(path, data);
+            store.versions.set(path, ++store.version);
+            localStorage.setItem(store.prefix + path, JSON.stringify(toBackupValue(data)));
         }
-    }, [db, currentUserId]);
+    });
+};
 
+// A batch passes its `commit`, which the chained calls then still have
+const createLocalWriter = (staged, commit = null) => {
+    const writer = {
+        get: async (ref) => createLocalDocSnapshot(ref),
+        set: (ref, data, options = {}) => { stageLocalWrite(staged, ref, data, options.merge ? 'merge' : 'set'); return writer; },
+        update: (ref, data) => { stageLocalWrite(staged, ref, data, 'update'); return writer; },
+        delete: (ref) => { staged.set(ref.path, null); return writer; },
+        ...(commit ? { commit } : {}),
+    };
+    return writer;
+};
 
-    /**
-     * Timer Stop and Data Recording (Requirement 3)
-     */
-    const recordReading = useCallback(async (subjectId, chapterName, durationSeconds) => {
-        if (!db || !currentUserId || durationSeconds < 1) return;
-        const durationMinutes = durationSeconds / 60;
-        
-        try {
-            await runTransaction(db, async (transaction) => {
-                // 1. Add History Record
-                const historyRef = doc(collection(db, getPrivateUserPath(currentUserId, 'history')));
-                transaction.set(historyRef, {
-                    subjectId,
-                    subjectName: subjects.find(s => s.id === subjectId)?.name || 'N/A',
-                    chapterName,
-                    durationMinutes: parseFloat(durationMinutes.toFixed(2)),
-                    date: new Date(),
-                    userId: currentUserId,
-                });
+const localBackend = {
+    doc: (parent, ...pathSegments) => {
+        const segments = getLocalSegments(parent, pathSegments);
+        if (parent.type === 'collection' && pathSegments.length === 0) segments.push(createLocalId());
+        return createLocalRef(parent.store || parent, segments);
+    },
+    collection: (parent, ...pathSegments) => createLocalRef(parent.store || parent, getLocalSegments(parent, pathSegments)),
+    query: (ref, ...constraints) => ({ ...ref, type: 'query', constraints: [...(ref.constraints || []), ...constraints] }),
+    getDoc: async (ref) => createLocalDocSnapshot(ref),
+    getDocs: async (ref) => {
+        const docs = runLocalQuery(ref);
+        return createLocalQuerySnapshot(docs, docs.map((d, newIndex) => ({ type: 'added', doc: d, oldIndex: -1, newIndex })));
+    },
+    // Like Firestore, a listener only hears about writes that change its result
+    onSnapshot: (target, ...args) => {
+        const [onNext, onError] = typeof args[0] === 'function' ? args : args.slice(1);
+        const { store } = target;
+        let previous; // undefined until the first delivery, which always goes out
+        let active = true;
 
-                // 2. Update Chapter Progress
-                const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId);
-                const subjectDoc = await transaction.get(subjectRef);
-                if (subjectDoc.exists()) {
-                    const subjectData = subjectDoc.data();
-                    const updatedChapters = subjectData.chapters.map(c => {
-                        if (c.name === chapterName) {
-                            // Assuming 'read' means minutes read for this chapter
-                            const newReadTime = (c.read || 0) + durationMinutes;
-                            const isCompleted = newReadTime >= c.total; // Total is target time (minutes)
-                            return { ...c, read: newReadTime, is_completed: isCompleted };
-                        }
-                        return c;
-                    });
-                    transaction.update(subjectRef, { chapters: updatedChapters });
-                }
+        const deliver = () => {
+            if (!active) return;
+            if (target.type === 'document') {
+                const version = store.versions.get(target.path) ?? null;
+                if (version === previous) return;
+                previous = version;
+                onNext(createLocalDocSnapshot(target));
+                return;
+            }
+            let docs;
+            try {
+                docs = runLocalQuery(target);
+            } catch (e) {
+                active = false;
+                store.listeners.delete(deliver);
+                if (onError) onError(e);
+                return;
+            }
+            const versions = new Map(docs.map(d => [d.ref.path, store.versions.get(d.ref.path)]));
+            const changes = [];
+            docs.forEach((d, newIndex) => {
+                if (!previous?.has(d.ref.path)) changes.push({ type: 'added', doc: d, oldIndex: -1, newIndex });
+                else if (previous.get(d.ref.path) !== versions.get(d.ref.path)) changes.push({ type: 'modified', doc: d, newIndex });
             });
-            return true;
-        } catch (e) {
-            console.error("Transaction failed: ", e);
-            return false;
-        }
-    }, [db, currentUserId, subjects]);
+            previous?.forEach((version, docPath) => {
+                if (!versions.has(docPath)) changes.push({ type: 'removed', doc: createLocalDocSnapshot(createLocalRef(store, docPath.split('/'))), newIndex: -1 });
+            });
+            if (previous && changes.length === 0) return;
+            previous = versions;
+            onNext(createLocalQuerySnapshot(docs, changes));
+        };
 
+        store.listeners.add(deliver);
+        queueMicrotask(deliver);
+        return () => {
+            active = false;
+            store.listeners.delete(deliver);
+        };
+    },
+    setDoc: async (ref, data, options = {}) => {
+        const staged = new Map();
+        stageLocalWrite(staged, ref, data, options.merge ? 'merge' : 'set');
+        commitLocalWrites(ref.store, staged);
+    },
+    deleteDoc: async (ref) => commitLocalWrites(ref.store, new Map([[ref.path, null]])),
+    // Transactions run one at a time, so nothing can change between a transaction's reads and its writes
+    runTransaction: (store, updateFunction) => {
+        const run = store.transactions.then(async () => {
+            const staged = new Map();
+            const result = await updateFunction(createLocalWriter(staged));
+            commitLocalWrites(store, staged);
+            return result;
+        });
+        store.transactions = run.catch(() => {});
+        return run;
+    },
+    writeBatch: (store) => {
+        const staged = new Map();
+        return createLocalWriter(staged, async () => commitLocalWrites(store, staged));
+    },
+};
 
-    // ----------------------------------------------------------------
-    // 4. Statistics and Calculations (Requirement 4 & 5)
-    // ----------------------------------------------------------------
+// --- Dispatch ---
 
-    const stats = useMemo(() => {
-        const totalMinutes = history.reduce((sum, record) => sum + record.durationMinutes, 0);
+const getBackend = (target) => (target?.isLocal ? localBackend : firestoreBackend);
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+const doc = (parent, ...pathSegments) => getBackend(parent).doc(parent, ...pathSegments);
+const collection = (parent, ...pathSegments) => getBackend(parent).collection(parent, ...pathSegments);
+const query = (ref, ...constraints) => getBackend(ref).query(ref, ...constraints);
+const getDoc = (ref) => getBackend(ref).getDoc(ref);
+const getDocs = (ref) => getBackend(ref).getDocs(ref);
+const onSnapshot = (target, ...args) => getBackend(target).onSnapshot(target, ...args);
+const setDoc = (ref, data, options) => getBackend(ref).setDoc(ref, data, options);
+const deleteDoc = (ref) => getBackend(ref).deleteDoc(ref);
+const runTransaction = (db, updateFunction) => getBackend(db).runTransaction(db, updateFunction);
+const writeBatch = (db) => getBackend(db).writeBatch(db);
 
-        const dailyStats = history.filter(record => record.date >= today);
-        const todayMinutes = dailyStats.reduce((sum, record) => sum + record.durationMinutes, 0);
+// ====================================================================
+// Localization
+// ====================================================================
+// UI text is looked up by key in MESSAGES, which has one catalog per language
+// and {name} placeholders. Numbers in placeholders, dates and durations are
+// formatted for the same language: Bengali digits for Bengali, Latin for
+// English. An English entry may be a [singular, plural] pair, picked by the
+// `count` placeholder. Helpers below the app that fail with a message for the
+// user throw an Error whose message is a key.
 
-        const startOfWeek = new Date();
-        startOfWeek.setDate(today.getDate() - today.getDay()); // Sunday as start of week
-        startOfWeek.setHours(0, 0, 0, 0);
+const LANGUAGES = { bn: 'বাংলা', en: 'English' };
+const DEFAULT_LANGUAGE = 'bn';
+const LOCALE_TAGS = { bn: 'bn-BD', en: 'en-GB' };
 
-        const weeklyStats = history.filter(record => record.date >= startOfWeek);
-        const weeklyMinutes = weeklyStats.reduce((sum, record) => sum + record.durationMinutes, 0);
+const MESSAGES = {
+    bn: {
+        // Durations
+        'time.hoursMinutesSeconds': '{hours} ঘণ্টা {minutes} মিনিট {seconds} সেকেন্ড',
+        'time.hoursMinutes': '{hours}ঘ {minutes}মি',
+        'time.days': '{count} দিন',
 
-        // Group by day for the chart (last 7 days)
-        const weeklyChartData = {};
-        for (let i = 6; i >= 0; i--) {
-            const d = new Date();
-            d.setDate(d.getDate() - i);
-            d.setHours(0, 0, 0, 0);
-            const key = d.toDateString();
-            weeklyChartData[key] = { date: d, minutes: 0 };
-        }
-
-        weeklyStats.forEach(record => {
-            const recordDate = new Date(record.date);
-            recordDate.setHours(0, 0, 0, 0);
-            const key = recordDate.toDateString();
-            if (weeklyChartData[key]) {
-                weeklyChartData[key].minutes += record.durationMinutes;
-            }
-        });
+        // Roles
+        'role.admin': 'অ্যাডমিন',
+        'role.teacher': 'শিক্ষক/মেন্টর',
+        'role.student': 'শিক্ষার্থী',
 
-        const chartData = Object.values(weeklyChartData).map(item => ({
-            day: getDayName(item.date),
-            minutes: Math.round(item.minutes),
-        }));
+        // Sign-in errors
+        'auth.invalidEmail': 'ইমেইল ঠিকানাটি সঠিক নয়।',
+        'auth.weakPassword': 'পাসওয়ার্ড কমপক্ষে ৬ অক্ষরের হতে হবে।',
+        'auth.wrongCredentials': 'ইমেইল বা পাসওয়ার্ড ভুল।',
+        'auth.emailInUse': 'এই ইমেইলে আগে থেকেই একটি অ্যাকাউন্ট আছে। সাইন-ইন করুন।',
+        'auth.cancelled': 'সাইন-ইন বাতিল করা হয়েছে।',
+        'auth.tooManyRequests': 'অনেকবার চেষ্টা করা হয়েছে। কিছুক্ষণ পরে আবার চেষ্টা করুন।',
+        'auth.failed': 'সাইন-ইন ব্যর্থ: {error}',
 
-        const chaptersRead = subjects.flatMap(s => s.chapters.filter(c => c.is_completed)).length;
+        // Revision ratings
+        'revision.forgot': 'ভুলে গেছি',
+        'revision.hard': 'কষ্ট করে মনে পড়েছে',
+        'revision.good': 'মনে ছিল',
+        'revision.easy': 'সহজেই মনে ছিল',
 
-        return {
-            totalMinutes: totalMinutes,
-            todayMinutes: todayMinutes,
-            weeklyMinutes: weeklyMinutes,
-            chaptersRead: chaptersRead,
-            chartData: chartData
-        };
-    }, [history, subjects]);
+        // Reminders
+        'reminder.routineTitle': 'পড়ার সময় হয়েছে',
+        'reminder.routineBody': '{subject} – {minutes} মিনিট',
+        'reminder.goalTitle': 'আজকের লক্ষ্য এখনো বাকি',
+        'reminder.goalBody': 'আজ {minutes} / {goal} মিনিট পড়া হয়েছে।',
+        'reminder.longSessionTitle': 'টাইমার কি চালু রয়ে গেছে?',
+        'reminder.longSessionBody': 'টাইমার {duration} ধরে চলছে, যা সাধারণ সেশনের চেয়ে অনেক বেশি।',
 
+        // Student flags (teacher panel)
+        'flag.planBehind': 'প্ল্যানের পিছনে',
+        'flag.dailyGoal': '৭ দিনে {count} দিন দৈনিক লক্ষ্য পূরণ',
+        'flag.weeklyGoal': 'সাপ্তাহিক লক্ষ্যের পিছনে',
+        'flag.notStarted': 'এখনো পড়া শুরু হয়নি',
+        'flag.idle': '{count} দিন পড়া নেই',
 
-    // ----------------------------------------------------------------
-    // 5. Component Logic
-    // ----------------------------------------------------------------
+        // Errors thrown by file parsers
+        'backup.notABackup': 'এটি এই অ্যাপের ব্যাকআপ ফাইল নয়।',
+        'toc.noChapterList': 'JSON-এ অধ্যায়ের তালিকা পাওয়া যায়নি।',
+        'toc.invalidJson': 'JSON ফাইলটি পড়া যায়নি।',
 
-    if (loading) {
-        return (
-            <div className="flex justify-center items-center min-h-screen bg-gray-100">
-                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
-                <p className="ml-3 text-lg font-medium text-gray-700">অ্যাপ্লিকেশন লোড হচ্ছে...</p>
-            </div>
-        );
-    }
+        // Account actions
+        'account.notSignedIn': 'সাইন-ইন করা নেই।',
+        'account.nameSaveFailed': 'নাম সংরক্ষণ করা যায়নি।',
+        'account.signInUnavailable': 'সাইন-ইন এখন সম্ভব নয়।',
+        'account.googleInUse': 'এই Google অ্যাকাউন্টটি আগে থেকেই ব্যবহৃত হচ্ছে। অতিথি অ্যাকাউন্টের ডেটা ছেড়ে সেই অ্যাকাউন্টে সাইন-ইন করবেন?',
+        'account.guestSignOut': 'অতিথি অ্যাকাউন্ট থেকে সাইন-আউট করলে এর সব ডেটা হারিয়ে যাবে। আগে অ্যাকাউন্ট তৈরি করে নিন। তবুও সাইন-আউট করবেন?',
+        'app.firebaseInitFailed': 'ফায়ারবেস ইনিশিয়ালাইজেশনে ত্রুটি: {error}',
 
-    if (error) {
-        return (
-            <div className="p-8 max-w-lg mx-auto mt-10 bg-white shadow-xl rounded-xl border border-red-300">
-                <h2 className="text-2xl font-bold text-red-600 mb-4">গুরুত্বপূর্ণ ত্রুটি!</h2>
-                <p className="text-gray-700">{error}</p>
-                <p className="mt-4 text-sm text-gray-500">ইউজার আইডি: <code className="break-all">{currentUserId}</code></p>
-                <p className="mt-2 text-sm text-gray-500">Admin ID: <code className="break-all">{ADMIN_UID}</code></p>
-            </div>
-        );
-    }
+        // Groups and mentors
+        'group.nameRequired': 'গ্রুপের নাম দিন।',
+        'group.createFailed': 'গ্রুপ তৈরি করা যায়নি।',
+        'group.codeRequired': 'ইনভাইট কোড দিন।',
+        'group.notFound': 'এই কোডে কোনো গ্রুপ পাওয়া যায়নি।',
+        'group.alreadyMember': 'আপনি আগে থেকেই এই গ্রুপে আছেন।',
+        'group.joinFailed': 'গ্রুপে যোগ দেওয়া যায়নি।',
+        'mentor.codeRequired': 'মেন্টর কোড দিন।',
+        'mentor.self': 'নিজেকে মেন্টর হিসেবে যুক্ত করা যাবে না।',
+        'mentor.addFailed': 'মেন্টর যুক্ত করা যায়নি।',
 
-    // ----------------------------------------------------------------
-    // UI Components (Render based on currentView)
-    // ----------------------------------------------------------------
+        // Pomodoro
+        'pomodoro.focusDone': 'ফোকাস সাইকেল {cycle} শেষ! {minutes} মিনিট বিরতি নিন।',
+        'pomodoro.focusDoneLong': 'ফোকাস সাইকেল {cycle} শেষ! {minutes} মিনিট লম্বা বিরতি নিন।',
+        'pomodoro.breakOver': 'বিরতি শেষ! পরের ফোকাস সাইকেল শুরু করুন।',
+        'pomodoro.breakTitle': '☕ বিরতি!',
+        'pomodoro.focusTitle': '📖 ফোকাস!',
 
-    const Navbar = () => (
-        <div className="flex flex-col md:flex-row justify-between items-center p-4 bg-white shadow-lg rounded-xl mb-6">
-            <h1 className="text-2xl font-extrabold text-indigo-700 mb-2 md:mb-0">
-                📚 রিডিং প্রোগ্রেস ট্র্যাকার
-            </h1>
-            <div className="flex space-x-2 overflow-x-auto pb-1 md:pb-0">
-                <NavButton icon={BarChart3} label="ড্যাশবোর্ড" view="dashboard" />
-                <NavButton icon={Timer} label="ট্র্যাকিং" view="tracking" />
-                <NavButton icon={BookOpen} label="সাবজেক্ট" view="subjects" />
-                <NavButton icon={Settings} label="লক্ষ্য ও রুটিন" view="goals" />
-                {isAdmin && <NavButton icon={Users} label="অ্যাডমিন প্যানেল" view="admin" />}
-            </div>
-        </div>
-    );
+        // Common
+        'common.saveFailed': 'সেভ করতে ব্যর্থ।',
+        'common.save': 'সেভ করুন',
+        'common.saving': 'সেভ হচ্ছে...',
+        'common.cancel': 'বাতিল',
+        'common.cancelAction': 'বাতিল করুন',
+        'common.delete': 'মুছুন',
+        'common.edit': 'সম্পাদনা',
+        'common.saveChanges': 'পরিবর্তন সেভ করুন',
+        'common.selectSubject': '-- সাবজেক্ট নির্বাচন করুন --',
+        'common.minutes': 'মিনিট',
+        'common.settingsSaved': 'সেটিংস সেভ হয়েছে।',
+        'common.settingsSaveFailed': 'সেটিংস সেভ করা যায়নি।',
+        'common.noReadingInRange': 'এই সময়ে কোনো পড়া নেই।',
+        'common.you': 'আপনি',
+        'common.guest': 'অতিথি',
+        'common.userId': 'ইউজার আইডি',
+        'common.appTitle': '📚 রিডিং প্রোগ্রেস ট্র্যাকার',
+        'common.language': 'ভাষা',
+        'common.accessDenied': 'প্রবেশাধিকার নেই',
 
-    const NavButton = ({ icon: Icon, label, view }) => (
-        <button
-            onClick={() => setCurrentView(view)}
-            className={`flex items-center px-4 py-2 text-sm font-semibold rounded-lg transition duration-200 whitespace-nowrap
-                ${currentView === view
-                    ? 'bg-indigo-600 text-white shadow-md'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-        >
-            <Icon className="w-4 h-4 mr-2" />
-            {label}
-        </button>
+        // App shell and navigation
+        'app.loading': 'অ্যাপ্লিকেশন লোড হচ্ছে...',
+        'app.criticalError': 'গুরুত্বপূর্ণ ত্রুটি!',
+        'nav.dashboard': 'ড্যাশবোর্ড',
+        'nav.tracking': 'ট্র্যাকিং',
+        'nav.subjects': 'সাবজেক্ট',
+        'nav.goals': 'লক্ষ্য ও রুটিন',
+        'nav.history': 'পড়ার লগ',
+        'nav.analytics': 'বিশ্লেষণ',
+        'nav.groups': 'স্টাডি গ্রুপ',
+        'nav.teacher': 'শিক্ষক প্যানেল',
+        'nav.admin': 'অ্যাডমিন প্যানেল',
+        'nav.account': 'অ্যাকাউন্ট',
+        'sync.lastSync': 'শেষ সিঙ্ক: {time}',
+        'sync.never': 'এখনো সিঙ্ক হয়নি',
+        'sync.localTitle': 'ডেটা শুধু এই ব্রাউজারে সংরক্ষিত',
+        'sync.local': 'লোকাল মোড',
+        'sync.offline': 'অফলাইন',
+        'sync.waiting': ' · {count}টি সেশন অপেক্ষায়',
+        'sync.syncing': 'সিঙ্ক হচ্ছে',
+        'sync.remaining': ' · {count}টি সেশন বাকি',
+
+        // Session recovery
+        'recovery.saved': '{duration} সফলভাবে সেভ হয়েছে!',
+        'recovery.title': 'একটি অসমাপ্ত পড়ার সেশন পাওয়া গেছে',
+        'recovery.details': '{subject} – {chapter} | শুরু: {start} | শেষ সক্রিয়: {lastSeen} ({duration})',
+        'recovery.resume': 'চালিয়ে যান',
+        'recovery.saveUntilLastSeen': 'শেষ সক্রিয় সময় পর্যন্ত সেভ করুন',
+
+        // Parked readings
+        'queue.parkedTitle': '{count}টি সেশন সেভ করা যায়নি',
+        'queue.parkedDetails': '{subject} – {chapter} | {date} ({duration})',
+        'queue.retry': 'আবার চেষ্টা করুন',
+        'queue.confirmDiscard': 'এই সেশনটি মুছে ফেলবেন? এটি আর সেভ হবে না।',
+
+        // Dashboard
+        'dashboard.title': 'ইউজার ড্যাশবোর্ড',
+        'dashboard.totalTime': 'মোট পড়ার সময়',
+        'dashboard.today': 'আজকের পড়া',
+        'dashboard.week': 'সাপ্তাহিক পড়া',
+        'dashboard.chaptersDone': 'সম্পূর্ণ অধ্যায়',
+        'dashboard.chapterCount': '{count} টি',
+        'dashboard.currentStreak': 'বর্তমান স্ট্রিক',
+        'dashboard.longestStreak': 'সর্বোচ্চ স্ট্রিক',
+        'dashboard.weekActive': 'এই সপ্তাহে সক্রিয় পড়া:',
+        'dashboard.weekSpan': 'মোট সেশন সময়কাল:',
+        'dashboard.weekPaused': 'বিরতি:',
+        'dashboard.focusShare': ' (মনোযোগ {percent}%)',
+        'dashboard.heatmapTitle': 'গত এক বছরের পড়ার ক্যালেন্ডার',
+        'dashboard.todayPlan': 'আজকের নির্ধারিত অধ্যায়',
+        'dashboard.dailyGoal': 'দৈনিক লক্ষ্য',
+        'dashboard.weeklyGoal': 'সাপ্তাহিক লক্ষ্য',
+        'dashboard.inProgress': 'বর্তমানে যেগুলি পড়া চলছে',
+        'dashboard.revisionToday': 'আজকের রিভিশন',
+
+        // Exam countdown
+        'exam.title': 'পরীক্ষার কাউন্টডাউন',
+        'exam.today': 'আজ পরীক্ষা',
+        'exam.daysLeft': '{count} দিন বাকি',
+        'exam.readiness': 'প্রস্তুতি {percent}%',
+        'exam.readinessParts': 'অধ্যায় {chapters}% · সময় {time}% · রিভিশন {revision}%',
+        'exam.onTrack': 'বর্তমান গতিতে {date} তারিখে শেষ হবে।',
+        'exam.behind': 'বর্তমান গতিতে (দৈনিক {pace}) শেষ হবে {date} তারিখে, পরীক্ষার পরে। সময়মতো শেষ করতে দৈনিক {needed} পড়তে হবে।',
+        'exam.noPace': 'গত {days} দিনে এই সাবজেক্ট পড়া হয়নি। পরীক্ষার আগে শেষ করতে দৈনিক {needed} পড়তে হবে।',
+
+        // Charts
+        'chart.weekTitle': 'সাপ্তাহিক পড়ার পরিসংখ্যান (মিনিট)',
+        'chart.previousWeek': 'আগের সপ্তাহ',
+        'chart.nextWeek': 'পরের সপ্তাহ',
+        'chart.dayMinutes': '{day}: {minutes} মিনিট',
+        'chart.less': 'কম',
+        'chart.more': 'বেশি (দৈনিক লক্ষ্য পূরণ)',
+        'chart.lastMonths': 'গত {count} মাস',
+        'chart.lastYears': 'গত {count} বছর',
+        'chart.yearlyTotals': 'বার্ষিক মোট পড়া',
+        'chart.monthlyTotals': 'মাসিক মোট পড়া',
+        'chart.goalLine': 'লক্ষ্য: {minutes} মিনিট',
+
+        // Goal and plan cards
+        'goalCard.progress': 'পড়া হয়েছে: {current} / লক্ষ্য: {goal}',
+        'goalCard.done': 'লক্ষ্য সম্পূর্ণ হয়েছে!',
+        'goalCard.remaining': 'আর বাকি: {remaining}',
+        'plan.finished': 'প্ল্যান সম্পূর্ণ',
+        'plan.behind': 'পিছিয়ে আছেন',
+        'plan.onTrack': 'সঠিক পথে আছেন',
+        'plan.status': 'সম্পূর্ণ: {done}/{count} টি অধ্যায় | শেষ তারিখ: {endDate}',
+        'plan.nothingToday': 'আজকের জন্য কোনো অধ্যায় নির্ধারিত নেই।',
+
+        // Chapter and revision lists
+        'chapters.noneActive': 'কোনো অধ্যায় বর্তমানে পড়া চলছে না।',
+        'chapters.percentDone': '{percent}% সম্পূর্ণ',
+        'chapters.noTarget': 'কোনো লক্ষ্য সেট করা নেই',
+        'chapters.pages': ' | পৃষ্ঠা: {read}/{count}',
+        'chapters.markComplete': 'সম্পূর্ণ হিসেবে চিহ্নিত করুন',
+        'chapters.complete': 'সম্পূর্ণ',
+        'revisionDue.none': 'আজ রিভিশনের জন্য কোনো অধ্যায় নেই।',
+        'revisionDue.reviewed': '{count} বার রিভিশন হয়েছে',
+        'revisionDue.first': 'প্রথম রিভিশন',
+        'revisionDue.overdue': ' | {count} দিন বাকি পড়ে আছে',
+        'revisionDue.finishActiveFirst': 'আগে চলমান সেশনটি শেষ করুন',
+        'revisionDue.start': 'রিভিশন শুরু করুন',
+        'revisionDue.button': 'রিভিশন',
+
+        // Tracking view
+        'tracking.selectBoth': 'অনুগ্রহ করে সাবজেক্ট এবং অধ্যায় নির্বাচন করুন।',
+        'tracking.zeroTime': 'সময় ০ সেকেন্ড। সেভ করা সম্ভব না।',
+        'tracking.saving': 'ডেটা সেভ করা হচ্ছে...',
+        'tracking.queued': 'অফলাইন: {time} এই ডিভাইসে রাখা হয়েছে, সংযোগ ফিরলে সিঙ্ক হবে।',
+        'tracking.saved': '{time} সফলভাবে সেভ হয়েছে!',
+        'tracking.confirmDiscard': 'চলমান সেশনটি সেভ না করে বাতিল করবেন?',
+        'tracking.title': 'কাস্টম রিডিং টাইমার',
+        'tracking.intro': 'সময় গণনা শুরু করতে সাবজেক্ট ও অধ্যায় নির্বাচন করুন।',
+        'tracking.selectChapter': '-- অধ্যায়/টপিক নির্বাচন করুন --',
+        'tracking.completedSuffix': '(সম্পূর্ণ)',
+        'tracking.asRevision': 'রিভিশন হিসেবে লগ করুন (শেষে কতটা মনে ছিল জানাতে হবে)',
+        'tracking.modeNormal': 'সাধারণ টাইমার',
+        'tracking.modePomodoro': 'পোমোডোরো / ইন্টারভাল',
+        'tracking.preset': '{focus}/{rest}',
+        'tracking.focusMinutes': 'ফোকাস (মিনিট)',
+        'tracking.breakMinutes': 'বিরতি (মিনিট)',
+        'tracking.longBreakMinutes': 'লম্বা বিরতি (মিনিট)',
+        'tracking.longBreakEvery': 'কত সাইকেল পর পর',
+        'tracking.revisionOf': 'রিভিশন – {chapter}',
+        'tracking.breakAfter': 'বিরতি – সাইকেল {cycle} শেষ',
+        'tracking.longBreakAfter': 'লম্বা বিরতি – সাইকেল {cycle} শেষ',
+        'tracking.focusCycle': 'ফোকাস – সাইকেল {cycle}',
+        'tracking.remainingFormat': 'বাকি সময় (ঘণ্টা:মিনিট:সেকেন্ড)',
+        'tracking.clockFormat': 'ঘণ্টা:মিনিট:সেকেন্ড',
+        'tracking.paused': 'বিরতিতে আছে',
+        'tracking.reading': 'পড়া চলছে',
+        'tracking.segments': ' | অংশ: {count} টি | বিরতি: {paused}',
+        'tracking.pagesRead': 'এই সেশনে পড়া পৃষ্ঠা (ঐচ্ছিক):',
+        'tracking.pagesReadBlock': 'এই ফোকাস ব্লকে পড়া পৃষ্ঠা (ঐচ্ছিক):',
+        'tracking.recallQuestion': 'অধ্যায়টি কতটা মনে ছিল?',
+        'tracking.back': 'ফিরে যান',
+        'tracking.start': 'শুরু করুন',
+        'tracking.skipBreak': 'বিরতি বাদ দিয়ে পরের সাইকেল',
+        'tracking.nextCycle': 'পরের সাইকেল শুরু করুন',
+        'tracking.endPomodoro': 'পোমোডোরো শেষ করুন',
+        'tracking.resume': 'আবার শুরু করুন',
+        'tracking.pause': 'বিরতি দিন',
+        'tracking.finish': 'শেষ করুন ও সেভ করুন',
+        'tracking.todaysRevisions': 'আজকের রিভিশন',
+
+        // Subject editor
+        'subjects.confirmRemoveChapter': '"{name}" অধ্যায়ে {time} পড়া আছে। তবুও মুছবেন?',
+        'subjects.namesRequired': 'সাবজেক্ট ও অধ্যায়ের নাম খালি রাখা যাবে না।',
+        'subjects.invalidPages': 'পৃষ্ঠা পরিসর সঠিক নয়। শুরুর পৃষ্ঠা শেষ পৃষ্ঠার চেয়ে বড় হতে পারবে না।',
+        'subjects.saveFailed': 'সাবজেক্ট সেভ করতে ব্যর্থ।',
+        'subjects.targetMinutes': 'লক্ষ্য (মিনিট)',
+        'subjects.pageStart': 'পৃ. শুরু',
+        'subjects.pageEnd': 'পৃ. শেষ',
+        'subjects.newChapterName': 'নতুন অধ্যায়ের নাম',
+        'subjects.examDate': 'পরীক্ষা / ডেডলাইনের তারিখ',
+
+        // Table-of-contents import
+        'toc.formatLines': 'লাইনভিত্তিক তালিকা',
+        'toc.noChapters': 'কোনো অধ্যায় পাওয়া যায়নি।',
+        'toc.subjectSaveFailed': 'সাবজেক্ট সেভ করা যায়নি।',
+        'toc.imported': '"{name}" সাবজেক্টে {count}টি অধ্যায় যোগ হয়েছে।',
+        'toc.title': 'সূচিপত্র থেকে ইমপোর্ট',
+        'toc.help': 'বইয়ের সূচিপত্র পেস্ট করুন বা ফাইল (.txt, .csv, .json) দিন। প্রতি লাইনে একটি অধ্যায়; সেকশনগুলি ইনডেন্ট বা 1.1, 1.2 নম্বর দিয়ে, আর পৃষ্ঠা নম্বর লাইনের শেষে (যেমন: "সেট ও ফাংশন ..... 12")।',
+        'toc.subjectName': 'সাবজেক্টের নাম',
+        'toc.placeholder': 'অধ্যায় ১: সেট ..... 1\n    1.1 সেটের ধারণা ..... 1\nঅধ্যায় ২: ফাংশন ..... 15',
+        'toc.preview': 'প্রিভিউ দেখুন',
+        'toc.fromFile': 'ফাইল থেকে',
+        'toc.detected': '{format} হিসেবে পড়া হয়েছে · {count}টি অধ্যায় তৈরি হবে',
+        'toc.nestSections': 'সেকশনগুলি অধ্যায়ের ভেতরে রাখুন (বন্ধ থাকলে প্রতিটি সেকশন আলাদা অধ্যায় হবে)',
+        'toc.outdent': 'এক ধাপ বাইরে',
+        'toc.indent': 'সেকশন করুন',
+        'toc.page': 'পৃষ্ঠা',
+        'toc.pageEnd': 'শেষ',
+        'toc.addLine': 'লাইন যোগ করুন',
+        'toc.defaultTarget': 'মিনিট ফাঁকা থাকা অধ্যায়ের লক্ষ্য (ঐচ্ছিক)',
+        'toc.create': 'সাবজেক্ট তৈরি করুন',
+
+        // Subjects view
+        'subjects.confirmDelete': '"{name}" সাবজেক্টটি মুছে ফেলবেন? এর প্ল্যান ও রুটিনও মুছে যাবে, তবে পড়ার লগ থেকে যাবে।',
+        'subjects.allComplete': 'এই সাবজেক্টের সব অধ্যায় ইতিমধ্যে সম্পূর্ণ হয়েছে।',
+        'subjects.planSaveFailed': 'প্ল্যান সেভ করতে ব্যর্থ।',
+        'subjects.planSaved': 'প্ল্যান সেভ হয়েছে! বইটির {remaining}টি অধ্যায় বাকি আছে। আপনি এটি {days} দিনে শেষ করতে চান। এর জন্য আপনাকে প্রতিদিন কমপক্ষে {perDay}টি করে অধ্যায় পড়তে হবে।',
+        'subjects.title': 'সাবজেক্ট ও অধ্যায় ম্যানেজমেন্ট',
+        'subjects.addTitle': 'নতুন সাবজেক্ট যোগ করুন',
+        'subjects.namePlaceholder': 'সাবজেক্টের নাম (যেমন: গণিত)',
+        'subjects.chaptersPlaceholder': 'অধ্যায়/টপিকগুলি কমা (,) দিয়ে আলাদা করুন বা প্রতি লাইনে একটি করে লিখুন (যেমন: সেট, ফাংশন, ত্রিকোণমিতি)',
+        'subjects.defaultTarget': 'প্রতি অধ্যায়ের লক্ষ্য (মিনিট, ঐচ্ছিক)',
+        'subjects.targetHelp': 'লক্ষ্য ছাড়া অধ্যায় শুধু হাতে "সম্পূর্ণ করুন" চাপলে সম্পূর্ণ হবে। পৃষ্ঠা পরিসর সম্পাদনা থেকে যোগ করা যাবে।',
+        'subjects.save': 'সাবজেক্ট সেভ করুন',
+        'subjects.examOn': 'পরীক্ষা: {date}',
+        'subjects.planTitle': 'কাস্টম রিডিং প্ল্যান তৈরি করুন',
+        'subjects.planIntro': 'নির্দিষ্ট দিনে বইটি শেষ করার পরিকল্পনা করুন।',
+        'subjects.chapterCount': '{name} ({count} অধ্যায়)',
+        'subjects.planDays': 'কত দিনে শেষ করবেন?',
+        'subjects.createPlan': 'প্ল্যান তৈরি করুন',
+        'subjects.planHelp': 'একই সাবজেক্টে নতুন প্ল্যান করলে আগের প্ল্যানটি প্রতিস্থাপিত হবে। কোনো দিন বাদ পড়লে বাকি অধ্যায়গুলি স্বয়ংক্রিয়ভাবে পরের দিনগুলিতে ভাগ হয়ে যাবে।',
+        'subjects.activePlans': 'সক্রিয় প্ল্যান',
+        'subjects.planSummary': '{name} – {days} দিন ({start} থেকে {end})',
+        'subjects.deletePlan': 'প্ল্যান মুছুন',
+        'subjects.current': 'বর্তমান সাবজেক্টগুলি',
+        'subjects.none': 'এখনো কোনো সাবজেক্ট যোগ করা হয়নি।',
+        'subjects.chapterTotal': 'অধ্যায় সংখ্যা: {count} টি',
+        'subjects.archive': 'আর্কাইভ',
+        'subjects.showChapters': 'বিস্তারিত অধ্যায় তালিকা দেখুন',
+        'subjects.chapterTarget': '(লক্ষ্য: {time})',
+        'subjects.chapterRead': ' - {time} পড়া হয়েছে',
+        'subjects.chapterPages': ' | পৃষ্ঠা {start}–{end}: {read}/{count}',
+        'subjects.reopen': 'আবার খুলুন',
+        'subjects.markComplete': 'সম্পূর্ণ করুন',
+        'subjects.archived': 'আর্কাইভ করা সাবজেক্ট',
+        'subjects.restore': 'ফিরিয়ে আনুন',
+
+        // Day and reminder settings
+        'daySettings.invalidTimeZone': 'টাইম জোনটি চেনা যায়নি (যেমন: Asia/Dhaka)।',
+        'daySettings.title': 'দিন ও সপ্তাহের হিসাব',
+        'daySettings.weekStart': 'সপ্তাহ শুরু',
+        'daySettings.timeZone': 'টাইম জোন',
+        'daySettings.deviceTimeZone': 'ডিভাইসের ({zone})',
+        'daySettings.dayStart': 'নতুন দিন শুরু',
+        'daySettings.midnight': 'মধ্যরাত ১২টা',
+        'daySettings.nightHour': 'রাত {hour}টা',
+        'daySettings.dawnHour': 'ভোর {hour}টা',
+        'daySettings.help': 'নতুন দিন শুরুর আগে পড়া আগের দিনে গণনা হবে, তাই গভীর রাতের পড়া আগের দিনের লক্ষ্য, স্ট্রিক ও চার্টে যোগ হবে।',
+        'notifications.permissionDenied': 'ব্রাউজারে নোটিফিকেশনের অনুমতি দেওয়া হয়নি। ব্রাউজারের সাইট সেটিংস থেকে অনুমতি দিন।',
+        'notifications.saved': 'রিমাইন্ডার সেটিংস সেভ হয়েছে।',
+        'notifications.title': 'রিমাইন্ডার',
+        'notifications.unsupported': 'এই ব্রাউজারে নোটিফিকেশন সমর্থিত নয়।',
+        'notifications.enable': 'নোটিফিকেশন চালু করুন',
+        'notifications.routine': 'রুটিনের নির্ধারিত সময়ে মনে করিয়ে দিন',
+        'notifications.goal': 'দৈনিক লক্ষ্য পূরণ না হলে মনে করিয়ে দিন',
+        'notifications.longSession': 'টাইমার স্বাভাবিকের চেয়ে অনেক বেশি সময় চললে জানান',
+        'notifications.help': 'রিমাইন্ডার শুধু অ্যাপ (বা ইনস্টল করা অ্যাপ) খোলা থাকলে আসে। রুটিনের রিমাইন্ডারের সময় রুটিন যোগ করার সময় দিন।',
+
+        // Goals and routine
+        'goals.saved': 'দৈনিক ও সাপ্তাহিক লক্ষ্য সফলভাবে সেভ হয়েছে!',
+        'goals.title': 'পড়ার লক্ষ্য এবং দৈনিক রুটিন',
+        'goals.setGoals': 'দৈনিক ও সাপ্তাহিক লক্ষ্য সেট করুন',
+        'goals.dailyMinutes': 'দৈনিক লক্ষ্য (মিনিট)',
+        'goals.weeklyMinutes': 'সাপ্তাহিক লক্ষ্য (মিনিট)',
+        'goals.save': 'লক্ষ্য সেভ করুন',
+        'goals.todaysRoutine': 'আজকের পড়ার রুটিন',
+        'goals.routineHelp': '(সংশ্লিষ্ট সাবজেক্টে টাইমার দিয়ে পড়া শেষ করলে রুটিনটি স্বয়ংক্রিয়ভাবে সম্পূর্ণ হবে।)',
+        'goals.noRoutineToday': 'আজকের জন্য কোনো রুটিন নেই।',
+        'goals.routineItem': '{subject} – {minutes} মিনিট',
+        'goals.lastWeek': 'গত ৭ দিনের রুটিন সম্পূর্ণতা',
+        'goals.allRoutines': 'সব রুটিন',
+        'goals.addRoutine': 'নতুন রুটিন যোগ করুন',
+        'goals.minutesPlaceholder': 'সময় (মিনিট)',
+        'goals.reminderTime': 'রিমাইন্ডারের সময় (ঐচ্ছিক):',
+        'goals.addToRoutine': 'রুটিনে যোগ করুন',
+
+        // Reading history
+        'history.futureDate': 'ভবিষ্যতের তারিখ দেওয়া যাবে না।',
+        'history.subject': '-- সাবজেক্ট --',
+        'history.chapter': '-- অধ্যায় --',
+        'history.pagesOptional': 'পৃষ্ঠা (ঐচ্ছিক)',
+        'history.confirmDelete': '{chapter} ({time}) রেকর্ডটি মুছে ফেলবেন?',
+        'history.deleteFailed': 'মুছে ফেলতে ব্যর্থ।',
+        'history.title': 'পড়ার লগ',
+        'history.addManual': 'ম্যানুয়াল সেশন যোগ করুন',
+        'history.manualHelp': 'টাইমার ছাড়া পড়া সময় আগের তারিখেও যোগ করা যাবে। অধ্যায়ের অগ্রগতি সাথে সাথে আপডেট হবে।',
+        'history.offline': 'অফলাইনে রেকর্ড যোগ, সম্পাদনা বা মুছে ফেলা যায় না। আবার অনলাইনে এলে চেষ্টা করুন।',
+        'history.addSession': 'সেশন যোগ করুন',
+        'history.allRecords': 'সকল রেকর্ড ({count} টি)',
+        'history.none': 'এখনো কোনো রেকর্ড নেই।',
+        'history.pages': ' | {count} পৃষ্ঠা',
+        'history.manual': ' | ম্যানুয়াল',
+        'history.cycle': ' | সাইকেল {cycle}',
+        'history.revision': ' | রিভিশন',
+        'history.revisionWithQuality': ' | রিভিশন ({quality})',
+        'history.showMore': 'আরও দেখুন',
+
+        // Analytics
+        'analytics.last7Days': 'গত ৭ দিন',
+        'analytics.last30Days': 'গত ৩০ দিন',
+        'analytics.last90Days': 'গত ৯০ দিন',
+        'analytics.lastYear': 'গত ১ বছর',
+        'analytics.allTime': 'সব সময়',
+        'analytics.title': 'সাবজেক্ট ও অধ্যায় বিশ্লেষণ',
+        'analytics.bySubject': 'সাবজেক্ট অনুযায়ী পড়ার সময়',
+        'analytics.weeklySplit': 'সাপ্তাহিক সাবজেক্ট বিভাজন (গত ৮ সপ্তাহ)',
+        'analytics.projectedFinish': 'সম্ভাব্য শেষ হওয়ার তারিখ',
+        'analytics.paceWindow': 'গত {days} দিনের গতির ভিত্তিতে।',
+        'analytics.allComplete': 'সব অধ্যায় সম্পূর্ণ',
+        'analytics.projection': '{date} (দৈনিক {pace})',
+        'analytics.needsTargets': 'অনুমানের জন্য অধ্যায়ের লক্ষ্য প্রয়োজন',
+        'analytics.noRecentReading': 'সাম্প্রতিক পড়া নেই',
+        'analytics.targetsReached': 'খোলা অধ্যায়গুলোর সময় পূর্ণ হয়েছে; সম্পন্ন হিসেবে চিহ্নিত করুন',
+        'analytics.byChapter': 'অধ্যায় অনুযায়ী বিশ্লেষণ',
+        'analytics.chapter': 'অধ্যায়',
+        'analytics.totalTime': 'মোট সময়',
+        'analytics.sessions': 'সেশন',
+        'analytics.averageSession': 'গড় সেশন',
+
+        // Groups view
+        'groups.periodToday': 'আজ',
+        'groups.periodWeek': 'এই সপ্তাহ',
+        'groups.goalsSaved': 'গ্রুপের লক্ষ্য সংরক্ষিত হয়েছে!',
+        'groups.goalsSaveFailed': 'লক্ষ্য সংরক্ষণ করা যায়নি।',
+        'groups.confirmLeave': '"{name}" গ্রুপ ছেড়ে দেবেন?',
+        'groups.leaveFailed': 'গ্রুপ ছাড়া যায়নি।',
+        'groups.confirmDelete': '"{name}" গ্রুপটি সব সদস্যের জন্য মুছে ফেলবেন?',
+        'groups.deleteFailed': 'গ্রুপ মুছে ফেলা যায়নি।',
+        'groups.members': '{count} জন সদস্য · ইনভাইট কোড: ',
+        'groups.delete': 'গ্রুপ মুছুন',
+        'groups.leave': 'গ্রুপ ছাড়ুন',
+        'groups.dailyGoal': 'গ্রুপের দৈনিক লক্ষ্য',
+        'groups.weeklyGoal': 'গ্রুপের সাপ্তাহিক লক্ষ্য',
+        'groups.dailyMinutes': 'দৈনিক (মিনিট)',
+        'groups.weeklyMinutes': 'সাপ্তাহিক (মিনিট)',
+        'groups.saveGoals': 'লক্ষ্য সংরক্ষণ',
+        'groups.leaderboard': 'লিডারবোর্ড',
+        'groups.recentlyCompleted': 'সম্প্রতি সম্পূর্ণ অধ্যায়',
+        'groups.noneCompleted': 'এখনো কোনো অধ্যায় সম্পূর্ণ হয়নি।',
+        'groups.created': 'গ্রুপ তৈরি হয়েছে! ইনভাইট কোড সদস্যদের পাঠান।',
+        'groups.joined': 'গ্রুপে যোগ দিয়েছেন!',
+        'groups.title': 'স্টাডি গ্রুপ',
+        'groups.newGroup': 'নতুন গ্রুপ',
+        'groups.groupName': 'গ্রুপের নাম',
+        'groups.create': 'তৈরি করুন',
+        'groups.joinWithCode': 'কোড দিয়ে যোগ দিন',
+        'groups.inviteCode': 'ইনভাইট কোড',
+        'groups.join': 'যোগ দিন',
+        'groups.shareDetails': 'সম্পূর্ণ অধ্যায়ের বিবরণ গ্রুপে শেয়ার করুন',
+        'groups.shareDetailsHelp': 'বন্ধ থাকলে গ্রুপ শুধু আপনার মোট পড়ার সময় দেখতে পাবে, আর আগে শেয়ার করা অধ্যায়গুলো সরিয়ে নেওয়া হবে।',
+        'groups.none': 'আপনি এখনো কোনো গ্রুপে নেই।',
+
+        // Sign-in
+        'signIn.emailAndPassword': 'ইমেইল ও পাসওয়ার্ড দিন।',
+        'signIn.displayName': 'প্রদর্শিত নাম',
+        'signIn.email': 'ইমেইল',
+        'signIn.password': 'পাসওয়ার্ড',
+        'signIn.createAccount': 'অ্যাকাউন্ট তৈরি করুন',
+        'signIn.signIn': 'সাইন-ইন',
+        'signIn.haveAccount': 'অ্যাকাউন্ট আছে? সাইন-ইন করুন',
+        'signIn.newAccount': 'নতুন অ্যাকাউন্ট তৈরি করুন',
+        'signIn.google': 'Google দিয়ে সাইন-ইন',
+        'signIn.guest': 'অতিথি হিসেবে চালিয়ে যান',
+        'signIn.guestHelp': 'অতিথির ডেটা শুধু এই ব্রাউজারের সাথে যুক্ত থাকে। পরে অ্যাকাউন্ট তৈরি করলে সব ডেটা রয়ে যাবে।',
+
+        // Backup settings
+        'backup.exportFailed': 'ব্যাকআপ তৈরি করা যায়নি।',
+        'backup.unreadableFile': 'ফাইলটি পড়া যায়নি।',
+        'backup.localReadFailed': 'লোকাল ডেটা পড়া যায়নি।',
+        'backup.historyReadFailed': 'অ্যাকাউন্টের পড়ার ইতিহাস পড়া যায়নি।',
+        'backup.imported': 'ইমপোর্ট সম্পূর্ণ হয়েছে।',
+        'backup.importFailed': 'ইমপোর্ট ব্যর্থ হয়েছে। আবার চেষ্টা করলে আগে লেখা ডেটা দ্বিতীয়বার যোগ হবে না।',
+        'backup.title': 'ব্যাকআপ ও এক্সপোর্ট',
+        'backup.exportJson': 'সম্পূর্ণ ব্যাকআপ (JSON)',
+        'backup.exportCsv': 'পড়ার লগ (CSV)',
+        'backup.import': 'ব্যাকআপ ইমপোর্ট',
+        'backup.importLocal': 'লোকাল ডেটা আনুন',
+        'backup.previewTitle': 'ইমপোর্টের আগে দেখে নিন',
+        'backup.previewExportedAt': ' (ব্যাকআপ: {date})',
+        'backup.newSubjects': 'নতুন সাবজেক্ট: {count}টি',
+        'backup.skippedSubjects': 'আগে থেকেই আছে, রাখা হবে: {names}',
+        'backup.newHistory': 'নতুন পড়ার রেকর্ড: {count}টি',
+        'backup.duplicates': 'ডুপ্লিকেট রেকর্ড, বাদ যাবে: {count}টি',
+        'backup.plansAndRoutine': 'প্ল্যান: {plans}টি · রুটিন আইটেম: {routine}টি',
+        'backup.replaceGoals': 'ব্যাকআপের লক্ষ্য ও সেটিংস ব্যবহার করুন (দৈনিক {daily} / সাপ্তাহিক {weekly} মিনিট)',
+        'backup.confirmImport': 'ইমপোর্ট করুন',
+
+        // Mentor settings and account
+        'mentor.added': 'মেন্টর যুক্ত হয়েছে।',
+        'mentor.title': 'মেন্টর / শিক্ষক',
+        'mentor.help': 'যুক্ত মেন্টররা আপনার অধ্যায়ের অগ্রগতি, লক্ষ্য পূরণ ও গত {days} দিনের পড়ার সময় দেখতে পাবেন এবং আপনাকে সাবজেক্ট পাঠাতে পারবেন।',
+        'mentor.code': 'মেন্টর কোড',
+        'mentor.add': 'যুক্ত করুন',
+        'mentor.confirmRemove': 'এই মেন্টরের সাথে শেয়ার বন্ধ করবেন?',
+        'mentor.remove': 'সরান',
+        'account.email': 'ইমেইল',
+        'account.nameSaved': 'নাম সংরক্ষিত হয়েছে।',
+        'account.title': 'অ্যাকাউন্ট',
+        'account.type': 'ধরন: ',
+        'account.typeLocal': 'লোকাল (শুধু এই ব্রাউজারে)',
+        'account.emailLabel': 'ইমেইল: ',
+        'account.role': 'রোল: ',
+        'account.saveName': 'নাম সংরক্ষণ',
+        'account.localTitle': 'লোকাল মোড',
+        'account.localHelp': 'অ্যাপটি Firebase ছাড়া চলছে। সব ডেটা শুধু এই ব্রাউজারে থাকে; ব্রাউজারের ডেটা মুছলে তা হারিয়ে যাবে। পরে কোনো অ্যাকাউন্টে নিতে চাইলে অ্যাকাউন্ট দিয়ে এই ব্রাউজারেই অ্যাপটি খুলে "লোকাল ডেটা আনুন" ব্যবহার করুন।',
+        'account.makePermanent': 'অ্যাকাউন্ট স্থায়ী করুন',
+        'account.guestHelp': 'আপনি অতিথি হিসেবে আছেন। ব্রাউজারের ডেটা মুছে গেলে সব সাবজেক্ট ও ইতিহাস হারিয়ে যাবে। ইমেইল বা Google যুক্ত করলে একই ডেটা অন্য ডিভাইসেও পাবেন।',
+        'account.linkGoogle': 'Google অ্যাকাউন্ট যুক্ত করুন',
+        'account.signOut': 'সাইন-আউট',
+
+        // Teacher view
+        'teacher.onlyTeachers': 'এই প্যানেল শুধু শিক্ষক ও মেন্টরদের জন্য।',
+        'teacher.pushIncomplete': 'সাবজেক্টের নাম, অধ্যায় এবং অন্তত একজন শিক্ষার্থী নির্বাচন করুন।',
+        'teacher.pushed': '{count} জন শিক্ষার্থীকে "{name}" পাঠানো হয়েছে।',
+        'teacher.pushFailed': 'সাবজেক্ট পাঠানো যায়নি।',
+        'teacher.title': 'শিক্ষক প্যানেল',
+        'teacher.mentorCode': 'আপনার মেন্টর কোড: ',
+        'teacher.mentorCodeHelp': 'শিক্ষার্থীরা অ্যাকাউন্ট পেজে এই কোড যুক্ত করলে এখানে দেখা যাবে।',
+        'teacher.students': 'শিক্ষার্থী',
+        'teacher.noStudents': 'এখনো কোনো শিক্ষার্থী যুক্ত হয়নি।',
+        'teacher.student': 'শিক্ষার্থী',
+        'teacher.weekOfGoal': 'এই সপ্তাহ / লক্ষ্য',
+        'teacher.daysMet': 'দৈনিক লক্ষ্য পূরণ (৭ দিন)',
+        'teacher.flags': 'সতর্কতা',
+        'teacher.onTrack': 'ঠিক পথে',
+        'teacher.studentSubjects': '{name}: সাবজেক্ট',
+        'teacher.updatedAt': 'হালনাগাদ: {date}',
+        'teacher.subjectChapters': '{done}/{count} অধ্যায়',
+        'teacher.planBehind': 'প্ল্যানের পিছনে',
+        'teacher.openChapters': 'চলমান অধ্যায়',
+        'teacher.pushTitle': 'শিক্ষার্থীদের সাবজেক্ট পাঠান',
+        'teacher.chaptersPlaceholder': 'অধ্যায়/টপিকগুলি কমা (,) দিয়ে আলাদা করুন',
+        'teacher.everyone': 'সবাই',
+        'teacher.send': 'পাঠান',
+
+        // Admin view
+        'admin.notAdmin': 'আপনি অ্যাডমিন নন। এই প্যানেলে প্রবেশ করার অনুমতি নেই।',
+        'admin.roleSaveFailed': 'রোল সংরক্ষণ করা যায়নি।',
+        'admin.confirmDropOwnAdmin': 'নিজের অ্যাডমিন রোল সরালে আপনি এই প্যানেলে আর প্রবেশ করতে পারবেন না। চালিয়ে যাবেন?',
+        'admin.title': 'অ্যাডমিন ড্যাশবোর্ড',
+        'admin.range': 'সময়সীমা:',
+        'admin.rangeTo': 'থেকে',
+        'admin.totalReading': 'সকল ইউজারের মোট পড়া',
+        'admin.activeUsers': 'সক্রিয় ইউজার সংখ্যা',
+        'admin.activeToday': 'আজ সক্রিয়',
+        'admin.people': '{count} জন',
+        'admin.byUser': 'ইউজার অনুযায়ী পড়ার সময়',
+        'admin.loading': 'ডেটা লোড হচ্ছে...',
+        'admin.userSummary': '{count} সেশন · শেষ: {date}',
+        'admin.weeklyChart': 'সাপ্তাহিক কার্যকলাপ চার্ট (সময়সীমার শেষ ৭ দিন)',
+        'admin.roles': 'রোল ব্যবস্থাপনা',
+        'admin.assignRole': 'রোল দিন',
+        'admin.recentLog': 'সাম্প্রতিক পড়ার লগ (সকল ইউজার)',
+        'admin.subject': 'সাবজেক্ট',
+        'admin.minutes': 'সময় (মিনিট)',
+        'admin.date': 'তারিখ',
+        'admin.newer': 'নতুন',
+        'admin.page': 'পৃষ্ঠা {page}',
+        'admin.older': 'পুরনো',
+
+        // App shell
+        'app.dismissCue': 'ঠিক আছে',
+        'app.footer': 'রিডিং ট্র্যাকিং অ্যাপ | {name} | রোল: {role}',
+        'app.footerUserId': 'ইউজার আইডি: {id}',
+    },
+    en: {
+        // Durations
+        'time.hoursMinutesSeconds': '{hours} h {minutes} min {seconds} s',
+        'time.hoursMinutes': '{hours}h {minutes}m',
+        'time.days': ['{count} day', '{count} days'],
+
+        // Roles
+        'role.admin': 'Admin',
+        'role.teacher': 'Teacher/Mentor',
+        'role.student': 'Student',
+
+        // Sign-in errors
+        'auth.invalidEmail': 'The email address is not valid.',
+        'auth.weakPassword': 'The password must be at least 6 characters.',
+        'auth.wrongCredentials': 'Wrong email or password.',
+        'auth.emailInUse': 'An account with this email already exists. Please sign in.',
+        'auth.cancelled': 'Sign-in was cancelled.',
+        'auth.tooManyRequests': 'Too many attempts. Please try again later.',
+        'auth.failed': 'Sign-in failed: {error}',
+
+        // Revision ratings
+        'revision.forgot': 'Forgot',
+        'revision.hard': 'Hard to recall',
+        'revision.good': 'Remembered',
+        'revision.easy': 'Easy',
+
+        // Reminders
+        'reminder.routineTitle': 'Time to study',
+        'reminder.routineBody': '{subject} – {minutes} min',
+        'reminder.goalTitle': 'Today\'s goal isn\'t met yet',
+        'reminder.goalBody': '{minutes} / {goal} minutes read today.',
+        'reminder.longSessionTitle': 'Is the timer still running?',
+        'reminder.longSessionBody': 'The timer has been running for {duration}, much longer than a usual session.',
+
+        // Student flags (teacher panel)
+        'flag.planBehind': 'Behind plan',
+        'flag.dailyGoal': 'Daily goal met on {count} of 7 days',
+        'flag.weeklyGoal': 'Behind weekly goal',
+        'flag.notStarted': 'Hasn\'t started reading',
+        'flag.idle': ['No reading for {count} day', 'No reading for {count} days'],
+
+        // Errors thrown by file parsers
+        'backup.notABackup': 'This is not a backup file of this app.',
+        'toc.noChapterList': 'No chapter list was found in the JSON.',
+        'toc.invalidJson': 'The JSON file could not be read.',
+
+        // Account actions
+        'account.notSignedIn': 'Not signed in.',
+        'account.nameSaveFailed': 'The name could not be saved.',
+        'account.signInUnavailable': 'Signing in isn\'t possible right now.',
+        'account.googleInUse': 'This Google account is already in use. Leave the guest account\'s data and sign in to that account?',
+        'account.guestSignOut': 'Signing out of a guest account loses all its data. Create an account first. Sign out anyway?',
+        'app.firebaseInitFailed': 'Firebase initialization error: {error}',
+
+        // Groups and mentors
+        'group.nameRequired': 'Enter a group name.',
+        'group.createFailed': 'The group could not be created.',
+        'group.codeRequired': 'Enter an invite code.',
+        'group.notFound': 'No group was found for this code.',
+        'group.alreadyMember': 'You are already in this group.',
+        'group.joinFailed': 'Could not join the group.',
+        'mentor.codeRequired': 'Enter a mentor code.',
+        'mentor.self': 'You can\'t add yourself as a mentor.',
+        'mentor.addFailed': 'The mentor could not be added.',
+
+        // Pomodoro
+        'pomodoro.focusDone': 'Focus cycle {cycle} done! Take a {minutes}-minute break.',
+        'pomodoro.focusDoneLong': 'Focus cycle {cycle} done! Take a {minutes}-minute long break.',
+        'pomodoro.breakOver': 'Break over! Start the next focus cycle.',
+        'pomodoro.breakTitle': '☕ Break!',
+        'pomodoro.focusTitle': '📖 Focus!',
+
+        // Common
+        'common.saveFailed': 'Saving failed.',
+        'common.save': 'Save',
+        'common.saving': 'Saving...',
+        'common.cancel': 'Cancel',
+        'common.cancelAction': 'Cancel',
+        'common.delete': 'Delete',
+        'common.edit': 'Edit',
+        'common.saveChanges': 'Save changes',
+        'common.selectSubject': '-- Select a subject --',
+        'common.minutes': 'minutes',
+        'common.settingsSaved': 'Settings saved.',
+        'common.settingsSaveFailed': 'The settings could not be saved.',
+        'common.noReadingInRange': 'No reading in this period.',
+        'common.you': 'You',
+        'common.guest': 'Guest',
+        'common.userId': 'User ID',
+        'common.appTitle': '📚 Reading Progress Tracker',
+        'common.language': 'Language',
+        'common.accessDenied': 'Access denied',
+
+        // App shell and navigation
+        'app.loading': 'Loading the app...',
+        'app.criticalError': 'Critical error!',
+        'nav.dashboard': 'Dashboard',
+        'nav.tracking': 'Tracking',
+        'nav.subjects': 'Subjects',
+        'nav.goals': 'Goals & routine',
+        'nav.history': 'Reading log',
+        'nav.analytics': 'Analytics',
+        'nav.groups': 'Study groups',
+        'nav.teacher': 'Teacher panel',
+        'nav.admin': 'Admin panel',
+        'nav.account': 'Account',
+        'sync.lastSync': 'Last sync: {time}',
+        'sync.never': 'Not synced yet',
+        'sync.localTitle': 'Data is only stored in this browser',
+        'sync.local': 'Local mode',
+        'sync.offline': 'Offline',
+        'sync.waiting': [' · {count} session waiting', ' · {count} sessions waiting'],
+        'sync.syncing': 'Syncing',
+        'sync.remaining': [' · {count} session left', ' · {count} sessions left'],
+
+        // Session recovery
+        'recovery.saved': '{duration} saved!',
+        'recovery.title': 'An unfinished reading session was found',
+        'recovery.details': '{subject} – {chapter} | Started: {start} | Last active: {lastSeen} ({duration})',
+        'recovery.resume': 'Continue',
+        'recovery.saveUntilLastSeen': 'Save up to the last active time',
+
+        // Parked readings
+        'queue.parkedTitle': ['{count} session could not be saved', '{count} sessions could not be saved'],
+        'queue.parkedDetails': '{subject} – {chapter} | {date} ({duration})',
+        'queue.retry': 'Try again',
+        'queue.confirmDiscard': 'Delete this session? It will not be saved.',
+
+        // Dashboard
+        'dashboard.title': 'Dashboard',
+        'dashboard.totalTime': 'Total reading time',
+        'dashboard.today': 'Read today',
+        'dashboard.week': 'Read this week',
+        'dashboard.chaptersDone': 'Chapters completed',
+        'dashboard.chapterCount': '{count}',
+        'dashboard.currentStreak': 'Current streak',
+        'dashboard.longestStreak': 'Longest streak',
+        'dashboard.weekActive': 'Active reading this week:',
+        'dashboard.weekSpan': 'Total session span:',
+        'dashboard.weekPaused': 'Paused:',
+        'dashboard.focusShare': ' (focus {percent}%)',
+        'dashboard.heatmapTitle': 'Reading calendar for the past year',
+        'dashboard.todayPlan': 'Chapters planned for today',
+        'dashboard.dailyGoal': 'Daily goal',
+        'dashboard.weeklyGoal': 'Weekly goal',
+        'dashboard.inProgress': 'Currently reading',
+        'dashboard.revisionToday': 'Today\'s revision',
+
+        // Exam countdown
+        'exam.title': 'Exam countdown',
+        'exam.today': 'Exam today',
+        'exam.daysLeft': ['{count} day left', '{count} days left'],
+        'exam.readiness': 'Readiness {percent}%',
+        'exam.readinessParts': 'Chapters {chapters}% · Time {time}% · Revision {revision}%',
+        'exam.onTrack': 'At the current pace this is finished on {date}.',
+        'exam.behind': 'At the current pace ({pace} a day) this is finished on {date}, after the exam. Read {needed} a day to finish in time.',
+        'exam.noPace': 'Nothing read in the last {days} days. Read {needed} a day to finish before the exam.',
+
+        // Charts
+        'chart.weekTitle': 'Weekly reading (minutes)',
+        'chart.previousWeek': 'Previous week',
+        'chart.nextWeek': 'Next week',
+        'chart.dayMinutes': '{day}: {minutes} min',
+        'chart.less': 'Less',
+        'chart.more': 'More (daily goal met)',
+        'chart.lastMonths': ['Last {count} month', 'Last {count} months'],
+        'chart.lastYears': ['Last {count} year', 'Last {count} years'],
+        'chart.yearlyTotals': 'Reading per year',
+        'chart.monthlyTotals': 'Reading per month',
+        'chart.goalLine': 'Goal: {minutes} min',
+
+        // Goal and plan cards
+        'goalCard.progress': 'Read: {current} / Goal: {goal}',
+        'goalCard.done': 'Goal reached!',
+        'goalCard.remaining': 'Remaining: {remaining}',
+        'plan.finished': 'Plan complete',
+        'plan.behind': 'Behind',
+        'plan.onTrack': 'On track',
+        'plan.status': 'Completed: {done}/{count} chapters | Ends: {endDate}',
+        'plan.nothingToday': 'No chapters planned for today.',
+
+        // Chapter and revision lists
+        'chapters.noneActive': 'No chapters in progress.',
+        'chapters.percentDone': '{percent}% complete',
+        'chapters.noTarget': 'No target set',
+        'chapters.pages': ' | Pages: {read}/{count}',
+        'chapters.markComplete': 'Mark as complete',
+        'chapters.complete': 'Complete',
+        'revisionDue.none': 'No chapters due for revision today.',
+        'revisionDue.reviewed': ['Revised once', 'Revised {count} times'],
+        'revisionDue.first': 'First revision',
+        'revisionDue.overdue': [' | {count} day overdue', ' | {count} days overdue'],
+        'revisionDue.finishActiveFirst': 'Finish the running session first',
+        'revisionDue.start': 'Start revision',
+        'revisionDue.button': 'Revise',
+
+        // Tracking view
+        'tracking.selectBoth': 'Please select a subject and a chapter.',
+        'tracking.zeroTime': 'No time recorded. Nothing to save.',
+        'tracking.saving': 'Saving...',
+        'tracking.queued': 'Offline: {time} kept on this device, it will sync when you are back online.',
+        'tracking.saved': '{time} saved!',
+        'tracking.confirmDiscard': 'Discard the running session without saving?',
+        'tracking.title': 'Reading timer',
+        'tracking.intro': 'Select a subject and a chapter to start timing.',
+        'tracking.selectChapter': '-- Select a chapter/topic --',
+        'tracking.completedSuffix': '(complete)',
+        'tracking.asRevision': 'Log as a revision (you will rate your recall at the end)',
+        'tracking.modeNormal': 'Normal timer',
+        'tracking.modePomodoro': 'Pomodoro / interval',
+        'tracking.preset': '{focus}/{rest}',
+        'tracking.focusMinutes': 'Focus (minutes)',
+        'tracking.breakMinutes': 'Break (minutes)',
+        'tracking.longBreakMinutes': 'Long break (minutes)',
+        'tracking.longBreakEvery': 'Every how many cycles',
+        'tracking.revisionOf': 'Revision – {chapter}',
+        'tracking.breakAfter': 'Break – cycle {cycle} done',
+        'tracking.longBreakAfter': 'Long break – cycle {cycle} done',
+        'tracking.focusCycle': 'Focus – cycle {cycle}',
+        'tracking.remainingFormat': 'Time left (hours:minutes:seconds)',
+        'tracking.clockFormat': 'hours:minutes:seconds',
+        'tracking.paused': 'Paused',
+        'tracking.reading': 'Reading',
+        'tracking.segments': ' | Segments: {count} | Paused: {paused}',
+        'tracking.pagesRead': 'Pages read this session (optional):',
+        'tracking.pagesReadBlock': 'Pages read in this focus block (optional):',
+        'tracking.recallQuestion': 'How well did you remember the chapter?',
+        'tracking.back': 'Back',
+        'tracking.start': 'Start',
+        'tracking.skipBreak': 'Skip the break, next cycle',
+        'tracking.nextCycle': 'Start the next cycle',
+        'tracking.endPomodoro': 'End pomodoro',
+        'tracking.resume': 'Resume',
+        'tracking.pause': 'Pause',
+        'tracking.finish': 'Finish and save',
+        'tracking.todaysRevisions': 'Today\'s revisions',
+
+        // Subject editor
+        'subjects.confirmRemoveChapter': '"{name}" has {time} of reading logged. Delete it anyway?',
+        'subjects.namesRequired': 'Subject and chapter names cannot be empty.',
+        'subjects.invalidPages': 'Invalid page range. The first page cannot be after the last page.',
+        'subjects.saveFailed': 'Saving the subject failed.',
+        'subjects.targetMinutes': 'Target (minutes)',
+        'subjects.pageStart': 'From p.',
+        'subjects.pageEnd': 'To p.',
+        'subjects.newChapterName': 'New chapter name',
+        'subjects.examDate': 'Exam or deadline date',
+
+        // Table-of-contents import
+        'toc.formatLines': 'Line-based list',
+        'toc.noChapters': 'No chapters found.',
+        'toc.subjectSaveFailed': 'The subject could not be saved.',
+        'toc.imported': ['Added {count} chapter to "{name}".', 'Added {count} chapters to "{name}".'],
+        'toc.title': 'Import from a table of contents',
+        'toc.help': 'Paste the book\'s table of contents or choose a file (.txt, .csv, .json). One chapter per line; mark sections by indenting or numbering them 1.1, 1.2, and put the page number at the end of the line (e.g. "Sets and functions ..... 12").',
+        'toc.subjectName': 'Subject name',
+        'toc.placeholder': 'Chapter 1: Sets ..... 1\n    1.1 What is a set ..... 1\nChapter 2: Functions ..... 15',
+        'toc.preview': 'Preview',
+        'toc.fromFile': 'From a file',
+        'toc.detected': ['Read as {format} · {count} chapter will be created', 'Read as {format} · {count} chapters will be created'],
+        'toc.nestSections': 'Keep sections inside their chapter (otherwise every section becomes its own chapter)',
+        'toc.outdent': 'Move out one level',
+        'toc.indent': 'Make a section',
+        'toc.page': 'Page',
+        'toc.pageEnd': 'End',
+        'toc.addLine': 'Add line',
+        'toc.defaultTarget': 'Target for chapters without minutes (optional)',
+        'toc.create': 'Create subject',
+
+        // Subjects view
+        'subjects.confirmDelete': 'Delete "{name}"? Its plan and routine will be deleted too, but its reading log is kept.',
+        'subjects.allComplete': 'Every chapter of this subject is already complete.',
+        'subjects.planSaveFailed': 'Saving the plan failed.',
+        'subjects.planSaved': 'Plan saved! {remaining} chapters of the book are left and you want to finish in {days} days, so read at least {perDay} chapters a day.',
+        'subjects.title': 'Subjects and chapters',
+        'subjects.addTitle': 'Add a new subject',
+        'subjects.namePlaceholder': 'Subject name (e.g. Mathematics)',
+        'subjects.chaptersPlaceholder': 'Separate chapters/topics with commas (,) or write one per line (e.g. Sets, Functions, Trigonometry)',
+        'subjects.defaultTarget': 'Target per chapter (minutes, optional)',
+        'subjects.targetHelp': 'Chapters without a target are only completed with "Mark complete". Page ranges can be added when editing.',
+        'subjects.save': 'Save subject',
+        'subjects.examOn': 'Exam: {date}',
+        'subjects.planTitle': 'Create a reading plan',
+        'subjects.planIntro': 'Plan to finish a book in a set number of days.',
+        'subjects.chapterCount': ['{name} ({count} chapter)', '{name} ({count} chapters)'],
+        'subjects.planDays': 'Finish in how many days?',
+        'subjects.createPlan': 'Create plan',
+        'subjects.planHelp': 'A new plan for the same subject replaces the old one. Chapters from a missed day are spread over the following days automatically.',
+        'subjects.activePlans': 'Active plans',
+        'subjects.planSummary': ['{name} – {days} day ({start} to {end})', '{name} – {days} days ({start} to {end})'],
+        'subjects.deletePlan': 'Delete plan',
+        'subjects.current': 'Current subjects',
+        'subjects.none': 'No subjects added yet.',
+        'subjects.chapterTotal': 'Chapters: {count}',
+        'subjects.archive': 'Archive',
+        'subjects.showChapters': 'Show the chapter list',
+        'subjects.chapterTarget': '(target: {time})',
+        'subjects.chapterRead': ' - {time} read',
+        'subjects.chapterPages': ' | pages {start}–{end}: {read}/{count}',
+        'subjects.reopen': 'Reopen',
+        'subjects.markComplete': 'Mark complete',
+        'subjects.archived': 'Archived subjects',
+        'subjects.restore': 'Restore',
+
+        // Day and reminder settings
+        'daySettings.invalidTimeZone': 'Unknown time zone (e.g. Asia/Dhaka).',
+        'daySettings.title': 'Days and weeks',
+        'daySettings.weekStart': 'Week starts on',
+        'daySettings.timeZone': 'Time zone',
+        'daySettings.deviceTimeZone': 'Device ({zone})',
+        'daySettings.dayStart': 'New day starts at',
+        'daySettings.midnight': 'Midnight',
+        'daySettings.nightHour': '{hour} am',
+        'daySettings.dawnHour': '{hour} am',
+        'daySettings.help': 'Reading before the new day starts counts towards the previous day, so late-night reading adds to that day\'s goal, streak and charts.',
+        'notifications.permissionDenied': 'Notifications are not allowed in this browser. Allow them in the browser\'s site settings.',
+        'notifications.saved': 'Reminder settings saved.',
+        'notifications.title': 'Reminders',
+        'notifications.unsupported': 'This browser does not support notifications.',
+        'notifications.enable': 'Turn on notifications',
+        'notifications.routine': 'Remind me at routine times',
+        'notifications.goal': 'Remind me if the daily goal is not met',
+        'notifications.longSession': 'Tell me when the timer runs much longer than usual',
+        'notifications.help': 'Reminders only arrive while the app (or the installed app) is open. Set a routine\'s reminder time when adding the routine.',
+
+        // Goals and routine
+        'goals.saved': 'Daily and weekly goals saved!',
+        'goals.title': 'Reading goals and daily routine',
+        'goals.setGoals': 'Set daily and weekly goals',
+        'goals.dailyMinutes': 'Daily goal (minutes)',
+        'goals.weeklyMinutes': 'Weekly goal (minutes)',
+        'goals.save': 'Save goals',
+        'goals.todaysRoutine': 'Today\'s reading routine',
+        'goals.routineHelp': '(A routine is ticked off automatically when you finish a timed session in its subject.)',
+        'goals.noRoutineToday': 'No routine for today.',
+        'goals.routineItem': '{subject} – {minutes} min',
+        'goals.lastWeek': 'Routine completion over the last 7 days',
+        'goals.allRoutines': 'All routines',
+        'goals.addRoutine': 'Add a routine',
+        'goals.minutesPlaceholder': 'Time (minutes)',
+        'goals.reminderTime': 'Reminder time (optional):',
+        'goals.addToRoutine': 'Add to routine',
+
+        // Reading history
+        'history.futureDate': 'The date cannot be in the future.',
+        'history.subject': '-- Subject --',
+        'history.chapter': '-- Chapter --',
+        'history.pagesOptional': 'Pages (optional)',
+        'history.confirmDelete': 'Delete the {chapter} ({time}) record?',
+        'history.deleteFailed': 'Deleting failed.',
+        'history.title': 'Reading log',
+        'history.addManual': 'Add a manual session',
+        'history.manualHelp': 'Add reading done without the timer, including on earlier dates. Chapter progress updates right away.',
+        'history.offline': 'Records can\'t be added, edited or deleted while offline. Try again once you are back online.',
+        'history.addSession': 'Add session',
+        'history.allRecords': 'All records ({count})',
+        'history.none': 'No records yet.',
+        'history.pages': [' | {count} page', ' | {count} pages'],
+        'history.manual': ' | manual',
+        'history.cycle': ' | cycle {cycle}',
+        'history.revision': ' | revision',
+        'history.revisionWithQuality': ' | revision ({quality})',
+        'history.showMore': 'Show more',
+
+        // Analytics
+        'analytics.last7Days': 'Last 7 days',
+        'analytics.last30Days': 'Last 30 days',
+        'analytics.last90Days': 'Last 90 days',
+        'analytics.lastYear': 'Last year',
+        'analytics.allTime': 'All time',
+        'analytics.title': 'Subject and chapter analytics',
+        'analytics.bySubject': 'Reading time by subject',
+        'analytics.weeklySplit': 'Weekly split by subject (last 8 weeks)',
+        'analytics.projectedFinish': 'Projected finish dates',
+        'analytics.paceWindow': 'Based on the pace of the last {days} days.',
+        'analytics.allComplete': 'All chapters complete',
+        'analytics.projection': '{date} ({pace} a day)',
+        'analytics.needsTargets': 'Chapter targets are needed for a projection',
+        'analytics.noRecentReading': 'No recent reading',
+        'analytics.targetsReached': 'Open chapters have had their time; mark them complete',
+        'analytics.byChapter': 'Chapter breakdown',
+        'analytics.chapter': 'Chapter',
+        'analytics.totalTime': 'Total time',
+        'analytics.sessions': 'Sessions',
+        'analytics.averageSession': 'Average session',
+
+        // Groups view
+        'groups.periodToday': 'Today',
+        'groups.periodWeek': 'This week',
+        'groups.goalsSaved': 'Group goals saved!',
+        'groups.goalsSaveFailed': 'The goals could not be saved.',
+        'groups.confirmLeave': 'Leave "{name}"?',
+        'groups.leaveFailed': 'Could not leave the group.',
+        'groups.confirmDelete': 'Delete "{name}" for every member?',
+        'groups.deleteFailed': 'The group could not be deleted.',
+        'groups.members': ['{count} member · Invite code: ', '{count} members · Invite code: '],
+        'groups.delete': 'Delete group',
+        'groups.leave': 'Leave group',
+        'groups.dailyGoal': 'Group daily goal',
+        'groups.weeklyGoal': 'Group weekly goal',
+        'groups.dailyMinutes': 'Daily (minutes)',
+        'groups.weeklyMinutes': 'Weekly (minutes)',
+        'groups.saveGoals': 'Save goals',
+        'groups.leaderboard': 'Leaderboard',
+        'groups.recentlyCompleted': 'Recently completed chapters',
+        'groups.noneCompleted': 'No chapters completed yet.',
+        'groups.created': 'Group created! Send the invite code to its members.',
+        'groups.joined': 'You joined the group!',
+        'groups.title': 'Study groups',
+        'groups.newGroup': 'New group',
+        'groups.groupName': 'Group name',
+        'groups.create': 'Create',
+        'groups.joinWithCode': 'Join with a code',
+        'groups.inviteCode': 'Invite code',
+        'groups.join': 'Join',
+        'groups.shareDetails': 'Share completed chapters with my groups',
+        'groups.shareDetailsHelp': 'When off, groups only see your total reading time, and the chapters you already shared are removed.',
+        'groups.none': 'You are not in any group yet.',
+
+        // Sign-in
+        'signIn.emailAndPassword': 'Enter an email and a password.',
+        'signIn.displayName': 'Display name',
+        'signIn.email': 'Email',
+        'signIn.password': 'Password',
+        'signIn.createAccount': 'Create account',
+        'signIn.signIn': 'Sign in',
+        'signIn.haveAccount': 'Have an account? Sign in',
+        'signIn.newAccount': 'Create a new account',
+        'signIn.google': 'Sign in with Google',
+        'signIn.guest': 'Continue as a guest',
+        'signIn.guestHelp': 'Guest data is tied to this browser only. Creating an account later keeps all of it.',
+
+        // Backup settings
+        'backup.exportFailed': 'The backup could not be created.',
+        'backup.unreadableFile': 'The file could not be read.',
+        'backup.localReadFailed': 'The local data could not be read.',
+        'backup.historyReadFailed': 'The reading history of this account could not be read.',
+        'backup.imported': 'Import complete.',
+        'backup.importFailed': 'The import failed. Trying again will not add the data already written a second time.',
+        'backup.title': 'Backup and export',
+        'backup.exportJson': 'Full backup (JSON)',
+        'backup.exportCsv': 'Reading log (CSV)',
+        'backup.import': 'Import a backup',
+        'backup.importLocal': 'Bring in local data',
+        'backup.previewTitle': 'Review before importing',
+        'backup.previewExportedAt': ' (backup from {date})',
+        'backup.newSubjects': 'New subjects: {count}',
+        'backup.skippedSubjects': 'Already present, kept as they are: {names}',
+        'backup.newHistory': 'New reading records: {count}',
+        'backup.duplicates': 'Duplicate records, skipped: {count}',
+        'backup.plansAndRoutine': 'Plans: {plans} · Routine items: {routine}',
+        'backup.replaceGoals': 'Use the backup\'s goals and settings (daily {daily} / weekly {weekly} minutes)',
+        'backup.confirmImport': 'Import',
+
+        // Mentor settings and account
+        'mentor.added': 'Mentor added.',
+        'mentor.title': 'Mentors / teachers',
+        'mentor.help': 'Mentors you add can see your chapter progress, goal completion and reading time over the last {days} days, and can send you subjects.',
+        'mentor.code': 'Mentor code',
+        'mentor.add': 'Add',
+        'mentor.confirmRemove': 'Stop sharing with this mentor?',
+        'mentor.remove': 'Remove',
+        'account.email': 'Email',
+        'account.nameSaved': 'Name saved.',
+        'account.title': 'Account',
+        'account.type': 'Type: ',
+        'account.typeLocal': 'Local (this browser only)',
+        'account.emailLabel': 'Email: ',
+        'account.role': 'Role: ',
+        'account.saveName': 'Save name',
+        'account.localTitle': 'Local mode',
+        'account.localHelp': 'The app is running without Firebase. All data stays in this browser only and is lost if the browser\'s data is cleared. To move it to an account later, open the app with that account in this browser and use "Bring in local data".',
+        'account.makePermanent': 'Keep your account',
+        'account.guestHelp': 'You are using a guest account. If the browser\'s data is cleared, all subjects and history are lost. Link an email or Google account to get the same data on other devices too.',
+        'account.linkGoogle': 'Link a Google account',
+        'account.signOut': 'Sign out',
+
+        // Teacher view
+        'teacher.onlyTeachers': 'This panel is for teachers and mentors only.',
+        'teacher.pushIncomplete': 'Enter a subject name and chapters, and select at least one student.',
+        'teacher.pushed': ['"{name}" was sent to {count} student.', '"{name}" was sent to {count} students.'],
+        'teacher.pushFailed': 'The subject could not be sent.',
+        'teacher.title': 'Teacher panel',
+        'teacher.mentorCode': 'Your mentor code: ',
+        'teacher.mentorCodeHelp': 'Students appear here once they add this code on their account page.',
+        'teacher.students': 'Students',
+        'teacher.noStudents': 'No students have added you yet.',
+        'teacher.student': 'Student',
+        'teacher.weekOfGoal': 'This week / goal',
+        'teacher.daysMet': 'Daily goal met (7 days)',
+        'teacher.flags': 'Flags',
+        'teacher.onTrack': 'On track',
+        'teacher.studentSubjects': '{name}: subjects',
+        'teacher.updatedAt': 'Updated: {date}',
+        'teacher.subjectChapters': '{done}/{count} chapters',
+        'teacher.planBehind': 'Behind plan',
+        'teacher.openChapters': 'Chapters in progress',
+        'teacher.pushTitle': 'Send a subject to students',
+        'teacher.chaptersPlaceholder': 'Separate chapters/topics with commas (,)',
+        'teacher.everyone': 'Everyone',
+        'teacher.send': 'Send',
+
+        // Admin view
+        'admin.notAdmin': 'You are not an admin and cannot open this panel.',
+        'admin.roleSaveFailed': 'The role could not be saved.',
+        'admin.confirmDropOwnAdmin': 'Removing your own admin role locks you out of this panel. Continue?',
+        'admin.title': 'Admin dashboard',
+        'admin.range': 'Period:',
+        'admin.rangeTo': 'to',
+        'admin.totalReading': 'Total reading of all users',
+        'admin.activeUsers': 'Active users',
+        'admin.activeToday': 'Active today',
+        'admin.people': ['{count} person', '{count} people'],
+        'admin.byUser': 'Reading time by user',
+        'admin.loading': 'Loading data...',
+        'admin.userSummary': ['{count} session · last: {date}', '{count} sessions · last: {date}'],
+        'admin.weeklyChart': 'Weekly activity (last 7 days of the period)',
+        'admin.roles': 'Role management',
+        'admin.assignRole': 'Assign role',
+        'admin.recentLog': 'Recent reading log (all users)',
+        'admin.subject': 'Subject',
+        'admin.minutes': 'Time (minutes)',
+        'admin.date': 'Date',
+        'admin.newer': 'Newer',
+        'admin.page': 'Page {page}',
+        'admin.older': 'Older',
+
+        // App shell
+        'app.dismissCue': 'OK',
+        'app.footer': 'Reading tracker | {name} | Role: {role}',
+        'app.footerUserId': 'User ID: {id}',
+    },
+};
+
+// The language last chosen on this device, for screens shown before the user's settings load
+const LANGUAGE_STORAGE_KEY = `${appId}:language`;
+
+const loadDeviceLanguage = () => {
+    try {
+        const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        return LANGUAGES[stored] ? stored : DEFAULT_LANGUAGE;
+    } catch (e) {
+        return DEFAULT_LANGUAGE;
+    }
+};
+
+const saveDeviceLanguage = (language) => {
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        console.error("Error saving language:", e);
+    }
+};
+
+/**
+ * Message lookup and number/date formatting for one language.
+ */
+const createLocale = (language) => {
+    const tag = LOCALE_TAGS[language];
+    const numberFormat = new Intl.NumberFormat(tag, { maximumFractionDigits: 1, useGrouping: false });
+    const formatNumber = (value) => numberFormat.format(value);
+
+    const t = (key, params = {}) => {
+        let message = MESSAGES[language][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+        if (Array.isArray(message)) message = message[params.count === 1 ? 0 : 1];
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return '';
+            return typeof value === 'number' ? formatNumber(value) : String(value);
+        });
+    };
+
+    const getDayName = (date) => date.toLocaleDateString(tag, { weekday: 'short' });
+
+    return {
+        language,
+        t,
+        formatNumber,
+        formatDate: (date, options) => date.toLocaleDateString(tag, options),
+        formatDateTime: (date, options) => date.toLocaleString(tag, options),
+        formatClock: (date) => date.toLocaleTimeString(tag, { hour: '2-digit', minute: '2-digit' }),
+        formatTime: (totalMinutes) => {
+            const totalSeconds = totalMinutes * 60;
+            return t('time.hoursMinutesSeconds', {
+                hours: Math.floor(totalSeconds / 3600),
+                minutes: Math.floor((totalSeconds % 3600) / 60),
+                seconds: Math.floor(totalSeconds % 60),
+            });
+        },
+        formatMinutesToHHMM: (minutes) => t('time.hoursMinutes', { hours: Math.floor(minutes / 60), minutes: Math.round(minutes % 60) }),
+        getDayName,
+        // 7 January 2024 was a Sunday, so index 0..6 maps onto Sunday..Saturday.
+        getWeekdayName: (weekday) => getDayName(new Date(2024, 0, 7 + weekday)),
+    };
+};
+
+// ====================================================================
+// Utility Functions
+// ====================================================================
+
+/**
+ * Local calendar day of a date as a sortable YYYY-MM-DD key.
+ */
+const toDateKey = (date) => {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const fromDateKey = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+};
+
+const addDaysToKey = (key, days) => {
+    const d = fromDateKey(key);
+    d.setDate(d.getDate() + days);
+    return toDateKey(d);
+};
+
+const daysBetweenKeys = (fromKey, toKey) =>
+    Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / 86400000);
+
+const getWeekStartKey = (key, weekStartDay = 0) =>
+    addDaysToKey(key, -((fromDateKey(key).getDay() - weekStartDay + 7) % 7));
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// One formatter per time zone, null for zones this browser doesn't know
+const dayKeyFormatters = {};
+const getDayKeyFormatter = (timeZone) => {
+    if (!(timeZone in dayKeyFormatters)) {
+        dayKeyFormatters[timeZone] = isValidTimeZone(timeZone)
+            ? new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            : null;
+    }
+    return dayKeyFormatters[timeZone];
+};
+
+/**
+ * The study day a moment belongs to, as a date key: the calendar day in the
+ * settings' time zone, with the day starting at `dayStartHour` instead of midnight.
+ * Without settings this is the local calendar day (toDateKey).
+ */
+const getDayKey = (date, { timeZone = '', dayStartHour = 0 } = {}) => {
+    const shifted = new Date(new Date(date).getTime() - dayStartHour * 3600000);
+    const formatter = timeZone ? getDayKeyFormatter(timeZone) : null;
+    if (!formatter) return toDateKey(shifted);
+    const parts = Object.fromEntries(formatter.formatToParts(shifted).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * First moment, to the minute, that belongs to the study day after the one
+ * `date` is in. Searched for rather than computed, since time zone offsets and
+ * daylight saving move the rollover.
+ */
+const getNextDayStart = (date, calendar) => {
+    const dayKey = getDayKey(date, calendar);
+    let before = new Date(date).getTime();
+    let after = before + 3600000;
+    while (getDayKey(after, calendar) === dayKey) {
+        before = after;
+        after += 3600000;
+    }
+    while (after - before > 60000) {
+        const middle = Math.floor((before + after) / 2);
+        if (getDayKey(middle, calendar) === dayKey) before = middle;
+        else after = middle;
+    }
+    return new Date(after);
+};
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Routine items that recur on the weekday of the given date.
+ */
+const getRoutineForDay = (items, date) =>
+    items.filter(item => (item.weekdays || WEEKDAYS).includes(date.getDay()));
+
+// ====================================================================
+// Chapters
+// ====================================================================
+
+const createChapterId = () =>
+    `c_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Chapters saved before IDs existed get one derived from their position, so
+// running the migration twice assigns the same IDs.
+const getLegacyChapterId = (index) => `legacy-${index + 1}`;
+
+/**
+ * ID of the chapter a record or session points at. Records written before chapter
+ * IDs existed only carry the chapter name.
+ */
+const resolveChapterId = (chapters, { chapterId, chapterName }) =>
+    chapterId || (chapters || []).find(c => c.name === chapterName)?.id || null;
+
+/**
+ * Current name of a chapter, falling back to the name stored on the record.
+ */
+const getChapterDisplayName = (subjects, subjectId, chapterId, fallbackName) =>
+    subjects.find(s => s.id === subjectId)?.chapters.find(c => c.id === chapterId)?.name || fallbackName;
+
+const getChapterPageCount = (chapter) =>
+    chapter.pageStart > 0 && chapter.pageEnd >= chapter.pageStart ? chapter.pageEnd - chapter.pageStart + 1 : 0;
+
+/**
+ * Progress towards a chapter's targets (0..1), or null when it has none.
+ * With both a minute and a page target the slower of the two counts.
+ */
+const getChapterProgress = (chapter) => {
+    const parts = [];
+    if (chapter.total > 0) parts.push((chapter.read || 0) / chapter.total);
+    const pageCount = getChapterPageCount(chapter);
+    if (pageCount > 0) parts.push((chapter.pagesRead || 0) / pageCount);
+    return parts.length > 0 ? Math.min(1, ...parts) : null;
+};
+
+/**
+ * A manual complete/reopen wins; otherwise every target must be met. A chapter
+ * without targets is only completed by hand.
+ */
+const isChapterComplete = (chapter) => {
+    if (typeof chapter.manualCompletion === 'boolean') return chapter.manualCompletion;
+    const progress = getChapterProgress(chapter);
+    return progress !== null && progress >= 1;
+};
+
+/**
+ * Adds (or, with negative deltas, removes) reading minutes and pages on one
+ * chapter and re-derives its completion. A chapter reopened by hand goes back
+ * to its targets once new reading meets them.
+ */
+const applyReadingToChapters = (chapters, chapterId, deltaMinutes, deltaPages = 0) => chapters.map(c => {
+    if (c.id !== chapterId) return c;
+    const updated = {
+        ...c,
+        read: Math.max(0, (c.read || 0) + deltaMinutes),
+        pagesRead: Math.max(0, (c.pagesRead || 0) + deltaPages),
+    };
+    if (updated.manualCompletion === false && (getChapterProgress(c) ?? 1) < 1 && getChapterProgress(updated) >= 1) {
+        updated.manualCompletion = null;
+    }
+    return { ...updated, is_completed: isChapterComplete(updated) };
+});
+
+/**
+ * Value for an <input type="datetime-local"> in local time.
+ */
+const toDateTimeInputValue = (date) => {
+    const d = new Date(date);
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    return `${toDateKey(d)}T${hours}:${minutes}`;
+};
+
+// ====================================================================
+// Revision Scheduling
+// ====================================================================
+// Completed chapters enter a spaced-repetition queue (SM-2). Each chapter keeps
+// its schedule in `revision`; a rated revision session moves the due date out
+// by a growing interval, and a forgotten chapter starts over the next day.
+
+/**
+ * @typedef {Object} RevisionSchedule
+ * @property {string} dueDate - Date key the next revision is due.
+ * @property {number} interval - Days between the last revision and dueDate.
+ * @property {number} ease - Growth factor of the interval (at least 1.3).
+ * @property {number} reviews - Successful revisions in a row.
+ * @property {string} [lastReviewed] - Date key of the last rated revision.
+ * @property {number} [lastQuality] - Recall rating of the last revision (0-5).
+ */
+
+const INITIAL_REVISION_EASE = 2.5;
+
+// Recall ratings offered after a revision session, on the SM-2 0-5 scale
+const REVISION_QUALITIES = [
+    { quality: 1, labelKey: 'revision.forgot', className: 'bg-red-500 hover:bg-red-600' },
+    { quality: 3, labelKey: 'revision.hard', className: 'bg-orange-500 hover:bg-orange-600' },
+    { quality: 4, labelKey: 'revision.good', className: 'bg-green-500 hover:bg-green-600' },
+    { quality: 5, labelKey: 'revision.easy', className: 'bg-teal-500 hover:bg-teal-600' },
+];
+
+// Revision sessions count as study time but not towards a chapter's reading targets.
+const isRevisionRecord = (record) => record?.type === 'revision';
+
+/**
+ * Minutes and pages a history record adds to its chapter.
+ */
+const getChapterContribution = (record) => isRevisionRecord(record)
+    ? { minutes: 0, pages: 0 }
+    : { minutes: record.durationMinutes, pages: record.pagesRead || 0 };
+
+/**
+ * Schedule of a chapter completed on `dayKey`: the first revision is the next day.
+ */
+const startRevisionSchedule = (dayKey) => ({
+    dueDate: addDaysToKey(dayKey, 1),
+    interval: 1,
+    ease: INITIAL_REVISION_EASE,
+    reviews: 0,
+});
+
+/**
+ * Next schedule after a revision on `dayKey` rated `quality` (0-5). The day between
+ * completing a chapter and its first revision is SM-2's first step, so the first
+ * successful revision moves on to the 6-day step.
+ */
+const scheduleNextRevision = (revision, quality, dayKey) => {
+    const previous = revision || startRevisionSchedule(dayKey);
+    const ease = Math.max(1.3, Math.round((previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100);
+    const reviews = quality < 3 ? 0 : previous.reviews + 1;
+    let interval = 1;
+    if (reviews === 1) interval = 6;
+    else if (reviews > 1) interval = Math.round(previous.interval * ease);
+    return { dueDate: addDaysToKey(dayKey, interval), interval, ease, reviews, lastReviewed: dayKey, lastQuality: quality };
+};
+
+/**
+ * Chapters whose newly completed state should start a revision schedule.
+ */
+const addRevisionSchedules = (before, after, dayKey) => {
+    const newlyCompleted = new Set(getNewlyCompletedChapters(before, after).map(c => c.id));
+    return after.map(c => (newlyCompleted.has(c.id) && !c.revision ? { ...c, revision: startRevisionSchedule(dayKey) } : c));
+};
+
+/**
+ * Completed chapters due for revision on or before `todayKey`, most overdue first.
+ * Chapters completed before revisions existed have no schedule and are due now.
+ */
+const getDueRevisions = (subjects, todayKey) => subjects
+    .flatMap(s => s.chapters
+        .filter(c => c.is_completed && (c.revision?.dueDate || todayKey) <= todayKey)
+        .map(c => ({
+            id: `${s.id}/${c.id}`,
+            subjectId: s.id,
+            chapterId: c.id,
+            subjectName: s.name,
+            chapterName: c.name,
+            dueDate: c.revision?.dueDate || todayKey,
+            reviews: c.revision?.reviews || 0,
+        })))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+// ====================================================================
+// Active Reading Session
+// ====================================================================
+
+// A running session without a heartbeat for this long is treated as abandoned.
+const ACTIVE_SESSION_STALE_MS = 5 * 60 * 1000;
+const ACTIVE_SESSION_HEARTBEAT_MS = 15 * 1000;
+// The Firestore copy gets the heartbeat less often, but well within the stale limit,
+// so another device doesn't take a session that is still running for abandoned.
+const ACTIVE_SESSION_REMOTE_HEARTBEAT_MS = 2 * 60 * 1000;
+
+/**
+ * Elapsed reading time of a session, derived from its wall-clock anchors so it
+ * stays correct across re-renders, reloads and throttled background tabs.
+ * A pomodoro break is not reading time.
+ */
+const getSessionElapsedSeconds = (session, now = Date.now()) => {
+    if (!session || session.pomodoro?.phase === 'break') return 0;
+    const end = session.pausedAt ? Math.min(session.pausedAt, now) : now;
+    return Math.max(0, Math.floor((end - session.startedAt - (session.pausedMs || 0)) / 1000));
+};
+
+/**
+ * Closes the open segment of a session at `end` (ms).
+ */
+const closeSessionSegments = (session, end) =>
+    (session.segments || [{ start: session.startedAt, end: null }])
+        .map(seg => (seg.end ? seg : { ...seg, end: Math.max(seg.start, end) }));
+
+/**
+ * Segment breakdown of a session ending at `end`, as stored on its history record.
+ */
+const getSessionDetails = (session, end) => {
+    const segments = closeSessionSegments(session, session.pausedAt ? Math.min(session.pausedAt, end) : end);
+    const endedAt = segments[segments.length - 1].end;
+    const activeMs = segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+    const spanMs = endedAt - session.startedAt;
+    return {
+        startedAt: session.startedAt,
+        endedAt,
+        segments,
+        spanMinutes: spanMs / 60000,
+        pausedMinutes: Math.max(0, spanMs - activeMs) / 60000,
+    };
+};
+
+const isSessionAbandoned = (session, now = Date.now()) =>
+    !!session && !session.pausedAt && now - (session.lastSeenAt || session.startedAt) > ACTIVE_SESSION_STALE_MS;
+
+// The `synced` flag only exists on the local copy.
+const toRemoteSession = (session) => {
+    const remote = { ...session };
+    delete remote.synced;
+    return remote;
+};
+
+const getLocalSessionKey = (userId) => `${appId}:activeSession:${userId}`;
+
+const loadLocalSession = (userId) => {
+    try {
+        const raw = localStorage.getItem(getLocalSessionKey(userId));
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error("Error reading local session:", e);
+        return null;
+    }
+};
+
+const saveLocalSession = (userId, session) => {
+    try {
+        if (session) {
+            localStorage.setItem(getLocalSessionKey(userId), JSON.stringify(session));
+        } else {
+            localStorage.removeItem(getLocalSessionKey(userId));
+        }
+    } catch (e) {
+        console.error("Error writing local session:", e);
+    }
+};
+
+// ====================================================================
+// Offline Reading Queue
+// ====================================================================
+// Transactions need the server, so readings finished offline wait in
+// localStorage and are written in order once the app is back online. Each
+// entry carries its history document ID, which makes a replay harmless. An
+// entry the server rejects is retried after a growing delay, and set aside
+// (parked) after QUEUE_MAX_ATTEMPTS rejections until the user retries or
+// discards it.
+
+const QUEUE_RETRY_BASE_MS = 60 * 1000;
+const QUEUE_MAX_ATTEMPTS = 5;
+
+const getPendingReadingsKey = (userId) => `${appId}:pendingReadings:${userId}`;
+
+const loadPendingReadings = (userId) => {
+    try {
+        const raw = localStorage.getItem(getPendingReadingsKey(userId));
+        return raw ? JSON.parse(raw) : [];
+    } catch (e) {
+        console.error("Error reading queued readings:", e);
+        return [];
+    }
+};
+
+const savePendingReadings = (userId, entries) => {
+    try {
+        if (entries.length > 0) {
+            localStorage.setItem(getPendingReadingsKey(userId), JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(getPendingReadingsKey(userId));
+        }
+    } catch (e) {
+        console.error("Error writing queued readings:", e);
+    }
+};
+
+/**
+ * The queued entry after a rejected write: due again after 1, 2, 4… minutes, or parked.
+ */
+const markPendingReadingFailed = (entry, now = Date.now()) => {
+    const attempts = (entry.attempts || 0) + 1;
+    return attempts >= QUEUE_MAX_ATTEMPTS
+        ? { ...entry, attempts, retryAt: null, parked: true }
+        : { ...entry, attempts, retryAt: now + QUEUE_RETRY_BASE_MS * 2 ** (attempts - 1) };
+};
+
+/**
+ * True when a Firestore call failed for lack of a connection rather than being rejected.
+ */
+const isOfflineError = (e) => !navigator.onLine || e?.code === 'unavailable';
+
+// ====================================================================
+// Pomodoro / Interval Mode
+// ====================================================================
+
+/**
+ * @typedef {Object} PomodoroConfig
+ * @property {number} focusMinutes - Length of a focus block.
+ * @property {number} breakMinutes - Length of a short break.
+ * @property {number} longBreakMinutes - Length of a long break.
+ * @property {number} longBreakEvery - A long break follows every N-th focus block.
+ */
+
+const POMODORO_PRESETS = [
+    { id: '25-5', focusMinutes: 25, breakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4 },
+    { id: '50-10', focusMinutes: 50, breakMinutes: 10, longBreakMinutes: 30, longBreakEvery: 3 },
+];
+
+const toPomodoroConfig = ({ focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery }) =>
+    ({ focusMinutes, breakMinutes, longBreakMinutes, longBreakEvery });
+
+const isLongBreak = (pomodoro) => pomodoro.longBreakEvery > 0 && pomodoro.cycle % pomodoro.longBreakEvery === 0;
+
+const getBreakMinutes = (pomodoro) => isLongBreak(pomodoro) ? pomodoro.longBreakMinutes : pomodoro.breakMinutes;
+
+/**
+ * Wall-clock end of the current pomodoro phase. A paused focus block has no end yet.
+ */
+const getPomodoroPhaseEnd = (session) => {
+    const { pomodoro } = session;
+    if (pomodoro.phase === 'break') return pomodoro.breakStartedAt + getBreakMinutes(pomodoro) * 60000;
+    if (session.pausedAt) return null;
+    return session.startedAt + (session.pausedMs || 0) + pomodoro.focusMinutes * 60000;
+};
+
+/**
+ * Short two-tone beep marking a phase change. Browsers without Web Audio stay silent.
+ */
+const playCue = () => {
+    try {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return;
+        const ctx = new AudioCtx();
+        [0, 0.35].forEach((offset, i) => {
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.frequency.value = i === 0 ? 880 : 660;
+            gain.gain.setValueAtTime(0.2, ctx.currentTime + offset);
+            gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.3);
+            osc.connect(gain).connect(ctx.destination);
+            osc.start(ctx.currentTime + offset);
+            osc.stop(ctx.currentTime + offset + 0.3);
+        });
+        setTimeout(() => ctx.close(), 1000);
+        if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    } catch (e) {
+        console.error("Error playing cue:", e);
+    }
+};
+
+// ====================================================================
+// Reminders
+// ====================================================================
+// Reminders are checked once a minute while the app is open. Every reminder
+// has a tag naming its day (or session); tags already shown are remembered in
+// localStorage, so a reload or a second check doesn't repeat a reminder.
+
+const REMINDER_CHECK_MS = 60 * 1000;
+// A routine reminder is still shown this long after its time, e.g. when the app is opened late
+const ROUTINE_REMINDER_WINDOW_MINUTES = 60;
+// A running timer counts as forgotten after this many usual session lengths, and never before the minimum
+const LONG_SESSION_FACTOR = 3;
+const LONG_SESSION_MIN_MINUTES = 90;
+
+/**
+ * Minutes after midnight of an "HH:MM" value, or null when it is empty.
+ */
+const parseClockTime = (value) => {
+    const [hours, minutes] = (value || '').split(':').map(Number);
+    return Number.isInteger(hours) && Number.isInteger(minutes) ? hours * 60 + minutes : null;
+};
+
+/**
+ * Wall-clock time of a moment in the given time zone ('' for the device's), as minutes after midnight.
+ */
+const getClockMinutes = (date, timeZone = '') => {
+    if (!timeZone || !isValidTimeZone(timeZone)) return date.getHours() * 60 + date.getMinutes();
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+            .formatToParts(date)
+            .map(part => [part.type, part.value])
     );
-    
+    return parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+};
+
+/**
+ * Median length of the most recent sessions (history is newest first).
+ */
+const getUsualSessionMinutes = (history, sampleSize = 30) => {
+    const durations = history.slice(0, sampleSize).map(record => record.durationMinutes).sort((a, b) => a - b);
+    return durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+};
+
+/**
+ * Reminders due at `now` for the enabled preferences, as { tag, title, body }
+ * in the language of `locale`.
+ */
+const getDueReminders = ({ now, preferences, settings, todayKey, todayMinutes, routineItems, routineDone, subjects, activeSession, usualSessionMinutes, locale }) => {
+    const { t } = locale;
+    const clock = getClockMinutes(now, settings.timeZone);
+    const reminders = [];
+
+    if (preferences.routine) {
+        getRoutineForDay(routineItems, fromDateKey(todayKey)).forEach(item => {
+            const time = parseClockTime(item.reminderTime);
+            if (time === null || clock < time || clock >= time + ROUTINE_REMINDER_WINDOW_MINUTES) return;
+            if (routineDone.includes(item.id)) return;
+            reminders.push({
+                tag: `routine:${todayKey}:${item.id}`,
+                title: t('reminder.routineTitle'),
+                body: t('reminder.routineBody', { subject: subjects.find(s => s.id === item.subjectId)?.name || item.subject, minutes: item.time }),
+            });
+        });
+    }
+
+    const goalTime = parseClockTime(preferences.goalReminderTime);
+    if (goalTime !== null && clock >= goalTime && settings.dailyGoalMinutes > 0 && todayMinutes < settings.dailyGoalMinutes) {
+        reminders.push({
+            tag: `goal:${todayKey}`,
+            title: t('reminder.goalTitle'),
+            body: t('reminder.goalBody', { minutes: Math.round(todayMinutes), goal: settings.dailyGoalMinutes }),
+        });
+    }
+
+    if (preferences.longSession && activeSession && !activeSession.pausedAt) {
+        const elapsedMinutes = getSessionElapsedSeconds(activeSession, now.getTime()) / 60;
+        const threshold = Math.max(LONG_SESSION_MIN_MINUTES, usualSessionMinutes * LONG_SESSION_FACTOR);
+        if (elapsedMinutes >= threshold) {
+            reminders.push({
+                tag: `session:${activeSession.startedAt}`,
+                title: t('reminder.longSessionTitle'),
+                body: t('reminder.longSessionBody', { duration: locale.formatMinutesToHHMM(elapsedMinutes) }),
+            });
+        }
+    }
+
+    return reminders;
+};
+
+const getSentRemindersKey = (userId) => `${appId}:sentReminders:${userId}`;
+
+const loadSentReminders = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(getSentRemindersKey(userId)) || '[]');
+    } catch (e) {
+        console.error("Error reading sent reminders:", e);
+        return [];
+    }
+};
+
+// Only the latest tags are kept; older ones name days that are over
+const saveSentReminders = (userId, tags) => {
+    try {
+        localStorage.setItem(getSentRemindersKey(userId), JSON.stringify(tags.slice(-100)));
+    } catch (e) {
+        console.error("Error writing sent reminders:", e);
+    }
+};
+
+/**
+ * Shows a notification through the service worker where one is registered, so it
+ * also works for the installed app, and through the Notification API otherwise.
+ */
+const showNotification = async (title, options) => {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) await registration.showNotification(title, { icon: '/icon.svg', ...options });
+        else new Notification(title, { icon: '/icon.svg', ...options });
+    } catch (e) {
+        console.error("Error showing notification:", e);
+    }
+};
+
+// ====================================================================
+// Reading Plan Scheduling
+// ====================================================================
+
+/**
+ * Spreads chapters evenly over `dayCount` consecutive days starting at `startKey`.
+ * Earlier days receive the extra chapter when the split is uneven.
+ */
+const distributeChapters = (chapterIds, startKey, dayCount) => {
+    const schedule = [];
+    const perDay = Math.floor(chapterIds.length / dayCount);
+    const extra = chapterIds.length % dayCount;
+    let cursor = 0;
+    for (let i = 0; i < dayCount; i++) {
+        const count = perDay + (i < extra ? 1 : 0);
+        schedule.push({ date: addDaysToKey(startKey, i), chapters: chapterIds.slice(cursor, cursor + count) });
+        cursor += count;
+    }
+    return schedule;
+};
+
+const getCompletedChapterIds = (subject) =>
+    new Set((subject?.chapters || []).filter(c => c.is_completed).map(c => c.id));
+
+/**
+ * Moves unfinished chapters from past days onto the remaining days of the plan.
+ * Returns the new schedule, or null when nothing was missed.
+ */
+const rebalancePlanSchedule = (plan, subject, todayKey) => {
+    const completed = getCompletedChapterIds(subject);
+    const existing = new Set((subject?.chapters || []).map(c => c.id));
+    const isOpen = (id) => existing.has(id) && !completed.has(id);
+    const hasMissedDay = plan.schedule.some(day =>
+        day.date < todayKey && day.chapters.some(isOpen)
+    );
+    if (!hasMissedDay) return null;
+
+    const pastDays = plan.schedule
+        .filter(day => day.date < todayKey)
+        .map(day => ({ ...day, chapters: day.chapters.filter(id => completed.has(id)) }));
+    const remaining = plan.schedule
+        .flatMap(day => day.chapters)
+        .filter(isOpen);
+    // An overdue plan keeps everything that is left on today.
+    const daysLeft = Math.max(1, daysBetweenKeys(todayKey, plan.endDate) + 1);
+
+    return [...pastDays, ...distributeChapters(remaining, todayKey, daysLeft)];
+};
+
+/**
+ * Today's assignment and pace for a plan. A plan is behind when fewer chapters are
+ * completed than the original even split expects by the start of today.
+ */
+const getPlanStatus = (plan, subject, todayKey) => {
+    const completed = getCompletedChapterIds(subject);
+    // Chapters deleted from the subject drop out of the plan
+    const existing = new Set((subject?.chapters || []).map(c => c.id));
+    const planChapters = plan.schedule.flatMap(day => day.chapters).filter(id => existing.has(id));
+    const completedCount = planChapters.filter(id => completed.has(id)).length;
+    const elapsedDays = Math.min(plan.days, Math.max(0, daysBetweenKeys(plan.startDate, todayKey)));
+    const expectedCount = Math.floor((planChapters.length * elapsedDays) / plan.days);
+    const todayEntry = plan.schedule.find(day => day.date === todayKey);
+
+    return {
+        todayChapters: (todayEntry ? todayEntry.chapters : [])
+            .filter(id => existing.has(id))
+            .map(id => ({ id, name: subject.chapters.find(c => c.id === id).name, done: completed.has(id) })),
+        chapterCount: planChapters.length,
+        completedCount,
+        expectedCount,
+        isBehind: completedCount < expectedCount,
+        isFinished: planChapters.length > 0 && completedCount === planChapters.length,
+    };
+};
+
+// ====================================================================
+// Long-range Statistics
+// ====================================================================
+
+/**
+ * Total minutes per day, keyed by getDayKey for the given day settings.
+ */
+const getMinutesByDay = (history, calendar) => {
+    const byDay = {};
+    history.forEach(record => {
+        const key = getDayKey(record.date, calendar);
+        byDay[key] = (byDay[key] || 0) + record.durationMinutes;
+    });
+    return byDay;
+};
+
+/**
+ * Current and longest run of consecutive days that met the daily goal. Today only
+ * extends the current streak once it is met, so an unfinished today doesn't break it.
+ */
+const getStreaks = (minutesByDay, dailyGoal, todayKey) => {
+    const metGoal = (key) => (minutesByDay[key] || 0) >= Math.max(dailyGoal, 1);
+
+    let current = 0;
+    let cursor = metGoal(todayKey) ? todayKey : addDaysToKey(todayKey, -1);
+    while (metGoal(cursor)) {
+        current++;
+        cursor = addDaysToKey(cursor, -1);
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(minutesByDay).filter(metGoal).sort().forEach(key => {
+        run = previous && daysBetweenKeys(previous, key) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = key;
+    });
+
+    return { current, longest: Math.max(longest, current) };
+};
+
+/**
+ * Seven days of chart data ending at `endKey`, in the shape WeeklyBarChart expects.
+ */
+const getWeekChartData = (minutesByDay, endKey) => {
+    const data = [];
+    for (let i = 6; i >= 0; i--) {
+        const key = addDaysToKey(endKey, -i);
+        data.push({ key, minutes: Math.round(minutesByDay[key] || 0) });
+    }
+    return data;
+};
+
+/**
+ * Totals for the last `count` months or years up to `todayKey`, oldest first;
+ * `start` is the first day of each.
+ */
+const getPeriodTotals = (minutesByDay, unit, count, todayKey) => {
+    const today = fromDateKey(todayKey);
+    const periods = [];
+    for (let i = count - 1; i >= 0; i--) {
+        const start = unit === 'year'
+            ? new Date(today.getFullYear() - i, 0, 1)
+            : new Date(today.getFullYear(), today.getMonth() - i, 1);
+        periods.push({
+            prefix: unit === 'year' ? `${start.getFullYear()}-` : toDateKey(start).slice(0, 8),
+            start,
+            minutes: 0,
+        });
+    }
+    Object.entries(minutesByDay).forEach(([key, minutes]) => {
+        const period = periods.find(p => key.startsWith(p.prefix));
+        if (period) period.minutes += minutes;
+    });
+    return periods;
+};
+
+// ====================================================================
+// Subject Analytics
+// ====================================================================
+
+const SUBJECT_COLORS = ['bg-indigo-500', 'bg-pink-500', 'bg-teal-500', 'bg-orange-500', 'bg-purple-500', 'bg-green-500', 'bg-yellow-500', 'bg-red-500'];
+
+/**
+ * Minutes per subject from the daily totals on or after `sinceKey` (all days when
+ * null), largest first. Records moved to another subject can leave a subject
+ * with float dust, which is left out.
+ */
+const getSubjectTotals = (dailyTotals, subjects, sinceKey = null) => {
+    const totals = {};
+    dailyTotals
+        .filter(day => !sinceKey || day.date >= sinceKey)
+        .forEach(day => {
+            Object.entries(day.subjects || {}).forEach(([subjectId, subjectDay]) => {
+                const entry = totals[subjectId] || (totals[subjectId] = {
+                    subjectId,
+                    name: subjects.find(s => s.id === subjectId)?.name || subjectDay.name,
+                    minutes: 0,
+                });
+                entry.minutes += subjectDay.minutes;
+            });
+        });
+    return Object.values(totals).filter(total => total.minutes >= 0.01).sort((a, b) => b.minutes - a.minutes);
+};
+
+/**
+ * Minutes per subject for each of the last `weekCount` weeks, oldest first. Weeks
+ * and days follow the calendar settings (see getDayKey).
+ */
+const getWeeklySubjectSplit = (dailyTotals, weekCount, calendar = DEFAULT_SETTINGS, today = new Date()) => {
+    const todayKey = getDayKey(today, calendar);
+    const currentWeekStart = getWeekStartKey(todayKey, calendar.weekStartDay);
+    const weeks = [];
+    for (let i = weekCount - 1; i >= 0; i--) {
+        weeks.push({ startKey: addDaysToKey(currentWeekStart, -7 * i), bySubject: {}, total: 0 });
+    }
+    dailyTotals.forEach(day => {
+        const week = weeks.find(w => day.date >= w.startKey && day.date <= addDaysToKey(w.startKey, 6));
+        if (!week) return;
+        Object.entries(day.subjects || {}).forEach(([subjectId, subjectDay]) => {
+            if (subjectDay.minutes < 0.01) return;
+            week.bySubject[subjectId] = (week.bySubject[subjectId] || 0) + subjectDay.minutes;
+            week.total += subjectDay.minutes;
+        });
+    });
+    return weeks;
+};
+
+/**
+ * Time spent, session count and average session length for every chapter of a
+ * subject, from the daily totals.
+ */
+const getChapterStats = (dailyTotals, subject) => subject.chapters.map(chapter => {
+    let minutes = 0;
+    let sessions = 0;
+    dailyTotals.forEach(day => {
+        const chapterDay = day.subjects?.[subject.id]?.chapters?.[chapter.id];
+        if (!chapterDay) return;
+        minutes += chapterDay.minutes;
+        sessions += chapterDay.sessions;
+    });
+    return {
+        chapterId: chapter.id,
+        name: chapter.name,
+        isCompleted: chapter.is_completed,
+        minutes,
+        sessions,
+        averageMinutes: sessions > 0 ? minutes / sessions : 0,
+    };
+});
+
+// Pace is measured over this many recent days.
+const PACE_WINDOW_DAYS = 14;
+
+/**
+ * Estimated date a subject is finished at the recent reading pace, measured over
+ * the daily totals up to `todayKey`. Remaining work is each open chapter's target
+ * minutes, or the average time completed chapters took when it has no target.
+ * `date` is null when the pace or the work can't be estimated. `targetsReached`
+ * is set when nothing is left because the open chapters have had all their
+ * estimated time, as opposed to there being no estimate to go on.
+ */
+const projectSubjectFinish = (subject, dailyTotals, todayKey) => {
+    const openChapters = subject.chapters.filter(c => !c.is_completed);
+    if (openChapters.length === 0) return { finished: true, date: null, dailyPace: 0 };
+
+    const completed = subject.chapters.filter(c => c.is_completed && c.read > 0);
+    const averageCompletedMinutes = completed.length > 0
+        ? completed.reduce((sum, c) => sum + c.read, 0) / completed.length
+        : 0;
+    const remainingMinutes = openChapters.reduce((sum, c) => {
+        const target = c.total > 0 ? c.total : averageCompletedMinutes;
+        return sum + Math.max(0, target - (c.read || 0));
+    }, 0);
+    const targetsReached = remainingMinutes <= 0 && (averageCompletedMinutes > 0 || openChapters.every(c => c.total > 0));
+
+    const sinceKey = addDaysToKey(todayKey, -(PACE_WINDOW_DAYS - 1));
+    const recentMinutes = dailyTotals
+        .filter(day => day.date >= sinceKey && day.date <= todayKey)
+        .reduce((sum, day) => {
+            // Revising completed chapters takes none of the remaining work off
+            const subjectDay = day.subjects?.[subject.id];
+            return sum + (subjectDay ? subjectDay.minutes - (subjectDay.revisionMinutes || 0) : 0);
+        }, 0);
+    const dailyPace = recentMinutes >= 0.01 ? recentMinutes / PACE_WINDOW_DAYS : 0;
+
+    if (dailyPace <= 0 || remainingMinutes <= 0) return { finished: false, date: null, dailyPace, remainingMinutes, targetsReached };
+    return {
+        finished: false,
+        date: fromDateKey(addDaysToKey(todayKey, Math.ceil(remainingMinutes / dailyPace))),
+        dailyPace,
+        remainingMinutes,
+        targetsReached,
+    };
+};
+
+// ====================================================================
+// Exam Planning
+// ====================================================================
+// A subject may have an `examDate` (date key) for an exam or deadline. The
+// dashboard counts down to it, rates how ready the subject is and checks the
+// open chapters against the recent reading pace.
+
+// Share of the readiness score from chapters completed, time invested and revision
+const READINESS_WEIGHTS = { chapters: 0.5, time: 0.3, revision: 0.2 };
+
+/**
+ * Readiness of a subject on `todayKey` as a 0-100 score and its parts (0..1).
+ * Time is read minutes against the chapters' minute targets, or the chapter
+ * share when no chapter has one. Revision is the share of all chapters that are
+ * completed, revised at least once and not due again yet.
+ */
+const getSubjectReadiness = (subject, todayKey) => {
+    const chapters = subject.chapters;
+    if (chapters.length === 0) return { score: 0, chapters: 0, time: 0, revision: 0 };
+
+    const chapterShare = chapters.filter(c => c.is_completed).length / chapters.length;
+    const targeted = chapters.filter(c => c.total > 0);
+    const targetMinutes = targeted.reduce((sum, c) => sum + c.total, 0);
+    const time = targetMinutes > 0
+        ? targeted.reduce((sum, c) => sum + Math.min(c.read || 0, c.total), 0) / targetMinutes
+        : chapterShare;
+    const revision = chapters.filter(c => c.is_completed && c.revision?.lastReviewed && c.revision.dueDate > todayKey).length / chapters.length;
+
+    const score = READINESS_WEIGHTS.chapters * chapterShare + READINESS_WEIGHTS.time * time + READINESS_WEIGHTS.revision * revision;
+    return { score: Math.round(score * 100), chapters: chapterShare, time, revision };
+};
+
+/**
+ * Countdown, readiness and pace check for a subject's exam, or null when it has
+ * no exam on or after `todayKey`. `fits` is false when the open chapters won't
+ * be finished before the exam day at the recent pace (see projectSubjectFinish),
+ * and null when the remaining work can't be estimated. `neededPace` is the
+ * daily minutes that would finish them before the exam day.
+ */
+const getExamOutlook = (subject, dailyTotals, todayKey) => {
+    if (!subject.examDate || subject.examDate < todayKey) return null;
+    const daysLeft = daysBetweenKeys(todayKey, subject.examDate);
+    const projection = projectSubjectFinish(subject, dailyTotals, todayKey);
+
+    let fits = true;
+    if (!projection.finished) {
+        if (projection.remainingMinutes > 0) fits = projection.date !== null && toDateKey(projection.date) < subject.examDate;
+        else if (!projection.targetsReached) fits = null;
+    }
+    return {
+        subjectId: subject.id,
+        subjectName: subject.name,
+        examDate: subject.examDate,
+        daysLeft,
+        readiness: getSubjectReadiness(subject, todayKey),
+        projection,
+        fits,
+        neededPace: projection.remainingMinutes > 0 ? projection.remainingMinutes / Math.max(daysLeft, 1) : 0,
+    };
+};
+
+/**
+ * Outlooks of the subjects with an upcoming exam, soonest first.
+ */
+const getUpcomingExams = (subjects, dailyTotals, todayKey) => subjects
+    .map(subject => getExamOutlook(subject, dailyTotals, todayKey))
+    .filter(Boolean)
+    .sort((a, b) => a.examDate.localeCompare(b.examDate));
+
+// ====================================================================
+// Shared Activity (admin-readable)
+// ====================================================================
+// Every history record is mirrored into `activity` (same document ID) as a
+// sanitized summary, and summed into one `dailyStats` document per user and day.
+
+// Firestore Timestamps come back from transaction reads; Dates from the app.
+const toJsDate = (value) => (value?.toDate ? value.toDate() : value);
+
+const getDailyStatId = (userId, dateKey) => `${userId}_${dateKey}`;
+
+/**
+ * Names, minutes and date of a history record; no session timings or internal IDs.
+ */
+const toActivitySummary = (record) => ({
+    userId: record.userId,
+    subjectName: record.subjectName,
+    chapterName: record.chapterName,
+    durationMinutes: record.durationMinutes,
+    pagesRead: record.pagesRead || 0,
+    date: toJsDate(record.date),
+});
+
+/**
+ * Mirrors a history change inside a transaction. `before` and `after` are the
+ * record's data before and after the change, null when it is added or deleted.
+ * Daily totals, and the user's member stats in `groupIds`, move by increments,
+ * so nothing has to be read first. They use the plain calendar day rather than
+ * the user's day settings, which can change between an increment and its reversal.
+ */
+const writeSharedActivity = (db, transaction, recordId, before, after, groupIds = []) => {
+    const deltas = {};
+    const addDelta = (record, sign) => {
+        const id = getDailyStatId(record.userId, toDateKey(toJsDate(record.date)));
+        const delta = deltas[id] || (deltas[id] = { userId: record.userId, date: toDateKey(toJsDate(record.date)), minutes: 0, sessions: 0 });
+        delta.minutes += sign * record.durationMinutes;
+        delta.sessions += sign;
+    };
+    if (before) addDelta(before, -1);
+    if (after) addDelta(after, 1);
+
+    // One write per day document; an edit that keeps the day nets out here
+    Object.entries(deltas).forEach(([id, delta]) => {
+        transaction.set(doc(db, getPublicDataPath('dailyStats'), id), {
+            userId: delta.userId,
+            date: delta.date,
+            minutes: increment(delta.minutes),
+            sessions: increment(delta.sessions),
+        }, { merge: true });
+        groupIds.forEach(groupId => {
+            transaction.set(doc(db, getGroupPath(groupId, 'members'), delta.userId), {
+                totalMinutes: increment(delta.minutes),
+                minutesByDay: { [delta.date]: increment(delta.minutes) },
+            }, { merge: true });
+        });
+    });
+
+    const activityRef = doc(db, getPublicDataPath('activity'), recordId);
+    if (after) transaction.set(activityRef, toActivitySummary(after));
+    else transaction.delete(activityRef);
+};
+
+/**
+ * Per-user totals, overall total and minutes per day from `dailyStats` documents.
+ */
+const aggregateDailyStats = (dailyStats) => {
+    const users = {};
+    const minutesByDay = {};
+    let totalMinutes = 0;
+    dailyStats
+        .filter(stat => stat.sessions > 0)
+        .forEach(stat => {
+            const user = users[stat.userId] || (users[stat.userId] = { userId: stat.userId, minutes: 0, sessions: 0, lastDate: stat.date });
+            user.minutes += stat.minutes;
+            user.sessions += stat.sessions;
+            if (stat.date > user.lastDate) user.lastDate = stat.date;
+            minutesByDay[stat.date] = (minutesByDay[stat.date] || 0) + stat.minutes;
+            totalMinutes += stat.minutes;
+        });
+    return { users: Object.values(users).sort((a, b) => b.minutes - a.minutes), minutesByDay, totalMinutes };
+};
+
+// ====================================================================
+// Daily Totals
+// ====================================================================
+// Statistics are read from one private `dailyTotals` document per study day
+// (see getDayKey) rather than from every history record. A day holds its
+// minutes, sessions, span and pauses, and per subject its name, minutes (of
+// which `revisionMinutes` were revision) and per-chapter minutes and sessions.
+// Each history change moves them by
+// increments in its own transaction. Days are keyed under the day settings
+// named by `totalsCalendar` on the goals document; when those settings change
+// the totals are counted again from the full history.
+
+// Raised when the totals hold new figures, so totals kept before are counted again
+const TOTALS_VERSION = 2;
+
+/**
+ * Identifies the day settings that decide which day a record belongs to, along
+ * with the version of the totals kept under them.
+ */
+const getCalendarId = ({ timeZone = '', dayStartHour = 0 } = {}) => `${TOTALS_VERSION}|${timeZone}|${dayStartHour}`;
+
+/**
+ * The goals document when the totals are kept under its day settings, or null
+ * while they have to be counted again.
+ */
+const getTotalsCalendar = (goals) => (goals && goals.totalsCalendar === getCalendarId(goals) ? goals : null);
+
+/**
+ * Adds a history record to `totals` (day key -> day totals), or takes it off with `sign` -1.
+ */
+const addToDailyTotals = (totals, record, sign, calendar) => {
+    const key = getDayKey(toJsDate(record.date), calendar);
+    const day = totals[key] || (totals[key] = { date: key, minutes: 0, sessions: 0, spanMinutes: 0, pausedMinutes: 0, subjects: {} });
+    day.minutes += sign * record.durationMinutes;
+    day.sessions += sign;
+    day.spanMinutes += sign * (record.spanMinutes ?? record.durationMinutes);
+    day.pausedMinutes += sign * (record.pausedMinutes || 0);
+
+    const subject = day.subjects[record.subjectId] || (day.subjects[record.subjectId] = { minutes: 0, chapters: {} });
+    subject.name = record.subjectName;
+    subject.minutes += sign * record.durationMinutes;
+    if (isRevisionRecord(record)) subject.revisionMinutes = (subject.revisionMinutes || 0) + sign * record.durationMinutes;
+    // Records from before stable chapter IDs only count towards their subject
+    if (record.chapterId) {
+        const chapter = subject.chapters[record.chapterId] || (subject.chapters[record.chapterId] = { minutes: 0, sessions: 0 });
+        chapter.minutes += sign * record.durationMinutes;
+        chapter.sessions += sign;
+    }
+};
+
+/**
+ * Day totals of a full history, keyed by day.
+ */
+const getDailyTotals = (history, calendar) => {
+    const totals = {};
+    history.forEach(record => addToDailyTotals(totals, record, 1, calendar));
+    return totals;
+};
+
+// Every number of a day's totals becomes an increment; the date and names are set
+const toIncrements = (value) => {
+    if (typeof value === 'number') return increment(value);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toIncrements(v)]));
+    return value;
+};
+
+/**
+ * Moves the daily totals for a history change inside a transaction, like
+ * writeSharedActivity. `goals` is the goals document's data read in the same
+ * transaction. While the totals wait to be counted again only the goals'
+ * `totalsChanges` counter moves, which tells a running count that the history
+ * it read is out of date (see countDailyTotals).
+ */
+const writeDailyTotals = (db, transaction, userId, before, after, goals) => {
+    const calendar = getTotalsCalendar(goals);
+    if (!calendar) {
+        transaction.set(doc(db, getPrivateUserPath(userId, 'settings'), 'goals'), { totalsChanges: increment(1) }, { merge: true });
+        return;
+    }
+    const totals = {};
+    if (before) addToDailyTotals(totals, before, -1, calendar);
+    if (after) addToDailyTotals(totals, after, 1, calendar);
+    Object.values(totals).forEach(day => {
+        transaction.set(doc(db, getPrivateUserPath(userId, 'dailyTotals'), day.date), toIncrements(day), { merge: true });
+    });
+};
+
+/**
+ * Minutes per day from daily totals.
+ */
+const getTotalMinutesByDay = (dailyTotals) => Object.fromEntries(dailyTotals.map(day => [day.date, day.minutes]));
+
+// History records the app keeps per page; older pages load on request
+const HISTORY_PAGE_SIZE = 50;
+
+// Wait before counting the daily totals again after a failed count
+const TOTALS_RETRY_MS = 60 * 1000;
+
+/**
+ * Every history record of a user, newest first. The app only keeps the latest
+ * pages of history, so whatever needs all of it reads it here.
+ */
+const readHistory = async (db, userId) => {
+    const snapshot = await getDocs(query(collection(db, getPrivateUserPath(userId, 'history')), orderBy('date', 'desc')));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data(), date: toJsDate(d.data().date) }));
+};
+
+// ====================================================================
+// Study Groups
+// ====================================================================
+// A group document in the shared `groups` collection lists its member IDs and
+// is found by its invite code through `groupInvites/{code}`. Every member keeps
+// their own `members/{uid}` stats current and posts completed chapters to `feed`.
+
+const getGroupPath = (groupId, collectionName) =>
+    `${getPublicDataPath('groups')}/${groupId}/${collectionName}`;
+
+// No 0/O or 1/I, so codes can be read out loud
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// New codes to try when the drawn one is already in use
+const INVITE_CODE_ATTEMPTS = 5;
+
+const createInviteCode = () =>
+    Array.from({ length: 6 }, () => INVITE_CODE_CHARS[Math.floor(Math.random() * INVITE_CODE_CHARS.length)]).join('');
+
+/**
+ * Chapters in `after` that are complete and weren't in `before`.
+ */
+const getNewlyCompletedChapters = (before, after) =>
+    after.filter(c => isChapterComplete(c) && !isChapterComplete(before.find(b => b.id === c.id) || {}));
+
+/**
+ * Adds a feed entry for each newly completed chapter to every group, inside a transaction.
+ */
+const writeGroupFeed = (db, transaction, groupIds, entry, chapters) => {
+    groupIds.forEach(groupId => {
+        chapters.forEach(chapter => {
+            transaction.set(doc(collection(db, getGroupPath(groupId, 'feed'))), {
+                ...entry,
+                chapterName: chapter.name,
+                completedAt: new Date(),
+            });
+        });
+    });
+};
+
+/**
+ * Members with today's, this week's and all-time minutes, best first by `period`.
+ */
+const getLeaderboard = (members, period, todayKey) => {
+    const weekStartKey = getWeekStartKey(todayKey);
+    return members
+        .map(member => {
+            const byDay = member.minutesByDay || {};
+            const weekly = Object.entries(byDay)
+                .filter(([key]) => key >= weekStartKey && key <= todayKey)
+                .reduce((sum, [, minutes]) => sum + minutes, 0);
+            return { ...member, daily: byDay[todayKey] || 0, weekly, allTime: member.totalMinutes || 0 };
+        })
+        .sort((a, b) => b[period] - a[period]);
+};
+
+// ====================================================================
+// Mentoring
+// ====================================================================
+// A student shares a progress summary in `students/{uid}`, readable by the
+// mentors they added. Mentors push subject templates to `assignments`, which
+// the student's app turns into subjects.
+
+// Days of reading history included in the shared progress
+const PROGRESS_HISTORY_DAYS = 28;
+
+/**
+ * Unfinished chapters with their progress, as listed on the dashboard.
+ */
+const getChapterProgressItems = (subjects) => subjects.flatMap(s =>
+    s.chapters
+        .filter(c => !c.is_completed)
+        .map(c => ({
+            id: `${s.id}/${c.id}`,
+            subjectId: s.id,
+            chapterId: c.id,
+            subjectName: s.name,
+            chapterName: c.name,
+            progress: getChapterProgress(c),
+            pagesRead: c.pagesRead || 0,
+            pageCount: getChapterPageCount(c),
+        }))
+);
+
+/**
+ * The progress summary a student shares with their mentors.
+ */
+const buildStudentProgress = ({ subjects, dailyTotals, settings, plans }, today = new Date()) => {
+    const todayKey = getDayKey(today, settings);
+    const firstKey = addDaysToKey(todayKey, -(PROGRESS_HISTORY_DAYS - 1));
+    const minutesByDay = {};
+    dailyTotals
+        .filter(day => day.date >= firstKey)
+        .forEach(day => { minutesByDay[day.date] = Math.round(day.minutes); });
+    const lastReadKey = dailyTotals.reduce((latest, day) => (!latest || day.date > latest ? day.date : latest), null);
+
+    return {
+        subjects: subjects.map(subject => {
+            const plan = plans.find(p => p.subjectId === subject.id);
+            return {
+                id: subject.id,
+                name: subject.name,
+                chapterCount: subject.chapters.length,
+                completedCount: subject.chapters.filter(c => c.is_completed).length,
+                planBehind: plan ? getPlanStatus(plan, subject, todayKey).isBehind : false,
+            };
+        }),
+        openChapters: getChapterProgressItems(subjects),
+        minutesByDay,
+        lastReadKey,
+        dailyGoalMinutes: settings.dailyGoalMinutes,
+        weeklyGoalMinutes: settings.weeklyGoalMinutes,
+        weekStartDay: settings.weekStartDay || 0,
+    };
+};
+
+/**
+ * Goal compliance over the last seven days, and this week's minutes against the weekly goal.
+ */
+const getGoalCompliance = (progress, todayKey) => {
+    const byDay = progress.minutesByDay || {};
+    let daysMet = 0;
+    for (let i = 0; i < 7; i++) {
+        if ((byDay[addDaysToKey(todayKey, -i)] || 0) >= progress.dailyGoalMinutes) daysMet++;
+    }
+    const weekStartKey = getWeekStartKey(todayKey, progress.weekStartDay);
+    const weeklyMinutes = Object.entries(byDay)
+        .filter(([key]) => key >= weekStartKey && key <= todayKey)
+        .reduce((sum, [, minutes]) => sum + minutes, 0);
+    // The share of the weekly goal that should be done by the end of today
+    const expectedWeekly = progress.weeklyGoalMinutes * (daysBetweenKeys(weekStartKey, todayKey) + 1) / 7;
+    return { daysMet, weeklyMinutes, expectedWeekly };
+};
+
+// Days without reading before a student is flagged
+const INACTIVE_FLAG_DAYS = 3;
+
+/**
+ * Reasons a student counts as falling behind, in the language of `t`; empty when on track.
+ */
+const getStudentFlags = (progress, todayKey, t) => {
+    const flags = [];
+    const compliance = getGoalCompliance(progress, todayKey);
+    if (progress.subjects.some(s => s.planBehind)) flags.push(t('flag.planBehind'));
+    if (progress.dailyGoalMinutes > 0 && compliance.daysMet < 4) flags.push(t('flag.dailyGoal', { count: compliance.daysMet }));
+    if (compliance.weeklyMinutes < compliance.expectedWeekly) flags.push(t('flag.weeklyGoal'));
+    const idleDays = progress.lastReadKey ? daysBetweenKeys(progress.lastReadKey, todayKey) : null;
+    if (idleDays === null || idleDays >= INACTIVE_FLAG_DAYS) flags.push(idleDays === null ? t('flag.notStarted') : t('flag.idle', { count: idleDays }));
+    return flags;
+};
+
+// ====================================================================
+// Backup, Export and Import
+// ====================================================================
+// A backup holds the user's documents as stored, keyed by document ID, so a
+// restore writes them back under the same IDs. Dates are kept as {"$date": ISO}.
+
+const BACKUP_VERSION = 1;
+
+// Collections of the user's private data that a backup covers
+const BACKUP_COLLECTIONS = ['subjects', 'history', 'settings', 'plans', 'routineLog'];
+
+// Import preview state, held by App for BackupSettings
+const EMPTY_BACKUP_IMPORT = { plan: null, replaceGoals: false, isImporting: false, message: '' };
+
+const toBackupValue = (value) => {
+    if (value?.toDate) return { $date: value.toDate().toISOString() };
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (Array.isArray(value)) return value.map(toBackupValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toBackupValue(v)]));
+    }
+    return value;
+};
+
+const fromBackupValue = (value) => {
+    if (Array.isArray(value)) return value.map(fromBackupValue);
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fromBackupValue(v)]));
+    }
+    return value;
+};
+
+/**
+ * Checks a parsed backup file and converts its dates; throws with a message key for the user.
+ */
+const parseBackup = (json) => {
+    const backup = JSON.parse(json);
+    if (!backup || backup.version !== BACKUP_VERSION || typeof backup.collections !== 'object') {
+        throw new Error('backup.notABackup');
+    }
+    const collections = {};
+    BACKUP_COLLECTIONS.forEach(name => {
+        collections[name] = fromBackupValue(backup.collections[name] || {});
+    });
+    return { ...backup, collections };
+};
+
+/**
+ * The user's private collections as a backup, read from storage rather than
+ * app state, which only holds the last 30 days of routine logs.
+ */
+const readBackup = async (db, userId) => {
+    const collections = {};
+    for (const name of BACKUP_COLLECTIONS) {
+        const snapshot = await getDocs(collection(db, getPrivateUserPath(userId, name)));
+        collections[name] = {};
+        snapshot.docs.forEach(d => { collections[name][d.id] = toBackupValue(d.data()); });
+    }
+    // Bookkeeping for the shared collections, not user data
+    if (collections.settings.goals) {
+        delete collections.settings.goals.activityShared;
+        delete collections.settings.goals.totalsCalendar;
+        delete collections.settings.goals.totalsChanges;
+    }
+    return { version: BACKUP_VERSION, appId, exportedAt: new Date().toISOString(), collections };
+};
+
+const toCsvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * History as CSV for spreadsheets, oldest first.
+ */
+const historyToCsv = (history) => {
+    const header = ['date', 'subject', 'chapter', 'minutes', 'pages', 'started_at', 'span_minutes', 'paused_minutes', 'pomodoro_cycle', 'manual', 'type', 'recall_quality'];
+    const rows = [...history]
+        .sort((a, b) => a.date - b.date)
+        .map(record => [
+            record.date.toISOString(),
+            record.subjectName,
+            record.chapterName,
+            record.durationMinutes,
+            record.pagesRead || 0,
+            record.startedAt ? toJsDate(record.startedAt).toISOString() : '',
+            record.spanMinutes ?? '',
+            record.pausedMinutes ?? '',
+            record.cycle ?? '',
+            record.manual ? 'yes' : '',
+            record.type || 'reading',
+            record.quality ?? '',
+        ]);
+    return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+};
+
+const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoked later: revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+/**
+ * Dry run of an import. Subjects already in the account (same ID, or same name)
+ * are kept and the backup's records are pointed at them; records already in the
+ * account (same ID, or same subject, chapter, time and minutes) are skipped.
+ * Returns what would be written and what was skipped, without writing anything.
+ */
+const planBackupImport = (backup, current) => {
+    const { subjects: backupSubjects, history: backupHistory, plans: backupPlans, settings: backupSettings, routineLog } = backup.collections;
+    const normalize = (name) => (name || '').trim().toLowerCase();
+
+    const subjectIdMap = {};
+    const newSubjects = [];
+    const skippedSubjects = [];
+    Object.entries(backupSubjects).forEach(([id, subject]) => {
+        const existing = current.subjects.find(s => s.id === id) || current.subjects.find(s => normalize(s.name) === normalize(subject.name));
+        subjectIdMap[id] = existing ? existing.id : id;
+        if (existing) skippedSubjects.push(subject.name);
+        else newSubjects.push({ id, ...subject });
+    });
+
+    const recordKey = (record) => `${record.subjectId}|${normalize(record.chapterName)}|${toJsDate(record.date).getTime()}|${record.durationMinutes}`;
+    const existingKeys = new Set(current.history.map(recordKey));
+    const newHistory = [];
+    let duplicateCount = 0;
+    Object.entries(backupHistory).forEach(([id, record]) => {
+        const subjectId = subjectIdMap[record.subjectId] || record.subjectId;
+        const mapped = { id, ...record, subjectId };
+        const existingSubject = current.subjects.find(s => s.id === subjectId);
+        if (existingSubject) {
+            mapped.chapterId = resolveChapterId(existingSubject.chapters, record) || record.chapterId;
+        }
+        if (current.history.some(h => h.id === id) || existingKeys.has(recordKey(mapped))) {
+            duplicateCount++;
+        } else {
+            existingKeys.add(recordKey(mapped));
+            newHistory.push(mapped);
+        }
+    });
+
+    const newPlans = Object.entries(backupPlans)
+        .map(([, plan]) => ({ ...plan, subjectId: subjectIdMap[plan.subjectId] || plan.subjectId }))
+        .filter(plan => !current.plans.some(p => p.subjectId === plan.subjectId));
+
+    const existingItemIds = new Set(current.routineItems.map(item => item.id));
+    const newRoutineItems = (backupSettings.routine?.items || [])
+        .filter(item => !existingItemIds.has(item.id))
+        .map(item => ({ ...item, subjectId: subjectIdMap[item.subjectId] || item.subjectId }));
+
+    return {
+        newSubjects,
+        skippedSubjects,
+        newHistory,
+        duplicateCount,
+        newPlans,
+        newRoutineItems,
+        routineLog,
+        goals: backupSettings.goals || null,
+        exportedAt: backup.exportedAt,
+    };
+};
+
+// ====================================================================
+// Table of Contents Import
+// ====================================================================
+// A pasted or uploaded table of contents is parsed into a flat list of entries
+// with a depth (0 = chapter, 1+ = section). The preview edits that list and
+// tocToChapters turns it into the subject's chapters.
+
+/**
+ * @typedef {Object} TocEntry
+ * @property {string} name - Chapter or section name.
+ * @property {number} depth - 0 for a chapter, 1 or more for a section.
+ * @property {number|string} pageStart - First page, or '' when unknown.
+ * @property {number|string} pageEnd - Last page, or '' when unknown.
+ * @property {number|string} total - Target minutes, or '' for the default.
+ */
+
+const BENGALI_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+const toAsciiDigits = (text) => text.replace(/[০-৯]/g, d => String(BENGALI_DIGITS.indexOf(d)));
+
+const toTocNumber = (value) => {
+    const number = parseInt(toAsciiDigits(String(value ?? '').trim()), 10);
+    return number > 0 ? number : '';
+};
+
+const createTocEntry = (name, depth = 0, pageStart = '', pageEnd = '', total = '') => ({
+    name: String(name || '').trim(),
+    depth,
+    pageStart: toTocNumber(pageStart),
+    pageEnd: toTocNumber(pageEnd),
+    total: toTocNumber(total),
+});
+
+// Splits one CSV line, honouring double quotes around fields that contain the delimiter.
+const splitCsvLine = (line, delimiter) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+};
+
+const TOC_NUMBER_FIELD = /^\s*[0-9০-৯]+\s*$/;
+
+// The delimiter that splits most lines into a name followed by a page number.
+const detectCsvDelimiter = (lines) => {
+    let best = null;
+    ['\t', ';', ','].forEach(delimiter => {
+        const matches = lines.filter(line => {
+            const fields = splitCsvLine(line, delimiter);
+            return fields.length >= 2 && TOC_NUMBER_FIELD.test(fields[1]);
+        }).length;
+        if (matches > 0 && (!best || matches > best.matches)) best = { delimiter, matches };
+    });
+    return best;
+};
+
+/**
+ * 'json', 'csv' (most lines are a name followed by page numbers) or 'lines'.
+ */
+const detectTocFormat = (text) => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    const best = detectCsvDelimiter(lines);
+    return best && best.matches >= lines.length * 0.6 ? 'csv' : 'lines';
+};
+
+// Header names recognised in a CSV's first row
+const TOC_CSV_COLUMNS = {
+    name: ['name', 'chapter', 'title', 'অধ্যায়', 'নাম'],
+    pageStart: ['page', 'pages', 'start', 'pagestart', 'page_start', 'from', 'পৃষ্ঠা'],
+    pageEnd: ['end', 'pageend', 'page_end', 'to'],
+    total: ['minutes', 'target', 'total', 'মিনিট', 'লক্ষ্য'],
+    depth: ['level', 'depth'],
+};
+
+/**
+ * CSV (comma, semicolon or tab separated) with an optional header row. Without a
+ * header the columns are name, first page, last page and target minutes.
+ */
+const parseTocCsv = (text) => {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const delimiter = detectCsvDelimiter(lines)?.delimiter || ',';
+    const rows = lines.map(line => splitCsvLine(line, delimiter));
+
+    let columns = { name: 0, pageStart: 1, pageEnd: 2, total: 3, depth: -1 };
+    if (rows.length > 0 && !rows[0].slice(1).some(field => TOC_NUMBER_FIELD.test(field))) {
+        const header = rows.shift().map(field => field.trim().toLowerCase());
+        const found = Object.fromEntries(Object.entries(TOC_CSV_COLUMNS).map(([key, names]) =>
+            [key, header.findIndex(field => names.includes(field))]
+        ));
+        if (found.name >= 0) columns = found;
+    }
+
+    return rows.map(row => {
+        const depth = columns.depth >= 0 ? Math.max(0, (toTocNumber(row[columns.depth]) || 1) - 1) : 0;
+        return createTocEntry(row[columns.name], depth, row[columns.pageStart], row[columns.pageEnd], row[columns.total]);
+    }).filter(entry => entry.name !== '');
+};
+
+// Trailing page number (or range) after dot leaders, a tab, two spaces or "p."
+const TOC_TRAILING_PAGES = /^(.*?)(?:\s*(?:\.{2,}|…+)\s*|\t+|\s{2,}|\s+pp?\.\s*)([0-9০-৯]+)(?:\s*[-–]\s*([0-9০-৯]+))?\s*$/;
+
+/**
+ * One chapter per line. Sections are marked by indentation, by markdown headings
+ * (# chapter, ## section) or by dotted numbering (1.2 is a section of 1).
+ */
+const parseTocLines = (text) => {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const indentWidth = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    const indents = [...new Set(lines.filter(line => !/^\s*#/.test(line)).map(indentWidth))].sort((a, b) => a - b);
+
+    let headingDepth = -1;
+    return lines.map(line => {
+        let name = line.trim();
+        // Plain lines under a markdown heading are its sections
+        let depth = headingDepth + 1 + indents.indexOf(indentWidth(line));
+
+        const heading = name.match(/^(#+)\s*(.*)$/);
+        if (heading) {
+            depth = headingDepth = heading[1].length - 1;
+            name = heading[2];
+        }
+        name = name.replace(/^[-*•▪◦]\s+/, '');
+        const numbering = toAsciiDigits(name).match(/^(\d+(?:\.\d+)+)\.?\s/);
+        if (numbering && !heading && depth === headingDepth + 1) depth += numbering[1].split('.').length - 1;
+
+        const pages = name.match(TOC_TRAILING_PAGES);
+        return pages
+            ? createTocEntry(pages[1], Math.max(0, depth), pages[2], pages[3])
+            : createTocEntry(name, Math.max(0, depth));
+    }).filter(entry => entry.name !== '');
+};
+
+/**
+ * An array of chapters, or an object with a `chapters` array. Each chapter is a
+ * name or an object with name/title, pages and nested sections/children.
+ */
+const parseTocJson = (text) => {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : (data?.chapters || data?.toc);
+    if (!Array.isArray(list)) throw new Error('toc.noChapterList');
+
+    const entries = [];
+    const walk = (items, depth) => items.forEach(item => {
+        if (typeof item === 'string') {
+            entries.push(createTocEntry(item, depth));
+            return;
+        }
+        if (!item || typeof item !== 'object') return;
+        entries.push(createTocEntry(
+            item.name ?? item.title,
+            depth,
+            item.pageStart ?? item.page ?? item.start,
+            item.pageEnd ?? item.end,
+            item.total ?? item.minutes ?? item.target,
+        ));
+        const children = item.sections || item.children;
+        if (Array.isArray(children)) walk(children, depth + 1);
+    });
+    walk(list, 0);
+    return entries.filter(entry => entry.name !== '');
+};
+
+/**
+ * An entry with a first page but no last page ends just before the next entry at
+ * the same or a higher level, so a chapter's range covers its sections.
+ */
+const fillTocPageEnds = (entries) => entries.map((entry, index) => {
+    if (!entry.pageStart || entry.pageEnd) return entry;
+    const next = entries.slice(index + 1).find(e => e.depth <= entry.depth && e.pageStart);
+    if (!next) return entry;
+    return { ...entry, pageEnd: Math.max(entry.pageStart, next.pageStart - 1) };
+});
+
+/**
+ * Parses a table of contents in any supported format; throws with a message key for the user.
+ */
+const parseToc = (text) => {
+    const format = detectTocFormat(text);
+    let entries;
+    if (format === 'json') {
+        try {
+            entries = parseTocJson(text);
+        } catch (e) {
+            throw new Error(e instanceof SyntaxError ? 'toc.invalidJson' : e.message);
+        }
+    } else {
+        entries = format === 'csv' ? parseTocCsv(text) : parseTocLines(text);
+    }
+    return { format, entries: fillTocPageEnds(entries) };
+};
+
+/**
+ * Chapters for saveSubject. With nestSections, deeper entries are kept as section
+ * names on the chapter above them; otherwise every entry becomes a chapter.
+ */
+const tocToChapters = (entries, { nestSections, defaultTarget = 0 }) => {
+    const chapters = [];
+    entries.filter(entry => entry.name.trim() !== '').forEach(entry => {
+        const parent = chapters[chapters.length - 1];
+        if (nestSections && entry.depth > 0 && parent) {
+            parent.sections = [...(parent.sections || []), entry.name.trim()];
+            return;
+        }
+        chapters.push({
+            id: createChapterId(),
+            name: entry.name.trim(),
+            total: toTocNumber(entry.total) || defaultTarget,
+            pageStart: toTocNumber(entry.pageStart) || null,
+            pageEnd: toTocNumber(entry.pageEnd) || null,
+            read: 0,
+            is_completed: false,
+        });
+    });
+    return chapters;
+};
+
+// The import form's contents, held by App for TocImport
+const EMPTY_TOC_DRAFT = { subjectName: '', tocText: '', entries: null, format: '', nestSections: true, defaultTarget: '', message: '', isSaving: false };
+
+// The subject editor's contents, held by App for SubjectEditor
+const createSubjectDraft = (subject) => ({
+    subjectId: subject.id,
+    name: subject.name,
+    examDate: subject.examDate || '',
+    chapters: subject.chapters.map(c => ({
+        id: c.id,
+        name: c.name,
+        total: c.total || 0,
+        pageStart: c.pageStart || '',
+        pageEnd: c.pageEnd || '',
+        read: c.read || 0,
+    })),
+    newChapterName: '',
+    isSaving: false,
+});
+
+// ====================================================================
+// Main Application Component
+// ====================================================================
+
+const App = () => {
+    const [auth, setAuth] = useState(null);
+    const [db, setDb] = useState(null);
+    const [user, setUser] = useState(null);
+    const [, setUserVersion] = useState(0); // bumped when the User changes in place
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [needsSignIn, setNeedsSignIn] = useState(false);
+    const [currentView, setCurrentView] = useState('dashboard');
+
+    // State for data fetching
+    const [subjects, setSubjects] = useState([]);
+    const [history, setHistory] = useState([]); // latest records, newest first
+    const [historyLimit, setHistoryLimit] = useState(HISTORY_PAGE_SIZE);
+    const [dailyTotals, setDailyTotals] = useState([]);
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    // Until the goals document arrives, `settings` holds the defaults and so the calendar day
+    const [settingsLoaded, setSettingsLoaded] = useState(false);
+    const [deviceLanguage, setDeviceLanguage] = useState(loadDeviceLanguage);
+    const [plans, setPlans] = useState([]);
+    const [routineItems, setRoutineItems] = useState([]);
+    const [routineLogs, setRoutineLogs] = useState({});
+    const [activeSession, setActiveSession] = useState(null);
+    const [recoveryPending, setRecoveryPending] = useState(false);
+    const [trackerMessage, setTrackerMessage] = useState('');
+    const [pomodoroCue, setPomodoroCue] = useState(null);
+    const [role, setRole] = useState(DEFAULT_ROLE);
+    const [groups, setGroups] = useState([]);
+    const [mentorIds, setMentorIds] = useState([]);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [pendingReadings, setPendingReadings] = useState([]);
+    const [pendingWrites, setPendingWrites] = useState({}); // listener name -> has unsynced local writes
+    const [lastSyncedAt, setLastSyncedAt] = useState(null);
+    const [backupImport, setBackupImport] = useState(EMPTY_BACKUP_IMPORT);
+    // A ref, so typing in the form doesn't re-render App; see TocImport
+    const tocDraft = useRef(EMPTY_TOC_DRAFT);
+    const subjectDraft = useRef(null); // the subject being edited, if any; see SubjectEditor
+    const [, setDraftVersion] = useState(0); // bumped to show a changed tocDraft or subjectDraft
+
+    const currentUserId = user ? user.uid : null;
+    const parkedReadings = useMemo(() => pendingReadings.filter(entry => entry.parked), [pendingReadings]);
+    const activeSubjects = useMemo(() => subjects.filter(s => !s.archived), [subjects]);
+    // Plans of archived subjects are kept but neither shown as due nor rebalanced
+    const activePlans = useMemo(
+        () => plans.filter(plan => !subjects.find(s => s.id === plan.subjectId)?.archived),
+        [plans, subjects],
+    );
+    const isAdmin = role === 'admin';
+    const isTeacher = role === 'teacher' || isAdmin;
+    // The user's choice once the settings load; until then the one last used on this device
+    const language = LANGUAGES[settings.language] ? settings.language : deviceLanguage;
+    const locale = useMemo(() => createLocale(language), [language]);
+    const { t, formatNumber, formatDate, formatDateTime, formatClock, formatTime, formatMinutesToHHMM, getDayName, getWeekdayName } = locale;
+
+    // ----------------------------------------------------------------
+    // 1. Initialization and Authentication
+    // ----------------------------------------------------------------
+    useEffect(() => {
+        if (isLocalMode) {
+            // No accounts: everything is stored in this browser under one local user
+            const store = createLocalStore();
+            setDb(store);
+            getDoc(doc(store, getPublicDataPath('profiles'), LOCAL_USER_ID))
+                .then(profile => setUser({ ...LOCAL_USER, displayName: profile.data()?.displayName || null }))
+                .finally(() => setLoading(false));
+            // Other tabs open on the same data
+            return syncLocalStore(store);
+        }
+
+        try {
+            const app = initializeApp(firebaseConfig);
+            const authInstance = getAuth(app);
+            // Cached data and queued writes survive reloads and are shared between tabs
+            const dbInstance = firestore.initializeFirestore(app, {
+                localCache: firestore.persistentLocalCache({ tabManager: firestore.persistentMultipleTabManager() }),
+            });
+            setAuth(authInstance);
+            setDb(dbInstance);
+
+            const unsubscribe = onAuthStateChanged(authInstance, async (authUser) => {
+                if (authUser) {
+                    setUser(authUser);
+                    setNeedsSignIn(false);
+                    console.log("Authenticated User:", authUser.uid);
+                    setLoading(false);
+                } else if (initialAuthToken) {
+                    setUser(null);
+                    try {
+                        await signInWithCustomToken(authInstance, initialAuthToken);
+                    } catch (e) {
+                        setError(t('auth.failed', { error: e.message }));
+                        setLoading(false);
+                    }
+                } else {
+                    // Let the user pick an account or continue as a guest (anonymous)
+                    setUser(null);
+                    setNeedsSignIn(true);
+                    setLoading(false);
+                }
+            });
+
+            return () => unsubscribe();
+        } catch (e) {
+            setError(t('app.firebaseInitFailed', { error: e.message }));
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+        saveDeviceLanguage(language);
+    }, [language]);
+
+    // Connection state, and the installable app shell (public/sw.js)
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        if (!document.querySelector('link[rel="manifest"]')) {
+            const link = document.createElement('link');
+            link.rel = 'manifest';
+            link.href = '/manifest.webmanifest';
+            document.head.appendChild(link);
+        }
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(e => console.error("Service worker registration failed:", e));
+        }
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    /**
+     * Account Actions
+     * A guest (anonymous) account is upgraded by linking the credential to it,
+     * so its subjects and history stay under the same UID. In local mode only
+     * the display name can be changed; it is kept in the local profile.
+     * Each returns an error message, or null on success.
+     */
+    // Firebase keeps a single User object and updates it in place; a copy would lose its methods
+    const refreshUser = useCallback((account) => {
+        setUser(account);
+        setUserVersion(version => version + 1);
+    }, []);
+
+    const saveDisplayName = useCallback(async (displayName, account = auth?.currentUser || (user?.isLocal ? user : null)) => {
+        if (!db || !account) return t('account.notSignedIn');
+        const name = displayName.trim();
+        try {
+            if (!account.isLocal) await updateProfile(account, { displayName: name || null });
+            await setDoc(doc(db, getPublicDataPath('profiles'), account.uid), { displayName: name, updatedAt: new Date() }, { merge: true });
+            await Promise.all(groups.map(group =>
+                setDoc(doc(db, getGroupPath(group.id, 'members'), account.uid), { displayName: name }, { merge: true })
+            ));
+            // updateProfile doesn't fire onAuthStateChanged. The local user is a plain object.
+            if (account.isLocal) setUser({ ...account, displayName: name || null });
+            else refreshUser(account);
+            return null;
+        } catch (e) {
+            console.error("Error saving display name:", e);
+            return t('account.nameSaveFailed');
+        }
+    }, [db, auth, user, groups, refreshUser, t]);
+
+    const registerWithEmail = useCallback(async (email, password, displayName) => {
+        if (!auth) return t('account.signInUnavailable');
+        try {
+            const result = auth.currentUser?.isAnonymous
+                ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+                : await createUserWithEmailAndPassword(auth, email, password);
+            if (displayName.trim()) return await saveDisplayName(displayName, result.user);
+            // Linking keeps the same user object, so onAuthStateChanged doesn't fire
+            refreshUser(result.user);
+            return null;
+        } catch (e) {
+            return getAuthErrorMessage(e, t);
+        }
+    }, [auth, saveDisplayName, refreshUser, t]);
+
+    const signInWithEmail = useCallback(async (email, password) => {
+        if (!auth) return t('account.signInUnavailable');
+        try {
+            await signInWithEmailAndPassword(auth, email, password);
+            return null;
+        } catch (e) {
+            return getAuthErrorMessage(e, t);
+        }
+    }, [auth, t]);
+
+    const signInWithGoogle = useCallback(async () => {
+        if (!auth) return t('account.signInUnavailable');
+        const provider = new GoogleAuthProvider();
+        try {
+            const result = auth.currentUser?.isAnonymous
+                ? await linkWithPopup(auth.currentUser, provider)
+                : await signInWithPopup(auth, provider);
+            // Publishes the Google name for the admin panel; also re-renders after linking
+            if (result.user.displayName) return await saveDisplayName(result.user.displayName, result.user);
+            refreshUser(result.user);
+            return null;
+        } catch (e) {
+            // The Google account already has its own data; the guest data can't be merged into it
+            if (e.code === 'auth/credential-already-in-use') {
+                const credential = GoogleAuthProvider.credentialFromError(e);
+                if (credential && window.confirm(t('account.googleInUse'))) {
+                    try {
+                        await signInWithCredential(auth, credential);
+                        return null;
+                    } catch (signInError) {
+                        return getAuthErrorMessage(signInError, t);
+                    }
+                }
+                return t('auth.cancelled');
+            }
+            return getAuthErrorMessage(e, t);
+        }
+    }, [auth, saveDisplayName, refreshUser, t]);
+
+    const continueAsGuest = useCallback(async () => {
+        if (!auth) return t('account.signInUnavailable');
+        try {
+            await signInAnonymously(auth);
+            return null;
+        } catch (e) {
+            return getAuthErrorMessage(e, t);
+        }
+    }, [auth, t]);
+
+    const signOutUser = useCallback(async () => {
+        if (!auth?.currentUser) return;
+        if (auth.currentUser.isAnonymous && !window.confirm(t('account.guestSignOut'))) return;
+        try {
+            await signOut(auth);
+            setCurrentView('dashboard');
+        } catch (e) {
+            console.error("Error signing out:", e);
+        }
+    }, [auth, t]);
+
+    // ----------------------------------------------------------------
+    // 2. Real-time Data Listeners
+    // ----------------------------------------------------------------
+
+    // Sync state for the navbar: whether local writes are still unconfirmed,
+    // and when the server last confirmed everything
+    const trackSync = useCallback((name, snapshot) => {
+        const { hasPendingWrites, fromCache } = snapshot.metadata;
+        setPendingWrites(prev => (prev[name] === hasPendingWrites ? prev : { ...prev, [name]: hasPendingWrites }));
+        if (!fromCache && !hasPendingWrites) setLastSyncedAt(new Date());
+    }, []);
+
+    useEffect(() => {
+        // Another account may have been signed in; nothing of the previous one should show
+        setSubjects([]);
+        setHistory([]);
+        setHistoryLimit(HISTORY_PAGE_SIZE);
+        setDailyTotals([]);
+        setSettings(DEFAULT_SETTINGS);
+        setSettingsLoaded(false);
+        setPlans([]);
+        setRoutineItems([]);
+        setRoutineLogs({});
+        setActiveSession(null);
+        setRecoveryPending(false);
+        setRole(DEFAULT_ROLE);
+        setGroups([]);
+        setMentorIds([]);
+        setPendingWrites({});
+        setLastSyncedAt(null);
+        setBackupImport(EMPTY_BACKUP_IMPORT);
+        tocDraft.current = EMPTY_TOC_DRAFT;
+        subjectDraft.current = null;
+        setPendingReadings(currentUserId ? loadPendingReadings(currentUserId) : []);
+        if (!db || !currentUserId) return;
+
+        // Listener for Subjects (metadata changes only update the sync state)
+        const subjectsPath = getPrivateUserPath(currentUserId, 'subjects');
+        const unsubSubjects = onSnapshot(collection(db, subjectsPath), { includeMetadataChanges: true }, (snapshot) => {
+            trackSync('subjects', snapshot);
+            if (snapshot.docChanges().length === 0) return;
+            // Completion is re-derived so chapters stored under older rules show correctly
+            const subs = snapshot.docs.map(doc => {
+                const data = doc.data();
+                return { id: doc.id, ...data, chapters: (data.chapters || []).map(c => ({ ...c, is_completed: isChapterComplete(c) })) };
+            });
+            setSubjects(subs);
+        }, (err) => console.error("Subjects Listen Error:", err));
+
+        // Listener for Daily Totals; days emptied by edits and deletions are left out
+        const totalsPath = getPrivateUserPath(currentUserId, 'dailyTotals');
+        const unsubTotals = onSnapshot(collection(db, totalsPath), (snapshot) => {
+            setDailyTotals(snapshot.docs.map(doc => doc.data()).filter(day => day.sessions > 0));
+        }, (err) => console.error("Daily Totals Listen Error:", err));
+
+        // Listener for Settings/Goals
+        const settingsDocPath = getPrivateUserPath(currentUserId, 'settings');
+        const unsubSettings = onSnapshot(doc(db, settingsDocPath, 'goals'), (docSnapshot) => {
+            if (docSnapshot.exists()) {
+                setSettings(prev => ({ ...prev, ...docSnapshot.data() }));
+            }
+            setSettingsLoaded(true);
+        }, (err) => console.error("Settings Listen Error:", err));
+
+        // Listener for Reading Plans
+        const plansPath = getPrivateUserPath(currentUserId, 'plans');
+        const unsubPlans = onSnapshot(collection(db, plansPath), (snapshot) => {
+            setPlans(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Plans Listen Error:", err));
+
+
+        // Listener for the Daily Routine (items live next to the goals document)
+        const unsubRoutine = onSnapshot(doc(db, settingsDocPath, 'routine'), (docSnapshot) => {
+            setRoutineItems(docSnapshot.exists() ? (docSnapshot.data().items || []) : []);
+        }, (err) => console.error("Routine Listen Error:", err));
+
+        // Listener for Routine Completion History (last 30 days). The calendar date
+        // only bounds the query: it is at most a day off the study day, and the
+        // settings aren't loaded yet when this subscribes.
+        const routineLogPath = getPrivateUserPath(currentUserId, 'routineLog');
+        const sinceKey = addDaysToKey(toDateKey(new Date()), -30);
+        const unsubRoutineLog = onSnapshot(query(collection(db, routineLogPath), where('date', '>=', sinceKey)), (snapshot) => {
+            const logs = {};
+            snapshot.docs.forEach(doc => { logs[doc.id] = doc.data().done || []; });
+            setRoutineLogs(logs);
+        }, (err) => console.error("Routine Log Listen Error:", err));
+
+        // Active Session: the local copy survives reloads, the Firestore copy follows the user across devices
+        const localSession = loadLocalSession(currentUserId);
+        setActiveSession(localSession);
+        setRecoveryPending(isSessionAbandoned(localSession));
+
+        const sessionRef = doc(db, getPrivateUserPath(currentUserId, 'sessions'), 'active');
+        const unsubSession = onSnapshot(sessionRef, (docSnapshot) => {
+            const remote = docSnapshot.exists() ? docSnapshot.data() : null;
+            const local = loadLocalSession(currentUserId);
+
+            if (remote && (!local || remote.updatedAt >= local.updatedAt)) {
+                const sameSession = local && local.startedAt === remote.startedAt;
+                const lastSeenAt = Math.max(remote.lastSeenAt || 0, sameSession ? (local.lastSeenAt || 0) : 0);
+                if (sameSession && local.updatedAt === remote.updatedAt) {
+                    // Only a heartbeat from another device; the session itself is unchanged
+                    if (lastSeenAt > (local.lastSeenAt || 0)) {
+                        const refreshed = { ...local, lastSeenAt };
+                        saveLocalSession(currentUserId, refreshed);
+                        setRecoveryPending(isSessionAbandoned(refreshed));
+                    }
+                    return;
+                }
+                const adopted = { ...remote, lastSeenAt, synced: true };
+                saveLocalSession(currentUserId, adopted);
+                setActiveSession(adopted);
+                setRecoveryPending(isSessionAbandoned(adopted));
+            } else if (!remote && local && local.synced && !docSnapshot.metadata.fromCache) {
+                // Finished or discarded on another device
+                saveLocalSession(currentUserId, null);
+                setActiveSession(null);
+                setRecoveryPending(false);
+            } else if (local && !local.synced) {
+                // Started while the remote copy was unreachable
+                setDoc(sessionRef, toRemoteSession(local))
+                    .then(() => saveLocalSession(currentUserId, { ...loadLocalSession(currentUserId), synced: true }))
+                    .catch(e => console.error("Error syncing active session:", e));
+            }
+        }, (err) => console.error("Session Listen Error:", err));
+
+        // Listener for the user's role; the rules only allow admins to change it
+        const unsubRole = onSnapshot(doc(db, getPublicDataPath('roles'), currentUserId), (docSnapshot) => {
+            const storedRole = docSnapshot.exists() ? docSnapshot.data().role : null;
+            setRole(ROLES[storedRole] ? storedRole : DEFAULT_ROLE);
+        }, (err) => console.error("Role Listen Error:", err));
+
+        // Listener for Study Groups the user belongs to
+        const groupsQuery = query(collection(db, getPublicDataPath('groups')), where('memberIds', 'array-contains', currentUserId));
+        const unsubGroups = onSnapshot(groupsQuery, (snapshot) => {
+            setGroups(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Groups Listen Error:", err));
+
+        // Listener for the mentors this user shares progress with
+        const studentRef = doc(db, getPublicDataPath('students'), currentUserId);
+        const unsubStudent = onSnapshot(studentRef, (docSnapshot) => {
+            setMentorIds(docSnapshot.exists() ? docSnapshot.data().mentorIds || [] : []);
+        }, (err) => console.error("Mentors Listen Error:", err));
+
+        // Subject templates pushed by mentors become subjects. The subject takes the
+        // assignment's ID and is only created while the assignment is still there, so
+        // two tabs accepting it at once can't add it twice or reset its progress.
+        const unsubAssignments = onSnapshot(collection(db, `${getPublicDataPath('students')}/${currentUserId}/assignments`), (snapshot) => {
+            snapshot.docChanges().filter(change => change.type === 'added').forEach(async ({ doc: assignmentDoc }) => {
+                const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), assignmentDoc.id);
+                try {
+                    await runTransaction(db, async (transaction) => {
+                        const assignment = await transaction.get(assignmentDoc.ref);
+                        const subjectDoc = await transaction.get(subjectRef);
+                        if (!assignment.exists()) return;
+                        if (!subjectDoc.exists()) {
+                            const { name, chapters, mentorId } = assignment.data();
+                            transaction.set(subjectRef, {
+                                name,
+                                chapters: chapters.map(c => ({
+                                    id: createChapterId(),
+                                    name: c.name,
+                                    total: c.total || 0,
+                                    read: 0,
+                                    ...(c.pageStart ? { pageStart: c.pageStart, pageEnd: c.pageEnd } : {}),
+                                    is_completed: false,
+                                })),
+                                assignedBy: mentorId,
+                            });
+                        }
+                        transaction.delete(assignmentDoc.ref);
+                    });
+                } catch (e) {
+                    console.error("Error accepting assignment:", e);
+                }
+            });
+        }, (err) => console.error("Assignments Listen Error:", err));
+
+        return () => {
+            unsubStudent();
+            unsubAssignments();
+            unsubGroups();
+            unsubSubjects();
+            unsubTotals();
+            unsubSettings();
+            unsubPlans();
+            unsubRoutine();
+            unsubRoutineLog();
+            unsubSession();
+            unsubRole();
+        };
+    }, [db, currentUserId, trackSync]);
+
+    // Listener for History: only the latest `historyLimit` records, so the
+    // history view can page back without the whole collection being loaded
+    useEffect(() => {
+        if (!db || !currentUserId) return;
+        const historyPath = getPrivateUserPath(currentUserId, 'history');
+        const historyQuery = query(collection(db, historyPath), orderBy('date', 'desc'), limit(historyLimit));
+        return onSnapshot(historyQuery, { includeMetadataChanges: true }, (snapshot) => {
+            trackSync('history', snapshot);
+            if (snapshot.docChanges().length === 0) return;
+            setHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), date: toJsDate(doc.data().date) })));
+        }, (err) => console.error("History Listen Error:", err));
+    }, [db, currentUserId, historyLimit, trackSync]);
+
+    const loadMoreHistory = useCallback(() => setHistoryLimit(count => count + HISTORY_PAGE_SIZE), []);
+
+    // Heartbeat for the running session. The local copy is touched without a
+    // re-render; a stale heartbeat marks an abandoned session. The Firestore copy
+    // is updated every few minutes so other devices see the session is alive.
+    const lastRemoteBeat = useRef(0);
+    useEffect(() => {
+        if (!db || !currentUserId || !activeSession || recoveryPending) return;
+        const sessionRef = doc(db, getPrivateUserPath(currentUserId, 'sessions'), 'active');
+        const beat = () => {
+            const now = Date.now();
+            const local = loadLocalSession(currentUserId);
+            if (!local || local.startedAt !== activeSession.startedAt) return;
+            saveLocalSession(currentUserId, { ...local, lastSeenAt: now });
+            if (!local.synced || !navigator.onLine || now - lastRemoteBeat.current < ACTIVE_SESSION_REMOTE_HEARTBEAT_MS) return;
+            lastRemoteBeat.current = now;
+            // Only the same session is touched, so a finished one isn't brought back
+            runTransaction(db, async (transaction) => {
+                const remoteDoc = await transaction.get(sessionRef);
+                if (remoteDoc.exists() && remoteDoc.data().startedAt === local.startedAt) {
+                    transaction.update(sessionRef, { lastSeenAt: now });
+                }
+            }).catch(e => console.error("Error sending session heartbeat:", e));
+        };
+        beat();
+        const interval = setInterval(beat, ACTIVE_SESSION_HEARTBEAT_MS);
+        window.addEventListener('pagehide', beat);
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('pagehide', beat);
+        };
+    }, [db, currentUserId, activeSession, recoveryPending]);
+
+    // Give chapters saved before stable IDs existed an ID, and point their
+    // history records and plan at it. Legacy IDs are positional, so a repeated
+    // run writes the same values.
+    const migratingSubjects = useRef(new Set());
+    useEffect(() => {
+        if (!db || !currentUserId) return;
+        subjects
+            .filter(subject => subject.chapters.some(c => !c.id) && !migratingSubjects.current.has(subject.id))
+            .forEach(async (subject) => {
+                migratingSubjects.current.add(subject.id);
+                const chapters = subject.chapters.map((c, index) => c.id ? c : { ...c, id: getLegacyChapterId(index) });
+                try {
+                    const historySnapshot = await getDocs(query(
+                        collection(db, getPrivateUserPath(currentUserId, 'history')),
+                        where('subjectId', '==', subject.id)
+                    ));
+                    const planRef = doc(db, getPrivateUserPath(currentUserId, 'plans'), subject.id);
+                    const planDoc = await getDoc(planRef);
+
+                    const writes = [];
+                    historySnapshot.docs
+                        .filter(d => !d.data().chapterId)
+                        .forEach(d => {
+                            const chapterId = resolveChapterId(chapters, d.data());
+                            if (chapterId) writes.push([d.ref, { chapterId }]);
+                        });
+                    if (planDoc.exists()) {
+                        const schedule = planDoc.data().schedule.map(day => ({
+                            ...day,
+                            chapters: day.chapters.map(name => resolveChapterId(chapters, { chapterName: name }) || name),
+                        }));
+                        writes.push([planRef, { schedule }]);
+                    }
+                    // The subject goes last so an interrupted run is retried
+                    writes.push([doc(db, getPrivateUserPath(currentUserId, 'subjects'), subject.id), { chapters }]);
+
+                    // Firestore batches hold at most 500 writes
+                    for (let i = 0; i < writes.length; i += 400) {
+                        const batch = writeBatch(db);
+                        writes.slice(i, i + 400).forEach(([ref, data]) => batch.update(ref, data));
+                        await batch.commit();
+                    }
+                } catch (e) {
+                    console.error("Error migrating chapter IDs:", e);
+                } finally {
+                    migratingSubjects.current.delete(subject.id);
+                }
+            });
+    }, [db, currentUserId, subjects]);
+
+    // Records saved before the shared activity collection existed are copied
+    // into it once. Day totals are recomputed from the full history and set,
+    // so an interrupted run can simply be repeated (an import clears the flag).
+    const sharingActivity = useRef(null);
+    const sharePastActivity = useCallback(async () => {
+        const goalsRef = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        try {
+            const goalsDoc = await getDoc(goalsRef);
+            if (goalsDoc.exists() && goalsDoc.data().activityShared) return;
+
+            const historySnapshot = await getDocs(collection(db, getPrivateUserPath(currentUserId, 'history')));
+            const writes = [];
+            const days = {};
+            historySnapshot.docs.forEach(d => {
+                const record = { ...d.data(), userId: currentUserId };
+                const dateKey = toDateKey(toJsDate(record.date));
+                const day = days[dateKey] || (days[dateKey] = { userId: currentUserId, date: dateKey, minutes: 0, sessions: 0 });
+                day.minutes += record.durationMinutes;
+                day.sessions += 1;
+                writes.push([doc(db, getPublicDataPath('activity'), d.id), toActivitySummary(record)]);
+            });
+            Object.values(days).forEach(day => {
+                writes.push([doc(db, getPublicDataPath('dailyStats'), getDailyStatId(currentUserId, day.date)), day]);
+            });
+
+            for (let i = 0; i < writes.length; i += 400) {
+                const batch = writeBatch(db);
+                writes.slice(i, i + 400).forEach(([ref, data]) => batch.set(ref, data));
+                await batch.commit();
+            }
+            await setDoc(goalsRef, { activityShared: true }, { merge: true });
+        } catch (e) {
+            console.error("Error sharing past activity:", e);
+            sharingActivity.current = null;
+        }
+    }, [db, currentUserId]);
+
+    useEffect(() => {
+        if (!db || !currentUserId || sharingActivity.current === currentUserId) return;
+        sharingActivity.current = currentUserId;
+        sharePastActivity();
+    }, [db, currentUserId, sharePastActivity]);
+
+    // Daily totals are counted from the full history when there are none yet or
+    // they were kept under other day settings (see getTotalsCalendar). Days are
+    // set rather than incremented, so an interrupted run can simply be repeated.
+    // History saved during a count moves `totalsChanges` (see writeDailyTotals);
+    // the totals are only marked current, in a transaction, when it hasn't moved
+    // since the count read the history, and otherwise counted again. Counts in
+    // this tab run one at a time, and a failed one is retried.
+    const countingTotals = useRef(null);
+    const totalsCount = useRef(Promise.resolve());
+    const [totalsRetry, setTotalsRetry] = useState(0);
+    const countDailyTotals = useCallback(() => {
+        const goalsRef = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        const totalsPath = getPrivateUserPath(currentUserId, 'dailyTotals');
+        const run = totalsCount.current.then(async () => {
+            try {
+                const goalsDoc = await getDoc(goalsRef);
+                let goals = goalsDoc.exists() ? goalsDoc.data() : {};
+                while (!getTotalsCalendar(goals)) {
+                    const calendarId = getCalendarId(goals);
+                    const changes = goals.totalsChanges || 0;
+                    const totals = getDailyTotals(await readHistory(db, currentUserId), goals);
+                    const existingSnapshot = await getDocs(collection(db, totalsPath));
+                    const writes = Object.values(totals).map(day => [doc(db, totalsPath, day.date), day]);
+                    existingSnapshot.docs
+                        .filter(d => !totals[d.id])
+                        .forEach(d => writes.push([d.ref, null]));
+
+                    for (let i = 0; i < writes.length; i += 400) {
+                        const batch = writeBatch(db);
+                        writes.slice(i, i + 400).forEach(([ref, data]) => (data ? batch.set(ref, data) : batch.delete(ref)));
+                        await batch.commit();
+                    }
+                    goals = await runTransaction(db, async (transaction) => {
+                        const currentDoc = await transaction.get(goalsRef);
+                        const current = currentDoc.exists() ? currentDoc.data() : {};
+                        if ((current.totalsChanges || 0) !== changes || getCalendarId(current) !== calendarId) return current;
+                        transaction.set(goalsRef, { totalsCalendar: calendarId }, { merge: true });
+                        return { ...current, totalsCalendar: calendarId };
+                    });
+                }
+            } catch (e) {
+                console.error("Error counting daily totals:", e);
+                countingTotals.current = null;
+                setTimeout(() => setTotalsRetry(retry => retry + 1), TOTALS_RETRY_MS);
+            }
+        });
+        totalsCount.current = run;
+        return run;
+    }, [db, currentUserId]);
+
+    const calendarId = getCalendarId(settings);
+    useEffect(() => {
+        const runKey = `${currentUserId}|${calendarId}`;
+        if (!db || !currentUserId || countingTotals.current === runKey) return;
+        countingTotals.current = runKey;
+        countDailyTotals();
+    }, [db, currentUserId, calendarId, totalsRetry, countDailyTotals]);
+
+    // Keep the progress summary shared with mentors current. Writes are delayed so
+    // a burst of snapshot updates ends in one write, and skipped when unchanged.
+    const publishedProgress = useRef('');
+    useEffect(() => {
+        if (!db || !currentUserId || mentorIds.length === 0) return;
+        const timeout = setTimeout(async () => {
+            const progress = buildStudentProgress({ subjects: activeSubjects, dailyTotals, settings, plans });
+            const serialized = JSON.stringify(progress);
+            if (serialized === publishedProgress.current) return;
+            try {
+                await setDoc(doc(db, getPublicDataPath('students'), currentUserId), {
+                    displayName: user?.displayName || '',
+                    progress,
+                    updatedAt: new Date(),
+                }, { merge: true });
+                publishedProgress.current = serialized;
+            } catch (e) {
+                console.error("Error sharing progress:", e);
+            }
+        }, 2000);
+        return () => clearTimeout(timeout);
+    }, [db, currentUserId, mentorIds, activeSubjects, dailyTotals, settings, plans, user]);
+
+    // The study day, moved on by a timer at its rollover so an app left open
+    // doesn't keep showing the day before
+    const [dayTick, setDayTick] = useState(0);
+    const todayKey = getDayKey(new Date(), settings);
+    useEffect(() => {
+        const timeout = setTimeout(() => setDayTick(tick => tick + 1), getNextDayStart(new Date(), settings) - Date.now());
+        return () => clearTimeout(timeout);
+    }, [settings, todayKey, dayTick]);
+
+    // Rebalance plans whose past days still hold unfinished chapters. Waits for the
+    // goals, since the default day start could move today's chapters off today.
+    useEffect(() => {
+        if (!db || !currentUserId || !settingsLoaded || activePlans.length === 0) return;
+
+        activePlans.forEach(plan => {
+            const subject = subjects.find(s => s.id === plan.subjectId);
+            if (!subject) return;
+            const schedule = rebalancePlanSchedule(plan, subject, todayKey);
+            if (!schedule) return;
+            const planRef = doc(db, getPrivateUserPath(currentUserId, 'plans'), plan.id);
+            setDoc(planRef, { schedule, rebalancedAt: new Date() }, { merge: true })
+                .catch(e => console.error("Error rebalancing plan:", e));
+        });
+    }, [db, currentUserId, activePlans, subjects, todayKey, settingsLoaded]);
+
+    // ----------------------------------------------------------------
+    // 3. Data Management (CRUD & Logic)
+    // ----------------------------------------------------------------
+
+    /**
+     * Subject & Chapter Management (Requirement 1)
+     */
+    const saveSubject = useCallback(async (subjectName, chaptersData) => {
+        if (!db || !currentUserId) return false;
+        try {
+            const docRef = doc(collection(db, getPrivateUserPath(currentUserId, 'subjects')));
+            await setDoc(docRef, { name: subjectName, chapters: chaptersData || [] });
+            console.log("Subject saved with ID: ", docRef.id);
+            return true;
+        } catch (e) {
+            console.error("Error adding subject: ", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Saves an edited subject. Chapters are matched by ID, so renames and reordering
+     * keep their progress and their history records; `read` is taken from the stored
+     * document in case a session was recorded while the editor was open.
+     * `examDate` is a date key, or null for no exam.
+     */
+    const updateSubject = useCallback(async (subjectId, { name, chapters, examDate = null }) => {
+        if (!db || !currentUserId) return false;
+        const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId);
+        try {
+            await runTransaction(db, async (transaction) => {
+                const subjectDoc = await transaction.get(subjectRef);
+                if (!subjectDoc.exists()) throw new Error("Subject not found");
+                const stored = subjectDoc.data().chapters;
+
+                const merged = chapters.map(draft => {
+                    const current = stored.find(c => c.id === draft.id) || { read: 0 };
+                    const chapter = {
+                        ...current,
+                        id: draft.id,
+                        name: draft.name,
+                        total: draft.total,
+                        pageStart: draft.pageStart || null,
+                        pageEnd: draft.pageEnd || null,
+                    };
+                    return { ...chapter, is_completed: isChapterComplete(chapter) };
+                });
+                // Lowered targets can complete chapters, like a reading would
+                const updatedChapters = addRevisionSchedules(stored, merged, getDayKey(new Date(), settings));
+                transaction.update(subjectRef, { name, chapters: updatedChapters, examDate });
+                if (settings.shareGroupDetails !== false) {
+                    writeGroupFeed(db, transaction, groups.map(g => g.id), {
+                        userId: currentUserId,
+                        displayName: user?.displayName || '',
+                        subjectName: name,
+                    }, getNewlyCompletedChapters(stored, updatedChapters));
+                }
+            });
+            return true;
+        } catch (e) {
+            console.error("Error updating subject:", e);
+            return false;
+        }
+    }, [db, currentUserId, groups, settings, user]);
+
+    /**
+     * Completes or reopens a chapter by hand, overriding its targets.
+     */
+    const setChapterCompletion = useCallback(async (subjectId, chapterId, completed) => {
+        if (!db || !currentUserId) return;
+        const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId);
+        try {
+            await runTransaction(db, async (transaction) => {
+                const subjectDoc = await transaction.get(subjectRef);
+                if (!subjectDoc.exists()) return;
+                const chapters = addRevisionSchedules(subjectDoc.data().chapters, subjectDoc.data().chapters.map(c =>
+                    c.id === chapterId ? { ...c, manualCompletion: completed, is_completed: completed } : c
+                ), getDayKey(new Date(), settings));
+                transaction.update(subjectRef, { chapters });
+                if (settings.shareGroupDetails !== false) {
+                    writeGroupFeed(db, transaction, groups.map(g => g.id), {
+                        userId: currentUserId,
+                        displayName: user?.displayName || '',
+                        subjectName: subjectDoc.data().name,
+                    }, getNewlyCompletedChapters(subjectDoc.data().chapters, chapters));
+                }
+            });
+        } catch (e) {
+            console.error("Error updating chapter completion:", e);
+        }
+    }, [db, currentUserId, groups, settings, user]);
+
+    const setSubjectArchived = useCallback(async (subjectId, archived) => {
+        if (!db || !currentUserId) return;
+        try {
+            await setDoc(doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId), { archived }, { merge: true });
+        } catch (e) {
+            console.error("Error archiving subject:", e);
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Deletes a subject with its plan and routine items. History records are kept
+     * so past reading time still counts.
+     */
+    const deleteSubject = useCallback(async (subjectId) => {
+        if (!db || !currentUserId) return;
+        try {
+            const batch = writeBatch(db);
+            batch.delete(doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId));
+            batch.delete(doc(db, getPrivateUserPath(currentUserId, 'plans'), subjectId));
+            if (routineItems.some(item => item.subjectId === subjectId)) {
+                batch.set(doc(db, getPrivateUserPath(currentUserId, 'settings'), 'routine'), {
+                    items: routineItems.filter(item => item.subjectId !== subjectId),
+                });
+            }
+            await batch.commit();
+        } catch (e) {
+            console.error("Error deleting subject:", e);
+        }
+    }, [db, currentUserId, routineItems]);
+
+    /**
+     * Book Reading Plan (Requirement 6)
+     */
+    const savePlan = useCallback(async (subjectId, days) => {
+        // The plan starts on the study day, which needs the goals' day settings
+        if (!db || !currentUserId || !settingsLoaded) return false;
+        const subject = activeSubjects.find(s => s.id === subjectId);
+        if (!subject) return false;
+
+        const startDate = getDayKey(new Date(), settings);
+        const chapterIds = subject.chapters.filter(c => !c.is_completed).map(c => c.id);
+        try {
+            // One active plan per subject: the plan document shares the subject's ID.
+            const planRef = doc(db, getPrivateUserPath(currentUserId, 'plans'), subjectId);
+            await setDoc(planRef, {
+                subjectId,
+                subjectName: subject.name,
+                startDate,
+                endDate: addDaysToKey(startDate, days - 1),
+                days,
+                totalChapters: chapterIds.length,
+                schedule: distributeChapters(chapterIds, startDate, days),
+                createdAt: new Date(),
+            });
+            return true;
+        } catch (e) {
+            console.error("Error saving plan:", e);
+            return false;
+        }
+    }, [db, currentUserId, activeSubjects, settings, settingsLoaded]);
+
+    const deletePlan = useCallback(async (planId) => {
+        if (!db || !currentUserId) return;
+        try {
+            await deleteDoc(doc(db, getPrivateUserPath(currentUserId, 'plans'), planId));
+        } catch (e) {
+            console.error("Error deleting plan:", e);
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Save Reading Goal (Requirement 5 & 7)
+     */
+    const saveGoals = useCallback(async (dailyGoal, weeklyGoal) => {
+        if (!db || !currentUserId) return;
+        const goalsDoc = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        try {
+            await setDoc(goalsDoc, { 
+                dailyGoalMinutes: parseInt(dailyGoal), 
+                weeklyGoalMinutes: parseInt(weeklyGoal) 
+            }, { merge: true });
+            setSettings(prev => ({ ...prev, dailyGoalMinutes: parseInt(dailyGoal), weeklyGoalMinutes: parseInt(weeklyGoal) }));
+        } catch (e) {
+            console.error("Error setting goals:", e);
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Week start, time zone and day rollover hour, used for every day and week total.
+     */
+    const saveDaySettings = useCallback(async ({ weekStartDay, timeZone, dayStartHour }) => {
+        if (!db || !currentUserId) return false;
+        const goalsDoc = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        const changes = { weekStartDay, timeZone, dayStartHour };
+        try {
+            await setDoc(goalsDoc, changes, { merge: true });
+            setSettings(prev => ({ ...prev, ...changes }));
+            return true;
+        } catch (e) {
+            console.error("Error saving day settings:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    const saveNotificationSettings = useCallback(async (notifications) => {
+        if (!db || !currentUserId) return false;
+        const goalsDoc = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        try {
+            await setDoc(goalsDoc, { notifications }, { merge: true });
+            setSettings(prev => ({ ...prev, notifications }));
+            return true;
+        } catch (e) {
+            console.error("Error saving notification settings:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Interface language, also remembered on this device for the sign-in screen.
+     */
+    const saveLanguage = useCallback(async (newLanguage) => {
+        if (!LANGUAGES[newLanguage]) return false;
+        setDeviceLanguage(newLanguage);
+        saveDeviceLanguage(newLanguage);
+        if (!db || !currentUserId) return true;
+        const goalsDoc = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        try {
+            await setDoc(goalsDoc, { language: newLanguage }, { merge: true });
+            setSettings(prev => ({ ...prev, language: newLanguage }));
+            return true;
+        } catch (e) {
+            console.error("Error saving language:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Remember the last pomodoro configuration with the goals.
+     */
+    const savePomodoroSettings = useCallback(async (config) => {
+        if (!db || !currentUserId) return;
+        const goalsDoc = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+        try {
+            await setDoc(goalsDoc, { pomodoro: toPomodoroConfig(config) }, { merge: true });
+        } catch (e) {
+            console.error("Error saving pomodoro settings:", e);
+        }
+    }, [db, currentUserId]);
+
+
+    /**
+     * Role Management (admin only, enforced by firestore.rules)
+     */
+    const setUserRole = useCallback(async (userId, newRole) => {
+        if (!db || !currentUserId || !ROLES[newRole]) return false;
+        try {
+            await setDoc(doc(db, getPublicDataPath('roles'), userId), {
+                role: newRole,
+                updatedAt: new Date(),
+                updatedBy: currentUserId,
+            });
+            return true;
+        } catch (e) {
+            console.error("Error saving role:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+
+    /**
+     * Study Groups
+     * Functions that can fail for the user's input return an error message, or null on success.
+     */
+    // Member stats use plain calendar days like writeSharedActivity, not the
+    // daily totals, so they are counted from the full history
+    const getOwnMemberStats = useCallback(async () => {
+        const ownHistory = await readHistory(db, currentUserId);
+        return {
+            displayName: user?.displayName || '',
+            totalMinutes: ownHistory.reduce((sum, record) => sum + record.durationMinutes, 0),
+            minutesByDay: getMinutesByDay(ownHistory),
+            joinedAt: new Date(),
+        };
+    }, [db, currentUserId, user]);
+
+    // A code that is already taken is never overwritten; another one is drawn instead
+    const createGroup = useCallback(async (name) => {
+        if (!db || !currentUserId || !name.trim()) return t('group.nameRequired');
+        const groupRef = doc(collection(db, getPublicDataPath('groups')));
+        try {
+            const memberStats = await getOwnMemberStats();
+            for (let attempt = 0; attempt < INVITE_CODE_ATTEMPTS; attempt++) {
+                const inviteCode = createInviteCode();
+                const inviteRef = doc(db, getPublicDataPath('groupInvites'), inviteCode);
+                const created = await runTransaction(db, async (transaction) => {
+                    if ((await transaction.get(inviteRef)).exists()) return false;
+                    transaction.set(groupRef, {
+                        name: name.trim(),
+                        inviteCode,
+                        ownerId: currentUserId,
+                        memberIds: [currentUserId],
+                        dailyGoalMinutes: 0,
+                        weeklyGoalMinutes: 0,
+                        createdAt: new Date(),
+                    });
+                    transaction.set(inviteRef, { groupId: groupRef.id });
+                    transaction.set(doc(db, getGroupPath(groupRef.id, 'members'), currentUserId), memberStats);
+                    return true;
+                });
+                if (created) return null;
+            }
+            return t('group.createFailed');
+        } catch (e) {
+            console.error("Error creating group:", e);
+            return t('group.createFailed');
+        }
+    }, [db, currentUserId, getOwnMemberStats, t]);
+
+    const joinGroup = useCallback(async (code) => {
+        if (!db || !currentUserId) return t('account.notSignedIn');
+        const inviteCode = code.trim().toUpperCase();
+        if (!inviteCode) return t('group.codeRequired');
+        try {
+            const inviteDoc = await getDoc(doc(db, getPublicDataPath('groupInvites'), inviteCode));
+            if (!inviteDoc.exists()) return t('group.notFound');
+            const { groupId } = inviteDoc.data();
+            if (groups.some(g => g.id === groupId)) return t('group.alreadyMember');
+
+            const batch = writeBatch(db);
+            batch.update(doc(db, getPublicDataPath('groups'), groupId), { memberIds: arrayUnion(currentUserId) });
+            batch.set(doc(db, getGroupPath(groupId, 'members'), currentUserId), await getOwnMemberStats());
+            await batch.commit();
+            return null;
+        } catch (e) {
+            console.error("Error joining group:", e);
+            return t('group.joinFailed');
+        }
+    }, [db, currentUserId, groups, getOwnMemberStats, t]);
+
+    const leaveGroup = useCallback(async (groupId) => {
+        if (!db || !currentUserId) return false;
+        try {
+            const batch = writeBatch(db);
+            batch.update(doc(db, getPublicDataPath('groups'), groupId), { memberIds: arrayRemove(currentUserId) });
+            batch.delete(doc(db, getGroupPath(groupId, 'members'), currentUserId));
+            await batch.commit();
+            return true;
+        } catch (e) {
+            console.error("Error leaving group:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Deletes a group with its members' stats, feed and invite code (owner only).
+     */
+    const deleteGroup = useCallback(async (group) => {
+        if (!db || !currentUserId || group.ownerId !== currentUserId) return false;
+        try {
+            const [membersSnapshot, feedSnapshot] = await Promise.all([
+                getDocs(collection(db, getGroupPath(group.id, 'members'))),
+                getDocs(collection(db, getGroupPath(group.id, 'feed'))),
+            ]);
+            const refs = [...membersSnapshot.docs.map(d => d.ref), ...feedSnapshot.docs.map(d => d.ref)];
+            // Firestore batches hold at most 500 writes
+            for (let i = 0; i < refs.length; i += 400) {
+                const batch = writeBatch(db);
+                refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+                await batch.commit();
+            }
+            const batch = writeBatch(db);
+            batch.delete(doc(db, getPublicDataPath('groupInvites'), group.inviteCode));
+            batch.delete(doc(db, getPublicDataPath('groups'), group.id));
+            await batch.commit();
+            return true;
+        } catch (e) {
+            console.error("Error deleting group:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    const saveGroupGoals = useCallback(async (groupId, dailyGoalMinutes, weeklyGoalMinutes) => {
+        if (!db || !currentUserId) return false;
+        try {
+            await setDoc(doc(db, getPublicDataPath('groups'), groupId), { dailyGoalMinutes, weeklyGoalMinutes }, { merge: true });
+            return true;
+        } catch (e) {
+            console.error("Error saving group goals:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * With sharing off, groups only see the member's minutes, not which chapters they finish;
+     * the chapters already posted to their feeds are taken down.
+     */
+    const setShareGroupDetails = useCallback(async (share) => {
+        if (!db || !currentUserId) return;
+        try {
+            await setDoc(doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals'), { shareGroupDetails: share }, { merge: true });
+            if (share) return;
+            const snapshots = await Promise.all(groups.map(group =>
+                getDocs(query(collection(db, getGroupPath(group.id, 'feed')), where('userId', '==', currentUserId)))
+            ));
+            const refs = snapshots.flatMap(snapshot => snapshot.docs.map(d => d.ref));
+            // Firestore batches hold at most 500 writes
+            for (let i = 0; i < refs.length; i += 400) {
+                const batch = writeBatch(db);
+                refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+                await batch.commit();
+            }
+        } catch (e) {
+            console.error("Error saving group sharing setting:", e);
+        }
+    }, [db, currentUserId, groups]);
+
+
+    /**
+     * Mentoring
+     * A student adds a mentor by the mentor's code (their user ID).
+     */
+    const addMentor = useCallback(async (mentorCode) => {
+        const mentorId = mentorCode.trim();
+        if (!db || !currentUserId || !mentorId) return t('mentor.codeRequired');
+        if (mentorId === currentUserId) return t('mentor.self');
+        try {
+            await setDoc(doc(db, getPublicDataPath('students'), currentUserId), { mentorIds: arrayUnion(mentorId) }, { merge: true });
+            // Share straight away instead of waiting for the next change
+            publishedProgress.current = '';
+            return null;
+        } catch (e) {
+            console.error("Error adding mentor:", e);
+            return t('mentor.addFailed');
+        }
+    }, [db, currentUserId, t]);
+
+    const removeMentor = useCallback(async (mentorId) => {
+        if (!db || !currentUserId) return;
+        try {
+            await setDoc(doc(db, getPublicDataPath('students'), currentUserId), { mentorIds: arrayRemove(mentorId) }, { merge: true });
+        } catch (e) {
+            console.error("Error removing mentor:", e);
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Sends a subject template (name and chapters with their targets and page ranges) to each student.
+     */
+    const pushSubjectTemplate = useCallback(async (studentIds, template) => {
+        if (!db || !currentUserId || studentIds.length === 0) return false;
+        try {
+            const batch = writeBatch(db);
+            studentIds.forEach(studentId => {
+                batch.set(doc(collection(db, `${getPublicDataPath('students')}/${studentId}/assignments`)), {
+                    name: template.name,
+                    chapters: template.chapters.map(c => ({
+                        name: c.name,
+                        total: c.total || 0,
+                        ...(c.pageStart ? { pageStart: c.pageStart, pageEnd: c.pageEnd } : {}),
+                    })),
+                    mentorId: currentUserId,
+                    createdAt: new Date(),
+                });
+            });
+            await batch.commit();
+            return true;
+        } catch (e) {
+            console.error("Error pushing subject template:", e);
+            return false;
+        }
+    }, [db, currentUserId]);
+
+
+    /**
+     * Daily Routine (Requirement 7)
+     */
+    const saveRoutineItems = useCallback(async (items) => {
+        if (!db || !currentUserId) return;
+        try {
+            await setDoc(doc(db, getPrivateUserPath(currentUserId, 'settings'), 'routine'), { items });
+        } catch (e) {
+            console.error("Error saving routine:", e);
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Marks a routine item done or not done for today. Each day has its own log
+     * document, so the `done` flags start fresh every day.
+     */
+    const setRoutineItemDone = useCallback(async (itemId, done) => {
+        if (!db || !currentUserId) return;
+        const todayKey = getDayKey(new Date(), settings);
+        const logRef = doc(db, getPrivateUserPath(currentUserId, 'routineLog'), todayKey);
+        try {
+            await setDoc(logRef, {
+                date: todayKey,
+                done: done ? arrayUnion(itemId) : arrayRemove(itemId),
+            }, { merge: true });
+        } catch (e) {
+            console.error("Error updating routine log:", e);
+        }
+    }, [db, currentUserId, settings]);
+
+    /**
+     * Timer Stop and Data Recording (Requirement 3)
+     * Writes one queued reading (see recordReading). The history document takes
+     * the entry's ID and is checked first, so an entry written before can't be added twice.
+     */
+    const writeReading = useCallback(async ({ id, subjectId, chapterId, durationSeconds, details }) => {
+        const durationMinutes = durationSeconds / 60;
+        const isRevision = details?.type === 'revision';
+        const pagesRead = isRevision ? 0 : details?.pagesRead || 0;
+        const revisionFields = isRevision ? {
+            type: 'revision',
+            ...(Number.isInteger(details.quality) ? { quality: details.quality } : {}),
+        } : {};
+        const sessionFields = details?.startedAt ? {
+            startedAt: new Date(details.startedAt),
+            spanMinutes: parseFloat(details.spanMinutes.toFixed(2)),
+            pausedMinutes: parseFloat(details.pausedMinutes.toFixed(2)),
+            segments: details.segments.map(seg => ({ start: new Date(seg.start), end: new Date(seg.end) })),
+            ...(details.cycle ? { cycle: details.cycle } : {}),
+        } : {};
+        const recordedAt = new Date(details.endedAt);
+        const dayKey = getDayKey(recordedAt, settings);
+
+        await runTransaction(db, async (transaction) => {
+            // Firestore transactions need every read before the first write.
+            const historyRef = doc(db, getPrivateUserPath(currentUserId, 'history'), id);
+            const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId);
+            const goalsRef = doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals');
+            const existingDoc = await transaction.get(historyRef);
+            const subjectDoc = await transaction.get(subjectRef);
+            const goalsDoc = await transaction.get(goalsRef);
+            if (existingDoc.exists()) return;
+
+            const chapters = subjectDoc.exists() ? subjectDoc.data().chapters : [];
+
+            // 1. Add History Record
+            const record = {
+                subjectId,
+                subjectName: subjectDoc.exists() ? subjectDoc.data().name : subjects.find(s => s.id === subjectId)?.name || 'N/A',
+                chapterId,
+                chapterName: chapters.find(c => c.id === chapterId)?.name || 'N/A',
+                durationMinutes: parseFloat(durationMinutes.toFixed(2)),
+                date: recordedAt,
+                userId: currentUserId,
+                ...(pagesRead > 0 ? { pagesRead } : {}),
+                ...sessionFields,
+                ...revisionFields,
+            };
+            transaction.set(historyRef, record);
+            writeSharedActivity(db, transaction, historyRef.id, null, record, groups.map(g => g.id));
+            writeDailyTotals(db, transaction, currentUserId, null, record, goalsDoc.data());
+
+            // 2. Update Chapter Progress; a rated revision reschedules the chapter instead
+            if (subjectDoc.exists() && isRevision) {
+                if (record.quality !== undefined) {
+                    transaction.update(subjectRef, {
+                        chapters: chapters.map(c => (c.id === chapterId ? { ...c, revision: scheduleNextRevision(c.revision, record.quality, dayKey) } : c)),
+                    });
+                }
+            } else if (subjectDoc.exists()) {
+                const updatedChapters = addRevisionSchedules(chapters, applyReadingToChapters(chapters, chapterId, durationMinutes, pagesRead), dayKey);
+                transaction.update(subjectRef, { chapters: updatedChapters });
+                if (settings.shareGroupDetails !== false) {
+                    writeGroupFeed(db, transaction, groups.map(g => g.id), {
+                        userId: currentUserId,
+                        displayName: user?.displayName || '',
+                        subjectName: record.subjectName,
+                    }, getNewlyCompletedChapters(chapters, updatedChapters));
+                }
+            }
+
+            // 3. Tick off the routine items linked to this subject on the day it was read
+            const linkedItemIds = getRoutineForDay(routineItems, fromDateKey(dayKey))
+                .filter(item => item.subjectId === subjectId)
+                .map(item => item.id);
+            if (linkedItemIds.length > 0) {
+                const logRef = doc(db, getPrivateUserPath(currentUserId, 'routineLog'), dayKey);
+                transaction.set(logRef, { date: dayKey, done: arrayUnion(...linkedItemIds) }, { merge: true });
+            }
+        });
+    }, [db, currentUserId, subjects, routineItems, groups, settings, user]);
+
+    /**
+     * Saves a reading. `details` carries the session's start, end and segments
+     * (see getSessionDetails). A `recordId` makes repeated calls for the same
+     * reading write it once. Resolves to true when written, 'queued' when kept
+     * for later because the app is offline, and false when the write failed.
+     */
+    // Applies `update` to the stored queue and shows the result
+    const updatePendingReadings = useCallback((update) => {
+        const queue = update(loadPendingReadings(currentUserId));
+        savePendingReadings(currentUserId, queue);
+        setPendingReadings(queue);
+    }, [currentUserId]);
+
+    const recordReading = useCallback(async (subjectId, chapterId, durationSeconds, details = null, recordId = null) => {
+        if (!db || !currentUserId || durationSeconds < 1) return false;
+        const entry = {
+            id: recordId || doc(collection(db, getPrivateUserPath(currentUserId, 'history'))).id,
+            subjectId,
+            chapterId,
+            durationSeconds,
+            details: { ...(details || {}), endedAt: details?.endedAt || Date.now() },
+        };
+        const enqueue = () => {
+            updatePendingReadings(queue => [...queue, entry]);
+            return 'queued';
+        };
+
+        // The local store needs no connection
+        const canQueue = !db.isLocal;
+        if (canQueue && !navigator.onLine) return enqueue();
+        try {
+            await writeReading(entry);
+            return true;
+        } catch (e) {
+            if (canQueue && isOfflineError(e)) return enqueue();
+            console.error("Transaction failed: ", e);
+            return false;
+        }
+    }, [db, currentUserId, writeReading, updatePendingReadings]);
+
+    /**
+     * Writes the queued readings that are due, in order. Stops at the first one that
+     * fails for lack of a connection; one that is rejected waits for its next attempt.
+     */
+    const flushingReadings = useRef(false);
+    const flushPendingReadings = useCallback(async () => {
+        if (!db || !currentUserId || flushingReadings.current || (!navigator.onLine && !db.isLocal)) return;
+        flushingReadings.current = true;
+        try {
+            for (const entry of loadPendingReadings(currentUserId)) {
+                if (entry.parked || entry.retryAt > Date.now()) continue;
+                try {
+                    await writeReading(entry);
+                } catch (e) {
+                    if (isOfflineError(e)) break;
+                    console.error("Error writing queued reading:", e);
+                    updatePendingReadings(queue => queue.map(queued => (queued.id === entry.id ? markPendingReadingFailed(queued) : queued)));
+                    continue;
+                }
+                updatePendingReadings(queue => queue.filter(queued => queued.id !== entry.id));
+            }
+        } finally {
+            flushingReadings.current = false;
+        }
+    }, [db, currentUserId, writeReading, updatePendingReadings]);
+
+    // Flush when back online, and again when the next rejected entry is due
+    useEffect(() => {
+        const waiting = pendingReadings.filter(entry => !entry.parked);
+        if (!isOnline || waiting.length === 0) return;
+        const delay = Math.max(0, Math.min(...waiting.map(entry => entry.retryAt || 0)) - Date.now());
+        const timeout = setTimeout(flushPendingReadings, delay);
+        return () => clearTimeout(timeout);
+    }, [isOnline, pendingReadings, flushPendingReadings]);
+
+    const retryPendingReading = useCallback((entryId) => updatePendingReadings(queue => queue.map(entry =>
+        (entry.id === entryId ? { ...entry, attempts: 0, retryAt: null, parked: false } : entry)
+    )), [updatePendingReadings]);
+
+    const discardPendingReading = useCallback((entryId) =>
+        updatePendingReadings(queue => queue.filter(entry => entry.id !== entryId)),
+    [updatePendingReadings]);
+
+
+    /**
+     * Manual History Management
+     * Every change to a history record moves its minutes on the matching chapter
+     * and in the daily totals in the same transaction, so `history`, the chapters'
+     * `read` and the totals stay consistent.
+     */
+    const addManualRecord = useCallback(async ({ subjectId, chapterId, durationMinutes, pagesRead = 0, date }) => {
+        if (!db || !currentUserId || !(durationMinutes > 0)) return false;
+        try {
+            await runTransaction(db, async (transaction) => {
+                const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId);
+                const subjectDoc = await transaction.get(subjectRef);
+                const goalsDoc = await transaction.get(doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals'));
+                if (!subjectDoc.exists()) throw new Error("Subject not found");
+                const { name: subjectName, chapters } = subjectDoc.data();
+
+                const historyRef = doc(collection(db, getPrivateUserPath(currentUserId, 'history')));
+                const record = {
+                    subjectId,
+                    subjectName,
+                    chapterId,
+                    chapterName: chapters.find(c => c.id === chapterId)?.name || 'N/A',
+                    durationMinutes: parseFloat(durationMinutes.toFixed(2)),
+                    date,
+                    userId: currentUserId,
+                    manual: true,
+                    ...(pagesRead > 0 ? { pagesRead } : {}),
+                };
+                transaction.set(historyRef, record);
+                writeSharedActivity(db, transaction, historyRef.id, null, record, groups.map(g => g.id));
+                writeDailyTotals(db, transaction, currentUserId, null, record, goalsDoc.data());
+                const updatedChapters = addRevisionSchedules(chapters, applyReadingToChapters(chapters, chapterId, durationMinutes, pagesRead), getDayKey(date, settings));
+                transaction.update(subjectRef, { chapters: updatedChapters });
+                if (settings.shareGroupDetails !== false) {
+                    writeGroupFeed(db, transaction, groups.map(g => g.id), {
+                        userId: currentUserId,
+                        displayName: user?.displayName || '',
+                        subjectName,
+                    }, getNewlyCompletedChapters(chapters, updatedChapters));
+                }
+            });
+            return true;
+        } catch (e) {
+            console.error("Error adding manual record:", e);
+            return false;
+        }
+    }, [db, currentUserId, groups, settings, user]);
+
+    const updateHistoryRecord = useCallback(async (recordId, { subjectId, chapterId, durationMinutes, pagesRead = 0, date }) => {
+        if (!db || !currentUserId || !(durationMinutes > 0)) return false;
+        const historyRef = doc(db, getPrivateUserPath(currentUserId, 'history'), recordId);
+        try {
+            await runTransaction(db, async (transaction) => {
+                const recordDoc = await transaction.get(historyRef);
+                if (!recordDoc.exists()) throw new Error("History record not found");
+                const old = recordDoc.data();
+
+                const oldSubjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), old.subjectId);
+                const newSubjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), subjectId);
+                const oldSubjectDoc = await transaction.get(oldSubjectRef);
+                const newSubjectDoc = old.subjectId === subjectId ? oldSubjectDoc : await transaction.get(newSubjectRef);
+                const goalsDoc = await transaction.get(doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals'));
+                if (!newSubjectDoc.exists()) throw new Error("Subject not found");
+                const oldChapters = oldSubjectDoc.exists() ? oldSubjectDoc.data().chapters : [];
+                const oldChapterId = resolveChapterId(oldChapters, old);
+                const newChapters = newSubjectDoc.data().chapters;
+
+                // A revision record keeps its type, so it still adds nothing to its chapter
+                const before = getChapterContribution(old);
+                const after = getChapterContribution({ ...old, durationMinutes, pagesRead });
+                // Only the chapter gaining the reading can be newly completed
+                let updatedChapters;
+                if (old.subjectId === subjectId) {
+                    const withoutOld = applyReadingToChapters(oldChapters, oldChapterId, -before.minutes, -before.pages);
+                    updatedChapters = addRevisionSchedules(newChapters, applyReadingToChapters(withoutOld, chapterId, after.minutes, after.pages), getDayKey(date, settings));
+                } else {
+                    if (oldSubjectDoc.exists()) {
+                        transaction.update(oldSubjectRef, {
+                            chapters: applyReadingToChapters(oldChapters, oldChapterId, -before.minutes, -before.pages),
+                        });
+                    }
+                    updatedChapters = addRevisionSchedules(newChapters, applyReadingToChapters(newChapters, chapterId, after.minutes, after.pages), getDayKey(date, settings));
+                }
+                transaction.update(newSubjectRef, { chapters: updatedChapters });
+                if (settings.shareGroupDetails !== false) {
+                    writeGroupFeed(db, transaction, groups.map(g => g.id), {
+                        userId: currentUserId,
+                        displayName: user?.displayName || '',
+                        subjectName: newSubjectDoc.data().name,
+                    }, getNewlyCompletedChapters(newChapters, updatedChapters));
+                }
+
+                const changes = {
+                    subjectId,
+                    subjectName: newSubjectDoc.data().name,
+                    chapterId,
+                    chapterName: newChapters.find(c => c.id === chapterId)?.name || 'N/A',
+                    durationMinutes: parseFloat(durationMinutes.toFixed(2)),
+                    pagesRead,
+                    date,
+                    editedAt: new Date(),
+                };
+                // The session timings no longer describe an edited duration or date
+                const roundedMinutes = parseFloat(durationMinutes.toFixed(2));
+                if (old.spanMinutes != null && (roundedMinutes !== old.durationMinutes || toJsDate(old.date).getTime() !== date.getTime())) {
+                    Object.assign(changes, { startedAt: null, spanMinutes: null, pausedMinutes: null, segments: null });
+                }
+                transaction.update(historyRef, changes);
+                writeSharedActivity(db, transaction, recordId, old, { ...old, ...changes }, groups.map(g => g.id));
+                writeDailyTotals(db, transaction, currentUserId, old, { ...old, ...changes }, goalsDoc.data());
+            });
+            return true;
+        } catch (e) {
+            console.error("Error updating history record:", e);
+            return false;
+        }
+    }, [db, currentUserId, groups, settings, user]);
+
+    const deleteHistoryRecord = useCallback(async (recordId) => {
+        if (!db || !currentUserId) return false;
+        const historyRef = doc(db, getPrivateUserPath(currentUserId, 'history'), recordId);
+        try {
+            await runTransaction(db, async (transaction) => {
+                const recordDoc = await transaction.get(historyRef);
+                if (!recordDoc.exists()) return;
+                const record = recordDoc.data();
+
+                const subjectRef = doc(db, getPrivateUserPath(currentUserId, 'subjects'), record.subjectId);
+                const subjectDoc = await transaction.get(subjectRef);
+                const goalsDoc = await transaction.get(doc(db, getPrivateUserPath(currentUserId, 'settings'), 'goals'));
+                if (subjectDoc.exists()) {
+                    const chapters = subjectDoc.data().chapters;
+                    const contribution = getChapterContribution(record);
+                    transaction.update(subjectRef, {
+                        chapters: applyReadingToChapters(chapters, resolveChapterId(chapters, record), -contribution.minutes, -contribution.pages),
+                    });
+                }
+                transaction.delete(historyRef);
+                writeSharedActivity(db, transaction, recordId, record, null, groups.map(g => g.id));
+                writeDailyTotals(db, transaction, currentUserId, record, null, goalsDoc.data());
+            });
+            return true;
+        } catch (e) {
+            console.error("Error deleting history record:", e);
+            return false;
+        }
+    }, [db, currentUserId, groups]);
+
+
+    /**
+     * Backup and Import
+     */
+    const exportBackup = useCallback(async () => {
+        if (!db || !currentUserId) return null;
+        return readBackup(db, currentUserId);
+    }, [db, currentUserId]);
+
+    // All history records, for the CSV export and the import's duplicate check
+    const readFullHistory = useCallback(async () => {
+        if (!db || !currentUserId) return [];
+        try {
+            return await readHistory(db, currentUserId);
+        } catch (e) {
+            console.error("Error reading history:", e);
+            throw new Error('backup.historyReadFailed');
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Writes a plan from planBackupImport. Minutes of records added to subjects
+     * that already exist are added to their chapters; new subjects come with
+     * their own totals. Returns true when everything was written.
+     */
+    const importBackup = useCallback(async (plan, { replaceGoals }) => {
+        if (!db || !currentUserId) return false;
+        const path = (name) => getPrivateUserPath(currentUserId, name);
+        const writes = [];
+
+        plan.newSubjects.forEach(({ id, ...subject }) => {
+            writes.push([doc(db, path('subjects'), id), subject]);
+        });
+
+        const updatedChapters = {};
+        plan.newHistory.forEach(({ id, ...record }) => {
+            writes.push([doc(db, path('history'), id), { ...record, userId: currentUserId }]);
+            const existing = subjects.find(s => s.id === record.subjectId);
+            if (existing) {
+                const contribution = getChapterContribution(record);
+                updatedChapters[existing.id] = applyReadingToChapters(
+                    updatedChapters[existing.id] || existing.chapters,
+                    record.chapterId,
+                    contribution.minutes,
+                    contribution.pages
+                );
+            }
+        });
+        Object.entries(updatedChapters).forEach(([subjectId, chapters]) => {
+            writes.push([doc(db, path('subjects'), subjectId), { chapters }, { merge: true }]);
+        });
+
+        plan.newPlans.forEach(p => writes.push([doc(db, path('plans'), p.subjectId), p]));
+        if (plan.newRoutineItems.length > 0) {
+            writes.push([doc(db, path('settings'), 'routine'), { items: [...routineItems, ...plan.newRoutineItems] }]);
+        }
+        Object.entries(plan.routineLog).forEach(([dateKey, log]) => {
+            if ((log.done || []).length === 0) return;
+            writes.push([doc(db, path('routineLog'), dateKey), { date: dateKey, done: arrayUnion(...log.done) }, { merge: true }]);
+        });
+        // The imported records are all new, so the member stats in each group grow by their minutes
+        const importedMinutesByDay = getMinutesByDay(plan.newHistory);
+        const importedMinutes = Object.values(importedMinutesByDay).reduce((sum, minutes) => sum + minutes, 0);
+        if (importedMinutes > 0) {
+            groups.forEach(group => writes.push([
+                doc(db, getGroupPath(group.id, 'members'), currentUserId),
+                {
+                    totalMinutes: increment(importedMinutes),
+                    minutesByDay: Object.fromEntries(Object.entries(importedMinutesByDay).map(([dateKey, minutes]) => [dateKey, increment(minutes)])),
+                },
+                { merge: true },
+            ]));
+        }
+        // Clearing the flags makes sharePastActivity and countDailyTotals recount the totals;
+        // moving totalsChanges stops a count already under way from marking them current
+        writes.push([
+            doc(db, path('settings'), 'goals'),
+            { ...(replaceGoals && plan.goals ? plan.goals : {}), activityShared: false, totalsCalendar: null, totalsChanges: increment(1) },
+            { merge: true },
+        ]);
+
+        try {
+            // Firestore batches hold at most 500 writes
+            for (let i = 0; i < writes.length; i += 400) {
+                const batch = writeBatch(db);
+                writes.slice(i, i + 400).forEach(([ref, data, options]) => batch.set(ref, data, options || {}));
+                await batch.commit();
+            }
+            await sharePastActivity();
+            await countDailyTotals();
+            return true;
+        } catch (e) {
+            console.error("Error importing backup:", e);
+            return false;
+        }
+    }, [db, currentUserId, subjects, routineItems, groups, sharePastActivity, countDailyTotals]);
+
+
+    /**
+     * Active Session Management (Requirement 3)
+     */
+    const persistActiveSession = useCallback(async (session) => {
+        if (!db || !currentUserId) return;
+        setActiveSession(session);
+        saveLocalSession(currentUserId, session && { ...session, synced: false });
+
+        const sessionRef = doc(db, getPrivateUserPath(currentUserId, 'sessions'), 'active');
+        try {
+            if (session) {
+                await setDoc(sessionRef, toRemoteSession(session));
+                const local = loadLocalSession(currentUserId);
+                if (local && local.startedAt === session.startedAt) {
+                    saveLocalSession(currentUserId, { ...local, synced: true });
+                }
+            } else {
+                await deleteDoc(sessionRef);
+            }
+        } catch (e) {
+            console.error("Error syncing active session:", e);
+        }
+    }, [db, currentUserId]);
+
+    /**
+     * Starts a timed session. With a PomodoroConfig the session runs in interval mode;
+     * with type 'revision' it is logged as a revision of a completed chapter.
+     */
+    const startSession = useCallback((subjectId, chapterId, pomodoroConfig = null, type = null) => {
+        const now = Date.now();
+        setRecoveryPending(false);
+        setPomodoroCue(null);
+        return persistActiveSession({
+            subjectId,
+            chapterId,
+            chapterName: subjects.find(s => s.id === subjectId)?.chapters.find(c => c.id === chapterId)?.name || '',
+            startedAt: now,
+            pausedAt: null,
+            pausedMs: 0,
+            segments: [{ start: now, end: null }],
+            lastSeenAt: now,
+            updatedAt: now,
+            ...(pomodoroConfig ? {
+                pomodoro: { ...toPomodoroConfig(pomodoroConfig), cycle: 1, phase: 'focus', breakStartedAt: null },
+            } : {}),
+            ...(type ? { type } : {}),
+        });
+    }, [subjects, persistActiveSession]);
+
+    const pauseSession = useCallback(() => {
+        if (!activeSession || activeSession.pausedAt) return;
+        const now = Date.now();
+        return persistActiveSession({
+            ...activeSession,
+            pausedAt: now,
+            segments: closeSessionSegments(activeSession, now),
+            updatedAt: now,
+        });
+    }, [activeSession, persistActiveSession]);
+
+    const resumeSession = useCallback(() => {
+        if (!activeSession || !activeSession.pausedAt) return;
+        const now = Date.now();
+        return persistActiveSession({
+            ...activeSession,
+            pausedAt: null,
+            pausedMs: (activeSession.pausedMs || 0) + (now - activeSession.pausedAt),
+            segments: [...closeSessionSegments(activeSession, activeSession.pausedAt), { start: now, end: null }],
+            lastSeenAt: now,
+            updatedAt: now,
+        });
+    }, [activeSession, persistActiveSession]);
+
+    // Sessions started before chapter IDs existed only know the chapter name.
+    const getSessionChapterId = useCallback((session) =>
+        resolveChapterId(subjects.find(s => s.id === session.subjectId)?.chapters, session),
+    [subjects]);
+
+    /**
+     * Records the active session through `recordReading` and clears it.
+     * `until` caps the session end, e.g. at the last heartbeat of an abandoned session;
+     * `pagesRead` is the page count the reader entered on finishing, and `quality`
+     * the recall rating of a revision session.
+     */
+    const finishSession = useCallback(async (until, pagesRead = 0, quality = null) => {
+        if (!activeSession) return { success: false, seconds: 0 };
+        const end = until || Date.now();
+        const seconds = getSessionElapsedSeconds(activeSession, end);
+        if (seconds < 1) return { success: false, seconds };
+
+        const details = {
+            ...getSessionDetails(activeSession, end),
+            cycle: activeSession.pomodoro?.cycle,
+            pagesRead,
+            ...(activeSession.type === 'revision' ? { type: 'revision', quality } : {}),
+        };
+        const result = await recordReading(activeSession.subjectId, getSessionChapterId(activeSession), seconds, details);
+        if (result) {
+            setRecoveryPending(false);
+            // Not awaited: offline, the delete only resolves once the server confirms it
+            persistActiveSession(null);
+        }
+        return { success: !!result, queued: result === 'queued', seconds };
+    }, [activeSession, getSessionChapterId, recordReading, persistActiveSession]);
+
+    const discardSession = useCallback(() => {
+        setRecoveryPending(false);
+        setPomodoroCue(null);
+        return persistActiveSession(null);
+    }, [persistActiveSession]);
+
+    /**
+     * Logs a finished focus block (focus time only, tagged with its cycle, with the pages
+     * entered during it) and starts the break.
+     * The record ID comes from the block's start and cycle, and a block already being
+     * logged is skipped, so a re-run of the transition effect can't log it twice.
+     */
+    const completingFocus = useRef(null);
+    const completePomodoroFocus = useCallback(async () => {
+        if (!activeSession?.pomodoro || activeSession.pomodoro.phase !== 'focus') return;
+        const { pomodoro } = activeSession;
+        const recordId = `pomodoro-${activeSession.startedAt}-${pomodoro.cycle}`;
+        if (completingFocus.current === recordId) return;
+        completingFocus.current = recordId;
+
+        const focusEnd = getPomodoroPhaseEnd(activeSession);
+        const seconds = getSessionElapsedSeconds(activeSession, focusEnd);
+        const details = { ...getSessionDetails(activeSession, focusEnd), cycle: pomodoro.cycle, pagesRead: activeSession.pagesRead || 0 };
+
+        const success = await recordReading(activeSession.subjectId, getSessionChapterId(activeSession), seconds, details, recordId);
+        if (!success) {
+            completingFocus.current = null;
+            setTrackerMessage(<span className="text-red-500 flex items-center"><XCircle className="w-4 h-4 mr-2" /> {t('common.saveFailed')}</span>);
+            return;
+        }
+
+        const now = Date.now();
+        const nextPomodoro = { ...pomodoro, phase: 'break', breakStartedAt: focusEnd };
+        playCue();
+        setPomodoroCue({
+            phase: 'break',
+            text: t(isLongBreak(nextPomodoro) ? 'pomodoro.focusDoneLong' : 'pomodoro.focusDone', { cycle: pomodoro.cycle, minutes: getBreakMinutes(nextPomodoro) }),
+        });
+        await persistActiveSession({
+            subjectId: activeSession.subjectId,
+            chapterId: activeSession.chapterId,
+            chapterName: activeSession.chapterName,
+            startedAt: focusEnd,
+            pausedAt: null,
+            pausedMs: 0,
+            segments: [],
+            lastSeenAt: now,
+            updatedAt: now,
+            pomodoro: nextPomodoro,
+        });
+    }, [activeSession, getSessionChapterId, recordReading, persistActiveSession, t]);
+
+    // Keeps the page count on the session so a focus block that ends on its own logs it too
+    const setSessionPages = useCallback((pagesRead) => {
+        if (!activeSession || (activeSession.pagesRead || 0) === pagesRead) return;
+        return persistActiveSession({ ...activeSession, pagesRead, updatedAt: Date.now() });
+    }, [activeSession, persistActiveSession]);
+
+    const startNextPomodoroCycle = useCallback(() => {
+        if (!activeSession?.pomodoro) return;
+        const now = Date.now();
+        setPomodoroCue(null);
+        return persistActiveSession({
+            ...activeSession,
+            startedAt: now,
+            pausedAt: null,
+            pausedMs: 0,
+            segments: [{ start: now, end: null }],
+            lastSeenAt: now,
+            updatedAt: now,
+            pomodoro: { ...activeSession.pomodoro, cycle: activeSession.pomodoro.cycle + 1, phase: 'focus', breakStartedAt: null },
+        });
+    }, [activeSession, persistActiveSession]);
+
+    /**
+     * Last moment an abandoned session was known to be open on any device.
+     */
+    const getSessionLastSeenAt = useCallback(() => {
+        if (!activeSession) return Date.now();
+        const local = loadLocalSession(currentUserId);
+        const localSeen = local && local.startedAt === activeSession.startedAt ? (local.lastSeenAt || 0) : 0;
+        return Math.max(activeSession.startedAt, activeSession.lastSeenAt || 0, localSeen);
+    }, [activeSession, currentUserId]);
+
+    // Continue an abandoned session, leaving out the time nobody had the app open.
+    const resumeAbandonedSession = useCallback(() => {
+        if (!activeSession) return;
+        const now = Date.now();
+        const lastSeenAt = getSessionLastSeenAt();
+        setRecoveryPending(false);
+        if (activeSession.pomodoro?.phase === 'break') {
+            return persistActiveSession({ ...activeSession, lastSeenAt: now, updatedAt: now });
+        }
+        return persistActiveSession({
+            ...activeSession,
+            pausedMs: (activeSession.pausedMs || 0) + (now - lastSeenAt),
+            segments: [...closeSessionSegments(activeSession, lastSeenAt), { start: now, end: null }],
+            lastSeenAt: now,
+            updatedAt: now,
+        });
+    }, [activeSession, getSessionLastSeenAt, persistActiveSession]);
+
+    // Pomodoro phase transitions run here rather than in TrackingView so they
+    // fire on every view. A break that is over waits for the user to continue.
+    useEffect(() => {
+        if (!activeSession?.pomodoro || recoveryPending) return;
+        const phaseEnd = getPomodoroPhaseEnd(activeSession);
+        if (phaseEnd === null) return;
+        const delay = phaseEnd - Date.now();
+        const isBreak = activeSession.pomodoro.phase === 'break';
+        if (isBreak && delay <= 0) return;
+
+        const timeout = setTimeout(() => {
+            if (isBreak) {
+                playCue();
+                setPomodoroCue({ phase: 'focus', text: t('pomodoro.breakOver') });
+            } else {
+                completePomodoroFocus();
+            }
+        }, Math.max(0, delay));
+        return () => clearTimeout(timeout);
+    }, [activeSession, recoveryPending, completePomodoroFocus, t]);
+
+    // Visual cue in the tab title while a transition hasn't been acknowledged
+    useEffect(() => {
+        if (!pomodoroCue) return;
+        const originalTitle = document.title;
+        document.title = t(pomodoroCue.phase === 'break' ? 'pomodoro.breakTitle' : 'pomodoro.focusTitle');
+        return () => { document.title = originalTitle; };
+    }, [pomodoroCue, t]);
+
+
+    // ----------------------------------------------------------------
+    // 4. Statistics and Calculations (Requirement 4 & 5)
+    // ----------------------------------------------------------------
+
+    // Everything here comes from the daily totals, not the loaded page of history
+    const stats = useMemo(() => {
+        const totalMinutes = dailyTotals.reduce((sum, day) => sum + day.minutes, 0);
+        const totalSessions = dailyTotals.reduce((sum, day) => sum + day.sessions, 0);
+
+        // Days and weeks follow the user's week start, time zone and day rollover
+        const weekStartKey = getWeekStartKey(todayKey, settings.weekStartDay);
+        const minutesByDay = getTotalMinutesByDay(dailyTotals);
+        const todayMinutes = minutesByDay[todayKey] || 0;
+
+        const weekDays = dailyTotals.filter(day => day.date >= weekStartKey && day.date <= todayKey);
+        const weeklyMinutes = weekDays.reduce((sum, day) => sum + day.minutes, 0);
+
+        // Active reading vs wall-clock span (records without segments have no pauses)
+        const weeklySpanMinutes = weekDays.reduce((sum, day) => sum + day.spanMinutes, 0);
+        const weeklyPausedMinutes = weekDays.reduce((sum, day) => sum + day.pausedMinutes, 0);
+
+        // Chart of the last 7 days
+        const chartData = getWeekChartData(minutesByDay, todayKey);
+
+        const chaptersRead = subjects.flatMap(s => s.chapters.filter(c => c.is_completed)).length;
+
+        const streaks = getStreaks(minutesByDay, settings.dailyGoalMinutes, todayKey);
+
+        return {
+            totalMinutes: totalMinutes,
+            totalSessions: totalSessions,
+            todayMinutes: todayMinutes,
+            weeklyMinutes: weeklyMinutes,
+            weeklySpanMinutes: weeklySpanMinutes,
+            weeklyPausedMinutes: weeklyPausedMinutes,
+            chaptersRead: chaptersRead,
+            chartData: chartData,
+            minutesByDay: minutesByDay,
+            todayKey: todayKey,
+            currentStreak: streaks.current,
+            longestStreak: streaks.longest,
+        };
+    }, [dailyTotals, subjects, settings, todayKey]);
+
+    // A number, so new history only restarts the reminder check when the median moves
+    const usualSessionMinutes = useMemo(() => getUsualSessionMinutes(history), [history]);
+
+    // Routine, daily goal and forgotten-timer reminders while notifications are on
+    useEffect(() => {
+        const preferences = { ...DEFAULT_NOTIFICATIONS, ...settings.notifications };
+        if (!currentUserId || !preferences.enabled || !('Notification' in window)) return;
+
+        const check = () => {
+            if (Notification.permission !== 'granted') return;
+            const now = new Date();
+            const todayKey = getDayKey(now, settings);
+            const sent = loadSentReminders(currentUserId);
+            const due = getDueReminders({
+                now,
+                preferences,
+                settings,
+                todayKey,
+                todayMinutes: getTotalMinutesByDay(dailyTotals)[todayKey] || 0,
+                routineItems,
+                routineDone: routineLogs[todayKey] || [],
+                subjects,
+                activeSession,
+                usualSessionMinutes,
+                locale,
+            }).filter(reminder => !sent.includes(reminder.tag));
+            if (due.length === 0) return;
+
+            due.forEach(reminder => showNotification(reminder.title, { body: reminder.body, tag: reminder.tag }));
+            saveSentReminders(currentUserId, [...sent, ...due.map(reminder => reminder.tag)]);
+        };
+
+        check();
+        const interval = setInterval(check, REMINDER_CHECK_MS);
+        return () => clearInterval(interval);
+    }, [currentUserId, settings, usualSessionMinutes, dailyTotals, routineItems, routineLogs, subjects, activeSession, locale]);
+
+
+    // ----------------------------------------------------------------
+    // 5. Component Logic
+    // ----------------------------------------------------------------
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center min-h-screen bg-gray-100">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+                <p className="ml-3 text-lg font-medium text-gray-700">{t('app.loading')}</p>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="p-8 max-w-lg mx-auto mt-10 bg-white shadow-xl rounded-xl border border-red-300">
+                <h2 className="text-2xl font-bold text-red-600 mb-4">{t('app.criticalError')}</h2>
+                <p className="text-gray-700">{error}</p>
+                <p className="mt-4 text-sm text-gray-500">{t('common.userId')}: <code className="break-all">{currentUserId}</code></p>
+            </div>
+        );
+    }
+
+    // ----------------------------------------------------------------
+    // UI Components (Render based on currentView)
+    // ----------------------------------------------------------------
+
+    const Navbar = () => (
+        <div className="flex flex-col md:flex-row justify-between items-center p-4 bg-white shadow-lg rounded-xl mb-6">
+            <div className="mb-2 md:mb-0">
+                <h1 className="text-2xl font-extrabold text-indigo-700">
+                    {t('common.appTitle')}
+                </h1>
+                <div className="flex items-center gap-3">
+                    <SyncStatus />
+                    <LanguageSelect />
+                </div>
+            </div>
+            <div className="flex space-x-2 overflow-x-auto pb-1 md:pb-0">
+                <NavButton icon={BarChart3} label={t('nav.dashboard')} view="dashboard" />
+                <NavButton icon={Timer} label={t('nav.tracking')} view="tracking" />
+                <NavButton icon={BookOpen} label={t('nav.subjects')} view="subjects" />
+                <NavButton icon={Settings} label={t('nav.goals')} view="goals" />
+                <NavButton icon={History} label={t('nav.history')} view="history" />
+                <NavButton icon={PieChart} label={t('nav.analytics')} view="analytics" />
+                <NavButton icon={Users} label={t('nav.groups')} view="groups" />
+                {isTeacher && <NavButton icon={Target} label={t('nav.teacher')} view="teacher" />}
+                {isAdmin && <NavButton icon={Users} label={t('nav.admin')} view="admin" />}
+                <NavButton icon={UserCircle} label={user.displayName || t(user.isAnonymous ? 'common.guest' : 'nav.account')} view="account" />
+            </div>
+        </div>
+    );
+
+    const SyncStatus = () => {
+        const queuedCount = pendingReadings.length;
+        const isPending = queuedCount > 0 || Object.values(pendingWrites).some(Boolean);
+        const lastSync = lastSyncedAt ? t('sync.lastSync', { time: formatClock(lastSyncedAt) }) : t('sync.never');
+
+        if (db?.isLocal) {
+            return (
+                <span className="flex items-center text-xs font-semibold text-gray-600" title={t('sync.localTitle')}>
+                    <HardDrive className="w-4 h-4 mr-1" /> {t('sync.local')}
+                </span>
+            );
+        }
+        if (!isOnline) {
+            return (
+                <span className="flex items-center text-xs font-semibold text-red-600" title={lastSync}>
+                    <CloudOff className="w-4 h-4 mr-1" /> {t('sync.offline')}{queuedCount > 0 && t('sync.waiting', { count: queuedCount })}
+                </span>
+            );
+        }
+        if (isPending) {
+            return (
+                <span className="flex items-center text-xs font-semibold text-orange-600" title={lastSync}>
+                    <RefreshCw className="w-4 h-4 mr-1 animate-spin" /> {t('sync.syncing')}{queuedCount > 0 && t('sync.remaining', { count: queuedCount })}
+                </span>
+            );
+        }
+        return (
+            <span className="flex items-center text-xs font-semibold text-green-600">
+                <Cloud className="w-4 h-4 mr-1" /> {lastSync}
+            </span>
+        );
+    };
+
+    const LanguageSelect = () => (
+        <select
+            value={language}
+            onChange={(e) => saveLanguage(e.target.value)}
+            aria-label={t('common.language')}
+            className="text-xs p-1 border border-gray-300 rounded-lg bg-white"
+        >
+            {Object.entries(LANGUAGES).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+        </select>
+    );
+
+    const NavButton = ({ icon: Icon, label, view }) => (
+        <button
+            onClick={() => setCurrentView(view)}
+            className={`flex items-center px-4 py-2 text-sm font-semibold rounded-lg transition duration-200 whitespace-nowrap
+                ${currentView === view
+                    ? 'bg-indigo-600 text-white shadow-md'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+        >
+            <Icon className="w-4 h-4 mr-2" />
+            {label}
+        </button>
+    );
+    
+    const SessionRecoveryBanner = () => {
+        const [isSaving, setIsSaving] = useState(false);
+        const [isRating, setIsRating] = useState(false);
+        const lastSeenAt = getSessionLastSeenAt();
+        const subjectName = subjects.find(s => s.id === activeSession.subjectId)?.name || '';
+
+        // Like finishing in the tracker, a revision session asks for the recall rating first
+        const handleSaveUntilLastSeen = async (quality = null) => {
+            if (activeSession.type === 'revision' && quality === null) {
+                setIsRating(true);
+                return;
+            }
+            setIsRating(false);
+            setIsSaving(true);
+            const { success, seconds } = await finishSession(lastSeenAt, activeSession.pagesRead || 0, quality);
+            setIsSaving(false);
+            if (success) {
+                setTrackerMessage(<span className="text-green-600 flex items-center"><CheckCircle className="w-4 h-4 mr-2" /> {t('recovery.saved', { duration: formatTime(seconds / 60) })}</span>);
+            } else if (seconds < 1) {
+                discardSession();
+            } else {
+                alert(t('common.saveFailed'));
+            }
+        };
+
+        return (
+            <div className="p-4 mb-6 bg-yellow-50 border border-yellow-300 rounded-xl space-y-3">
+                <p className="font-semibold text-yellow-800">{t('recovery.title')}</p>
+                <p className="text-sm text-yellow-700">
+                    {t('recovery.details', {
+                        subject: subjectName,
+                        chapter: activeSession.chapterName,
+                        start: formatDateTime(new Date(activeSession.startedAt)),
+                        lastSeen: formatDateTime(new Date(lastSeenAt)),
+                        duration: formatTime(getSessionElapsedSeconds(activeSession, lastSeenAt) / 60),
+                    })}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={resumeAbandonedSession} disabled={isSaving} className="px-4 py-2 text-sm font-semibold bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50">
+                        {t('recovery.resume')}
+                    </button>
+                    <button onClick={() => handleSaveUntilLastSeen()} disabled={isSaving || isRating} className="px-4 py-2 text-sm font-semibold bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                        {t('recovery.saveUntilLastSeen')}
+                    </button>
+                    <button onClick={discardSession} disabled={isSaving} className="px-4 py-2 text-sm font-semibold bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50">
+                        {t('common.cancelAction')}
+                    </button>
+                </div>
+                {isRating && (
+                    <div className="pt-2 space-y-2">
+                        <p className="text-sm font-semibold text-yellow-800">{t('tracking.recallQuestion')}</p>
+                        <div className="flex flex-wrap gap-2">
+                            {REVISION_QUALITIES.map(option => (
+                                <button
+                                    key={option.quality}
+                                    onClick={() => handleSaveUntilLastSeen(option.quality)}
+                                    className={`px-3 py-1 text-sm font-semibold text-white rounded-lg ${option.className}`}
+                                >
+                                    {t(option.labelKey)}
+                                </button>
+                            ))}
+                            <button onClick={() => setIsRating(false)} className="text-xs text-gray-500 hover:text-gray-700">{t('tracking.back')}</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // Queued readings the server kept rejecting; see markPendingReadingFailed
+    const ParkedReadingsBanner = ({ entries }) => (
+        <div className="p-4 mb-6 bg-red-50 border border-red-300 rounded-xl space-y-3">
+            <p className="font-semibold text-red-800">{t('queue.parkedTitle', { count: entries.length })}</p>
+            {entries.map(entry => {
+                const subject = subjects.find(s => s.id === entry.subjectId);
+                return (
+                    <div key={entry.id} className="flex flex-wrap justify-between items-center gap-2 text-sm text-red-700">
+                        <span>
+                            {t('queue.parkedDetails', {
+                                subject: subject?.name || '',
+                                chapter: subject?.chapters.find(c => c.id === entry.chapterId)?.name || '',
+                                date: formatDateTime(new Date(entry.details.endedAt)),
+                                duration: formatTime(entry.durationSeconds / 60),
+                            })}
+                        </span>
+                        <div className="flex gap-2">
+                            <button onClick={() => retryPendingReading(entry.id)} className="px-3 py-1 text-xs font-semibold bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">
+                                {t('queue.retry')}
+                            </button>
+                            <button
+                                onClick={() => window.confirm(t('queue.confirmDiscard')) && discardPendingReading(entry.id)}
+                                className="px-3 py-1 text-xs font-semibold bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                            >
+                                {t('common.delete')}
+                            </button>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+
+    // ====================================================================
+    // VIEW: Dashboard (Requirement 5)
+    // ====================================================================
+
+    const DashboardView = () => (
+        <div className="space-y-8">
+            <h2 className="text-3xl font-bold text-gray-800 border-b pb-2 mb-4">{t('dashboard.title')}</h2>
+            
+            <p className="text-sm font-medium text-gray-500">{t('common.userId')}: <code className="break-all text-xs bg-gray-100 p-1 rounded">{currentUserId}</code></p>
+
+            {/* Overall Stats */}
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                <StatCard title={t('dashboard.totalTime')} value={formatTime(stats.totalMinutes)} icon={Clock} color="indigo" />
+                <StatCard title={t('dashboard.today')} value={formatMinutesToHHMM(stats.todayMinutes)} icon={Timer} color="green" />
+                <StatCard title={t('dashboard.week')} value={formatMinutesToHHMM(stats.weeklyMinutes)} icon={BarChart3} color="orange" />
+                <StatCard title={t('dashboard.chaptersDone')} value={t('dashboard.chapterCount', { count: stats.chaptersRead })} icon={CheckCircle} color="teal" />
+                <StatCard title={t('dashboard.currentStreak')} value={t('time.days', { count: stats.currentStreak })} icon={Flame} color="red" />
+                <StatCard title={t('dashboard.longestStreak')} value={t('time.days', { count: stats.longestStreak })} icon={Trophy} color="yellow" />
+            </div>
+
+            <p className="text-sm text-gray-600 -mt-4">
+                {t('dashboard.weekActive')} <span className="font-semibold">{formatMinutesToHHMM(stats.weeklyMinutes)}</span> | 
+                {t('dashboard.weekSpan')} <span className="font-semibold">{formatMinutesToHHMM(stats.weeklySpanMinutes)}</span> | 
+                {t('dashboard.weekPaused')} <span className="font-semibold">{formatMinutesToHHMM(stats.weeklyPausedMinutes)}</span>
+                {stats.weeklySpanMinutes > 0 && t('dashboard.focusShare', { percent: Math.round((stats.weeklyMinutes / stats.weeklySpanMinutes) * 100) })}
+            </p>
+
+            {/* Exam Countdown and Readiness */}
+            <ExamCountdownCard />
+
+            {/* Weekly Statistics Chart (Requirement 4) */}
+            <WeekHistoryChart />
+
+            {/* Year-long Calendar Heatmap */}
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('dashboard.heatmapTitle')}</h3>
+                <CalendarHeatmap minutesByDay={stats.minutesByDay} goal={settings.dailyGoalMinutes} />
+            </div>
+
+            {/* Monthly / Yearly Totals */}
+            <PeriodTotalsCard />
+
+            {/* Today's Plan Assignments (Requirement 6) */}
+            {activePlans.length > 0 && (
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700 flex items-center"><CalendarDays className="w-5 h-5 mr-2" /> {t('dashboard.todayPlan')}</h3>
+                    <TodayPlanList plans={activePlans} subjects={subjects} />
+                </div>
+            )}
+
+            {/* Reading Goals and Progress */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <GoalCard title={t('dashboard.dailyGoal')} current={stats.todayMinutes} goal={settings.dailyGoalMinutes} />
+                <GoalCard title={t('dashboard.weeklyGoal')} current={stats.weeklyMinutes} goal={settings.weeklyGoalMinutes} />
+            </div>
+            
+            {/* Chapters In Progress */}
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('dashboard.inProgress')}</h3>
+                <ChapterProgressList items={getChapterProgressItems(activeSubjects).slice(0, 5)} />
+            </div>
+
+            {/* Spaced-repetition Revision */}
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <h3 className="text-xl font-semibold mb-4 text-gray-700 flex items-center"><RotateCcw className="w-5 h-5 mr-2" /> {t('dashboard.revisionToday')}</h3>
+                <RevisionDueList items={getDueRevisions(activeSubjects, stats.todayKey)} />
+            </div>
+        </div>
+    );
+
+    /**
+     * Days left to each upcoming exam, the subject's readiness and whether its
+     * open chapters fit before the exam at the recent pace. Hidden without exams.
+     */
+    const ExamCountdownCard = () => {
+        const exams = getUpcomingExams(activeSubjects, dailyTotals, stats.todayKey);
+        if (exams.length === 0) return null;
+        const toPercent = (share) => Math.round(share * 100);
+        const getReadinessColor = (score) => (score >= 75 ? 'bg-green-500' : score >= 40 ? 'bg-yellow-500' : 'bg-red-500');
+
+        const getPaceNote = ({ fits, projection, neededPace }) => {
+            if (fits === null) return <p className="text-xs text-gray-500 mt-1">{t('analytics.needsTargets')}</p>;
+            if (fits) {
+                return (
+                    <p className="text-xs text-green-600 mt-1">
+                        {projection.finished
+                            ? t('analytics.allComplete')
+                            : projection.targetsReached
+                                ? t('analytics.targetsReached')
+                                : t('exam.onTrack', { date: formatDate(projection.date) })}
+                    </p>
+                );
+            }
+            return (
+                <p className="text-xs text-red-600 font-semibold mt-1">
+                    {projection.dailyPace > 0
+                        ? t('exam.behind', { pace: formatMinutesToHHMM(projection.dailyPace), date: formatDate(projection.date), needed: formatMinutesToHHMM(neededPace) })
+                        : t('exam.noPace', { days: PACE_WINDOW_DAYS, needed: formatMinutesToHHMM(neededPace) })}
+                </p>
+            );
+        };
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <h3 className="text-xl font-semibold mb-4 text-gray-700 flex items-center"><CalendarDays className="w-5 h-5 mr-2" /> {t('exam.title')}</h3>
+                <div className="space-y-4">
+                    {exams.map(exam => (
+                        <div key={exam.subjectId} className="border-b pb-3 last:border-b-0">
+                            <div className="flex justify-between items-baseline">
+                                <span className="font-semibold text-gray-800">{exam.subjectName}</span>
+                                <span className={`text-sm font-semibold ${exam.daysLeft <= 7 ? 'text-red-600' : 'text-indigo-600'}`}>
+                                    {exam.daysLeft === 0 ? t('exam.today') : t('exam.daysLeft', { count: exam.daysLeft })}
+                                </span>
+                            </div>
+                            <p className="text-xs text-gray-500">{formatDate(fromDateKey(exam.examDate), { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</p>
+                            <div className="flex items-center mt-2">
+                                <div className="flex-1 h-3 bg-gray-100 rounded-full mr-2">
+                                    <div className={`h-full rounded-full ${getReadinessColor(exam.readiness.score)}`} style={{ width: `${exam.readiness.score}%` }}></div>
+                                </div>
+                                <span className="text-sm font-semibold text-gray-800">{t('exam.readiness', { percent: exam.readiness.score })}</span>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1">
+                                {t('exam.readinessParts', {
+                                    chapters: toPercent(exam.readiness.chapters),
+                                    time: toPercent(exam.readiness.time),
+                                    revision: toPercent(exam.readiness.revision),
+                                })}
+                            </p>
+                            {getPaceNote(exam)}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
+    /**
+     * WeeklyBarChart with navigation back through past weeks. Offset 0 is the
+     * last 7 days; each step back moves the window by a week.
+     */
+    const WeekHistoryChart = () => {
+        const [weekOffset, setWeekOffset] = useState(0);
+        const endKey = addDaysToKey(stats.todayKey, -7 * weekOffset);
+        const data = weekOffset === 0 ? stats.chartData : getWeekChartData(stats.minutesByDay, endKey);
+        const startKey = addDaysToKey(endKey, -6);
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-gray-700">{t('chart.weekTitle')}</h3>
+                    <div className="flex items-center space-x-2 text-sm">
+                        <button onClick={() => setWeekOffset(o => o + 1)} className="p-1 rounded hover:bg-gray-100" title={t('chart.previousWeek')}>
+                            <ChevronLeft className="w-5 h-5" />
+                        </button>
+                        <span className="text-gray-600">
+                            {formatDate(fromDateKey(startKey))} – {formatDate(fromDateKey(endKey))}
+                        </span>
+                        <button onClick={() => setWeekOffset(o => Math.max(0, o - 1))} disabled={weekOffset === 0} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title={t('chart.nextWeek')}>
+                            <ChevronRight className="w-5 h-5" />
+                        </button>
+                    </div>
+                </div>
+                <WeeklyBarChart data={data} goal={settings.dailyGoalMinutes} />
+            </div>
+        );
+    };
+
+    /**
+     * One cell per day for the last 53 weeks, columns are weeks starting on the
+     * user's week start day. Shading steps up with the share of the daily goal reached.
+     */
+    const CalendarHeatmap = ({ minutesByDay, goal }) => {
+        const todayKey = stats.todayKey;
+        const firstKey = addDaysToKey(getWeekStartKey(todayKey, settings.weekStartDay), -52 * 7);
+        const weeks = [];
+        for (let w = 0; w < 53; w++) {
+            const days = [];
+            for (let d = 0; d < 7; d++) {
+                const key = addDaysToKey(firstKey, w * 7 + d);
+                days.push(key > todayKey ? null : { key, minutes: minutesByDay[key] || 0 });
+            }
+            weeks.push(days);
+        }
+
+        const getShade = (minutes) => {
+            if (minutes <= 0) return 'bg-gray-100';
+            const ratio = minutes / Math.max(goal, 1);
+            if (ratio >= 1) return 'bg-green-600';
+            if (ratio >= 0.66) return 'bg-green-500';
+            if (ratio >= 0.33) return 'bg-green-300';
+            return 'bg-green-200';
+        };
+
+        return (
+            <div className="overflow-x-auto">
+                <div className="flex gap-1">
+                    {weeks.map((days, w) => (
+                        <div key={w} className="flex flex-col gap-1">
+                            {days.map((day, d) => day ? (
+                                <div
+                                    key={day.key}
+                                    className={`w-3 h-3 rounded-sm ${getShade(day.minutes)}`}
+                                    title={t('chart.dayMinutes', { day: formatDate(fromDateKey(day.key)), minutes: Math.round(day.minutes) })}
+                                ></div>
+                            ) : (
+                                <div key={d} className="w-3 h-3"></div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+                <div className="flex items-center space-x-1 mt-2 text-xs text-gray-500">
+                    <span>{t('chart.less')}</span>
+                    {['bg-gray-100', 'bg-green-200', 'bg-green-300', 'bg-green-500', 'bg-green-600'].map(shade => (
+                        <div key={shade} className={`w-3 h-3 rounded-sm ${shade}`}></div>
+                    ))}
+                    <span>{t('chart.more')}</span>
+                </div>
+            </div>
+        );
+    };
+
+    const PERIOD_RANGES = [
+        { id: 'months-6', unit: 'month', count: 6 },
+        { id: 'months-12', unit: 'month', count: 12 },
+        { id: 'years-3', unit: 'year', count: 3 },
+        { id: 'years-5', unit: 'year', count: 5 },
+    ];
+
+    const PeriodTotalsCard = () => {
+        const [rangeId, setRangeId] = useState(PERIOD_RANGES[0].id);
+        const range = PERIOD_RANGES.find(r => r.id === rangeId);
+        const totals = getPeriodTotals(stats.minutesByDay, range.unit, range.count, stats.todayKey);
+        const maxMinutes = Math.max(...totals.map(period => period.minutes), 1);
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-gray-700">{t(range.unit === 'year' ? 'chart.yearlyTotals' : 'chart.monthlyTotals')}</h3>
+                    <select value={rangeId} onChange={(e) => setRangeId(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-lg">
+                        {PERIOD_RANGES.map(r => (
+                            <option key={r.id} value={r.id}>{t(r.unit === 'year' ? 'chart.lastYears' : 'chart.lastMonths', { count: r.count })}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="space-y-2">
+                    {totals.map(period => (
+                        <div key={period.prefix} className="flex items-center text-sm">
+                            <span className="w-28 text-gray-600">
+                                {formatDate(period.start, range.unit === 'year' ? { year: 'numeric' } : { month: 'short', year: 'numeric' })}
+                            </span>
+                            <div className="flex-1 h-3 bg-gray-100 rounded-full mx-2">
+                                <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${(period.minutes / maxMinutes) * 100}%` }}></div>
+                            </div>
+                            <span className="w-20 text-right font-semibold text-gray-800">{formatMinutesToHHMM(period.minutes)}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
+    const StatCard = ({ title, value, icon: Icon, color }) => (
+        <div className={`bg-white p-4 rounded-xl shadow-md border-l-4 border-${color}-500 flex items-center`}>
+            <Icon className={`w-6 h-6 mr-3 text-${color}-600`} />
+            <div>
+                <p className="text-sm font-medium text-gray-500">{title}</p>
+                <p className="text-lg font-bold text-gray-800">{value}</p>
+            </div>
+        </div>
+    );
+
+    const WeeklyBarChart = ({ data, goal }) => {
+        const maxVal = Math.max(...data.map(d => d.minutes), goal) * 1.2;
+        
+        return (
+            <div className="flex justify-around items-end h-40 bg-gray-50 p-2 rounded-lg relative">
+                {/* Goal Line */}
+                <div 
+                    className="absolute w-full border-b border-red-400 border-dashed" 
+                    style={{ bottom: `${(goal / maxVal) * 100}%` }}
+                >
+                    <span className="absolute left-0 bottom-0 text-xs text-red-600 -translate-y-full translate-x-1">{t('chart.goalLine', { minutes: goal })}</span>
+                </div>
+
+                {data.map((item, index) => (
+                    <div key={index} className="flex flex-col items-center h-full justify-end w-1/8 mx-1">
+                        <div 
+                            className={`bg-indigo-500 hover:bg-indigo-600 rounded-t-lg transition-all duration-300`} 
+                            style={{ height: `${(item.minutes / maxVal) * 100}%`, width: '80%' }}
+                            title={t('chart.dayMinutes', { day: getDayName(fromDateKey(item.key)), minutes: item.minutes })}
+                        ></div>
+                        <span className="text-xs mt-1 text-gray-600">{formatNumber(item.minutes)}</span>
+                        <span className="text-xs text-gray-500 mt-0.5">{getDayName(fromDateKey(item.key))}</span>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    const GoalCard = ({ title, current, goal }) => {
+        const progress = goal > 0 ? Math.min(100, (current / goal) * 100) : 0;
+        const remaining = Math.max(0, goal - current);
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+                <h3 className="text-xl font-semibold flex items-center text-gray-700 mb-4">
+                    <Target className="w-5 h-5 mr-2 text-pink-600" />
+                    {title}
+                </h3>
+                <div className="h-3 bg-gray-200 rounded-full">
+                    <div 
+                        className={`h-full rounded-full transition-all duration-500 ${progress >= 100 ? 'bg-green-500' : 'bg-pink-500'}`} 
+                        style={{ width: `${progress}%` }}
+                    ></div>
+                </div>
+                <p className="mt-3 text-sm text-gray-600">
+                    {t('goalCard.progress', { current: formatMinutesToHHMM(current), goal: formatMinutesToHHMM(goal) })}
+                </p>
+                <p className={`mt-1 text-xs ${progress >= 100 ? 'text-green-600' : 'text-red-500'}`}>
+                    {progress >= 100 ? t('goalCard.done') : t('goalCard.remaining', { remaining: formatMinutesToHHMM(remaining) })}
+                </p>
+            </div>
+        );
+    };
+
+    const TodayPlanList = ({ plans, subjects }) => {
+        const todayKey = stats.todayKey;
+
+        return (
+            <div className="space-y-4">
+                {plans.map(plan => {
+                    const subject = subjects.find(s => s.id === plan.subjectId);
+                    const status = getPlanStatus(plan, subject, todayKey);
+                    return (
+                        <div key={plan.id} className="border-b pb-3">
+                            <div className="flex justify-between items-center">
+                                <p className="font-medium text-gray-800">{subject ? subject.name : plan.subjectName}</p>
+                                <span className={`text-xs font-semibold px-2 py-1 rounded-full
+                                    ${status.isFinished ? 'bg-green-100 text-green-700' : status.isBehind ? 'bg-red-100 text-red-700' : 'bg-teal-100 text-teal-700'}`}>
+                                    {t(status.isFinished ? 'plan.finished' : status.isBehind ? 'plan.behind' : 'plan.onTrack')}
+                                </span>
+                            </div>
+                            <p className="text-xs text-gray-500">
+                                {t('plan.status', { done: status.completedCount, count: status.chapterCount, endDate: formatDate(fromDateKey(plan.endDate)) })}
+                            </p>
+                            {status.todayChapters.length === 0 ? (
+                                <p className="text-sm text-gray-500 italic mt-1">{t('plan.nothingToday')}</p>
+                            ) : (
+                                <ul className="mt-1 space-y-1">
+                                    {status.todayChapters.map(c => (
+                                        <li key={c.id} className={`text-sm ${c.done ? 'text-green-600 line-through' : 'text-gray-700'}`}>
+                                            {c.name}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    };
+
+    /**
+     * `items` come from getChapterProgressItems; `readOnly` hides the complete
+     * button, for chapters that aren't the user's own.
+     */
+    const ChapterProgressList = ({ items, readOnly = false }) => {
+        const activeChapters = items;
+
+        if (activeChapters.length === 0) {
+            return <p className="text-gray-500 italic">{t('chapters.noneActive')}</p>;
+        }
+
+        return (
+            <div className="space-y-3">
+                {activeChapters.map(c => (
+                    <div key={c.id} className="border-b pb-2 flex justify-between items-center">
+                        <div>
+                            <p className="font-medium text-gray-800">{c.chapterName}</p>
+                            <p className="text-xs text-gray-500">({c.subjectName})</p>
+                            <div className="text-xs mt-1">
+                                {c.progress !== null ? t('chapters.percentDone', { percent: Math.round(c.progress * 100) }) : t('chapters.noTarget')}
+                                {c.pageCount > 0 && t('chapters.pages', { read: c.pagesRead, count: c.pageCount })}
+                            </div>
+                        </div>
+                        {!readOnly && (
+                            <button
+                                onClick={() => setChapterCompletion(c.subjectId, c.chapterId, true)}
+                                className="flex items-center text-xs font-semibold text-green-600 hover:text-green-800"
+                                title={t('chapters.markComplete')}
+                            >
+                                <CheckCircle className="w-4 h-4 mr-1" /> {t('chapters.complete')}
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+
+    /**
+     * Completed chapters due for revision. Starting one opens the timer with a revision session.
+     */
+    const RevisionDueList = ({ items }) => {
+        if (items.length === 0) {
+            return <p className="text-gray-500 italic">{t('revisionDue.none')}</p>;
+        }
+
+        const handleStart = (item) => {
+            startSession(item.subjectId, item.chapterId, null, 'revision');
+            setTrackerMessage('');
+            setCurrentView('tracking');
+        };
+
+        return (
+            <div className="space-y-3">
+                {items.map(item => {
+                    const overdueDays = daysBetweenKeys(item.dueDate, stats.todayKey);
+                    return (
+                        <div key={item.id} className="border-b pb-2 flex justify-between items-center">
+                            <div>
+                                <p className="font-medium text-gray-800">{item.chapterName}</p>
+                                <p className="text-xs text-gray-500">
+                                    ({item.subjectName}) {item.reviews > 0 ? t('revisionDue.reviewed', { count: item.reviews }) : t('revisionDue.first')}
+                                    {overdueDays > 0 && <span className="text-red-500">{t('revisionDue.overdue', { count: overdueDays })}</span>}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => handleStart(item)}
+                                disabled={!!activeSession}
+                                className="flex items-center text-xs font-semibold text-indigo-600 hover:text-indigo-800 disabled:opacity-40"
+                                title={activeSession ? t('revisionDue.finishActiveFirst') : t('revisionDue.start')}
+                            >
+                                <RotateCcw className="w-4 h-4 mr-1" /> {t('revisionDue.button')}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    };
+
+    // ====================================================================
+    // VIEW: Tracking (Reading Timer - Requirement 3)
+    // ====================================================================
+
+    const TrackingView = () => {
+        // Selection and elapsed time come from the persisted session, so this view
+        // can be remounted (or the tab reloaded) without losing a running timer.
+        const [selectedSubjectId, setSelectedSubjectId] = useState(activeSession ? activeSession.subjectId : '');
+        const [selectedChapterId, setSelectedChapterId] = useState(activeSession ? getSessionChapterId(activeSession) || '' : '');
+        const [now, setNow] = useState(Date.now());
+        const [pagesInput, setPagesInput] = useState(activeSession?.pagesRead ? String(activeSession.pagesRead) : '');
+        const [mode, setMode] = useState(activeSession ? (activeSession.pomodoro ? 'pomodoro' : 'normal') : (settings.pomodoro ? 'pomodoro' : 'normal'));
+        const [pomodoroConfig, setPomodoroConfig] = useState(settings.pomodoro || toPomodoroConfig(POMODORO_PRESETS[0]));
+        const [asRevision, setAsRevision] = useState(false);
+        const [isRating, setIsRating] = useState(false);
+
+        const isRevision = activeSession?.type === 'revision';
+        const isPaused = !!activeSession && !!activeSession.pausedAt;
+        const isRunning = !!activeSession && !isPaused && !recoveryPending;
+        const time = getSessionElapsedSeconds(activeSession, now);
+        const pomodoro = activeSession ? activeSession.pomodoro : null;
+        const isBreak = !!pomodoro && pomodoro.phase === 'break';
+        const phaseEnd = pomodoro ? getPomodoroPhaseEnd(activeSession) : null;
+        // Focus blocks count down using reading time so pauses extend them
+        const remainingSeconds = pomodoro
+            ? Math.max(0, isBreak ? Math.ceil((phaseEnd - now) / 1000) : pomodoro.focusMinutes * 60 - time)
+            : 0;
+        const segmentCount = activeSession ? (activeSession.segments || []).length : 0;
+        const pausedSeconds = activeSession && !recoveryPending
+            ? Math.max(0, Math.floor((now - activeSession.startedAt) / 1000) - time)
+            : 0;
+
+        useEffect(() => {
+            if (!isRunning) return;
+            const interval = setInterval(() => setNow(Date.now()), 1000);
+            return () => clearInterval(interval);
+        }, [isRunning]);
+
+        const handleStart = () => {
+            if (!selectedSubjectId || !selectedChapterId) {
+                setTrackerMessage(<span className="text-red-500">{t('tracking.selectBoth')}</span>);
+                return;
+            }
+            setTrackerMessage('');
+            if (asRevision && selectedChapter?.is_completed) {
+                startSession(selectedSubjectId, selectedChapterId, null, 'revision');
+            } else if (mode === 'pomodoro') {
+                const config = {
+                    focusMinutes: Math.max(1, parseInt(pomodoroConfig.focusMinutes) || 25),
+                    breakMinutes: Math.max(1, parseInt(pomodoroConfig.breakMinutes) || 5),
+                    longBreakMinutes: Math.max(1, parseInt(pomodoroConfig.longBreakMinutes) || 15),
+                    longBreakEvery: Math.max(1, parseInt(pomodoroConfig.longBreakEvery) || 4),
+                };
+                savePomodoroSettings(config);
+                startSession(selectedSubjectId, selectedChapterId, config);
+            } else {
+                startSession(selectedSubjectId, selectedChapterId);
+            }
+        };
+
+        // A revision session asks for a recall rating first, then finishes with it
+        const handleFinish = async (quality = null) => {
+            if (getSessionElapsedSeconds(activeSession) < 1) {
+                setTrackerMessage(<span className="text-red-500">{t('tracking.zeroTime')}</span>);
+                return;
+            }
+            if (isRevision && quality === null) {
+                setIsRating(true);
+                return;
+            }
+
+            setIsRating(false);
+            setTrackerMessage(<span className="text-indigo-600 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> {t('tracking.saving')}</span>);
+            const { success, queued, seconds } = await finishSession(undefined, Math.max(0, parseInt(pagesInput) || 0), quality);
+            
+            if (queued) {
+                setTrackerMessage(<span className="text-orange-600 flex items-center"><CloudOff className="w-4 h-4 mr-2" /> {t('tracking.queued', { time: formatTime(seconds / 60) })}</span>);
+            } else if (success) {
+                setTrackerMessage(<span className="text-green-600 flex items-center"><CheckCircle className="w-4 h-4 mr-2" /> {t('tracking.saved', { time: formatTime(seconds / 60) })}</span>);
+            } else {
+                setTrackerMessage(<span className="text-red-500 flex items-center"><XCircle className="w-4 h-4 mr-2" /> {t('common.saveFailed')}</span>);
+            }
+        };
+
+        const handleDiscard = () => {
+            if (!isBreak && !window.confirm(t('tracking.confirmDiscard'))) return;
+            discardSession();
+            setTrackerMessage('');
+        };
+
+        const currentSubject = subjects.find(s => s.id === selectedSubjectId);
+        const chapterList = currentSubject ? currentSubject.chapters : [];
+        const selectedChapter = chapterList.find(c => c.id === selectedChapterId);
+        const timerDisplay = new Date((pomodoro ? remainingSeconds : time) * 1000).toISOString().substr(11, 8); // HH:MM:SS
+
+        return (
+            <div className="bg-white p-8 rounded-xl shadow-lg max-w-2xl mx-auto space-y-6">
+                <h2 className="text-3xl font-bold text-gray-800 mb-4 border-b pb-2">{t('tracking.title')}</h2>
+                <p className="text-gray-600">{t('tracking.intro')}</p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <select
+                        className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        value={selectedSubjectId}
+                        onChange={(e) => {
+                            setSelectedSubjectId(e.target.value);
+                            setSelectedChapterId('');
+                            setTrackerMessage('');
+                        }}
+                        disabled={!!activeSession}
+                    >
+                        <option value="">{t('common.selectSubject')}</option>
+                        {activeSubjects.map(s => (
+                            <option key={s.id} value={s.id}>{s.name}</option>
+                        ))}
+                    </select>
+
+                    <select
+                        className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        value={selectedChapterId}
+                        onChange={(e) => {
+                            setSelectedChapterId(e.target.value);
+                            setTrackerMessage('');
+                        }}
+                        disabled={!selectedSubjectId || !!activeSession}
+                    >
+                        <option value="">{t('tracking.selectChapter')}</option>
+                        {chapterList.map(c => (
+                            <option key={c.id} value={c.id}>{c.name} {c.is_completed ? t('tracking.completedSuffix') : ''}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {!activeSession && selectedChapter?.is_completed && (
+                    <label className="flex items-center justify-center text-sm text-gray-700">
+                        <input type="checkbox" checked={asRevision} onChange={(e) => setAsRevision(e.target.checked)} className="mr-2" />
+                        {t('tracking.asRevision')}
+                    </label>
+                )}
+
+                {/* Timer Mode (Normal / Pomodoro) */}
+                {!activeSession && !(asRevision && selectedChapter?.is_completed) && (
+                    <div className="space-y-3">
+                        <div className="flex justify-center space-x-2">
+                            {[['normal', 'tracking.modeNormal'], ['pomodoro', 'tracking.modePomodoro']].map(([value, labelKey]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setMode(value)}
+                                    className={`px-4 py-2 text-sm font-semibold rounded-lg transition ${mode === value ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                >
+                                    {t(labelKey)}
+                                </button>
+                            ))}
+                        </div>
+                        {mode === 'pomodoro' && (
+                            <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+                                <div className="flex flex-wrap gap-2">
+                                    {POMODORO_PRESETS.map(preset => (
+                                        <button
+                                            key={preset.id}
+                                            onClick={() => setPomodoroConfig(toPomodoroConfig(preset))}
+                                            className="px-3 py-1 text-sm rounded-full border border-indigo-300 text-indigo-700 hover:bg-indigo-50"
+                                        >
+                                            {t('tracking.preset', { focus: preset.focusMinutes, rest: preset.breakMinutes })}
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                                    {[
+                                        ['focusMinutes', 'tracking.focusMinutes'],
+                                        ['breakMinutes', 'tracking.breakMinutes'],
+                                        ['longBreakMinutes', 'tracking.longBreakMinutes'],
+                                        ['longBreakEvery', 'tracking.longBreakEvery'],
+                                    ].map(([field, labelKey]) => (
+                                        <label key={field} className="text-xs font-medium text-gray-600">
+                                            {t(labelKey)}
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={pomodoroConfig[field]}
+                                                onChange={(e) => setPomodoroConfig(prev => ({ ...prev, [field]: e.target.value }))}
+                                                className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div className="text-center my-8">
+                    {isRevision && (
+                        <p className="text-lg font-semibold mb-2 text-purple-600 flex items-center justify-center">
+                            <RotateCcw className="w-5 h-5 mr-2" /> {t('tracking.revisionOf', { chapter: activeSession.chapterName })}
+                        </p>
+                    )}
+                    {pomodoro && (
+                        <p className={`text-lg font-semibold mb-2 ${isBreak ? 'text-teal-600' : 'text-indigo-600'}`}>
+                            {isBreak
+                                ? t(isLongBreak(pomodoro) ? 'tracking.longBreakAfter' : 'tracking.breakAfter', { cycle: pomodoro.cycle })
+                                : t('tracking.focusCycle', { cycle: pomodoro.cycle })}
+                        </p>
+                    )}
+                    <p className={`text-7xl font-mono font-extrabold ${isBreak ? 'text-teal-600' : 'text-indigo-600'}`}>
+                        {timerDisplay}
+                    </p>
+                    <p className="text-gray-500 mt-2">{t(pomodoro ? 'tracking.remainingFormat' : 'tracking.clockFormat')}</p>
+                    {activeSession && !isBreak && (
+                        <p className={`text-sm mt-2 ${isPaused ? 'text-orange-600 font-semibold' : 'text-gray-500'}`}>
+                            {t(isPaused ? 'tracking.paused' : 'tracking.reading')}{t('tracking.segments', { count: segmentCount, paused: formatMinutesToHHMM(pausedSeconds / 60) })}
+                        </p>
+                    )}
+                </div>
+
+                {activeSession && !isBreak && !isRevision && (
+                    <div className="flex justify-center items-center gap-2 text-sm text-gray-600">
+                        <label htmlFor="pages-read">{t(pomodoro ? 'tracking.pagesReadBlock' : 'tracking.pagesRead')}</label>
+                        <input
+                            id="pages-read"
+                            type="number"
+                            min="0"
+                            value={pagesInput}
+                            onChange={(e) => setPagesInput(e.target.value)}
+                            onBlur={() => setSessionPages(Math.max(0, parseInt(pagesInput) || 0))}
+                            className="w-24 p-2 border border-gray-300 rounded-lg"
+                        />
+                    </div>
+                )}
+
+                {/* Recall rating that finishes a revision session */}
+                {isRating && activeSession && (
+                    <div className="p-4 bg-purple-50 border border-purple-200 rounded-lg space-y-3 text-center">
+                        <p className="font-semibold text-purple-800">{t('tracking.recallQuestion')}</p>
+                        <div className="flex flex-wrap justify-center gap-2">
+                            {REVISION_QUALITIES.map(option => (
+                                <button
+                                    key={option.quality}
+                                    onClick={() => handleFinish(option.quality)}
+                                    className={`px-4 py-2 text-sm font-semibold text-white rounded-lg ${option.className}`}
+                                >
+                                    {t(option.labelKey)}
+                                </button>
+                            ))}
+                        </div>
+                        <button onClick={() => setIsRating(false)} className="text-xs text-gray-500 hover:text-gray-700">{t('tracking.back')}</button>
+                    </div>
+                )}
+
+                <div className="flex flex-wrap justify-center gap-4">
+                    {!activeSession ? (
+                        <button
+                            onClick={handleStart}
+                            disabled={!selectedSubjectId || !selectedChapterId}
+                            className="flex items-center px-8 py-3 font-bold rounded-xl shadow-lg transition duration-200 disabled:opacity-50 bg-green-500 hover:bg-green-600 text-white"
+                        >
+                            <Timer className="w-5 h-5 mr-2" />
+                            {t('tracking.start')}
+                        </button>
+                    ) : isBreak ? (
+                        <>
+                            <button
+                                onClick={startNextPomodoroCycle}
+                                disabled={recoveryPending}
+                                className="flex items-center px-6 py-3 font-bold rounded-xl shadow-lg transition duration-200 disabled:opacity-50 bg-green-500 hover:bg-green-600 text-white"
+                            >
+                                <Play className="w-5 h-5 mr-2" />
+                                {t(remainingSeconds > 0 ? 'tracking.skipBreak' : 'tracking.nextCycle')}
+                            </button>
+                            <button
+                                onClick={handleDiscard}
+                                disabled={recoveryPending}
+                                className="flex items-center px-6 py-3 bg-gray-200 text-gray-700 font-bold rounded-xl shadow hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+                            >
+                                <XCircle className="w-5 h-5 mr-2" />
+                                {t('tracking.endPomodoro')}
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <button
+                                onClick={isPaused ? resumeSession : pauseSession}
+                                disabled={recoveryPending}
+                                className={`flex items-center px-6 py-3 font-bold rounded-xl shadow-lg transition duration-200 disabled:opacity-50 text-white
+                                    ${isPaused ? 'bg-green-500 hover:bg-green-600' : 'bg-orange-500 hover:bg-orange-600'}`}
+                            >
+                                {isPaused ? <Play className="w-5 h-5 mr-2" /> : <Pause className="w-5 h-5 mr-2" />}
+                                {t(isPaused ? 'tracking.resume' : 'tracking.pause')}
+                            </button>
+                            <button
+                                onClick={() => handleFinish()}
+                                disabled={recoveryPending || isRating}
+                                className="flex items-center px-6 py-3 font-bold rounded-xl shadow-lg transition duration-200 disabled:opacity-50 bg-indigo-600 hover:bg-indigo-700 text-white"
+                            >
+                                <CheckCircle className="w-5 h-5 mr-2" />
+                                {t('tracking.finish')}
+                            </button>
+                            <button
+                                onClick={handleDiscard}
+                                disabled={recoveryPending}
+                                className="flex items-center px-6 py-3 bg-gray-200 text-gray-700 font-bold rounded-xl shadow hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+                            >
+                                <XCircle className="w-5 h-5 mr-2" />
+                                {t('common.cancelAction')}
+                            </button>
+                        </>
+                    )}
+                </div>
+                <div className="text-center mt-4 h-6">
+                    {trackerMessage}
+                </div>
+
+                {!activeSession && (
+                    <div className="pt-4 border-t border-gray-200">
+                        <h3 className="text-lg font-semibold mb-3 text-gray-700 flex items-center"><RotateCcw className="w-5 h-5 mr-2" /> {t('tracking.todaysRevisions')}</h3>
+                        <RevisionDueList items={getDueRevisions(activeSubjects, stats.todayKey)} />
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // ====================================================================
+    // VIEW: Subjects & Reading Plan (Requirement 1 & 6)
+    // ====================================================================
+
+    /**
+     * Inline editor for one subject: rename, add/remove chapters, per-chapter target
+     * minutes and drag-to-reorder (with arrow buttons where drag and drop isn't available).
+     * Edits the subjectDraft opened by SubjectsView and, like TocImport, copies it
+     * back to App as it changes, since App re-renders remount this view.
+     */
+    const SubjectEditor = ({ onClose }) => {
+        const [draft, setDraft] = useState(subjectDraft.current);
+        const { subjectId, name, examDate, chapters, newChapterName, isSaving } = draft;
+        const [dragIndex, setDragIndex] = useState(null);
+        const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+        const setName = (value) => updateDraft({ name: value });
+        const setExamDate = (value) => updateDraft({ examDate: value });
+        const setNewChapterName = (value) => updateDraft({ newChapterName: value });
+        const setChapters = (update) => setDraft(current => ({ ...current, chapters: update(current.chapters) }));
+
+        useEffect(() => { subjectDraft.current = draft; }, [draft]);
+
+        const updateChapter = (id, changes) => {
+            setChapters(prev => prev.map(c => c.id === id ? { ...c, ...changes } : c));
+        };
+
+        const moveChapter = (from, to) => {
+            if (to < 0 || to >= chapters.length || from === to) return;
+            setChapters(prev => {
+                const next = [...prev];
+                const [moved] = next.splice(from, 1);
+                next.splice(to, 0, moved);
+                return next;
+            });
+        };
+
+        const removeChapter = (chapter) => {
+            if (chapter.read > 0 && !window.confirm(t('subjects.confirmRemoveChapter', { name: chapter.name, time: formatMinutesToHHMM(chapter.read) }))) return;
+            setChapters(prev => prev.filter(c => c.id !== chapter.id));
+        };
+
+        const addChapter = () => {
+            if (newChapterName.trim() === '') return;
+            setChapters(prev => [...prev, { id: createChapterId(), name: newChapterName.trim(), total: 0, pageStart: '', pageEnd: '', read: 0 }]);
+            setNewChapterName('');
+        };
+
+        const handleSave = async () => {
+            if (name.trim() === '' || chapters.some(c => c.name.trim() === '')) {
+                alert(t('subjects.namesRequired'));
+                return;
+            }
+            if (chapters.some(c => (c.pageStart || c.pageEnd) && !(parseInt(c.pageStart) > 0 && parseInt(c.pageEnd) >= parseInt(c.pageStart)))) {
+                alert(t('subjects.invalidPages'));
+                return;
+            }
+            // The saved subject re-renders App, so the saving state goes straight to subjectDraft
+            subjectDraft.current = { ...draft, isSaving: true };
+            setDraft(subjectDraft.current);
+            const success = await updateSubject(subjectId, {
+                name: name.trim(),
+                examDate: examDate || null,
+                chapters: chapters.map(c => ({
+                    id: c.id,
+                    name: c.name.trim(),
+                    total: Math.max(0, parseFloat(c.total) || 0),
+                    pageStart: parseInt(c.pageStart) || null,
+                    pageEnd: parseInt(c.pageEnd) || null,
+                })),
+            });
+            if (success) {
+                onClose();
+            } else {
+                subjectDraft.current = { ...subjectDraft.current, isSaving: false };
+                setDraftVersion(version => version + 1);
+                alert(t('subjects.saveFailed'));
+            }
+        };
+
+        return (
+            <div className="border border-indigo-300 rounded-lg p-4 bg-indigo-50 space-y-3">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg font-bold text-indigo-700"
+                />
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    {t('subjects.examDate')}
+                    <input
+                        type="date"
+                        value={examDate}
+                        onChange={(e) => setExamDate(e.target.value)}
+                        className="p-1 border border-gray-300 rounded-lg"
+                    />
+                </label>
+                <div className="space-y-2">
+                    {chapters.map((c, index) => (
+                        <div
+                            key={c.id}
+                            draggable
+                            onDragStart={() => setDragIndex(index)}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={() => { moveChapter(dragIndex, index); setDragIndex(null); }}
+                            onDragEnd={() => setDragIndex(null)}
+                            className={`flex items-center gap-2 p-2 bg-white rounded-lg border ${dragIndex === index ? 'border-indigo-400 opacity-50' : 'border-gray-200'}`}
+                        >
+                            <GripVertical className="w-4 h-4 text-gray-400 cursor-move flex-shrink-0" />
+                            <input
+                                type="text"
+                                value={c.name}
+                                onChange={(e) => updateChapter(c.id, { name: e.target.value })}
+                                className="flex-1 p-1 border border-gray-200 rounded"
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                value={c.total}
+                                onChange={(e) => updateChapter(c.id, { total: e.target.value })}
+                                title={t('subjects.targetMinutes')}
+                                className="w-20 p-1 border border-gray-200 rounded"
+                            />
+                            <span className="text-xs text-gray-500">{t('common.minutes')}</span>
+                            <input
+                                type="number"
+                                min="1"
+                                placeholder={t('subjects.pageStart')}
+                                value={c.pageStart}
+                                onChange={(e) => updateChapter(c.id, { pageStart: e.target.value })}
+                                className="w-20 p-1 border border-gray-200 rounded"
+                            />
+                            <span className="text-xs text-gray-500">–</span>
+                            <input
+                                type="number"
+                                min="1"
+                                placeholder={t('subjects.pageEnd')}
+                                value={c.pageEnd}
+                                onChange={(e) => updateChapter(c.id, { pageEnd: e.target.value })}
+                                className="w-20 p-1 border border-gray-200 rounded"
+                            />
+                            <button onClick={() => moveChapter(index, index - 1)} disabled={index === 0} className="text-gray-500 hover:text-indigo-600 disabled:opacity-30">
+                                <ArrowUp className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => moveChapter(index, index + 1)} disabled={index === chapters.length - 1} className="text-gray-500 hover:text-indigo-600 disabled:opacity-30">
+                                <ArrowDown className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => removeChapter(c)} className="text-red-500 hover:text-red-700">
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        placeholder={t('subjects.newChapterName')}
+                        value={newChapterName}
+                        onChange={(e) => setNewChapterName(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') addChapter(); }}
+                        className="flex-1 p-2 border border-gray-300 rounded-lg"
+                    />
+                    <button onClick={addChapter} className="px-4 py-2 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition">
+                        <Plus className="w-4 h-4" />
+                    </button>
+                </div>
+                <div className="flex space-x-2">
+                    <button onClick={handleSave} disabled={isSaving} className="flex-1 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
+                        {t(isSaving ? 'common.saving' : 'common.saveChanges')}
+                    </button>
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition">
+                        {t('common.cancel')}
+                    </button>
+                </div>
+            </div>
+        );
+    };
+
+    /**
+     * Creates a subject from a pasted or uploaded table of contents. The parsed
+     * chapters are shown in an editable preview before anything is saved.
+     */
+    // App re-renders remount this view, so the form is copied into App's tocDraft
+    // as it changes and starts from it
+    const TocImport = () => {
+        const [draft, setDraft] = useState(tocDraft.current);
+        const { subjectName, tocText, entries, format, nestSections, defaultTarget, message, isSaving } = draft;
+        const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+        const setSubjectName = (value) => updateDraft({ subjectName: value });
+        const setTocText = (value) => updateDraft({ tocText: value });
+        const setEntries = (update) => setDraft(current => ({ ...current, entries: update(current.entries) }));
+        const setMessage = (value) => updateDraft({ message: value });
+
+        useEffect(() => { tocDraft.current = draft; }, [draft]);
+
+        const formatLabels = { lines: t('toc.formatLines'), csv: 'CSV', json: 'JSON' };
+        const hasSections = entries?.some(entry => entry.depth > 0);
+        const chapterCount = entries ? tocToChapters(entries, { nestSections }).length : 0;
+
+        const showPreview = (text) => {
+            setMessage('');
+            try {
+                const parsed = parseToc(text);
+                updateDraft({ entries: parsed.entries, format: parsed.format });
+                if (parsed.entries.length === 0) setMessage(t('toc.noChapters'));
+            } catch (error) {
+                updateDraft({ entries: null, message: t(error.message) });
+            }
+        };
+
+        const handleFileChosen = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            const text = await file.text();
+            setTocText(text);
+            if (subjectName.trim() === '') setSubjectName(file.name.replace(/\.[^.]+$/, ''));
+            showPreview(text);
+        };
+
+        const updateEntry = (index, changes) => {
+            setEntries(prev => prev.map((entry, i) => i === index ? { ...entry, ...changes } : entry));
+        };
+
+        const addEntry = () => setEntries(prev => [...prev, createTocEntry('', 0)]);
+
+        // The new subject re-renders App while saving, so the result goes straight to tocDraft
+        const handleSave = async () => {
+            const chapters = tocToChapters(entries, { nestSections, defaultTarget: Math.max(0, parseFloat(defaultTarget) || 0) });
+            if (subjectName.trim() === '' || chapters.length === 0) return;
+            tocDraft.current = { ...draft, isSaving: true };
+            setDraft(tocDraft.current);
+            const ok = await saveSubject(subjectName.trim(), chapters);
+            tocDraft.current = ok
+                ? { ...EMPTY_TOC_DRAFT, message: t('toc.imported', { name: subjectName.trim(), count: chapters.length }) }
+                : { ...tocDraft.current, isSaving: false, message: t('toc.subjectSaveFailed') };
+            setDraftVersion(version => version + 1);
+        };
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-3">
+                <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Upload className="w-5 h-5 mr-2" /> {t('toc.title')}</h3>
+                <p className="text-sm text-gray-500">{t('toc.help')}</p>
+                <input
+                    type="text"
+                    placeholder={t('toc.subjectName')}
+                    value={subjectName}
+                    onChange={(e) => setSubjectName(e.target.value)}
+                    className="w-full p-3 border border-gray-300 rounded-lg"
+                />
+                <textarea
+                    placeholder={t('toc.placeholder')}
+                    value={tocText}
+                    onChange={(e) => setTocText(e.target.value)}
+                    rows="6"
+                    className="w-full p-3 border border-gray-300 rounded-lg font-mono text-sm"
+                ></textarea>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={() => showPreview(tocText)} disabled={tocText.trim() === ''} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                        {t('toc.preview')}
+                    </button>
+                    <label className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 cursor-pointer">
+                        <Upload className="w-4 h-4 mr-2" /> {t('toc.fromFile')}
+                        <input type="file" accept=".txt,.csv,.tsv,.json,text/plain,text/csv,application/json" onChange={handleFileChosen} className="hidden" />
+                    </label>
+                </div>
+                {message && <p className="text-sm text-gray-700">{message}</p>}
+
+                {/* Editable preview */}
+                {entries && entries.length > 0 && (
+                    <div className="border border-indigo-200 bg-indigo-50 rounded-lg p-4 space-y-3">
+                        <p className="text-sm font-semibold text-indigo-800">
+                            {t('toc.detected', { format: formatLabels[format], count: chapterCount })}
+                        </p>
+                        {hasSections && (
+                            <label className="flex items-center text-sm text-gray-700">
+                                <input type="checkbox" checked={nestSections} onChange={(e) => updateDraft({ nestSections: e.target.checked })} className="mr-2" />
+                                {t('toc.nestSections')}
+                            </label>
+                        )}
+                        <div className="space-y-1 max-h-96 overflow-y-auto">
+                            {entries.map((entry, index) => (
+                                <div key={index} className="flex items-center gap-1" style={{ paddingLeft: `${entry.depth * 1.5}rem` }}>
+                                    <button onClick={() => updateEntry(index, { depth: Math.max(0, entry.depth - 1) })} disabled={entry.depth === 0} className="p-1 text-gray-500 hover:text-indigo-600 disabled:opacity-30" title={t('toc.outdent')}>
+                                        <ChevronLeft className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => updateEntry(index, { depth: entry.depth + 1 })} className="p-1 text-gray-500 hover:text-indigo-600" title={t('toc.indent')}>
+                                        <ChevronRight className="w-4 h-4" />
+                                    </button>
+                                    <input
+                                        type="text"
+                                        value={entry.name}
+                                        onChange={(e) => updateEntry(index, { name: e.target.value })}
+                                        className={`flex-1 min-w-0 p-1 border border-gray-300 rounded text-sm ${entry.depth === 0 ? 'font-semibold' : ''}`}
+                                    />
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        placeholder={t('toc.page')}
+                                        value={entry.pageStart}
+                                        onChange={(e) => updateEntry(index, { pageStart: e.target.value })}
+                                        className="w-16 p-1 border border-gray-300 rounded text-sm"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        placeholder={t('toc.pageEnd')}
+                                        value={entry.pageEnd}
+                                        onChange={(e) => updateEntry(index, { pageEnd: e.target.value })}
+                                        className="w-16 p-1 border border-gray-300 rounded text-sm"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        placeholder={t('common.minutes')}
+                                        value={entry.total}
+                                        onChange={(e) => updateEntry(index, { total: e.target.value })}
+                                        className="w-16 p-1 border border-gray-300 rounded text-sm"
+                                    />
+                                    <button onClick={() => setEntries(prev => prev.filter((_, i) => i !== index))} className="p-1 text-red-500 hover:text-red-700" title={t('common.delete')}>
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                        <button onClick={addEntry} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-semibold">
+                            <Plus className="w-4 h-4 mr-1" /> {t('toc.addLine')}
+                        </button>
+                        <input
+                            type="number"
+                            min="0"
+                            placeholder={t('toc.defaultTarget')}
+                            value={defaultTarget}
+                            onChange={(e) => updateDraft({ defaultTarget: e.target.value })}
+                            className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <div className="flex gap-2">
+                            <button onClick={handleSave} disabled={isSaving || subjectName.trim() === '' || chapterCount === 0} className="flex items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                                {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />} {t('toc.create')}
+                            </button>
+                            <button onClick={() => updateDraft({ entries: null })} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">{t('common.cancel')}</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const SubjectsView = () => {
+        const [newSubjectName, setNewSubjectName] = useState('');
+        const [chaptersInput, setChaptersInput] = useState(''); // Chapters, one per line or comma separated
+        const [defaultTarget, setDefaultTarget] = useState(''); // Target minutes applied to every new chapter
+        const [planBookDays, setPlanBookDays] = useState('');
+        const [planSubjectId, setPlanSubjectId] = useState('');
+        const editingSubjectId = subjectDraft.current?.subjectId;
+        const setEditedSubject = (subject) => {
+            subjectDraft.current = subject ? createSubjectDraft(subject) : null;
+            setDraftVersion(version => version + 1);
+        };
+
+        const archivedSubjects = subjects.filter(s => s.archived);
+
+        const handleDeleteSubject = (subject) => {
+            if (!window.confirm(t('subjects.confirmDelete', { name: subject.name }))) return;
+            deleteSubject(subject.id);
+        };
+
+        const handleAddSubject = () => {
+            if (newSubjectName.trim() === '') return;
+            // One chapter per line once the input has line breaks, so names may contain commas
+            const separator = chaptersInput.includes('\n') ? /\r?\n/ : ',';
+            const chaptersArray = chaptersInput.split(separator).map(cName => ({
+                id: createChapterId(),
+                name: cName.trim(),
+                total: Math.max(0, parseFloat(defaultTarget) || 0), // Target minutes; 0 means the chapter is completed by hand
+                read: 0,
+                is_completed: false
+            })).filter(c => c.name !== '');
+
+            saveSubject(newSubjectName.trim(), chaptersArray);
+            setNewSubjectName('');
+            setChaptersInput('');
+            setDefaultTarget('');
+        };
+
+        const handleCreatePlan = async () => {
+            if (!planSubjectId || !planBookDays || planBookDays < 1) return;
+            
+            const subject = activeSubjects.find(s => s.id === planSubjectId);
+            if (!subject) return;
+
+            const remainingChapters = subject.chapters.filter(c => !c.is_completed).length;
+            if (remainingChapters === 0) {
+                alert(t('subjects.allComplete'));
+                return;
+            }
+            const days = parseInt(planBookDays);
+            const chaptersPerDay = Math.ceil(remainingChapters / days);
+
+            const success = await savePlan(planSubjectId, days);
+            if (!success) {
+                alert(t('subjects.planSaveFailed'));
+                return;
+            }
+
+            alert(t('subjects.planSaved', { remaining: remainingChapters, days, perDay: chaptersPerDay }));
+            setPlanSubjectId('');
+            setPlanBookDays('');
+        };
+
+
+        return (
+            <div className="space-y-8">
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('subjects.title')}</h2>
+                
+                {/* Add New Subject (Requirement 1) */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-3 text-gray-700 flex items-center"><Plus className="w-5 h-5 mr-2" /> {t('subjects.addTitle')}</h3>
+                    <div className="space-y-3">
+                        <input
+                            type="text"
+                            placeholder={t('subjects.namePlaceholder')}
+                            value={newSubjectName}
+                            onChange={(e) => setNewSubjectName(e.target.value)}
+                            className="w-full p-3 border border-gray-300 rounded-lg"
+                        />
+                        <textarea
+                            placeholder={t('subjects.chaptersPlaceholder')}
+                            value={chaptersInput}
+                            onChange={(e) => setChaptersInput(e.target.value)}
+                            rows="3"
+                            className="w-full p-3 border border-gray-300 rounded-lg"
+                        ></textarea>
+                        <input
+                            type="number"
+                            min="0"
+                            placeholder={t('subjects.defaultTarget')}
+                            value={defaultTarget}
+                            onChange={(e) => setDefaultTarget(e.target.value)}
+                            className="w-full p-3 border border-gray-300 rounded-lg"
+                        />
+                        <p className="text-xs text-gray-500">{t('subjects.targetHelp')}</p>
+                        <button onClick={handleAddSubject} className="w-full py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
+                            {t('subjects.save')}
+                        </button>
+                    </div>
+                </div>
+
+                <TocImport />
+
+                {/* Custom Reading Plan (Requirement 6) */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-3 text-gray-700 flex items-center"><Target className="w-5 h-5 mr-2" /> {t('subjects.planTitle')}</h3>
+                    <p className="text-sm text-gray-500 mb-3">{t('subjects.planIntro')}</p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        <select
+                            value={planSubjectId}
+                            onChange={(e) => setPlanSubjectId(e.target.value)}
+                            className="p-3 border border-gray-300 rounded-lg col-span-1 md:col-span-2"
+                        >
+                            <option value="">{t('common.selectSubject')}</option>
+                            {activeSubjects.map(s => (
+                                <option key={s.id} value={s.id}>{t('subjects.chapterCount', { name: s.name, count: s.chapters.length })}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            placeholder={t('subjects.planDays')}
+                            value={planBookDays}
+                            onChange={(e) => setPlanBookDays(e.target.value)}
+                            className="p-3 border border-gray-300 rounded-lg"
+                        />
+                        <button onClick={handleCreatePlan} disabled={!planSubjectId || !planBookDays} className="col-span-1 md:col-span-3 py-2 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition disabled:opacity-50">
+                            {t('subjects.createPlan')}
+                        </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">{t('subjects.planHelp')}</p>
+
+                    {plans.length > 0 && (
+                        <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+                            <h4 className="font-semibold text-gray-700">{t('subjects.activePlans')}</h4>
+                            {plans.map(plan => (
+                                <details key={plan.id} className="border border-gray-200 rounded-lg p-3 bg-gray-50 text-sm">
+                                    <summary className="cursor-pointer font-medium text-gray-700 hover:text-indigo-600">
+                                        {t('subjects.planSummary', { name: plan.subjectName, days: plan.days, start: formatDate(fromDateKey(plan.startDate)), end: formatDate(fromDateKey(plan.endDate)) })}
+                                    </summary>
+                                    <ul className="ml-5 mt-2 space-y-1 list-disc">
+                                        {plan.schedule.filter(day => day.chapters.length > 0).map(day => (
+                                            <li key={day.date} className="text-gray-700">
+                                                {formatDate(fromDateKey(day.date))}: {day.chapters.map(id => getChapterDisplayName(subjects, plan.subjectId, id, id)).join(', ')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <button onClick={() => deletePlan(plan.id)} className="mt-2 flex items-center text-red-600 hover:text-red-700 text-xs font-semibold">
+                                        <Trash2 className="w-4 h-4 mr-1" /> {t('subjects.deletePlan')}
+                                    </button>
+                                </details>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Current Subjects List */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('subjects.current')}</h3>
+                    {activeSubjects.length === 0 ? (
+                        <p className="text-gray-500 italic">{t('subjects.none')}</p>
+                    ) : (
+                        <div className="space-y-4">
+                            {activeSubjects.map(s => editingSubjectId === s.id ? (
+                                <SubjectEditor key={s.id} onClose={() => setEditedSubject(null)} />
+                            ) : (
+                                <div key={s.id} className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+                                    <div className="flex justify-between items-start">
+                                        <div>
+                                            <p className="font-bold text-lg text-indigo-700">{s.name}</p>
+                                            <p className="text-sm text-gray-600">{t('subjects.chapterTotal', { count: s.chapters.length })}</p>
+                                            {s.examDate && <p className="text-sm text-gray-600">{t('subjects.examOn', { date: formatDate(fromDateKey(s.examDate)) })}</p>}
+                                        </div>
+                                        <div className="flex space-x-3 text-sm font-semibold">
+                                            <button onClick={() => setEditedSubject(s)} className="flex items-center text-indigo-600 hover:text-indigo-800">
+                                                <Pencil className="w-4 h-4 mr-1" /> {t('common.edit')}
+                                            </button>
+                                            <button onClick={() => setSubjectArchived(s.id, true)} className="flex items-center text-gray-600 hover:text-gray-800">
+                                                <Archive className="w-4 h-4 mr-1" /> {t('subjects.archive')}
+                                            </button>
+                                            <button onClick={() => handleDeleteSubject(s)} className="flex items-center text-red-500 hover:text-red-700">
+                                                <Trash2 className="w-4 h-4 mr-1" /> {t('common.delete')}
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <details className="mt-2 text-sm">
+                                        <summary className="font-medium cursor-pointer text-gray-700 hover:text-indigo-600">{t('subjects.showChapters')}</summary>
+                                        <ul className="list-disc ml-5 mt-2 space-y-1">
+                                            {s.chapters.map(c => (
+                                                <li key={c.id} className="text-gray-700">
+                                                    <span className={c.is_completed ? 'text-green-600 line-through' : ''}>
+                                                        {c.name} {c.total > 0 && t('subjects.chapterTarget', { time: formatMinutesToHHMM(c.total) })}{t('subjects.chapterRead', { time: formatMinutesToHHMM(c.read) })}
+                                                        {getChapterPageCount(c) > 0 && t('subjects.chapterPages', { start: c.pageStart, end: c.pageEnd, read: c.pagesRead || 0, count: getChapterPageCount(c) })}
+                                                    </span>
+                                                    <button
+                                                        onClick={() => setChapterCompletion(s.id, c.id, !c.is_completed)}
+                                                        className={`ml-2 text-xs font-semibold ${c.is_completed ? 'text-orange-600 hover:text-orange-800' : 'text-green-600 hover:text-green-800'}`}
+                                                    >
+                                                        {t(c.is_completed ? 'subjects.reopen' : 'subjects.markComplete')}
+                                                    </button>
+                                                    {c.sections?.length > 0 && (
+                                                        <ul className="list-[circle] ml-5 text-xs text-gray-500">
+                                                            {c.sections.map((section, i) => <li key={i}>{section}</li>)}
+                                                        </ul>
+                                                    )}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </details>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Archived Subjects */}
+                {archivedSubjects.length > 0 && (
+                    <div className="bg-white p-6 rounded-xl shadow-lg">
+                        <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('subjects.archived')}</h3>
+                        <div className="space-y-2">
+                            {archivedSubjects.map(s => (
+                                <div key={s.id} className="flex justify-between items-center border-b pb-1">
+                                    <span className="text-gray-600">{t('subjects.chapterCount', { name: s.name, count: s.chapters.length })}</span>
+                                    <div className="flex space-x-3 text-sm font-semibold">
+                                        <button onClick={() => setSubjectArchived(s.id, false)} className="flex items-center text-indigo-600 hover:text-indigo-800">
+                                            <ArchiveRestore className="w-4 h-4 mr-1" /> {t('subjects.restore')}
+                                        </button>
+                                        <button onClick={() => handleDeleteSubject(s)} className="flex items-center text-red-500 hover:text-red-700">
+                                            <Trash2 className="w-4 h-4 mr-1" /> {t('common.delete')}
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+            </div>
+        );
+    };
+
+    // ====================================================================
+    // VIEW: Goals and Routine (Requirement 5 & 7)
+    // ====================================================================
+
+    /**
+     * Week start, time zone and the hour a new day begins.
+     */
+    const DaySettings = () => {
+        const [weekStartDay, setWeekStartDay] = useState(settings.weekStartDay);
+        const [timeZone, setTimeZone] = useState(settings.timeZone);
+        const [dayStartHour, setDayStartHour] = useState(settings.dayStartHour);
+        const [message, setMessage] = useState('');
+        const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const timeZones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
+        const handleSave = async () => {
+            if (timeZone.trim() !== '' && !isValidTimeZone(timeZone.trim())) {
+                setMessage(t('daySettings.invalidTimeZone'));
+                return;
+            }
+            const ok = await saveDaySettings({ weekStartDay, timeZone: timeZone.trim(), dayStartHour });
+            setMessage(t(ok ? 'common.settingsSaved' : 'common.settingsSaveFailed'));
+        };
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <h3 className="text-xl font-semibold text-gray-700 flex items-center"><CalendarDays className="w-5 h-5 mr-2" /> {t('daySettings.title')}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">{t('daySettings.weekStart')}</label>
+                        <select value={weekStartDay} onChange={(e) => setWeekStartDay(parseInt(e.target.value))} className="w-full p-3 border border-gray-300 rounded-lg mt-1">
+                            {WEEKDAYS.map(weekday => (
+                                <option key={weekday} value={weekday}>{getWeekdayName(weekday)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">{t('daySettings.timeZone')}</label>
+                        <input
+                            type="text"
+                            list="time-zones"
+                            placeholder={t('daySettings.deviceTimeZone', { zone: deviceTimeZone })}
+                            value={timeZone}
+                            onChange={(e) => setTimeZone(e.target.value)}
+                            className="w-full p-3 border border-gray-300 rounded-lg mt-1"
+                        />
+                        <datalist id="time-zones">
+                            {timeZones.map(zone => <option key={zone} value={zone} />)}
+                        </datalist>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">{t('daySettings.dayStart')}</label>
+                        <select value={dayStartHour} onChange={(e) => setDayStartHour(parseInt(e.target.value))} className="w-full p-3 border border-gray-300 rounded-lg mt-1">
+                            {Array.from({ length: 7 }, (_, hour) => (
+                                <option key={hour} value={hour}>
+                                    {hour === 0 ? t('daySettings.midnight') : t(hour < 4 ? 'daySettings.nightHour' : 'daySettings.dawnHour', { hour })}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+                <p className="text-xs text-gray-500">{t('daySettings.help')}</p>
+                {message && <p className="text-sm text-gray-700">{message}</p>}
+                <button onClick={handleSave} className="w-full py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
+                    {t('common.save')}
+                </button>
+            </div>
+        );
+    };
+
+    /**
+     * Reminder preferences. Permission is asked for when reminders are switched on.
+     */
+    const NotificationSettings = () => {
+        const [preferences, setPreferences] = useState({ ...DEFAULT_NOTIFICATIONS, ...settings.notifications });
+        const [message, setMessage] = useState('');
+        const isSupported = 'Notification' in window;
+
+        const update = (changes) => setPreferences(prev => ({ ...prev, ...changes }));
+
+        const handleSave = async () => {
+            if (preferences.enabled && Notification.permission !== 'granted') {
+                const permission = await Notification.requestPermission();
+                if (permission !== 'granted') {
+                    setMessage(t('notifications.permissionDenied'));
+                    return;
+                }
+            }
+            const ok = await saveNotificationSettings(preferences);
+            setMessage(t(ok ? 'notifications.saved' : 'common.settingsSaveFailed'));
+        };
+
+        if (!isSupported) {
+            return (
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Bell className="w-5 h-5 mr-2" /> {t('notifications.title')}</h3>
+                    <p className="text-sm text-gray-500 mt-2">{t('notifications.unsupported')}</p>
+                </div>
+            );
+        }
+
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-3">
+                <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Bell className="w-5 h-5 mr-2" /> {t('notifications.title')}</h3>
+                <label className="flex items-center font-medium text-gray-700">
+                    <input type="checkbox" checked={preferences.enabled} onChange={(e) => update({ enabled: e.target.checked })} className="mr-2" />
+                    {t('notifications.enable')}
+                </label>
+                <div className={`space-y-3 pl-6 text-sm text-gray-700 ${preferences.enabled ? '' : 'opacity-50'}`}>
+                    <label className="flex items-center">
+                        <input type="checkbox" checked={preferences.routine} disabled={!preferences.enabled} onChange={(e) => update({ routine: e.target.checked })} className="mr-2" />
+                        {t('notifications.routine')}
+                    </label>
+                    <label className="flex items-center">
+                        <input type="checkbox" checked={preferences.goalReminderTime !== ''} disabled={!preferences.enabled} onChange={(e) => update({ goalReminderTime: e.target.checked ? DEFAULT_NOTIFICATIONS.goalReminderTime : '' })} className="mr-2" />
+                        {t('notifications.goal')}
+                        {preferences.goalReminderTime !== '' && (
+                            <input
+                                type="time"
+                                value={preferences.goalReminderTime}
+                                disabled={!preferences.enabled}
+                                onChange={(e) => update({ goalReminderTime: e.target.value })}
+                                className="ml-2 p-1 border border-gray-300 rounded"
+                            />
+                        )}
+                    </label>
+                    <label className="flex items-center">
+                        <input type="checkbox" checked={preferences.longSession} disabled={!preferences.enabled} onChange={(e) => update({ longSession: e.target.checked })} className="mr-2" />
+                        {t('notifications.longSession')}
+                    </label>
+                </div>
+                <p className="text-xs text-gray-500">{t('notifications.help')}</p>
+                {message && <p className="text-sm text-gray-700">{message}</p>}
+                <button onClick={handleSave} className="w-full py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
+                    {t('common.save')}
+                </button>
+            </div>
+        );
+    };
+
+    const GoalsView = () => {
+        const [dailyGoal, setDailyGoal] = useState(settings.dailyGoalMinutes);
+        const [weeklyGoal, setWeeklyGoal] = useState(settings.weeklyGoalMinutes);
+        const [newRoutineSubjectId, setNewRoutineSubjectId] = useState('');
+        const [newRoutineTime, setNewRoutineTime] = useState('');
+        const [newRoutineWeekdays, setNewRoutineWeekdays] = useState(WEEKDAYS);
+        const [newRoutineReminderTime, setNewRoutineReminderTime] = useState('');
+
+        const handleSaveGoals = () => {
+            saveGoals(dailyGoal, weeklyGoal);
+            alert(t('goals.saved'));
+        };
+
+        const todayKey = stats.todayKey;
+        const todayDone = routineLogs[todayKey] || [];
+        const todayItems = getRoutineForDay(routineItems, fromDateKey(todayKey));
+
+        const handleAddRoutine = () => {
+            const subject = subjects.find(s => s.id === newRoutineSubjectId);
+            if (subject && newRoutineTime > 0 && newRoutineWeekdays.length > 0) {
+                saveRoutineItems([
+                    ...routineItems,
+                    {
+                        id: `${Date.now()}`,
+                        subjectId: subject.id,
+                        subject: subject.name,
+                        time: parseInt(newRoutineTime),
+                        weekdays: [...newRoutineWeekdays].sort((a, b) => a - b),
+                        ...(newRoutineReminderTime ? { reminderTime: newRoutineReminderTime } : {}),
+                    }
+                ]);
+                setNewRoutineSubjectId('');
+                setNewRoutineTime('');
+                setNewRoutineWeekdays(WEEKDAYS);
+                setNewRoutineReminderTime('');
+            }
+        };
+
+        const handleDeleteRoutine = (id) => {
+            saveRoutineItems(routineItems.filter(item => item.id !== id));
+        };
+
+        const toggleNewRoutineWeekday = (weekday) => {
+            setNewRoutineWeekdays(prev => prev.includes(weekday)
+                ? prev.filter(d => d !== weekday)
+                : [...prev, weekday]);
+        };
+
+        // Completion of the last 7 days, oldest first
+        const routineHistory = [];
+        for (let i = 6; i >= 0; i--) {
+            const key = addDaysToKey(todayKey, -i);
+            const dayItems = getRoutineForDay(routineItems, fromDateKey(key));
+            const done = (routineLogs[key] || []).filter(id => dayItems.some(item => item.id === id));
+            routineHistory.push({ key, day: getDayName(fromDateKey(key)), done: done.length, total: dayItems.length });
+        }
+
+        return (
+            <div className="space-y-8">
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('goals.title')}</h2>
+
+                {/* Daily/Weekly Goals (Requirement 5) */}
+                <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                    <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Target className="w-5 h-5 mr-2" /> {t('goals.setGoals')}</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">{t('goals.dailyMinutes')}</label>
+                            <input
+                                type="number"
+                                value={dailyGoal}
+                                onChange={(e) => setDailyGoal(e.target.value)}
+                                className="w-full p-3 border border-gray-300 rounded-lg mt-1"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">{t('goals.weeklyMinutes')}</label>
+                            <input
+                                type="number"
+                                value={weeklyGoal}
+                                onChange={(e) => setWeeklyGoal(e.target.value)}
+                                className="w-full p-3 border border-gray-300 rounded-lg mt-1"
+                            />
+                        </div>
+                    </div>
+                    <button onClick={handleSaveGoals} className="w-full py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
+                        {t('goals.save')}
+                    </button>
+                </div>
+
+                <DaySettings />
+
+                <NotificationSettings />
+
+                {/* To-Do Style Reading Routine (Requirement 7) */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold text-gray-700 flex items-center"><BookOpen className="w-5 h-5 mr-2" /> {t('goals.todaysRoutine')}</h3>
+                    <p className="text-sm text-gray-500 mb-4">{t('goals.routineHelp')}</p>
+                    <div className="space-y-3">
+                        {todayItems.length === 0 && (
+                            <p className="text-gray-500 italic">{t('goals.noRoutineToday')}</p>
+                        )}
+                        {todayItems.map(item => {
+                            const done = todayDone.includes(item.id);
+                            return (
+                                <div key={item.id} className={`flex items-center justify-between p-3 border rounded-lg transition ${done ? 'bg-green-50 border-green-300' : 'bg-gray-50 border-gray-200'}`}>
+                                    <div className="flex items-center">
+                                        <button 
+                                            onClick={() => setRoutineItemDone(item.id, !done)}
+                                            className={`w-6 h-6 rounded-full flex items-center justify-center mr-3 transition 
+                                                ${done ? 'bg-green-500 text-white' : 'border border-gray-400 text-transparent'}`}
+                                        >
+                                            {done && <CheckCircle className="w-4 h-4" />}
+                                        </button>
+                                        <span className={`font-medium ${done ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                                            {t('goals.routineItem', { subject: subjects.find(s => s.id === item.subjectId)?.name || item.subject, minutes: item.time })}
+                                        </span>
+                                        {item.reminderTime && <span className="ml-2 text-xs text-gray-500">{item.reminderTime}</span>}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {/* Routine Completion History */}
+                    <div className="mt-6 pt-4 border-t border-gray-200">
+                        <h4 className="font-semibold text-gray-700 mb-3">{t('goals.lastWeek')}</h4>
+                        <div className="grid grid-cols-7 gap-2 text-center">
+                            {routineHistory.map(day => (
+                                <div key={day.key} className={`p-2 rounded-lg text-xs ${day.total > 0 && day.done === day.total ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                    <p className="font-semibold">{day.day}</p>
+                                    <p>{day.total > 0 ? `${formatNumber(day.done)}/${formatNumber(day.total)}` : '–'}</p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* All Routine Items */}
+                    {routineItems.length > 0 && (
+                        <div className="mt-6 pt-4 border-t border-gray-200 space-y-2">
+                            <h4 className="font-semibold text-gray-700">{t('goals.allRoutines')}</h4>
+                            {routineItems.map(item => (
+                                <div key={item.id} className="flex justify-between items-center text-sm border-b pb-1">
+                                    <span className="text-gray-800">
+                                        {t('goals.routineItem', { subject: subjects.find(s => s.id === item.subjectId)?.name || item.subject, minutes: item.time })}
+                                        <span className="text-xs text-gray-500 ml-2">({(item.weekdays || WEEKDAYS).map(getWeekdayName).join(', ')}{item.reminderTime && ` · ${item.reminderTime}`})</span>
+                                    </span>
+                                    <button onClick={() => handleDeleteRoutine(item.id)} className="text-red-500 hover:text-red-700">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="mt-6 pt-4 border-t border-gray-200 space-y-3">
+                        <h4 className="font-semibold text-gray-700">{t('goals.addRoutine')}</h4>
+                        <div className="grid grid-cols-3 gap-3">
+                            <select
+                                value={newRoutineSubjectId}
+                                onChange={(e) => setNewRoutineSubjectId(e.target.value)}
+                                className="col-span-2 p-3 border border-gray-300 rounded-lg"
+                            >
+                                <option value="">{t('common.selectSubject')}</option>
+                                {activeSubjects.map(s => (
+                                    <option key={s.id} value={s.id}>{s.name}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="number"
+                                placeholder={t('goals.minutesPlaceholder')}
+                                value={newRoutineTime}
+                                onChange={(e) => setNewRoutineTime(e.target.value)}
+                                className="col-span-1 p-3 border border-gray-300 rounded-lg"
+                            />
+                        </div>
+                        <label className="flex items-center text-sm text-gray-700">
+                            {t('goals.reminderTime')}
+                            <input
+                                type="time"
+                                value={newRoutineReminderTime}
+                                onChange={(e) => setNewRoutineReminderTime(e.target.value)}
+                                className="ml-2 p-2 border border-gray-300 rounded-lg"
+                            />
+                        </label>
+                        <div className="flex flex-wrap gap-2">
+                            {WEEKDAYS.map(weekday => (
+                                <button
+                                    key={weekday}
+                                    onClick={() => toggleNewRoutineWeekday(weekday)}
+                                    className={`px-3 py-1 text-sm rounded-full border transition
+                                        ${newRoutineWeekdays.includes(weekday) ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                                >
+                                    {getWeekdayName(weekday)}
+                                </button>
+                            ))}
+                        </div>
+                        <button onClick={handleAddRoutine} disabled={!newRoutineSubjectId || !newRoutineTime || newRoutineWeekdays.length === 0} className="w-full py-2 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition disabled:opacity-50">
+                            {t('goals.addToRoutine')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
     // ====================================================================
-    // VIEW: Dashboard (Requirement 5)
+    // VIEW: Reading History Log (manual entry, editing and deletion)
     // ====================================================================
 
-    const DashboardView = () => (
-        <div className="space-y-8">
-            <h2 className="text-3xl font-bold text-gray-800 border-b pb-2 mb-4">ইউজার ড্যাশবোর্ড</h2>
-            
-            <p className="text-sm font-medium text-gray-500">ইউজার আইডি: <code className="break-all text-xs bg-gray-100 p-1 rounded">{currentUserId}</code></p>
+    const HistoryRecordForm = ({ initial, submitLabel, onSubmit, onCancel, disabled = false }) => {
+        const [subjectId, setSubjectId] = useState(initial.subjectId || '');
+        const [chapterId, setChapterId] = useState(
+            resolveChapterId(subjects.find(s => s.id === initial.subjectId)?.chapters, initial) || ''
+        );
+        const [minutes, setMinutes] = useState(initial.durationMinutes ? String(Math.round(initial.durationMinutes * 100) / 100) : '');
+        const [pages, setPages] = useState(initial.pagesRead ? String(initial.pagesRead) : '');
+        const [dateValue, setDateValue] = useState(toDateTimeInputValue(initial.date || new Date()));
+        const [isSaving, setIsSaving] = useState(false);
 
-            {/* Overall Stats */}
-            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
-                <StatCard title="মোট পড়ার সময়" value={formatTime(stats.totalMinutes)} icon={Clock} color="indigo" />
-                <StatCard title="আজকের পড়া" value={formatMinutesToHHMM(stats.todayMinutes)} icon={Timer} color="green" />
-                <StatCard title="সাপ্তাহিক পড়া" value={formatMinutesToHHMM(stats.weeklyMinutes)} icon={BarChart3} color="orange" />
-                <StatCard title="সম্পূর্ণ অধ্যায়" value={`${stats.chaptersRead} টি`} icon={CheckCircle} color="teal" />
-            </div>
+        const chapterList = subjects.find(s => s.id === subjectId)?.chapters || [];
+        const isValid = subjectId && chapterId && parseFloat(minutes) > 0 && dateValue;
 
-            {/* Weekly Statistics Chart (Requirement 4) */}
-            <div className="bg-white p-6 rounded-xl shadow-lg">
-                <h3 className="text-xl font-semibold mb-4 text-gray-700">সাপ্তাহিক পড়ার পরিসংখ্যান (মিনিট)</h3>
-                <WeeklyBarChart data={stats.chartData} goal={settings.dailyGoalMinutes} />
-            </div>
+        const handleSubmit = async () => {
+            if (!isValid) return;
+            const date = new Date(dateValue);
+            if (date > new Date()) {
+                alert(t('history.futureDate'));
+                return;
+            }
+            setIsSaving(true);
+            const success = await onSubmit({ subjectId, chapterId, durationMinutes: parseFloat(minutes), pagesRead: Math.max(0, parseInt(pages) || 0), date });
+            setIsSaving(false);
+            if (!success) alert(t('common.saveFailed'));
+        };
 
-            {/* Reading Goals and Progress */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <GoalCard title="দৈনিক লক্ষ্য" current={stats.todayMinutes} goal={settings.dailyGoalMinutes} />
-                <GoalCard title="সাপ্তাহিক লক্ষ্য" current={stats.weeklyMinutes} goal={settings.weeklyGoalMinutes} />
-            </div>
-            
-            {/* Chapters In Progress */}
-            <div className="bg-white p-6 rounded-xl shadow-lg">
-                <h3 className="text-xl font-semibold mb-4 text-gray-700">বর্তমানে যেগুলি পড়া চলছে</h3>
-                <ChapterProgressList subjects={subjects} />
+        return (
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+                <select
+                    value={subjectId}
+                    onChange={(e) => { setSubjectId(e.target.value); setChapterId(''); }}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    <option value="">{t('history.subject')}</option>
+                    {subjects.map(s => (
+                        <option key={s.id} value={s.id}>{s.name}</option>
+                    ))}
+                </select>
+                <select
+                    value={chapterId}
+                    onChange={(e) => setChapterId(e.target.value)}
+                    disabled={!subjectId}
+                    className="p-2 border border-gray-300 rounded-lg"
+                >
+                    <option value="">{t('history.chapter')}</option>
+                    {chapterList.map(c => (
+                        <option key={c.id} value={c.id}>{c.name}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="1"
+                    placeholder={t('goals.minutesPlaceholder')}
+                    value={minutes}
+                    onChange={(e) => setMinutes(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-lg"
+                />
+                <input
+                    type="number"
+                    min="0"
+                    placeholder={t('history.pagesOptional')}
+                    value={pages}
+                    onChange={(e) => setPages(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-lg"
+                />
+                <input
+                    type="datetime-local"
+                    value={dateValue}
+                    max={toDateTimeInputValue(new Date())}
+                    onChange={(e) => setDateValue(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-lg"
+                />
+                <div className="md:col-span-5 flex space-x-2">
+                    <button onClick={handleSubmit} disabled={!isValid || isSaving || disabled} className="flex-1 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
+                        {isSaving ? t('common.saving') : submitLabel}
+                    </button>
+                    {onCancel && (
+                        <button onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition">
+                            {t('common.cancel')}
+                        </button>
+                    )}
+                </div>
             </div>
-        </div>
-    );
+        );
+    };
 
-    const StatCard = ({ title, value, icon: Icon, color }) => (
-        <div className={`bg-white p-4 rounded-xl shadow-md border-l-4 border-${color}-500 flex items-center`}>
-            <Icon className={`w-6 h-6 mr-3 text-${color}-600`} />
-            <div>
-                <p className="text-sm font-medium text-gray-500">{title}</p>
-                <p className="text-lg font-bold text-gray-800">{value}</p>
-            </div>
-        </div>
-    );
+    const HistoryView = () => {
+        const [editingId, setEditingId] = useState(null);
+        const [formKey, setFormKey] = useState(0);
+        // Changing a record needs a transaction, which needs the server
+        const canEdit = isOnline || db?.isLocal;
+
+        const handleAdd = async (values) => {
+            const success = await addManualRecord(values);
+            if (success) setFormKey(k => k + 1);
+            return success;
+        };
+
+        const handleUpdate = async (recordId, values) => {
+            const success = await updateHistoryRecord(recordId, values);
+            if (success) setEditingId(null);
+            return success;
+        };
+
+        const handleDelete = async (record) => {
+            if (!window.confirm(t('history.confirmDelete', { chapter: record.chapterName, time: formatMinutesToHHMM(record.durationMinutes) }))) return;
+            const success = await deleteHistoryRecord(record.id);
+            if (!success) alert(t('history.deleteFailed'));
+        };
+
+        const getQualityLabel = (quality) => {
+            const option = REVISION_QUALITIES.find(q => q.quality === quality);
+            return option ? t(option.labelKey) : quality;
+        };
 
-    const WeeklyBarChart = ({ data, goal }) => {
-        const maxVal = Math.max(...data.map(d => d.minutes), goal) * 1.2;
-        
         return (
-            <div className="flex justify-around items-end h-40 bg-gray-50 p-2 rounded-lg relative">
-                {/* Goal Line */}
-                <div 
-                    className="absolute w-full border-b border-red-400 border-dashed" 
-                    style={{ bottom: `${(goal / maxVal) * 100}%` }}
-                >
-                    <span className="absolute left-0 bottom-0 text-xs text-red-600 -translate-y-full translate-x-1">লক্ষ্য: {goal} মিনিট</span>
+            <div className="space-y-8">
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('history.title')}</h2>
+
+                {/* Backdated Manual Entry */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-3 text-gray-700 flex items-center"><Plus className="w-5 h-5 mr-2" /> {t('history.addManual')}</h3>
+                    <p className="text-sm text-gray-500 mb-3">{t('history.manualHelp')}</p>
+                    {!canEdit && <p className="text-sm text-orange-600 mb-3 flex items-center"><CloudOff className="w-4 h-4 mr-2" /> {t('history.offline')}</p>}
+                    <HistoryRecordForm key={formKey} initial={{}} submitLabel={t('history.addSession')} onSubmit={handleAdd} disabled={!canEdit} />
                 </div>
 
-                {data.map((item, index) => (
-                    <div key={index} className="flex flex-col items-center h-full justify-end w-1/8 mx-1">
-                        <div 
-                            className={`bg-indigo-500 hover:bg-indigo-600 rounded-t-lg transition-all duration-300`} 
-                            style={{ height: `${(item.minutes / maxVal) * 100}%`, width: '80%' }}
-                            title={`${item.day}: ${item.minutes} মিনিট`}
-                        ></div>
-                        <span className="text-xs mt-1 text-gray-600">{item.minutes}</span>
-                        <span className="text-xs text-gray-500 mt-0.5">{item.day}</span>
-                    </div>
-                ))}
+                {/* Records */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('history.allRecords', { count: Math.max(stats.totalSessions, history.length) })}</h3>
+                    {history.length === 0 ? (
+                        <p className="text-gray-500 italic">{t('history.none')}</p>
+                    ) : (
+                        <div className="space-y-2">
+                            {history.map(record => (
+                                <div key={record.id} className="border-b pb-2">
+                                    {editingId === record.id ? (
+                                        <HistoryRecordForm
+                                            initial={record}
+                                            submitLabel={t('common.saveChanges')}
+                                            onSubmit={(values) => handleUpdate(record.id, values)}
+                                            onCancel={() => setEditingId(null)}
+                                            disabled={!canEdit}
+                                        />
+                                    ) : (
+                                        <div className="flex justify-between items-center">
+                                            <div>
+                                                <p className="font-medium text-gray-800">
+                                                    {getChapterDisplayName(subjects, record.subjectId, record.chapterId, record.chapterName)}
+                                                    <span className="text-xs text-gray-500 ml-1">({subjects.find(s => s.id === record.subjectId)?.name || record.subjectName})</span>
+                                                </p>
+                                                <p className="text-xs text-gray-500">
+                                                    {formatDateTime(record.date)} | {formatMinutesToHHMM(record.durationMinutes)}
+                                                    {record.pagesRead > 0 && t('history.pages', { count: record.pagesRead })}
+                                                    {record.manual && t('history.manual')}
+                                                    {record.cycle && t('history.cycle', { cycle: record.cycle })}
+                                                    {isRevisionRecord(record) && (record.quality !== undefined
+                                                        ? t('history.revisionWithQuality', { quality: getQualityLabel(record.quality) })
+                                                        : t('history.revision'))}
+                                                </p>
+                                            </div>
+                                            <div className="flex space-x-3">
+                                                <button onClick={() => setEditingId(record.id)} disabled={!canEdit} className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50" title={t('common.edit')}>
+                                                    <Pencil className="w-4 h-4" />
+                                                </button>
+                                                <button onClick={() => handleDelete(record)} disabled={!canEdit} className="text-red-500 hover:text-red-700 disabled:opacity-50" title={t('common.delete')}>
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                            {history.length >= historyLimit && (
+                                <button onClick={loadMoreHistory} className="w-full py-2 text-sm font-semibold text-indigo-600 hover:bg-indigo-50 rounded-lg">
+                                    {t('history.showMore')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
             </div>
         );
     };
 
-    const GoalCard = ({ title, current, goal }) => {
-        const progress = goal > 0 ? Math.min(100, (current / goal) * 100) : 0;
-        const remaining = Math.max(0, goal - current);
+    // ====================================================================
+    // VIEW: Per-subject and Per-chapter Analytics
+    // ====================================================================
+
+    const ANALYTICS_RANGES = [
+        { days: 7, labelKey: 'analytics.last7Days' },
+        { days: 30, labelKey: 'analytics.last30Days' },
+        { days: 90, labelKey: 'analytics.last90Days' },
+        { days: 365, labelKey: 'analytics.lastYear' },
+        { days: 0, labelKey: 'analytics.allTime' },
+    ];
+
+    const AnalyticsView = () => {
+        const [rangeDays, setRangeDays] = useState(30);
+        const [chapterSubjectId, setChapterSubjectId] = useState(activeSubjects[0]?.id || '');
+
+        const sinceKey = rangeDays > 0 ? addDaysToKey(stats.todayKey, -(rangeDays - 1)) : null;
+        const subjectTotals = getSubjectTotals(dailyTotals, subjects, sinceKey);
+        const rangeTotal = subjectTotals.reduce((sum, total) => sum + total.minutes, 0);
+        const weeklySplit = getWeeklySubjectSplit(dailyTotals, 8, settings);
+        const maxWeekTotal = Math.max(...weeklySplit.map(w => w.total), 1);
+        const colorOf = (subjectId) => {
+            const index = subjects.findIndex(s => s.id === subjectId);
+            return SUBJECT_COLORS[(index < 0 ? subjects.length : index) % SUBJECT_COLORS.length];
+        };
+        const chapterSubject = subjects.find(s => s.id === chapterSubjectId);
 
         return (
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
-                <h3 className="text-xl font-semibold flex items-center text-gray-700 mb-4">
-                    <Target className="w-5 h-5 mr-2 text-pink-600" />
-                    {title}
-                </h3>
-                <div className="h-3 bg-gray-200 rounded-full">
-                    <div 
-                        className={`h-full rounded-full transition-all duration-500 ${progress >= 100 ? 'bg-green-500' : 'bg-pink-500'}`} 
-                        style={{ width: `${progress}%` }}
-                    ></div>
+            <div className="space-y-8">
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('analytics.title')}</h2>
+
+                {/* Time per Subject */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-semibold text-gray-700">{t('analytics.bySubject')}</h3>
+                        <select value={rangeDays} onChange={(e) => setRangeDays(parseInt(e.target.value))} className="p-2 text-sm border border-gray-300 rounded-lg">
+                            {ANALYTICS_RANGES.map(r => (
+                                <option key={r.days} value={r.days}>{t(r.labelKey)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {subjectTotals.length === 0 ? (
+                        <p className="text-gray-500 italic">{t('common.noReadingInRange')}</p>
+                    ) : (
+                        <div className="space-y-2">
+                            {subjectTotals.map(total => (
+                                <div key={total.subjectId} className="flex items-center text-sm">
+                                    <span className="w-32 text-gray-700 truncate">{total.name}</span>
+                                    <div className="flex-1 h-3 bg-gray-100 rounded-full mx-2">
+                                        <div className={`h-full rounded-full ${colorOf(total.subjectId)}`} style={{ width: `${(total.minutes / rangeTotal) * 100}%` }}></div>
+                                    </div>
+                                    <span className="w-28 text-right font-semibold text-gray-800">
+                                        {formatMinutesToHHMM(total.minutes)} ({formatNumber(Math.round((total.minutes / rangeTotal) * 100))}%)
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Weekly Split by Subject */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('analytics.weeklySplit')}</h3>
+                    <div className="flex justify-around items-end h-48 bg-gray-50 p-2 rounded-lg">
+                        {weeklySplit.map(week => (
+                            <div key={week.startKey} className="flex flex-col items-center h-full justify-end mx-1" style={{ width: '10%' }}>
+                                <div className="w-full flex flex-col-reverse rounded-t-lg overflow-hidden" style={{ height: `${(week.total / maxWeekTotal) * 100}%` }}>
+                                    {Object.entries(week.bySubject).map(([subjectId, minutes]) => (
+                                        <div
+                                            key={subjectId}
+                                            className={colorOf(subjectId)}
+                                            style={{ height: `${(minutes / week.total) * 100}%` }}
+                                            title={`${subjects.find(s => s.id === subjectId)?.name || ''}: ${formatMinutesToHHMM(minutes)}`}
+                                        ></div>
+                                    ))}
+                                </div>
+                                <span className="text-xs mt-1 text-gray-600">{formatNumber(Math.round(week.total))}</span>
+                                <span className="text-xs text-gray-500">{formatDate(fromDateKey(week.startKey), { day: 'numeric', month: 'short' })}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+                        {subjects.map(s => (
+                            <span key={s.id} className="flex items-center"><span className={`w-3 h-3 rounded-sm mr-1 ${colorOf(s.id)}`}></span>{s.name}</span>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Projected Finish Dates */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-1 text-gray-700">{t('analytics.projectedFinish')}</h3>
+                    <p className="text-xs text-gray-500 mb-4">{t('analytics.paceWindow', { days: PACE_WINDOW_DAYS })}</p>
+                    <div className="space-y-2">
+                        {activeSubjects.map(subject => {
+                            const projection = projectSubjectFinish(subject, dailyTotals, stats.todayKey);
+                            return (
+                                <div key={subject.id} className="flex justify-between items-center border-b pb-1 text-sm">
+                                    <span className="font-medium text-gray-800">{subject.name}</span>
+                                    <span className="text-gray-600">
+                                        {projection.finished
+                                            ? t('analytics.allComplete')
+                                            : projection.targetsReached
+                                                ? t('analytics.targetsReached')
+                                                : projection.date
+                                                ? t('analytics.projection', { date: formatDate(projection.date), pace: formatMinutesToHHMM(projection.dailyPace) })
+                                                : t(projection.dailyPace > 0 ? 'analytics.needsTargets' : 'analytics.noRecentReading')}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {/* Per-chapter Breakdown */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-semibold text-gray-700">{t('analytics.byChapter')}</h3>
+                        <select value={chapterSubjectId} onChange={(e) => setChapterSubjectId(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-lg">
+                            <option value="">{t('common.selectSubject')}</option>
+                            {subjects.map(s => (
+                                <option key={s.id} value={s.id}>{s.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {chapterSubject && (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('analytics.chapter')}</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('analytics.totalTime')}</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('analytics.sessions')}</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('analytics.averageSession')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {getChapterStats(dailyTotals, chapterSubject).map(row => (
+                                        <tr key={row.chapterId}>
+                                            <td className={`px-3 py-2 text-sm ${row.isCompleted ? 'text-green-600' : 'text-gray-900'}`}>{row.name}</td>
+                                            <td className="px-3 py-2 text-sm text-right text-indigo-600 font-medium">{formatMinutesToHHMM(row.minutes)}</td>
+                                            <td className="px-3 py-2 text-sm text-right text-gray-500">{formatNumber(row.sessions)}</td>
+                                            <td className="px-3 py-2 text-sm text-right text-gray-500">{formatMinutesToHHMM(row.averageMinutes)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
                 </div>
-                <p className="mt-3 text-sm text-gray-600">
-                    পড়া হয়েছে: <span className="font-semibold">{formatMinutesToHHMM(current)}</span> / লক্ষ্য: <span className="font-semibold">{formatMinutesToHHMM(goal)}</span>
-                </p>
-                <p className={`mt-1 text-xs ${progress >= 100 ? 'text-green-600' : 'text-red-500'}`}>
-                    {progress >= 100 ? 'লক্ষ্য সম্পূর্ণ হয়েছে!' : `আর বাকি: ${formatMinutesToHHMM(remaining)}`}
-                </p>
             </div>
         );
     };
 
-    const ChapterProgressList = ({ subjects }) => {
-        const activeChapters = subjects.flatMap(s => 
-            s.chapters
-             .filter(c => !c.is_completed)
-             .map(c => ({ subjectName: s.name, chapterName: c.name, progress: c.read, total: c.total }))
-        ).slice(0, 5); // Show top 5
+    // ====================================================================
+    // VIEW: Study Groups
+    // ====================================================================
 
-        if (activeChapters.length === 0) {
-            return <p className="text-gray-500 italic">কোনো অধ্যায় বর্তমানে পড়া চলছে না।</p>;
-        }
+    const LEADERBOARD_PERIODS = [
+        { key: 'daily', labelKey: 'groups.periodToday' },
+        { key: 'weekly', labelKey: 'groups.periodWeek' },
+        { key: 'allTime', labelKey: 'analytics.allTime' },
+    ];
+
+    const GroupDetail = ({ group }) => {
+        const [members, setMembers] = useState([]);
+        const [feed, setFeed] = useState([]);
+        const [period, setPeriod] = useState('weekly');
+        const [dailyGoal, setDailyGoal] = useState(group.dailyGoalMinutes || 0);
+        const [weeklyGoal, setWeeklyGoal] = useState(group.weeklyGoalMinutes || 0);
+        const isOwner = group.ownerId === currentUserId;
+        // Member stats are kept by calendar day (see writeSharedActivity), not by study day
+        const todayKey = toDateKey(new Date());
+
+        useEffect(() => {
+            const unsubMembers = onSnapshot(collection(db, getGroupPath(group.id, 'members')), (snapshot) => {
+                setMembers(snapshot.docs.map(d => ({ userId: d.id, ...d.data() })));
+            }, (e) => console.error("Group Members Listen Error:", e));
+            const feedQuery = query(collection(db, getGroupPath(group.id, 'feed')), orderBy('completedAt', 'desc'), limit(20));
+            const unsubFeed = onSnapshot(feedQuery, (snapshot) => {
+                setFeed(snapshot.docs.map(d => ({ id: d.id, ...d.data(), completedAt: toJsDate(d.data().completedAt) })));
+            }, (e) => console.error("Group Feed Listen Error:", e));
+            return () => {
+                unsubMembers();
+                unsubFeed();
+            };
+        }, [group.id]);
+
+        const leaderboard = getLeaderboard(members, period, todayKey);
+        const groupToday = leaderboard.reduce((sum, m) => sum + m.daily, 0);
+        const groupWeek = leaderboard.reduce((sum, m) => sum + m.weekly, 0);
+        const memberName = (member) => (member.userId === currentUserId ? t('common.you') : member.displayName || member.userId.substring(0, 8));
+
+        const handleSaveGoals = async (e) => {
+            e.preventDefault();
+            const ok = await saveGroupGoals(group.id, parseInt(dailyGoal) || 0, parseInt(weeklyGoal) || 0);
+            alert(t(ok ? 'groups.goalsSaved' : 'groups.goalsSaveFailed'));
+        };
+
+        const handleLeave = async () => {
+            if (!window.confirm(t('groups.confirmLeave', { name: group.name }))) return;
+            if (!(await leaveGroup(group.id))) alert(t('groups.leaveFailed'));
+        };
+
+        const handleDelete = async () => {
+            if (!window.confirm(t('groups.confirmDelete', { name: group.name }))) return;
+            if (!(await deleteGroup(group))) alert(t('groups.deleteFailed'));
+        };
 
         return (
-            <div className="space-y-3">
-                {activeChapters.map((c, index) => (
-                    <div key={index} className="border-b pb-2">
-                        <p className="font-medium text-gray-800">{c.chapterName}</p>
-                        <p className="text-xs text-gray-500">({c.subjectName})</p>
-                        <div className="text-xs mt-1">
-                            {c.total > 0 ? `${Math.round((c.progress / c.total) * 100)}% সম্পূর্ণ` : 'কোনো লক্ষ্য সেট করা নেই'}
+            <div className="space-y-6">
+                <div className="bg-white p-6 rounded-xl shadow-lg flex flex-wrap justify-between items-center gap-3">
+                    <div>
+                        <h3 className="text-2xl font-bold text-gray-800">{group.name}</h3>
+                        <p className="text-sm text-gray-500">{t('groups.members', { count: group.memberIds.length })}<code className="font-bold text-indigo-600 tracking-widest">{group.inviteCode}</code></p>
+                    </div>
+                    {isOwner ? (
+                        <button onClick={handleDelete} className="flex items-center px-3 py-2 text-sm bg-red-100 text-red-700 rounded-lg hover:bg-red-200">
+                            <Trash2 className="w-4 h-4 mr-1" /> {t('groups.delete')}
+                        </button>
+                    ) : (
+                        <button onClick={handleLeave} className="flex items-center px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+                            <LogOut className="w-4 h-4 mr-1" /> {t('groups.leave')}
+                        </button>
+                    )}
+                </div>
+
+                {/* Group Goals */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <GoalCard title={t('groups.dailyGoal')} current={groupToday} goal={group.dailyGoalMinutes || 0} />
+                    <GoalCard title={t('groups.weeklyGoal')} current={groupWeek} goal={group.weeklyGoalMinutes || 0} />
+                </div>
+                {isOwner && (
+                    <form onSubmit={handleSaveGoals} className="bg-white p-4 rounded-xl shadow-lg flex flex-wrap items-end gap-3">
+                        <label className="text-sm text-gray-700">
+                            {t('groups.dailyMinutes')}
+                            <input type="number" min="0" value={dailyGoal} onChange={(e) => setDailyGoal(e.target.value)} className="block mt-1 w-28 p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <label className="text-sm text-gray-700">
+                            {t('groups.weeklyMinutes')}
+                            <input type="number" min="0" value={weeklyGoal} onChange={(e) => setWeeklyGoal(e.target.value)} className="block mt-1 w-28 p-2 border border-gray-300 rounded-lg" />
+                        </label>
+                        <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">{t('groups.saveGoals')}</button>
+                    </form>
+                )}
+
+                {/* Leaderboard */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                        <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Trophy className="w-5 h-5 mr-2 text-yellow-500" /> {t('groups.leaderboard')}</h3>
+                        <div className="flex space-x-1">
+                            {LEADERBOARD_PERIODS.map(p => (
+                                <button
+                                    key={p.key}
+                                    onClick={() => setPeriod(p.key)}
+                                    className={`px-3 py-1 text-sm rounded-lg ${period === p.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                >
+                                    {t(p.labelKey)}
+                                </button>
+                            ))}
                         </div>
                     </div>
-                ))}
+                    <ol className="space-y-2">
+                        {leaderboard.map((member, index) => (
+                            <li key={member.userId} className={`flex justify-between items-center border-b pb-1 ${member.userId === currentUserId ? 'font-semibold' : ''}`}>
+                                <span className="text-gray-800">{formatNumber(index + 1)}. {memberName(member)}</span>
+                                <span className="text-sm text-indigo-600">{formatMinutesToHHMM(member[period])}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+
+                {/* Completed Chapters Feed */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('groups.recentlyCompleted')}</h3>
+                    {feed.length === 0 ? (
+                        <p className="text-gray-500 italic">{t('groups.noneCompleted')}</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {feed.map(entry => (
+                                <li key={entry.id} className="flex items-start text-sm border-b pb-1">
+                                    <CheckCircle className="w-4 h-4 mr-2 mt-0.5 text-green-500 flex-shrink-0" />
+                                    <span className="flex-1 text-gray-700">
+                                        <span className="font-semibold">{memberName(entry)}</span> — {entry.subjectName}: {entry.chapterName}
+                                    </span>
+                                    <span className="text-xs text-gray-400 ml-2">{formatDate(entry.completedAt)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
             </div>
         );
     };
 
+    const GroupsView = () => {
+        const [groupName, setGroupName] = useState('');
+        const [inviteCode, setInviteCode] = useState('');
+        const [message, setMessage] = useState('');
+        const [selectedGroupId, setSelectedGroupId] = useState(groups[0]?.id || '');
+        const selectedGroup = groups.find(g => g.id === selectedGroupId) || groups[0];
+        const sharesDetails = settings.shareGroupDetails !== false;
+
+        const handleCreate = async (e) => {
+            e.preventDefault();
+            const errorMessage = await createGroup(groupName);
+            setMessage(errorMessage || t('groups.created'));
+            if (!errorMessage) setGroupName('');
+        };
+
+        const handleJoin = async (e) => {
+            e.preventDefault();
+            const errorMessage = await joinGroup(inviteCode);
+            setMessage(errorMessage || t('groups.joined'));
+            if (!errorMessage) setInviteCode('');
+        };
+
+        return (
+            <div className="space-y-8">
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('groups.title')}</h2>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <form onSubmit={handleCreate} className="bg-white p-6 rounded-xl shadow-lg space-y-3">
+                        <h3 className="text-lg font-semibold text-gray-700">{t('groups.newGroup')}</h3>
+                        <input type="text" placeholder={t('groups.groupName')} value={groupName} onChange={(e) => setGroupName(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg" />
+                        <button type="submit" className="flex items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">
+                            <Plus className="w-4 h-4 mr-1" /> {t('groups.create')}
+                        </button>
+                    </form>
+                    <form onSubmit={handleJoin} className="bg-white p-6 rounded-xl shadow-lg space-y-3">
+                        <h3 className="text-lg font-semibold text-gray-700">{t('groups.joinWithCode')}</h3>
+                        <input type="text" placeholder={t('groups.inviteCode')} value={inviteCode} onChange={(e) => setInviteCode(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg uppercase tracking-widest" />
+                        <button type="submit" className="flex items-center px-4 py-2 bg-teal-600 text-white font-semibold rounded-lg hover:bg-teal-700">
+                            <LogIn className="w-4 h-4 mr-1" /> {t('groups.join')}
+                        </button>
+                    </form>
+                </div>
+                {message && <p className="text-sm font-medium text-indigo-700">{message}</p>}
+
+                <label className="flex items-start bg-white p-4 rounded-xl shadow-lg text-sm text-gray-700 cursor-pointer">
+                    <input type="checkbox" checked={sharesDetails} onChange={(e) => setShareGroupDetails(e.target.checked)} className="mt-1 mr-3" />
+                    <span>
+                        {t('groups.shareDetails')}
+                        <span className="block text-xs text-gray-500">{t('groups.shareDetailsHelp')}</span>
+                    </span>
+                </label>
+
+                {groups.length === 0 ? (
+                    <p className="text-gray-500 italic">{t('groups.none')}</p>
+                ) : (
+                    <>
+                        {groups.length > 1 && (
+                            <select value={selectedGroup.id} onChange={(e) => setSelectedGroupId(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                                {groups.map(g => (
+                                    <option key={g.id} value={g.id}>{g.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        <GroupDetail key={selectedGroup.id} group={selectedGroup} />
+                    </>
+                )}
+            </div>
+        );
+    };
 
     // ====================================================================
-    // VIEW: Tracking (Reading Timer - Requirement 3)
+    // VIEW: Sign-in and Account
     // ====================================================================
 
-    const TrackingView = () => {
-        const [time, setTime] = useState(0); // Time in seconds
-        const [isRunning, setIsRunning] = useState(false);
-        const [selectedSubjectId, setSelectedSubjectId] = useState('');
-        const [selectedChapterName, setSelectedChapterName] = useState('');
+    /**
+     * Email/password form. With `allowRegister` it can also create an account,
+     * which for a guest links the credential to the guest account.
+     */
+    const EmailAuthForm = ({ allowRegister, registerOnly = false }) => {
+        const [isRegistering, setIsRegistering] = useState(registerOnly);
+        const [email, setEmail] = useState('');
+        const [password, setPassword] = useState('');
+        const [displayName, setDisplayName] = useState('');
         const [message, setMessage] = useState('');
+        const [isBusy, setIsBusy] = useState(false);
 
-        useEffect(() => {
-            let interval = null;
-            if (isRunning) {
-                interval = setInterval(() => {
-                    setTime(prevTime => prevTime + 1);
-                }, 1000);
-            } else if (!isRunning && time !== 0) {
-                clearInterval(interval);
-            }
-            return () => clearInterval(interval);
-        }, [isRunning, time]);
-
-        const handleStartStop = () => {
-            if (!selectedSubjectId || !selectedChapterName) {
-                setMessage(<span className="text-red-500">অনুগ্রহ করে সাবজেক্ট এবং অধ্যায় নির্বাচন করুন।</span>);
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (!email.trim() || !password) {
+                setMessage(t('signIn.emailAndPassword'));
                 return;
             }
-            if (isRunning) {
-                setIsRunning(false);
-                // The recording logic runs below
-                handleRecord();
-            } else {
-                setMessage('');
-                setIsRunning(true);
-            }
+            setIsBusy(true);
+            const errorMessage = isRegistering
+                ? await registerWithEmail(email.trim(), password, displayName)
+                : await signInWithEmail(email.trim(), password);
+            setIsBusy(false);
+            setMessage(errorMessage || '');
         };
 
-        const handleRecord = async () => {
-            if (time === 0) {
-                setMessage(<span className="text-red-500">সময় ০ সেকেন্ড। সেভ করা সম্ভব না।</span>);
-                return;
-            }
+        return (
+            <form onSubmit={handleSubmit} className="space-y-3">
+                {isRegistering && (
+                    <input type="text" placeholder={t('signIn.displayName')} value={displayName} onChange={(e) => setDisplayName(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg" />
+                )}
+                <input type="email" placeholder={t('signIn.email')} value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg" autoComplete="email" />
+                <input type="password" placeholder={t('signIn.password')} value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg" autoComplete={isRegistering ? 'new-password' : 'current-password'} />
+                {message && <p className="text-sm text-red-600">{message}</p>}
+                <button type="submit" disabled={isBusy} className="w-full flex justify-center items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                    {isBusy ? <Loader2 className="w-4 h-4 animate-spin" /> : t(isRegistering ? 'signIn.createAccount' : 'signIn.signIn')}
+                </button>
+                {allowRegister && !registerOnly && (
+                    <button type="button" onClick={() => { setIsRegistering(!isRegistering); setMessage(''); }} className="w-full text-sm text-indigo-600 hover:underline">
+                        {t(isRegistering ? 'signIn.haveAccount' : 'signIn.newAccount')}
+                    </button>
+                )}
+            </form>
+        );
+    };
 
-            setMessage(<span className="text-indigo-600 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> ডেটা সেভ করা হচ্ছে...</span>);
-            const success = await recordReading(selectedSubjectId, selectedChapterName, time);
-            
-            if (success) {
-                setMessage(<span className="text-green-600 flex items-center"><CheckCircle className="w-4 h-4 mr-2" /> {formatTime(time / 60)} সফলভাবে সেভ হয়েছে!</span>);
-                setTime(0);
-            } else {
-                setMessage(<span className="text-red-500 flex items-center"><XCircle className="w-4 h-4 mr-2" /> সেভ করতে ব্যর্থ।</span>);
+    const GoogleButton = ({ label }) => {
+        const [message, setMessage] = useState('');
+        return (
+            <div>
+                <button
+                    type="button"
+                    onClick={async () => setMessage((await signInWithGoogle()) || '')}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50"
+                >
+                    {label}
+                </button>
+                {message && <p className="mt-1 text-sm text-red-600">{message}</p>}
+            </div>
+        );
+    };
+
+    const AuthScreen = () => {
+        const [message, setMessage] = useState('');
+        return (
+            <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-sans">
+                <div className="w-full max-w-sm bg-white p-6 rounded-xl shadow-lg space-y-4">
+                    <div className="flex justify-end">
+                        <LanguageSelect />
+                    </div>
+                    <h1 className="text-2xl font-extrabold text-indigo-700 text-center">{t('common.appTitle')}</h1>
+                    <EmailAuthForm allowRegister />
+                    <GoogleButton label={t('signIn.google')} />
+                    <div className="border-t pt-4">
+                        <button
+                            type="button"
+                            onClick={async () => setMessage((await continueAsGuest()) || '')}
+                            className="w-full flex justify-center items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                        >
+                            <LogIn className="w-4 h-4 mr-2" /> {t('signIn.guest')}
+                        </button>
+                        <p className="mt-2 text-xs text-gray-500">{t('signIn.guestHelp')}</p>
+                        {message && <p className="mt-1 text-sm text-red-600">{message}</p>}
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // The import preview lives in App state (backupImport), so the App re-renders
+    // caused by the import's own writes don't drop it
+    const BackupSettings = () => {
+        const [isExporting, setIsExporting] = useState(false);
+        const { plan: importPlan, replaceGoals, isImporting, message } = backupImport;
+        const updateBackupImport = (changes) => setBackupImport(current => ({ ...current, ...changes }));
+        const setMessage = (text) => updateBackupImport({ message: text });
+        const showImportPlan = (plan) => updateBackupImport({ plan, replaceGoals: subjects.length === 0 && history.length === 0 });
+        // For file names only, so the calendar date
+        const dateStamp = toDateKey(new Date());
+
+        const handleExportJson = async () => {
+            setIsExporting(true);
+            try {
+                const backup = await exportBackup();
+                if (backup) downloadFile(`reading-backup-${dateStamp}.json`, JSON.stringify(backup, null, 2), 'application/json');
+            } catch (e) {
+                console.error("Error exporting backup:", e);
+                alert(t('backup.exportFailed'));
             }
+            setIsExporting(false);
         };
 
-        const currentSubject = subjects.find(s => s.id === selectedSubjectId);
-        const chapterList = currentSubject ? currentSubject.chapters : [];
-        const timerDisplay = new Date(time * 1000).toISOString().substr(11, 8); // HH:MM:SS
-
-        return (
-            <div className="bg-white p-8 rounded-xl shadow-lg max-w-2xl mx-auto space-y-6">
-                <h2 className="text-3xl font-bold text-gray-800 mb-4 border-b pb-2">কাস্টম রিডিং টাইমার</h2>
-                <p className="text-gray-600">সময় গণনা শুরু করতে সাবজেক্ট ও অধ্যায় নির্বাচন করুন।</p>
+        const handleExportCsv = async () => {
+            try {
+                // The byte order mark makes spreadsheet apps read the Bengali text as UTF-8
+                downloadFile(`reading-history-${dateStamp}.csv`, '\uFEFF' + historyToCsv(await readFullHistory()), 'text/csv;charset=utf-8');
+            } catch (e) {
+                alert(t(e.message));
+            }
+        };
 
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <select
-                        className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                        value={selectedSubjectId}
-                        onChange={(e) => {
-                            setSelectedSubjectId(e.target.value);
-                            setSelectedChapterName('');
-                            setMessage('');
-                        }}
-                    >
-                        <option value="">-- সাবজেক্ট নির্বাচন করুন --</option>
-                        {subjects.map(s => (
-                            <option key={s.id} value={s.id}>{s.name}</option>
-                        ))}
-                    </select>
+        const handleFileChosen = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            setMessage('');
+            try {
+                const backup = parseBackup(await file.text());
+                showImportPlan(planBackupImport(backup, { subjects, history: await readFullHistory(), plans, routineItems }));
+            } catch (error) {
+                updateBackupImport({ plan: null, message: t(error instanceof SyntaxError ? 'backup.unreadableFile' : error.message) });
+            }
+        };
 
-                    <select
-                        className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                        value={selectedChapterName}
-                        onChange={(e) => {
-                            setSelectedChapterName(e.target.value);
-                            setMessage('');
-                        }}
-                        disabled={!selectedSubjectId}
-                    >
-                        <option value="">-- অধ্যায়/টপিক নির্বাচন করুন --</option>
-                        {chapterList.map((c, index) => (
-                            <option key={index} value={c.name}>{c.name} {c.is_completed ? '(সম্পূর্ণ)' : ''}</option>
-                        ))}
-                    </select>
-                </div>
+        // Data saved in local mode goes through the same preview and duplicate check as a backup file
+        const handleLocalDataChosen = async () => {
+            setMessage('');
+            try {
+                const backup = parseBackup(JSON.stringify(await readBackup(createLocalStore(), LOCAL_USER_ID)));
+                showImportPlan(planBackupImport(backup, { subjects, history: await readFullHistory(), plans, routineItems }));
+            } catch (error) {
+                console.error("Error reading local data:", error);
+                updateBackupImport({ plan: null, message: t('backup.localReadFailed') });
+            }
+        };
 
-                <div className="text-center my-8">
-                    <p className="text-7xl font-mono font-extrabold text-indigo-600">
-                        {timerDisplay}
-                    </p>
-                    <p className="text-gray-500 mt-2">ঘণ্টা:মিনিট:সেকেন্ড</p>
-                </div>
+        const handleImport = async () => {
+            updateBackupImport({ isImporting: true });
+            const ok = await importBackup(importPlan, { replaceGoals });
+            updateBackupImport({
+                isImporting: false,
+                message: t(ok ? 'backup.imported' : 'backup.importFailed'),
+                ...(ok ? { plan: null } : {}),
+            });
+        };
 
-                <div className="flex justify-center space-x-4">
-                    <button
-                        onClick={handleStartStop}
-                        disabled={!selectedSubjectId || !selectedChapterName}
-                        className={`flex items-center px-8 py-3 font-bold rounded-xl shadow-lg transition duration-200 disabled:opacity-50 
-                            ${isRunning ? 'bg-red-500 hover:bg-red-600 text-white' : 'bg-green-500 hover:bg-green-600 text-white'}`}
-                    >
-                        {isRunning ? <XCircle className="w-5 h-5 mr-2" /> : <Timer className="w-5 h-5 mr-2" />}
-                        {isRunning ? 'বন্ধ করুন ও সেভ করুন' : 'শুরু করুন'}
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <h3 className="text-xl font-semibold text-gray-700">{t('backup.title')}</h3>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={handleExportJson} disabled={isExporting} className="flex items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                        {isExporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />} {t('backup.exportJson')}
                     </button>
-                    <button
-                        onClick={() => { setTime(0); setIsRunning(false); setMessage(''); }}
-                        className="px-6 py-3 bg-gray-200 text-gray-700 font-bold rounded-xl shadow hover:bg-gray-300 transition duration-200"
-                    >
-                        রিসেট
+                    <button onClick={handleExportCsv} disabled={history.length === 0} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 disabled:opacity-50">
+                        <Download className="w-4 h-4 mr-2" /> {t('backup.exportCsv')}
                     </button>
+                    <label className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 cursor-pointer">
+                        <Upload className="w-4 h-4 mr-2" /> {t('backup.import')}
+                        <input type="file" accept="application/json,.json" onChange={handleFileChosen} className="hidden" />
+                    </label>
+                    {!db.isLocal && hasLocalData() && (
+                        <button onClick={handleLocalDataChosen} className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200">
+                            <Upload className="w-4 h-4 mr-2" /> {t('backup.importLocal')}
+                        </button>
+                    )}
                 </div>
-                <div className="text-center mt-4 h-6">
-                    {message}
-                </div>
+                {message && <p className="text-sm text-gray-700">{message}</p>}
+
+                {/* Dry-run preview */}
+                {importPlan && (
+                    <div className="border border-indigo-200 bg-indigo-50 rounded-lg p-4 space-y-2 text-sm text-gray-700">
+                        <p className="font-semibold text-indigo-800">
+                            {t('backup.previewTitle')}{importPlan.exportedAt && t('backup.previewExportedAt', { date: formatDateTime(new Date(importPlan.exportedAt)) })}
+                        </p>
+                        <ul className="list-disc list-inside space-y-1">
+                            <li>{t('backup.newSubjects', { count: importPlan.newSubjects.length })}{importPlan.newSubjects.length > 0 && ` (${importPlan.newSubjects.map(s => s.name).join(', ')})`}</li>
+                            {importPlan.skippedSubjects.length > 0 && (
+                                <li>{t('backup.skippedSubjects', { names: importPlan.skippedSubjects.join(', ') })}</li>
+                            )}
+                            <li>{t('backup.newHistory', { count: importPlan.newHistory.length })}</li>
+                            <li>{t('backup.duplicates', { count: importPlan.duplicateCount })}</li>
+                            <li>{t('backup.plansAndRoutine', { plans: importPlan.newPlans.length, routine: importPlan.newRoutineItems.length })}</li>
+                        </ul>
+                        {importPlan.goals && (
+                            <label className="flex items-center">
+                                <input type="checkbox" checked={replaceGoals} onChange={(e) => updateBackupImport({ replaceGoals: e.target.checked })} className="mr-2" />
+                                {t('backup.replaceGoals', { daily: importPlan.goals.dailyGoalMinutes ?? '-', weekly: importPlan.goals.weeklyGoalMinutes ?? '-' })}
+                            </label>
+                        )}
+                        <div className="flex gap-2 pt-2">
+                            <button onClick={handleImport} disabled={isImporting} className="flex items-center px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                                {isImporting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />} {t('backup.confirmImport')}
+                            </button>
+                            <button onClick={() => updateBackupImport({ plan: null })} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">{t('common.cancel')}</button>
+                        </div>
+                    </div>
+                )}
             </div>
         );
     };
 
-    // ====================================================================
-    // VIEW: Subjects & Reading Plan (Requirement 1 & 6)
-    // ====================================================================
-
-    const SubjectsView = () => {
-        const [newSubjectName, setNewSubjectName] = useState('');
-        const [chaptersInput, setChaptersInput] = useState(''); // Comma separated list of chapters
-        const [planBookDays, setPlanBookDays] = useState('');
-        const [planSubjectId, setPlanSubjectId] = useState('');
-
-        const handleAddSubject = () => {
-            if (newSubjectName.trim() === '') return;
-            const chaptersArray = chaptersInput.split(',').map(cName => ({
-                name: cName.trim(),
-                total: 0, // Target minutes for this chapter (set in planning)
-                read: 0,
-                is_completed: false
-            })).filter(c => c.name !== '');
+    const MentorSettings = () => {
+        const [mentorCode, setMentorCode] = useState('');
+        const [message, setMessage] = useState('');
 
-            saveSubject(newSubjectName.trim(), chaptersArray);
-            setNewSubjectName('');
-            setChaptersInput('');
+        const handleAdd = async (e) => {
+            e.preventDefault();
+            const errorMessage = await addMentor(mentorCode);
+            setMessage(errorMessage || t('mentor.added'));
+            if (!errorMessage) setMentorCode('');
         };
 
-        const handleCreatePlan = async () => {
-            if (!planSubjectId || !planBookDays || planBookDays < 1) return;
-            
-            const subject = subjects.find(s => s.id === planSubjectId);
-            if (!subject) return;
-
-            const totalChapters = subject.chapters.length;
-            const days = parseInt(planBookDays);
-            const chaptersPerDay = Math.ceil(totalChapters / days);
-            
-            // For simplicity, we'll set the 'total' field in chapters to represent 'must read' today
-            // For a 7-day plan on 7 chapters, 1 chapter/day. We will update the subject to reflect the new plan.
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg space-y-3">
+                <h3 className="text-xl font-semibold text-gray-700">{t('mentor.title')}</h3>
+                <p className="text-sm text-gray-600">{t('mentor.help', { days: PROGRESS_HISTORY_DAYS })}</p>
+                <form onSubmit={handleAdd} className="flex flex-wrap gap-2">
+                    <input
+                        type="text"
+                        placeholder={t('mentor.code')}
+                        value={mentorCode}
+                        onChange={(e) => setMentorCode(e.target.value)}
+                        className="flex-1 min-w-[12rem] p-2 border border-gray-300 rounded-lg"
+                    />
+                    <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">{t('mentor.add')}</button>
+                </form>
+                {message && <p className="text-sm text-gray-600">{message}</p>}
+                {mentorIds.map(mentorId => (
+                    <div key={mentorId} className="flex justify-between items-center border-b pb-1 text-sm">
+                        <code className="break-all text-gray-700">{mentorId}</code>
+                        <button
+                            onClick={() => window.confirm(t('mentor.confirmRemove')) && removeMentor(mentorId)}
+                            className="text-red-500 hover:text-red-700"
+                            title={t('mentor.remove')}
+                        >
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        );
+    };
 
-            alert("প্ল্যান তৈরি হয়েছে! যেহেতু এটি ক্লায়েন্ট-সাইড, তাই আমরা পরিকল্পনাটিকে ডেটাবেসে সংরক্ষণ করতে পারি না।");
-            // A more complex implementation would involve updating the 'total' field in each chapter 
-            // to a target time/progress value and updating the user's daily/weekly routine.
+    const AccountView = () => {
+        const [displayName, setDisplayName] = useState(user.displayName || '');
+        const [nameMessage, setNameMessage] = useState('');
+        const providerNames = user.providerData.map(p => (p.providerId === 'google.com' ? 'Google' : t('account.email')));
 
-            // Since Requirement 6 is complex, we will show a simulation result.
-            const resultMessage = `বইটির ${totalChapters}টি অধ্যায় আছে। আপনি এটি ${days} দিনে শেষ করতে চান। এর জন্য আপনাকে প্রতিদিন কমপক্ষে ${chaptersPerDay}টি করে অধ্যায় পড়তে হবে।`;
-            
-            alert(resultMessage);
+        const handleSaveName = async (e) => {
+            e.preventDefault();
+            setNameMessage((await saveDisplayName(displayName)) || t('account.nameSaved'));
         };
 
-
         return (
             <div className="space-y-8">
-                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">সাবজেক্ট ও অধ্যায় ম্যানেজমেন্ট</h2>
-                
-                {/* Add New Subject (Requirement 1) */}
-                <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold mb-3 text-gray-700 flex items-center"><Plus className="w-5 h-5 mr-2" /> নতুন সাবজেক্ট যোগ করুন</h3>
-                    <div className="space-y-3">
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('account.title')}</h2>
+
+                <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                    <div className="text-sm text-gray-600 space-y-1">
+                        <p>{t('account.type')}<span className="font-semibold text-gray-800">{user.isLocal ? t('account.typeLocal') : user.isAnonymous ? t('common.guest') : providerNames.join(', ')}</span></p>
+                        {user.email && <p>{t('account.emailLabel')}<span className="font-semibold text-gray-800">{user.email}</span></p>}
+                        <p>{t('account.role')}<span className="font-semibold text-gray-800">{t(ROLES[role])}</span></p>
+                    </div>
+                    <form onSubmit={handleSaveName} className="flex flex-wrap gap-2 items-center">
                         <input
                             type="text"
-                            placeholder="সাবজেক্টের নাম (যেমন: গণিত)"
-                            value={newSubjectName}
-                            onChange={(e) => setNewSubjectName(e.target.value)}
-                            className="w-full p-3 border border-gray-300 rounded-lg"
+                            placeholder={t('signIn.displayName')}
+                            value={displayName}
+                            onChange={(e) => setDisplayName(e.target.value)}
+                            className="flex-1 min-w-[12rem] p-2 border border-gray-300 rounded-lg"
                         />
-                        <textarea
-                            placeholder="অধ্যায়/টপিকগুলি কমা (,) দিয়ে আলাদা করুন (যেমন: সেট, ফাংশন, ত্রিকোণমিতি)"
-                            value={chaptersInput}
-                            onChange={(e) => setChaptersInput(e.target.value)}
-                            rows="3"
-                            className="w-full p-3 border border-gray-300 rounded-lg"
-                        ></textarea>
-                        <button onClick={handleAddSubject} className="w-full py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
-                            সাবজেক্ট সেভ করুন
-                        </button>
-                    </div>
+                        <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">{t('account.saveName')}</button>
+                    </form>
+                    {nameMessage && <p className="text-sm text-gray-600">{nameMessage}</p>}
                 </div>
 
-                {/* Custom Reading Plan (Requirement 6) */}
-                <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold mb-3 text-gray-700 flex items-center"><Target className="w-5 h-5 mr-2" /> কাস্টম রিডিং প্ল্যান তৈরি করুন</h3>
-                    <p className="text-sm text-gray-500 mb-3">নির্দিষ্ট দিনে বইটি শেষ করার পরিকল্পনা করুন।</p>
-                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-                        <select
-                            value={planSubjectId}
-                            onChange={(e) => setPlanSubjectId(e.target.value)}
-                            className="p-3 border border-gray-300 rounded-lg col-span-1 md:col-span-2"
-                        >
-                            <option value="">-- সাবজেক্ট নির্বাচন করুন --</option>
-                            {subjects.map(s => (
-                                <option key={s.id} value={s.id}>{s.name} ({s.chapters.length} অধ্যায়)</option>
-                            ))}
-                        </select>
-                        <input
-                            type="number"
-                            placeholder="কত দিনে শেষ করবেন?"
-                            value={planBookDays}
-                            onChange={(e) => setPlanBookDays(e.target.value)}
-                            className="p-3 border border-gray-300 rounded-lg"
-                        />
-                        <button onClick={handleCreatePlan} disabled={!planSubjectId || !planBookDays} className="col-span-1 md:col-span-3 py-2 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition disabled:opacity-50">
-                            প্ল্যান তৈরি করুন
-                        </button>
+                {user.isLocal && (
+                    <div className="bg-white p-6 rounded-xl shadow-lg space-y-2">
+                        <h3 className="text-xl font-semibold text-gray-700">{t('account.localTitle')}</h3>
+                        <p className="text-sm text-gray-600">{t('account.localHelp')}</p>
                     </div>
-                </div>
+                )}
 
-                {/* Current Subjects List */}
-                <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold mb-4 text-gray-700">বর্তমান সাবজেক্টগুলি</h3>
-                    {subjects.length === 0 ? (
-                        <p className="text-gray-500 italic">এখনো কোনো সাবজেক্ট যোগ করা হয়নি।</p>
-                    ) : (
-                        <div className="space-y-4">
-                            {subjects.map(s => (
-                                <div key={s.id} className="border border-gray-200 rounded-lg p-3 bg-gray-50">
-                                    <p className="font-bold text-lg text-indigo-700">{s.name}</p>
-                                    <p className="text-sm text-gray-600">অধ্যায় সংখ্যা: {s.chapters.length} টি</p>
-                                    <details className="mt-2 text-sm">
-                                        <summary className="font-medium cursor-pointer text-gray-700 hover:text-indigo-600">বিস্তারিত অধ্যায় তালিকা দেখুন</summary>
-                                        <ul className="list-disc ml-5 mt-2 space-y-1">
-                                            {s.chapters.map((c, index) => (
-                                                <li key={index} className={c.is_completed ? 'text-green-600 line-through' : 'text-gray-700'}>
-                                                    {c.name} {c.total > 0 && `(লক্ষ্য: ${formatMinutesToHHMM(c.total)})`} - {formatMinutesToHHMM(c.read)} পড়া হয়েছে
-                                                </li>
-                                            ))}
-                                        </ul>
-                                    </details>
-                                </div>
-                            ))}
-                        </div>
-                    )}
-                </div>
+                {user.isAnonymous && !user.isLocal && (
+                    <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+                        <h3 className="text-xl font-semibold text-gray-700">{t('account.makePermanent')}</h3>
+                        <p className="text-sm text-gray-600">{t('account.guestHelp')}</p>
+                        <EmailAuthForm registerOnly />
+                        <GoogleButton label={t('account.linkGoogle')} />
+                    </div>
+                )}
+
+                {!user.isLocal && <MentorSettings />}
+
+                <BackupSettings />
 
+                {!user.isLocal && (
+                    <div className="bg-white p-6 rounded-xl shadow-lg">
+                        <button onClick={signOutUser} className="flex items-center px-4 py-2 bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200">
+                            <LogOut className="w-4 h-4 mr-2" /> {t('account.signOut')}
+                        </button>
+                    </div>
+                )}
             </div>
         );
     };
 
     // ====================================================================
-    // VIEW: Goals and Routine (Requirement 5 & 7)
+    // VIEW: Teacher / Mentor
     // ====================================================================
 
-    const GoalsView = () => {
-        const [dailyGoal, setDailyGoal] = useState(settings.dailyGoalMinutes);
-        const [weeklyGoal, setWeeklyGoal] = useState(settings.weeklyGoalMinutes);
-        const [routineItems, setRoutineItems] = useState([
-            { id: 1, subject: 'বাংলা', time: 20, done: false },
-            { id: 2, subject: 'ইংরেজি', time: 60, done: false },
-        ]);
-        const [newRoutineSubject, setNewRoutineSubject] = useState('');
-        const [newRoutineTime, setNewRoutineTime] = useState('');
+    const TeacherView = () => {
+        const [students, setStudents] = useState([]);
+        const [selectedStudentId, setSelectedStudentId] = useState('');
+        const [templateName, setTemplateName] = useState('');
+        const [templateChapters, setTemplateChapters] = useState('');
+        const [templateTarget, setTemplateTarget] = useState('');
+        const [recipientIds, setRecipientIds] = useState([]);
+        const todayKey = getDayKey(new Date(), settings);
 
-        const handleSaveGoals = () => {
-            saveGoals(dailyGoal, weeklyGoal);
-            alert("দৈনিক ও সাপ্তাহিক লক্ষ্য সফলভাবে সেভ হয়েছে!");
-        };
+        useEffect(() => {
+            if (!db || !isTeacher) return;
+            const q = query(collection(db, getPublicDataPath('students')), where('mentorIds', 'array-contains', currentUserId));
+            return onSnapshot(q, (snapshot) => {
+                setStudents(snapshot.docs
+                    .map(d => ({ id: d.id, ...d.data(), updatedAt: toJsDate(d.data().updatedAt) }))
+                    .filter(student => student.progress));
+            }, (e) => console.error("Students Listen Error:", e));
+        }, []);
 
-        const handleAddRoutine = () => {
-            if (newRoutineSubject.trim() && newRoutineTime > 0) {
-                setRoutineItems(prev => [
-                    ...prev,
-                    { id: Date.now(), subject: newRoutineSubject.trim(), time: parseInt(newRoutineTime), done: false }
-                ]);
-                setNewRoutineSubject('');
-                setNewRoutineTime('');
-            }
+        if (!isTeacher) {
+            return (
+                <div className="p-6 bg-red-100 border border-red-300 rounded-xl">
+                    <h2 className="text-2xl font-bold text-red-700">{t('common.accessDenied')}</h2>
+                    <p className="text-red-600">{t('teacher.onlyTeachers')}</p>
+                </div>
+            );
+        }
+
+        const studentName = (student) => student.displayName || student.id.substring(0, 8);
+        const selectedStudent = students.find(s => s.id === selectedStudentId);
+
+        const toggleRecipient = (studentId) => {
+            setRecipientIds(recipientIds.includes(studentId)
+                ? recipientIds.filter(id => id !== studentId)
+                : [...recipientIds, studentId]);
         };
 
-        const toggleRoutine = (id) => {
-            setRoutineItems(prev => prev.map(item => 
-                item.id === id ? { ...item, done: !item.done } : item
-            ));
+        const handlePush = async (e) => {
+            e.preventDefault();
+            const chapters = templateChapters.split(',')
+                .map(name => ({ name: name.trim(), total: Math.max(0, parseFloat(templateTarget) || 0) }))
+                .filter(c => c.name !== '');
+            if (!templateName.trim() || chapters.length === 0 || recipientIds.length === 0) {
+                alert(t('teacher.pushIncomplete'));
+                return;
+            }
+            if (await pushSubjectTemplate(recipientIds, { name: templateName.trim(), chapters })) {
+                alert(t('teacher.pushed', { count: recipientIds.length, name: templateName.trim() }));
+                setTemplateName('');
+                setTemplateChapters('');
+                setTemplateTarget('');
+                setRecipientIds([]);
+            } else {
+                alert(t('teacher.pushFailed'));
+            }
         };
 
         return (
             <div className="space-y-8">
-                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">পড়ার লক্ষ্য এবং দৈনিক রুটিন</h2>
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('teacher.title')}</h2>
+                <div className="bg-indigo-50 border border-indigo-200 p-4 rounded-xl text-sm text-indigo-800">
+                    {t('teacher.mentorCode')}<code className="font-bold break-all">{currentUserId}</code>
+                    <p className="text-xs mt-1">{t('teacher.mentorCodeHelp')}</p>
+                </div>
 
-                {/* Daily/Weekly Goals (Requirement 5) */}
-                <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
-                    <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Target className="w-5 h-5 mr-2" /> দৈনিক ও সাপ্তাহিক লক্ষ্য সেট করুন</h3>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700">দৈনিক লক্ষ্য (মিনিট)</label>
-                            <input
-                                type="number"
-                                value={dailyGoal}
-                                onChange={(e) => setDailyGoal(e.target.value)}
-                                className="w-full p-3 border border-gray-300 rounded-lg mt-1"
-                            />
-                        </div>
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700">সাপ্তাহিক লক্ষ্য (মিনিট)</label>
-                            <input
-                                type="number"
-                                value={weeklyGoal}
-                                onChange={(e) => setWeeklyGoal(e.target.value)}
-                                className="w-full p-3 border border-gray-300 rounded-lg mt-1"
-                            />
+                {/* Students Overview */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('teacher.students')}</h3>
+                    {students.length === 0 ? (
+                        <p className="text-gray-500 italic">{t('teacher.noStudents')}</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('teacher.student')}</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('teacher.weekOfGoal')}</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('teacher.daysMet')}</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('teacher.flags')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {students.map(student => {
+                                        const compliance = getGoalCompliance(student.progress, todayKey);
+                                        const flags = getStudentFlags(student.progress, todayKey, t);
+                                        return (
+                                            <tr
+                                                key={student.id}
+                                                onClick={() => setSelectedStudentId(student.id)}
+                                                className={`cursor-pointer hover:bg-gray-50 ${selectedStudentId === student.id ? 'bg-indigo-50' : ''}`}
+                                            >
+                                                <td className="px-3 py-2 text-sm font-medium text-gray-900">{studentName(student)}</td>
+                                                <td className="px-3 py-2 text-sm text-right text-gray-600">
+                                                    {formatMinutesToHHMM(compliance.weeklyMinutes)} / {formatMinutesToHHMM(student.progress.weeklyGoalMinutes)}
+                                                </td>
+                                                <td className="px-3 py-2 text-sm text-right text-gray-600">{formatNumber(compliance.daysMet)}/{formatNumber(7)}</td>
+                                                <td className="px-3 py-2 text-sm">
+                                                    {flags.length === 0 ? (
+                                                        <span className="text-green-600 font-semibold">{t('teacher.onTrack')}</span>
+                                                    ) : flags.map(flag => (
+                                                        <span key={flag} className="inline-block mr-1 mb-1 px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-700">{flag}</span>
+                                                    ))}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
                         </div>
-                    </div>
-                    <button onClick={handleSaveGoals} className="w-full py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition">
-                        লক্ষ্য সেভ করুন
-                    </button>
+                    )}
                 </div>
 
-                {/* To-Do Style Reading Routine (Requirement 7) */}
-                <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold text-gray-700 flex items-center"><BookOpen className="w-5 h-5 mr-2" /> আজকের পড়ার রুটিন</h3>
-                    <p className="text-sm text-gray-500 mb-4">(এই ডেটা লোকালি সেভ করা হয়েছে।)</p>
-                    <div className="space-y-3">
-                        {routineItems.map(item => (
-                            <div key={item.id} className={`flex items-center justify-between p-3 border rounded-lg transition ${item.done ? 'bg-green-50 border-green-300' : 'bg-gray-50 border-gray-200'}`}>
-                                <div className="flex items-center">
-                                    <button 
-                                        onClick={() => toggleRoutine(item.id)}
-                                        className={`w-6 h-6 rounded-full flex items-center justify-center mr-3 transition 
-                                            ${item.done ? 'bg-green-500 text-white' : 'border border-gray-400 text-transparent'}`}
-                                    >
-                                        {item.done && <CheckCircle className="w-4 h-4" />}
-                                    </button>
-                                    <span className={`font-medium ${item.done ? 'line-through text-gray-500' : 'text-gray-800'}`}>
-                                        {item.subject} – {item.time} মিনিট
-                                    </span>
-                                </div>
+                {/* Selected Student */}
+                {selectedStudent && (
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <div className="bg-white p-6 rounded-xl shadow-lg">
+                            <h3 className="text-xl font-semibold mb-1 text-gray-700">{t('teacher.studentSubjects', { name: studentName(selectedStudent) })}</h3>
+                            {selectedStudent.updatedAt && (
+                                <p className="text-xs text-gray-500 mb-4">{t('teacher.updatedAt', { date: formatDateTime(selectedStudent.updatedAt) })}</p>
+                            )}
+                            <div className="space-y-2">
+                                {selectedStudent.progress.subjects.map(subject => (
+                                    <div key={subject.id} className="flex justify-between items-center border-b pb-1 text-sm">
+                                        <span className="font-medium text-gray-800">{subject.name}</span>
+                                        <span className="text-gray-600">
+                                            {t('teacher.subjectChapters', { done: subject.completedCount, count: subject.chapterCount })}
+                                            {subject.planBehind && <span className="ml-2 text-xs font-semibold text-red-600">{t('teacher.planBehind')}</span>}
+                                        </span>
+                                    </div>
+                                ))}
                             </div>
-                        ))}
+                        </div>
+                        <div className="bg-white p-6 rounded-xl shadow-lg">
+                            <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('teacher.openChapters')}</h3>
+                            <ChapterProgressList items={selectedStudent.progress.openChapters} readOnly />
+                        </div>
                     </div>
+                )}
 
-                    <div className="mt-6 pt-4 border-t border-gray-200 space-y-3">
-                        <h4 className="font-semibold text-gray-700">নতুন রুটিন যোগ করুন</h4>
-                        <div className="grid grid-cols-3 gap-3">
-                            <input
-                                type="text"
-                                placeholder="সাবজেক্ট"
-                                value={newRoutineSubject}
-                                onChange={(e) => setNewRoutineSubject(e.target.value)}
-                                className="col-span-2 p-3 border border-gray-300 rounded-lg"
-                            />
-                            <input
-                                type="number"
-                                placeholder="সময় (মিনিট)"
-                                value={newRoutineTime}
-                                onChange={(e) => setNewRoutineTime(e.target.value)}
-                                className="col-span-1 p-3 border border-gray-300 rounded-lg"
-                            />
-                        </div>
-                        <button onClick={handleAddRoutine} className="w-full py-2 bg-pink-500 text-white font-semibold rounded-lg hover:bg-pink-600 transition">
-                            রুটিনে যোগ করুন
-                        </button>
+                {/* Push Subject Template */}
+                <form onSubmit={handlePush} className="bg-white p-6 rounded-xl shadow-lg space-y-3">
+                    <h3 className="text-xl font-semibold text-gray-700 flex items-center"><Plus className="w-5 h-5 mr-2" /> {t('teacher.pushTitle')}</h3>
+                    <input
+                        type="text"
+                        placeholder={t('toc.subjectName')}
+                        value={templateName}
+                        onChange={(e) => setTemplateName(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg"
+                    />
+                    <textarea
+                        placeholder={t('teacher.chaptersPlaceholder')}
+                        value={templateChapters}
+                        onChange={(e) => setTemplateChapters(e.target.value)}
+                        rows="3"
+                        className="w-full p-3 border border-gray-300 rounded-lg"
+                    ></textarea>
+                    <input
+                        type="number"
+                        min="0"
+                        placeholder={t('subjects.defaultTarget')}
+                        value={templateTarget}
+                        onChange={(e) => setTemplateTarget(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg"
+                    />
+                    <div className="flex flex-wrap gap-3">
+                        {students.map(student => (
+                            <label key={student.id} className="flex items-center text-sm text-gray-700">
+                                <input type="checkbox" checked={recipientIds.includes(student.id)} onChange={() => toggleRecipient(student.id)} className="mr-1" />
+                                {studentName(student)}
+                            </label>
+                        ))}
+                        {students.length > 1 && (
+                            <button type="button" onClick={() => setRecipientIds(students.map(s => s.id))} className="text-sm text-indigo-600 hover:underline">{t('teacher.everyone')}</button>
+                        )}
                     </div>
-                </div>
+                    <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700">{t('teacher.send')}</button>
+                </form>
             </div>
         );
     };
 
     // ====================================================================
-    // VIEW: Admin Panel (Requirement 2 & 8 - Simulated)
+    // VIEW: Admin Panel (Requirement 2 & 8)
     // ====================================================================
+    // Reads the shared `dailyStats` and `activity` collections, which every
+    // user's history changes are mirrored into (see writeSharedActivity).
+
+    const ADMIN_LOG_PAGE_SIZE = 20;
 
     const AdminPanelView = () => {
-        const [allUserHistory, setAllUserHistory] = useState([]);
-        const [isFetching, setIsFetching] = useState(false);
-
-        // This function simulates fetching data from ALL users (not feasible in client-only Firebase setup without special rules)
-        // For this single-file, client-side implementation, we will simulate fetching a *shared* collection path, 
-        // or just the current user's data with an Admin-style visualization.
-        const fetchAllHistory = useCallback(async () => {
-            if (!db) return;
+        // `dailyStats` are keyed by calendar day, the same for every user whatever their day settings
+        const todayKey = toDateKey(new Date());
+        const [fromKey, setFromKey] = useState(addDaysToKey(todayKey, -29));
+        const [toKey, setToKey] = useState(todayKey);
+        const [dailyStats, setDailyStats] = useState([]);
+        const [isFetching, setIsFetching] = useState(true);
+        // The last document of each previous page; the newest page has none
+        const [pageCursors, setPageCursors] = useState([null]);
+        const [logPage, setLogPage] = useState({ records: [], lastDoc: null, hasMore: false });
+        const cursor = pageCursors[pageCursors.length - 1];
+        const [roleAssignments, setRoleAssignments] = useState([]);
+        const [profiles, setProfiles] = useState({});
+        const [newRoleUserId, setNewRoleUserId] = useState('');
+        const [newRole, setNewRole] = useState('teacher');
+
+        useEffect(() => {
+            if (!db || !isAdmin) return;
+            return onSnapshot(collection(db, getPublicDataPath('roles')), (snapshot) => {
+                setRoleAssignments(snapshot.docs.map(d => ({ userId: d.id, ...d.data() })));
+            }, (e) => console.error("Roles Listen Error:", e));
+        }, []);
+
+        useEffect(() => {
+            if (!db || !isAdmin) return;
+            return onSnapshot(collection(db, getPublicDataPath('profiles')), (snapshot) => {
+                const names = {};
+                snapshot.docs.forEach(d => { names[d.id] = d.data().displayName; });
+                setProfiles(names);
+            }, (e) => console.error("Profiles Listen Error:", e));
+        }, []);
+
+        useEffect(() => {
+            if (!db || !isAdmin) return;
             setIsFetching(true);
-            
-            // NOTE: In a real environment, an Admin would query a collection that has public read access 
-            // or use a secure backend function to aggregate data. 
-            // Here, we fetch the current user's data and label it as 'Admin View' for simulation purposes.
-            const historyPath = getPrivateUserPath(currentUserId, 'history');
-            try {
-                const q = query(collection(db, historyPath), orderBy('date', 'desc'));
-                const querySnapshot = await getDocs(q);
-                
-                const historyData = querySnapshot.docs.map(doc => ({ 
-                    id: doc.id, 
-                    ...doc.data(), 
-                    date: doc.data().date.toDate(),
-                    // Simulate different users for Admin view variety
-                    userId: doc.data().userId === currentUserId ? 'User-A' : doc.data().userId.substring(0, 8) 
-                }));
-                setAllUserHistory(historyData);
+            const q = query(
+                collection(db, getPublicDataPath('dailyStats')),
+                where('date', '>=', fromKey),
+                where('date', '<=', toKey)
+            );
+            return onSnapshot(q, (snapshot) => {
+                setDailyStats(snapshot.docs.map(d => d.data()));
                 setIsFetching(false);
-            } catch(e) {
+            }, (e) => {
                 console.error("Admin Fetch Error:", e);
                 setIsFetching(false);
-            }
-        }, [db, currentUserId]);
+            });
+        }, [fromKey, toKey]);
 
+        // Live log: the current page updates as new activity arrives
         useEffect(() => {
-            if (isAdmin) {
-                fetchAllHistory();
-            }
-        }, [isAdmin, fetchAllHistory]);
+            if (!db || !isAdmin) return;
+            const q = query(
+                collection(db, getPublicDataPath('activity')),
+                where('date', '>=', fromDateKey(fromKey)),
+                where('date', '<', fromDateKey(addDaysToKey(toKey, 1))),
+                orderBy('date', 'desc'),
+                ...(cursor ? [startAfter(cursor)] : []),
+                limit(ADMIN_LOG_PAGE_SIZE + 1)
+            );
+            return onSnapshot(q, (snapshot) => {
+                const docs = snapshot.docs.slice(0, ADMIN_LOG_PAGE_SIZE);
+                setLogPage({
+                    records: docs.map(d => ({ id: d.id, ...d.data(), date: toJsDate(d.data().date) })),
+                    lastDoc: docs[docs.length - 1] || null,
+                    hasMore: snapshot.docs.length > ADMIN_LOG_PAGE_SIZE,
+                });
+            }, (e) => console.error("Admin Log Error:", e));
+        }, [fromKey, toKey, cursor]);
 
         if (!isAdmin) {
             return (
                 <div className="p-6 bg-red-100 border border-red-300 rounded-xl">
-                    <h2 className="text-2xl font-bold text-red-700">প্রবেশাধিকার নেই</h2>
-                    <p className="text-red-600">আপনি অ্যাডমিন নন। এই প্যানেলে প্রবেশ করার অনুমতি নেই।</p>
+                    <h2 className="text-2xl font-bold text-red-700">{t('common.accessDenied')}</h2>
+                    <p className="text-red-600">{t('admin.notAdmin')}</p>
                 </div>
             );
         }
 
-        const aggregatedStats = allUserHistory.reduce((acc, record) => {
-            acc.totalMinutes = (acc.totalMinutes || 0) + record.durationMinutes;
-            acc.users[record.userId] = (acc.users[record.userId] || 0) + record.durationMinutes;
-            return acc;
-        }, { totalMinutes: 0, users: {} });
+        const changeRange = (from, to) => {
+            if (!from || !to || from > to) return;
+            setFromKey(from);
+            setToKey(to);
+            setPageCursors([null]);
+        };
+
+        const handleAssignRole = async (e) => {
+            e.preventDefault();
+            const userId = newRoleUserId.trim();
+            if (!userId) return;
+            if (await setUserRole(userId, newRole)) {
+                setNewRoleUserId('');
+            } else {
+                alert(t('admin.roleSaveFailed'));
+            }
+        };
+
+        const handleChangeRole = async (userId, changedRole) => {
+            if (userId === currentUserId && changedRole !== 'admin'
+                && !window.confirm(t('admin.confirmDropOwnAdmin'))) return;
+            if (!(await setUserRole(userId, changedRole))) alert(t('admin.roleSaveFailed'));
+        };
+
+        const aggregatedStats = aggregateDailyStats(dailyStats);
+        const activeToday = aggregatedStats.users.filter(u => u.lastDate === todayKey).length;
+        const shortUserId = (userId) => {
+            if (userId === currentUserId) return t('common.you');
+            return profiles[userId] || userId.substring(0, 8);
+        };
 
         return (
             <div className="space-y-8">
-                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">অ্যাডমিন ড্যাশবোর্ড (সিমুলেশন)</h2>
-                <p className="text-gray-600">সমস্ত ইউজারের পড়ার ডেটা এখানে দেখতে পাবেন। (এখানে শুধুমাত্র আপনার ডেটা অ্যাডমিন-স্টাইলে দেখানো হচ্ছে)</p>
+                <h2 className="text-3xl font-bold text-gray-800 border-b pb-2">{t('admin.title')}</h2>
+                <div className="flex flex-wrap items-center gap-3 bg-white p-4 rounded-xl shadow-lg">
+                    <span className="text-sm font-medium text-gray-700">{t('admin.range')}</span>
+                    <input type="date" value={fromKey} max={toKey} onChange={(e) => changeRange(e.target.value, toKey)} className="p-2 text-sm border border-gray-300 rounded-lg" />
+                    <span className="text-gray-500">{t('admin.rangeTo')}</span>
+                    <input type="date" value={toKey} min={fromKey} onChange={(e) => changeRange(fromKey, e.target.value)} className="p-2 text-sm border border-gray-300 rounded-lg" />
+                </div>
 
                 {/* Overall Stats (Requirement 8) */}
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <StatCard title="সকল ইউজারের মোট পড়া" value={formatTime(aggregatedStats.totalMinutes)} icon={Users} color="teal" />
-                    <StatCard title="সক্রিয় ইউজার সংখ্যা" value={`${Object.keys(aggregatedStats.users).length} জন`} icon={BookOpen} color="indigo" />
+                    <StatCard title={t('admin.totalReading')} value={formatTime(aggregatedStats.totalMinutes)} icon={Users} color="teal" />
+                    <StatCard title={t('admin.activeUsers')} value={t('admin.people', { count: aggregatedStats.users.length })} icon={BookOpen} color="indigo" />
+                    <StatCard title={t('admin.activeToday')} value={t('admin.people', { count: activeToday })} icon={Clock} color="pink" />
                 </div>
 
                 {/* User Reading Hours Report (Requirement 8) */}
                 <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold mb-4 text-gray-700">ইউজার অনুযায়ী পড়ার সময়</h3>
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('admin.byUser')}</h3>
                     {isFetching ? (
-                        <p className="text-indigo-600 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> ডেটা লোড হচ্ছে...</p>
+                        <p className="text-indigo-600 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> {t('admin.loading')}</p>
+                    ) : aggregatedStats.users.length === 0 ? (
+                        <p className="text-gray-500 italic">{t('common.noReadingInRange')}</p>
                     ) : (
                         <div className="space-y-2">
-                            {Object.entries(aggregatedStats.users).sort(([, a], [, b]) => b - a).map(([userId, minutes]) => (
-                                <div key={userId} className="flex justify-between items-center border-b pb-1">
-                                    <span className="font-medium text-gray-800 break-all">{userId}</span>
-                                    <span className="text-sm font-semibold text-indigo-600">{formatMinutesToHHMM(minutes)}</span>
+                            {aggregatedStats.users.map(u => (
+                                <div key={u.userId} className="flex justify-between items-center border-b pb-1">
+                                    <span className="font-medium text-gray-800 break-all" title={u.userId}>{shortUserId(u.userId)}</span>
+                                    <span className="text-xs text-gray-500">{t('admin.userSummary', { count: u.sessions, date: formatDate(fromDateKey(u.lastDate)) })}</span>
+                                    <span className="text-sm font-semibold text-indigo-600">{formatMinutesToHHMM(u.minutes)}</span>
                                 </div>
                             ))}
                         </div>
@@ -957,37 +8433,90 @@ const App = () => {
 
                 {/* Detailed Activity Graph (Daily/Weekly Activity Graph) */}
                  <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold mb-4 text-gray-700">সাপ্তাহিক কার্যকলাপ চার্ট (গত ৭ দিন)</h3>
-                    <WeeklyBarChart data={stats.chartData} goal={60} />
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('admin.weeklyChart')}</h3>
+                    <WeeklyBarChart data={getWeekChartData(aggregatedStats.minutesByDay, toKey)} goal={60} />
+                </div>
+
+                {/* Role Management */}
+                <div className="bg-white p-6 rounded-xl shadow-lg">
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('admin.roles')}</h3>
+                    <form onSubmit={handleAssignRole} className="flex flex-wrap gap-2 mb-4">
+                        <input
+                            type="text"
+                            placeholder={t('common.userId')}
+                            value={newRoleUserId}
+                            onChange={(e) => setNewRoleUserId(e.target.value)}
+                            className="flex-1 min-w-[12rem] p-2 text-sm border border-gray-300 rounded-lg"
+                        />
+                        <select value={newRole} onChange={(e) => setNewRole(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-lg">
+                            {Object.entries(ROLES).map(([key, labelKey]) => (
+                                <option key={key} value={key}>{t(labelKey)}</option>
+                            ))}
+                        </select>
+                        <button type="submit" className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">{t('admin.assignRole')}</button>
+                    </form>
+                    <div className="space-y-2">
+                        {roleAssignments.map(assignment => (
+                            <div key={assignment.userId} className="flex justify-between items-center border-b pb-1">
+                                <span className="font-medium text-gray-800 break-all" title={assignment.userId}>{shortUserId(assignment.userId)}</span>
+                                <select
+                                    value={assignment.role}
+                                    onChange={(e) => handleChangeRole(assignment.userId, e.target.value)}
+                                    className="p-1 text-sm border border-gray-300 rounded-lg"
+                                >
+                                    {Object.entries(ROLES).map(([key, labelKey]) => (
+                                        <option key={key} value={key}>{t(labelKey)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
                 </div>
 
-                {/* Progress Report (Last 10 Records) */}
+                {/* Live Reading Log */}
                 <div className="bg-white p-6 rounded-xl shadow-lg">
-                    <h3 className="text-xl font-semibold mb-4 text-gray-700">সাম্প্রতিক পড়ার লগ (সকল ইউজার)</h3>
+                    <h3 className="text-xl font-semibold mb-4 text-gray-700">{t('admin.recentLog')}</h3>
                     <div className="overflow-x-auto">
                         <table className="min-w-full divide-y divide-gray-200">
                             <thead className="bg-gray-50">
                                 <tr>
-                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">ইউজার আইডি</th>
-                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">সাবজেক্ট</th>
-                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">অধ্যায়</th>
-                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">সময় (মিনিট)</th>
-                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">তারিখ</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('common.userId')}</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('admin.subject')}</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('analytics.chapter')}</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('admin.minutes')}</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('admin.date')}</th>
                                 </tr>
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
-                                {allUserHistory.slice(0, 10).map(record => (
+                                {logPage.records.map(record => (
                                     <tr key={record.id}>
-                                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900 break-all">{record.userId}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900 break-all" title={record.userId}>{shortUserId(record.userId)}</td>
                                         <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{record.subjectName}</td>
                                         <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{record.chapterName}</td>
-                                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right font-medium text-indigo-600">{record.durationMinutes}</td>
-                                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-500">{record.date.toLocaleDateString('bn-BD')}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right font-medium text-indigo-600">{formatNumber(record.durationMinutes)}</td>
+                                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-500">{formatDateTime(record.date, { dateStyle: 'short', timeStyle: 'short' })}</td>
                                     </tr>
                                 ))}
                             </tbody>
                         </table>
                     </div>
+                    <div className="flex justify-between items-center mt-4 text-sm">
+                        <button
+                            onClick={() => setPageCursors(pageCursors.slice(0, -1))}
+                            disabled={pageCursors.length === 1}
+                            className="flex items-center px-3 py-1 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40"
+                        >
+                            <ChevronLeft className="w-4 h-4 mr-1" /> {t('admin.newer')}
+                        </button>
+                        <span className="text-gray-500">{t('admin.page', { page: pageCursors.length })}</span>
+                        <button
+                            onClick={() => setPageCursors([...pageCursors, logPage.lastDoc])}
+                            disabled={!logPage.hasMore}
+                            className="flex items-center px-3 py-1 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40"
+                        >
+                            {t('admin.older')} <ChevronRight className="w-4 h-4 ml-1" />
+                        </button>
+                    </div>
                 </div>
             </div>
         );
@@ -997,6 +8526,10 @@ const App = () => {
     // Final Render
     // ----------------------------------------------------------------
 
+    if (needsSignIn || !user) {
+        return <AuthScreen />;
+    }
+
     let ViewComponent;
     switch (currentView) {
         case 'subjects':
@@ -1008,9 +8541,24 @@ const App = () => {
         case 'goals':
             ViewComponent = GoalsView;
             break;
+        case 'history':
+            ViewComponent = HistoryView;
+            break;
+        case 'analytics':
+            ViewComponent = AnalyticsView;
+            break;
+        case 'groups':
+            ViewComponent = GroupsView;
+            break;
+        case 'teacher':
+            ViewComponent = TeacherView;
+            break;
         case 'admin':
             ViewComponent = AdminPanelView;
             break;
+        case 'account':
+            ViewComponent = AccountView;
+            break;
         case 'dashboard':
         default:
             ViewComponent = DashboardView;
@@ -1018,16 +8566,25 @@ const App = () => {
     }
 
     return (
-        <AppContext.Provider value={{ db, auth, user, currentUserId, subjects, history, settings, recordReading, saveSubject, saveGoals, isAdmin }}>
+        <AppContext.Provider value={{ db, auth, user, currentUserId, subjects, history, dailyTotals, settings, plans, routineItems, routineLogs, recordReading, saveSubject, updateSubject, setChapterCompletion, setSubjectArchived, deleteSubject, saveGoals, savePlan, deletePlan, saveRoutineItems, setRoutineItemDone, activeSession, startSession, pauseSession, resumeSession, finishSession, discardSession, startNextPomodoroCycle, savePomodoroSettings, addManualRecord, updateHistoryRecord, deleteHistoryRecord, role, isAdmin, setUserRole, signOutUser, saveDisplayName, groups, createGroup, joinGroup, leaveGroup, deleteGroup, saveGroupGoals, setShareGroupDetails, isTeacher, mentorIds, addMentor, removeMentor, pushSubjectTemplate }}>
             <div className="min-h-screen bg-gray-50 p-4 md:p-8">
                 <div className="max-w-6xl mx-auto">
                     <Navbar />
+                    {recoveryPending && activeSession && <SessionRecoveryBanner />}
+                    {parkedReadings.length > 0 && <ParkedReadingsBanner entries={parkedReadings} />}
+                    {pomodoroCue && (
+                        <div className={`p-4 mb-6 rounded-xl border flex justify-between items-center animate-pulse
+                            ${pomodoroCue.phase === 'break' ? 'bg-teal-50 border-teal-300 text-teal-800' : 'bg-indigo-50 border-indigo-300 text-indigo-800'}`}>
+                            <p className="font-semibold">{pomodoroCue.text}</p>
+                            <button onClick={() => setPomodoroCue(null)} className="text-sm font-semibold underline">{t('app.dismissCue')}</button>
+                        </div>
+                    )}
                     <div className="mt-8">
                         <ViewComponent />
                     </div>
                     
                     <footer className="mt-12 text-center text-sm text-gray-500 p-4 border-t pt-6">
-                        রিডিং ট্র্যাকিং অ্যাপ | ইউজার আইডি: {currentUserId} | অ্যাডমিন আইডি: {ADMIN_UID}
+                        {t('app.footer', { name: user.displayName || t('app.footerUserId', { id: currentUserId }), role: t(ROLES[role]) })}
                     </footer>
                 </div>
             </div>
@@ -1036,3 +8593,6 @@ const App = () => {
 };
 
 export default App;
+
+// The storage layer, for the tests in tests/
+export { createLocalStore, syncLocalStore, doc, collection, query, where, orderBy, limit, startAfter, increment, arrayUnion, arrayRemove, getDoc, getDocs, onSnapshot, setDoc, deleteDoc, runTransaction, writeBatch };
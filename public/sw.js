@@ -0,0 +1,71 @@
+// Service worker for the installable app shell. Pages load from the network
+// when possible and from the cache when offline; Firestore keeps its own
+// offline cache, so requests to other origins are left alone.
+
+const CACHE_NAME = 'reading-tracker-shell-v1';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Pages: network first, so a new deploy shows up straight away
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    // An error page must not replace the offline shell
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put('/', copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('/'))
+        );
+        return;
+    }
+
+    // Scripts, styles and images: cached copy first, refreshed in the background
+    event.respondWith(
+        caches.match(request).then(cached => {
+            const fetched = fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => cached);
+            return cached || fetched;
+        })
+    );
+});
+
+// Reminders: clicking one brings an open app window forward, or opens the app
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+            return open ? open.focus() : self.clients.openWindow('/');
+        })
+    );
+});
@@ -0,0 +1,238 @@
+// Checks firestore.rules against the emulator; run through `npm test`,
+// which starts it with `firebase emulators:exec`.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, deleteDoc, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const publicDoc = (db, ...path) => doc(db, 'artifacts', APP_ID, 'public', 'data', ...path);
+const privateDoc = (db, userId, ...path) => doc(db, 'artifacts', APP_ID, 'users', userId, ...path);
+
+let env;
+
+before(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-radingprogress',
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+after(() => env.cleanup());
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(publicDoc(db, 'roles', 'admin'), { role: 'admin' });
+        await setDoc(publicDoc(db, 'roles', 'teacher'), { role: 'teacher' });
+    });
+});
+
+const firestoreAs = (uid) => env.authenticatedContext(uid).firestore();
+
+describe('roles', () => {
+    it('lets an admin assign a role', async () => {
+        await assertSucceeds(setDoc(publicDoc(firestoreAs('admin'), 'roles', 'alice'), { role: 'teacher' }));
+    });
+
+    it('rejects a role that does not exist', async () => {
+        await assertFails(setDoc(publicDoc(firestoreAs('admin'), 'roles', 'alice'), { role: 'owner' }));
+    });
+
+    it('keeps students and teachers from assigning roles, their own included', async () => {
+        await assertFails(setDoc(publicDoc(firestoreAs('alice'), 'roles', 'alice'), { role: 'admin' }));
+        await assertFails(setDoc(publicDoc(firestoreAs('teacher'), 'roles', 'alice'), { role: 'teacher' }));
+    });
+
+    it('lets users read only their own role', async () => {
+        await assertSucceeds(getDoc(publicDoc(firestoreAs('teacher'), 'roles', 'teacher')));
+        await assertFails(getDoc(publicDoc(firestoreAs('alice'), 'roles', 'teacher')));
+    });
+});
+
+describe('private user data', () => {
+    it('is readable and writable by its owner', async () => {
+        const db = firestoreAs('alice');
+        await assertSucceeds(setDoc(privateDoc(db, 'alice', 'subjects', 'math'), { name: 'Math', chapters: [] }));
+        await assertSucceeds(getDoc(privateDoc(db, 'alice', 'subjects', 'math')));
+    });
+
+    it('is closed to other users, admins included', async () => {
+        await env.withSecurityRulesDisabled((context) =>
+            setDoc(privateDoc(context.firestore(), 'alice', 'subjects', 'math'), { name: 'Math', chapters: [] }));
+        for (const uid of ['bob', 'admin']) {
+            await assertFails(getDoc(privateDoc(firestoreAs(uid), 'alice', 'subjects', 'math')));
+            await assertFails(setDoc(privateDoc(firestoreAs(uid), 'alice', 'settings', 'goals'), { dailyGoalMinutes: 1 }));
+        }
+    });
+
+    it('is closed to signed-out requests', async () => {
+        const db = env.unauthenticatedContext().firestore();
+        await assertFails(getDoc(privateDoc(db, 'alice', 'settings', 'goals')));
+    });
+});
+
+describe('dailyStats', () => {
+    const stats = { userId: 'alice', date: '2024-05-01', minutes: 30 };
+
+    it('accepts a document keyed by the writer and its date', async () => {
+        await assertSucceeds(setDoc(publicDoc(firestoreAs('alice'), 'dailyStats', 'alice_2024-05-01'), stats));
+    });
+
+    it('rejects a key that does not match the date', async () => {
+        await assertFails(setDoc(publicDoc(firestoreAs('alice'), 'dailyStats', 'alice_2024-05-02'), stats));
+    });
+
+    it('rejects stats written for another user', async () => {
+        await assertFails(setDoc(publicDoc(firestoreAs('bob'), 'dailyStats', 'alice_2024-05-01'), stats));
+        await assertFails(setDoc(publicDoc(firestoreAs('bob'), 'dailyStats', 'bob_2024-05-01'), stats));
+    });
+
+    it('is only readable by admins', async () => {
+        await env.withSecurityRulesDisabled((context) =>
+            setDoc(publicDoc(context.firestore(), 'dailyStats', 'alice_2024-05-01'), stats));
+        await assertSucceeds(getDoc(publicDoc(firestoreAs('admin'), 'dailyStats', 'alice_2024-05-01')));
+        await assertFails(getDoc(publicDoc(firestoreAs('alice'), 'dailyStats', 'alice_2024-05-01')));
+    });
+});
+
+describe('group feed', () => {
+    const feedEntry = (db, entryId) => publicDoc(db, 'groups', 'g1', 'feed', entryId);
+
+    beforeEach(() => env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(publicDoc(db, 'groups', 'g1'), { name: 'G', ownerId: 'owner', memberIds: ['owner', 'alice', 'bob'] });
+        await setDoc(feedEntry(db, 'a1'), { userId: 'alice', chapterName: 'One' });
+    }));
+
+    it('lets members delete their own entries', async () => {
+        await assertSucceeds(deleteDoc(feedEntry(firestoreAs('alice'), 'a1')));
+    });
+
+    it("keeps members from deleting each other's entries", async () => {
+        await assertFails(deleteDoc(feedEntry(firestoreAs('bob'), 'a1')));
+    });
+
+    it('lets the owner delete any entry', async () => {
+        await assertSucceeds(deleteDoc(feedEntry(firestoreAs('owner'), 'a1')));
+    });
+});
+
+describe('group membership', () => {
+    const group = (db) => publicDoc(db, 'groups', 'g1');
+
+    beforeEach(() => env.withSecurityRulesDisabled((context) =>
+        setDoc(group(context.firestore()), { name: 'G', ownerId: 'owner', memberIds: ['owner', 'bob'] })));
+
+    it('lets users join and leave', async () => {
+        await assertSucceeds(updateDoc(group(firestoreAs('alice')), { memberIds: arrayUnion('alice') }));
+        await assertSucceeds(updateDoc(group(firestoreAs('bob')), { memberIds: arrayRemove('bob') }));
+    });
+
+    it('keeps users from adding or removing anyone else', async () => {
+        await assertFails(updateDoc(group(firestoreAs('alice')), { memberIds: ['owner', 'bob', 'alice', 'carol'] }));
+        await assertFails(updateDoc(group(firestoreAs('alice')), { memberIds: arrayRemove('bob') }));
+        await assertFails(updateDoc(group(firestoreAs('owner')), { memberIds: arrayRemove('bob') }));
+    });
+
+    it('keeps joining users from changing anything else', async () => {
+        await assertFails(updateDoc(group(firestoreAs('alice')), { memberIds: arrayUnion('alice'), name: 'Mine' }));
+    });
+});
+
+describe('group invites', () => {
+    const invite = (db, code) => publicDoc(db, 'groupInvites', code);
+
+    it('lets the owner create a group and its invite together', async () => {
+        const db = firestoreAs('alice');
+        const batch = writeBatch(db);
+        batch.set(publicDoc(db, 'groups', 'g2'), { name: 'G', ownerId: 'alice', memberIds: ['alice'] });
+        batch.set(invite(db, 'ABC234'), { groupId: 'g2' });
+        await assertSucceeds(batch.commit());
+    });
+
+    it("rejects invites to other users' groups", async () => {
+        await env.withSecurityRulesDisabled((context) =>
+            setDoc(publicDoc(context.firestore(), 'groups', 'g1'), { name: 'G', ownerId: 'owner', memberIds: ['owner', 'alice'] }));
+        await assertFails(setDoc(invite(firestoreAs('alice'), 'ABC234'), { groupId: 'g1' }));
+        await assertFails(setDoc(invite(firestoreAs('alice'), 'XYZ789'), { groupId: 'missing' }));
+    });
+});
+
+describe('group member stats', () => {
+    const group = (db) => publicDoc(db, 'groups', 'g1');
+    const stats = (db, userId) => publicDoc(db, 'groups', 'g1', 'members', userId);
+
+    beforeEach(() => env.withSecurityRulesDisabled((context) =>
+        setDoc(group(context.firestore()), { name: 'G', ownerId: 'owner', memberIds: ['owner', 'bob'] })));
+
+    it('can be written in the batch that joins the group', async () => {
+        const db = firestoreAs('alice');
+        const batch = writeBatch(db);
+        batch.update(group(db), { memberIds: arrayUnion('alice') });
+        batch.set(stats(db, 'alice'), { totalMinutes: 0 });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('are closed to non-members', async () => {
+        await assertFails(setDoc(stats(firestoreAs('alice'), 'alice'), { totalMinutes: 0 }));
+    });
+
+    it("keep members from writing each other's stats", async () => {
+        await assertSucceeds(setDoc(stats(firestoreAs('bob'), 'bob'), { totalMinutes: 5 }));
+        await assertFails(setDoc(stats(firestoreAs('bob'), 'owner'), { totalMinutes: 5 }));
+    });
+});
+
+describe('students and assignments', () => {
+    const student = (db) => publicDoc(db, 'students', 'alice');
+    const assignment = (db, id) => publicDoc(db, 'students', 'alice', 'assignments', id);
+    const template = (mentorId) => ({ mentorId, name: 'Physics', chapters: [] });
+
+    beforeEach(() => env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(publicDoc(db, 'roles', 'teacher2'), { role: 'teacher' });
+        await setDoc(student(db), { mentorIds: ['teacher', 'bob'] });
+    }));
+
+    it('are written by the student and read by their mentors', async () => {
+        await assertSucceeds(setDoc(student(firestoreAs('alice')), { mentorIds: ['teacher'] }));
+        await assertSucceeds(getDoc(student(firestoreAs('teacher'))));
+        await assertFails(getDoc(student(firestoreAs('teacher2'))));
+        await assertFails(setDoc(student(firestoreAs('teacher')), { mentorIds: ['teacher'] }));
+    });
+
+    it('take assignments from teachers the student added', async () => {
+        await assertSucceeds(setDoc(assignment(firestoreAs('teacher'), 'a1'), template('teacher')));
+    });
+
+    it('refuse assignments from teachers the student did not add', async () => {
+        await assertFails(setDoc(assignment(firestoreAs('teacher2'), 'a1'), template('teacher2')));
+    });
+
+    it('refuse assignments from mentors without the teacher role', async () => {
+        await assertFails(setDoc(assignment(firestoreAs('bob'), 'a1'), template('bob')));
+    });
+
+    it('refuse assignments sent in another mentor\'s name', async () => {
+        await assertFails(setDoc(assignment(firestoreAs('teacher'), 'a1'), template('teacher2')));
+    });
+});
+
+describe('activity', () => {
+    const record = (db) => publicDoc(db, 'activity', 'r1');
+
+    it('is created by its owner only', async () => {
+        await assertSucceeds(setDoc(record(firestoreAs('alice')), { userId: 'alice', durationMinutes: 30 }));
+        await assertFails(setDoc(publicDoc(firestoreAs('bob'), 'activity', 'r2'), { userId: 'alice', durationMinutes: 30 }));
+    });
+
+    it('is updated by its owner, who cannot hand it to someone else', async () => {
+        await env.withSecurityRulesDisabled((context) =>
+            setDoc(record(context.firestore()), { userId: 'alice', durationMinutes: 30 }));
+        await assertSucceeds(updateDoc(record(firestoreAs('alice')), { durationMinutes: 45 }));
+        await assertFails(updateDoc(record(firestoreAs('alice')), { userId: 'bob' }));
+        await assertFails(updateDoc(record(firestoreAs('bob')), { durationMinutes: 60 }));
+    });
+});
@@ -0,0 +1,205 @@
+// The local-mode backend of the storage layer in index.jsx, run against an
+// in-memory localStorage.
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+class MemoryStorage {
+    constructor() { this.items = new Map(); }
+    get length() { return this.items.size; }
+    key(index) { return [...this.items.keys()][index] ?? null; }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+    clear() { this.items.clear(); }
+}
+
+globalThis.localStorage = new MemoryStorage();
+globalThis.window = Object.assign(new EventTarget(), { location: { search: '' } });
+
+const {
+    createLocalStore, syncLocalStore, doc, collection, query, where, orderBy, limit, startAfter,
+    increment, arrayUnion, arrayRemove, getDoc, getDocs, onSnapshot, setDoc, deleteDoc, runTransaction, writeBatch,
+} = await import('../index.jsx');
+
+// Listeners hear about writes on a later microtask
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// What another tab's write looks like to this one
+const storageEvent = (key, newValue) => Object.assign(new Event('storage'), { key, newValue, storageArea: localStorage });
+
+let store;
+
+beforeEach(() => {
+    localStorage.clear();
+    store = createLocalStore('test');
+});
+
+describe('documents', () => {
+    it('reads back what was written, dates included, after a reload', async () => {
+        const date = new Date('2024-05-01T08:30:00Z');
+        await setDoc(doc(store, 'users/u1/history', 'r1'), { minutes: 30, date });
+
+        const reloaded = createLocalStore('test');
+        const snapshot = await getDoc(doc(reloaded, 'users/u1/history', 'r1'));
+        assert.equal(snapshot.exists(), true);
+        assert.deepEqual(snapshot.data(), { minutes: 30, date });
+    });
+
+    it('gives new documents an ID', async () => {
+        const ref = doc(collection(store, 'users/u1/history'));
+        assert.match(ref.id, /^[A-Za-z0-9]{20}$/);
+        assert.equal(ref.path, `users/u1/history/${ref.id}`);
+    });
+
+    it('deletes documents', async () => {
+        const ref = doc(store, 'settings', 'goals');
+        await setDoc(ref, { daily: 60 });
+        await deleteDoc(ref);
+        assert.equal((await getDoc(ref)).exists(), false);
+        assert.equal(createLocalStore('test').documents.size, 0);
+    });
+
+    it('applies field operations and merges nested maps', async () => {
+        const ref = doc(store, 'totals', 'day');
+        await setDoc(ref, { minutes: 10, tags: ['a'], subjects: { math: 5 } });
+        await setDoc(ref, {
+            minutes: increment(5),
+            tags: arrayUnion('a', 'b'),
+            subjects: { physics: increment(3) },
+        }, { merge: true });
+        assert.deepEqual((await getDoc(ref)).data(), { minutes: 15, tags: ['a', 'b'], subjects: { math: 5, physics: 3 } });
+
+        await setDoc(ref, { tags: arrayRemove('a') }, { merge: true });
+        assert.deepEqual((await getDoc(ref)).data().tags, ['b']);
+    });
+});
+
+describe('queries', () => {
+    beforeEach(async () => {
+        for (const [id, minutes] of [['a', 10], ['b', 30], ['c', 20], ['d', 40]]) {
+            await setDoc(doc(store, 'history', id), { minutes, subject: id === 'd' ? 'physics' : 'math' });
+        }
+        await setDoc(doc(store, 'history/a/notes', 'n1'), { minutes: 99 });
+    });
+
+    it('filters, orders and limits', async () => {
+        const snapshot = await getDocs(query(collection(store, 'history'), where('subject', '==', 'math'), orderBy('minutes', 'desc'), limit(2)));
+        assert.deepEqual(snapshot.docs.map(d => d.id), ['b', 'c']);
+    });
+
+    it('pages on from the last document of a page', async () => {
+        const ordered = query(collection(store, 'history'), orderBy('minutes'));
+        const first = await getDocs(query(ordered, limit(2)));
+        const next = await getDocs(query(ordered, startAfter(first.docs[1]), limit(2)));
+        assert.deepEqual(first.docs.map(d => d.id), ['a', 'c']);
+        assert.deepEqual(next.docs.map(d => d.id), ['b', 'd']);
+    });
+});
+
+describe('batches and transactions', () => {
+    it('commits chained batch writes together', async () => {
+        await setDoc(doc(store, 'items', 'old'), { n: 0 });
+        await writeBatch(store)
+            .set(doc(store, 'items', 'a'), { n: 1 })
+            .set(doc(store, 'items', 'b'), { n: 2 })
+            .delete(doc(store, 'items', 'old'))
+            .commit();
+        assert.deepEqual((await getDocs(collection(store, 'items'))).docs.map(d => d.id), ['a', 'b']);
+    });
+
+    it('writes nothing until a batch is committed', async () => {
+        writeBatch(store).set(doc(store, 'items', 'a'), { n: 1 });
+        assert.equal((await getDoc(doc(store, 'items', 'a'))).exists(), false);
+    });
+
+    it('runs transactions one at a time', async () => {
+        const ref = doc(store, 'counters', 'c');
+        await setDoc(ref, { value: 0 });
+        const add = () => runTransaction(store, async (transaction) => {
+            const current = (await transaction.get(ref)).data().value;
+            await settle();
+            transaction.set(ref, { value: current + 1 });
+        });
+        await Promise.all([add(), add(), add()]);
+        assert.equal((await getDoc(ref)).data().value, 3);
+    });
+
+    it('writes nothing from a transaction that throws', async () => {
+        const ref = doc(store, 'counters', 'c');
+        await assert.rejects(runTransaction(store, async (transaction) => {
+            transaction.set(ref, { value: 1 });
+            throw new Error('stop');
+        }));
+        assert.equal((await getDoc(ref)).exists(), false);
+    });
+
+    it('refuses to update a missing document', async () => {
+        await assert.rejects(runTransaction(store, async (transaction) => {
+            transaction.update(doc(store, 'counters', 'missing'), { value: 1 });
+        }), /No document to update/);
+    });
+});
+
+describe('listeners', () => {
+    it('report added, modified and removed documents', async () => {
+        const changes = [];
+        const unsubscribe = onSnapshot(collection(store, 'items'), (snapshot) => {
+            changes.push(snapshot.docChanges().map(change => `${change.type}:${change.doc.id}`));
+        });
+        await settle();
+        await setDoc(doc(store, 'items', 'a'), { n: 1 });
+        await settle();
+        await setDoc(doc(store, 'items', 'a'), { n: 2 });
+        await settle();
+        await deleteDoc(doc(store, 'items', 'a'));
+        await settle();
+        unsubscribe();
+        await setDoc(doc(store, 'items', 'b'), { n: 1 });
+        await settle();
+        assert.deepEqual(changes, [[], ['added:a'], ['modified:a'], ['removed:a']]);
+    });
+
+    it('skip writes that leave their result unchanged', async () => {
+        let calls = 0;
+        const unsubscribe = onSnapshot(doc(store, 'items', 'a'), () => { calls++; });
+        await settle();
+        await setDoc(doc(store, 'other', 'x'), { n: 1 });
+        await settle();
+        unsubscribe();
+        assert.equal(calls, 1);
+    });
+});
+
+describe('other tabs', () => {
+    it('see writes through storage events', async () => {
+        const stopSync = syncLocalStore(store);
+        const other = createLocalStore('test');
+        const seen = [];
+        const unsubscribe = onSnapshot(doc(store, 'settings', 'goals'), (snapshot) => seen.push(snapshot.data()?.daily));
+        await settle();
+
+        await setDoc(doc(other, 'settings', 'goals'), { daily: 45 });
+        window.dispatchEvent(storageEvent(`${other.prefix}settings/goals`, localStorage.getItem(`${other.prefix}settings/goals`)));
+        await deleteDoc(doc(other, 'settings', 'goals'));
+        window.dispatchEvent(storageEvent(`${other.prefix}settings/goals`, null));
+
+        unsubscribe();
+        stopSync();
+        assert.deepEqual(seen, [undefined, 45, undefined]);
+    });
+
+    it('ignore other apps and namespaces', async () => {
+        const stopSync = syncLocalStore(store);
+        window.dispatchEvent(storageEvent('elsewhere:settings/goals', '{"daily":1}'));
+        stopSync();
+        assert.equal(store.documents.size, 0);
+    });
+
+    it('stop being followed once the sync is stopped', async () => {
+        syncLocalStore(store)();
+        const other = createLocalStore('test');
+        await setDoc(doc(other, 'settings', 'goals'), { daily: 45 });
+        window.dispatchEvent(storageEvent(`${other.prefix}settings/goals`, localStorage.getItem(`${other.prefix}settings/goals`)));
+        assert.equal((await getDoc(doc(store, 'settings', 'goals'))).exists(), false);
+    });
+});
@@ -0,0 +1,11 @@
+// Module hooks that compile .jsx files with esbuild as they are loaded
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { transform } from 'esbuild';
+
+export const load = async (url, context, nextLoad) => {
+    if (!url.endsWith('.jsx')) return nextLoad(url, context);
+    const source = await readFile(fileURLToPath(url), 'utf8');
+    const { code } = await transform(source, { loader: 'jsx', format: 'esm', sourcefile: fileURLToPath(url) });
+    return { format: 'module', source: code, shortCircuit: true };
+};
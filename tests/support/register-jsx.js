@@ -0,0 +1,4 @@
+// Used with `node --import`: lets the tests import index.jsx (see jsx-hooks.js)
+import { register } from 'node:module';
+
+register('./jsx-hooks.js', import.meta.url);